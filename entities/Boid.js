@@ -27,7 +27,7 @@ class Boid extends (window.Entity || Entity) {
         // Ensure velocity is properly initialized with minimum speed to prevent stationary fry
         if (!this.velocity) {
             // Set initial velocity with minimum speed in random direction
-            const angle = Math.random() * Math.PI * 2;
+            const angle = SimRandom.random() * Math.PI * 2;
             this.velocity = {
                 x: Math.cos(angle) * minSpeed,
                 y: Math.sin(angle) * minSpeed
@@ -46,9 +46,9 @@ class Boid extends (window.Entity || Entity) {
         this.setupFishProperties();
         
         // Generate some variance in movement (behaviorConfig already declared above)
-        this.personalSpace = (behaviorConfig.separationRadius || 35) + (Math.random() - 0.5) * 10;
-        this.groupAffinity = 0.8 + Math.random() * 0.4;
-        this.fearSensitivity = 0.8 + Math.random() * 0.4;
+        this.personalSpace = (behaviorConfig.separationRadius || 35) + (SimRandom.random() - 0.5) * 10;
+        this.groupAffinity = 0.8 + SimRandom.random() * 0.4;
+        this.fearSensitivity = 0.8 + SimRandom.random() * 0.4;
         
         // Depth preference based on fish type
         this.preferredDepth = config.getPreferredDepth ? config.getPreferredDepth(actualFishType) : this.getPreferredDepth();
@@ -260,23 +260,25 @@ class Boid extends (window.Entity || Entity) {
         return { x: vector.x / mag, y: vector.y / mag };
     }
 
-    update(boids, predators, food, krill, poop, fertilizedEggs = []) {
+    // Flockmates, threats and food come from the spatial grid (see Entity.findNearby)
+    update() {
         // Update frame counter
         this.frameCount++;
         
         // Check for threats (for fleeing state) - similar to how tuna handles it
         // PRIORITY ORDER: Fleeing > All other states (spawning, feeding, foraging, hunting)
         // IMPORTANT: Fleeing has absolute priority - override all other states
-        const squids = (window.gameEntities && window.gameEntities.squid) || [];
+        const threatRadius = window.boidThreatSystem ? window.boidThreatSystem.getFleeRadius() : 0;
+        const predators = this.findNearby(threatRadius, 'predator');
+        const squids = this.findNearby(threatRadius, 'squid');
         
-        // CRITICAL FIX: Ensure predators array is valid and contains tuna
-        // Debug logging to verify predators are being passed
+        // Debug logging to verify nearby predators are being found
         if (window.gameState && window.gameState.fryDebug && this.frameCount % 120 === 0) {
             console.log(`🐟 Fry threat check:`, {
                 fishType: this.fishType,
-                predatorsCount: predators ? predators.length : 0,
-                squidsCount: squids ? squids.length : 0,
-                predatorsValid: predators && predators.length > 0 ? predators.filter(p => p && p.x !== undefined && p.y !== undefined).length : 0
+                predatorsCount: predators.length,
+                squidsCount: squids.length,
+                threatRadius: Math.round(threatRadius)
             });
         }
         
@@ -345,19 +347,32 @@ class Boid extends (window.Entity || Entity) {
         
         // Apply flocking and feeding systems (direct velocity modification like original)
         // Note: When fleeing, flocking will be reduced/modified by the flock method
-        this.flock(boids, predators, food, krill);
+        this.flock(this.findNearbyFlockmates());
         
         // Check for food (feeding system handles state transitions properly)
         // The feeding system respects fleeing, feeding, spawning, and cooldown states
-        this.checkForFood(krill, food, poop, fertilizedEggs);
+        this.checkForFood();
         
         this.move();
         this.edges();
     }
     
-    checkForFood(krillArray, fishFoodArray, poopArray, fertilizedEggsArray = []) {
+    // Tick between AI updates for fry far from the view (distance LOD) - keep swimming on the last decision
+    coast() {
+        this.x += this.velocity.x;
+        this.y += this.velocity.y;
+        this.edges();
+    }
+    
+    // Other fry within perception range - the only boids flock() looks at
+    findNearbyFlockmates() {
+        const CONSTANTS = window.CONSTANTS || { PERCEPTION_RADIUS: 50 };
+        return this.findNearby(CONSTANTS.PERCEPTION_RADIUS, 'fish');
+    }
+    
+    checkForFood() {
         if (this.feedingSystem && this.feedingSystem.checkForFood) {
-            this.feedingSystem.checkForFood(this, krillArray, fishFoodArray, poopArray, fertilizedEggsArray);
+            this.feedingSystem.checkForFood(this);
         }
     }
 
@@ -369,4 +384,49 @@ class Boid extends (window.Entity || Entity) {
 }
 
 // Export for global access
-window.Boid = Boid; 
\ No newline at end of file
+window.Boid = Boid; 
+
+// Structure-of-arrays mode - fry and every krill stage keep their hot fields in the entity store
+if (window.entityStore) {
+    window.entityStore.install(Boid, ['x', 'y', 'velocity', 'acceleration', 'behaviorState', 'animationFrame']);
+}
+
+// Regular fry species - owns the shared fish array (TrueFry stages swim in it too)
+registerSpecies({
+    id: 'fry',
+    className: 'Boid',
+    array: 'fish',
+    sprites: { smallFry2: 'smallFry2.png', smallFry3: 'smallFry3.png', smallFry4: 'smallFry4.png' },
+    restore: data => new Boid(data.fishType),
+    spawn: {
+        mode: 'fry', order: 90, label: 'Fry',
+        count: [1, 5],
+        create: (x, y) => {
+            const fryTypes = [window.FISH_TYPES.SMALL_FRY_2, window.FISH_TYPES.SMALL_FRY_3, window.FISH_TYPES.SMALL_FRY_4];
+            const fry = new Boid(fryTypes[Math.floor(SimRandom.random() * fryTypes.length)]);
+            fry.x = x;
+            fry.y = y;
+            return fry;
+        },
+        prompt: 'Click to spawn (1-5 random)',
+        hint: 'Click to spawn fry (1-5 random types)',
+        sprite: 'smallFry2', iconSize: 90, textOffset: 15,
+        color: 'rgba(128, 128, 128, 0.8)', strokeColor: 'rgba(100, 200, 255, 0.7)'
+    },
+    counter: {
+        key: 'regularFry', label: 'Regular Fry', icon: 'smallFry2', order: 30,
+        count: gameEntities => gameEntities.fish.filter(f =>
+            f.constructor.name !== 'TrueFry1' && f.constructor.name !== 'TrueFry2'
+        ).length
+    },
+    update: { phase: SPECIES_UPDATE_PHASES.CREATURES, order: 30, run: gameEntities => gameEntities.updateFish() },
+    renderState: (fry, out) => fry.renderingSystem.getRenderState(fry, out),
+    debugDraw: (debugView, ctx, fish, camera) => debugView.drawFishDebug(ctx, fish, camera),
+    invariants: {
+        states: { behaviorState: ['foraging', 'hunting', 'fleeing', 'feeding', 'feeding_cooldown', 'spawning', 'spawning_cooldown'] },
+        timers: { hunger: [0, 1], feedingTimer: [0, Infinity], huntCooldown: [0, Infinity] },
+        targets: ['huntTarget']
+    },
+    metabolism: BoidConfig.METABOLISM,
+    aging: BoidConfig.AGING
+});
@@ -48,26 +48,10 @@ class Bubble {
         
         ctx.save();
         
-        // Optimized rendering - skip temp canvas for performance when possible
-        if (tintStrength > 0.1) {
-            // Only create temp canvas for significant tinting
-            const tempCanvas = document.createElement('canvas');
-            const tempCtx = tempCanvas.getContext('2d');
-            tempCanvas.width = this.size;
-            tempCanvas.height = this.size;
-            
-            tempCtx.drawImage(this.sprite, 0, 0, this.size, this.size);
-            tempCtx.globalCompositeOperation = 'source-atop';
-            tempCtx.fillStyle = `rgba(100, 150, 255, ${tintStrength})`;
-            tempCtx.fillRect(0, 0, this.size, this.size);
-            
-            ctx.globalAlpha = finalOpacity;
-            ctx.drawImage(tempCanvas, this.x - this.size/2, this.y - this.size/2);
-        } else {
-            // Direct rendering for better performance
-            ctx.globalAlpha = finalOpacity;
-            ctx.drawImage(this.sprite, this.x - this.size/2, this.y - this.size/2, this.size, this.size);
-        }
+        // Only significant tinting is applied; tinted sprites come pre-rendered from the tinted sprite cache
+        ctx.globalAlpha = finalOpacity;
+        ctx.drawImage(window.tintedSprites.get(this.sprite, this.size, tintStrength > 0.1 ? tintStrength : 0),
+            this.x - this.size/2, this.y - this.size/2, this.size, this.size);
         
         ctx.restore();
     }
@@ -120,29 +104,9 @@ class EatingBubble {
         ctx.translate(this.x, this.y);
         ctx.rotate(this.rotation);
         
-        if (tintStrength > 0) {
-            // Create temporary canvas for proper transparency handling
-            const tempCanvas = document.createElement('canvas');
-            const tempCtx = tempCanvas.getContext('2d');
-            tempCanvas.width = this.size;
-            tempCanvas.height = this.size;
-            
-            // Draw sprite on temp canvas
-            tempCtx.drawImage(this.sprite, 0, 0, this.size, this.size);
-            
-            // Apply tint using source-atop
-            tempCtx.globalCompositeOperation = 'source-atop';
-            tempCtx.fillStyle = `rgba(100, 150, 255, ${tintStrength})`;
-            tempCtx.fillRect(0, 0, this.size, this.size);
-            
-            // Draw the tinted sprite to main canvas
-            ctx.globalAlpha = depthOpacity;
-            ctx.drawImage(tempCanvas, -this.size/2, -this.size/2);
-        } else {
-            // No tint needed, draw normally
-            ctx.globalAlpha = depthOpacity;
-            ctx.drawImage(this.sprite, -this.size/2, -this.size/2, this.size, this.size);
-        }
+        // Depth tint comes pre-rendered from the tinted sprite cache
+        ctx.globalAlpha = depthOpacity;
+        window.tintedSprites.draw(ctx, this.sprite, this.size, tintStrength);
         
         ctx.restore();
     }
@@ -1,38 +1,48 @@
 // Base Entity class with optimized rendering
 class Entity {
     constructor(x, y, spawnDepthZone = null) {
+        // Classes with stored fields (krill and fry in structure-of-arrays mode) need their store slot first
+        if (this.entityStore) {
+            this.entityStore.attach(this);
+        }
+
+        this.resetEntity(x, y, spawnDepthZone);
+    }
+
+    // Base state, set by the constructor and again when a pooled entity is reused (see EntityPools)
+    resetEntity(x, y, spawnDepthZone = null) {
         // Use global constants
         const WORLD_WIDTH = window.WORLD_WIDTH || 12000;
         const WORLD_HEIGHT = window.WORLD_HEIGHT || 8000;
         
-        this.x = x || Math.random() * WORLD_WIDTH;
+        this.x = x || SimRandom.random() * WORLD_WIDTH;
         
         // Habitat-based spawning system
         if (spawnDepthZone && !y) {
             switch (spawnDepthZone) {
                 case 'surface': // 0-20% depth (surface layer)
-                    this.y = Math.random() * (WORLD_HEIGHT * 0.2);
+                    this.y = SimRandom.random() * (WORLD_HEIGHT * 0.2);
                     break;
                 case 'shallow': // 0-40% depth (shallow water)
-                    this.y = Math.random() * (WORLD_HEIGHT * 0.4);
+                    this.y = SimRandom.random() * (WORLD_HEIGHT * 0.4);
                     break;
                 case 'mid': // 20-60% depth (mid-water zone)
-                    this.y = (WORLD_HEIGHT * 0.2) + Math.random() * (WORLD_HEIGHT * 0.4);
+                    this.y = (WORLD_HEIGHT * 0.2) + SimRandom.random() * (WORLD_HEIGHT * 0.4);
                     break;
                 case 'deep': // 0-80% depth (avoid abyssal)
-                    this.y = Math.random() * (WORLD_HEIGHT * 0.8);
+                    this.y = SimRandom.random() * (WORLD_HEIGHT * 0.8);
                     break;
                 case 'abyssal': // 80-100% depth (deep water)
-                    this.y = (WORLD_HEIGHT * 0.8) + Math.random() * (WORLD_HEIGHT * 0.2);
+                    this.y = (WORLD_HEIGHT * 0.8) + SimRandom.random() * (WORLD_HEIGHT * 0.2);
                     break;
                 default:
-                    this.y = Math.random() * WORLD_HEIGHT;
+                    this.y = SimRandom.random() * WORLD_HEIGHT;
             }
         } else {
-            this.y = y || Math.random() * WORLD_HEIGHT;
+            this.y = y || SimRandom.random() * WORLD_HEIGHT;
         }
         
-        this.velocity = { x: Math.random() * 4 - 2, y: Math.random() * 4 - 2 };
+        this.velocity = { x: SimRandom.random() * 4 - 2, y: SimRandom.random() * 4 - 2 };
         this.acceleration = { x: 0, y: 0 };
         this.maxSpeed = 2;
         this.maxForce = 0.05;
@@ -45,6 +55,11 @@ class Entity {
         this.spawnDepthZone = spawnDepthZone;
         this.isAlive = true;
         
+        // Stable id and species tag (this.constructor is the concrete subclass here)
+        if (window.EntityRegistry) {
+            window.EntityRegistry.assignIdentity(this);
+        }
+        
         // Sprite flipping state to prevent rapid flipping when moving straight down
         this.facingDirection = 1; // 1 for right (no flip), -1 for left (flipped)
         this.flipVelocityThreshold = 0.3; // Minimum horizontal velocity to trigger flip
@@ -89,74 +104,42 @@ class Entity {
         ctx.save();
         ctx.translate(this.x, this.y);
         
-        // Update facing direction with threshold to prevent rapid flipping
-        // Only flip when horizontal velocity is significant (prevents flipping when moving straight down)
-        const absVelX = Math.abs(this.velocity.x);
-        if (absVelX > this.flipVelocityThreshold) {
-            // Horizontal movement is significant - update facing direction
-            const desiredDirection = this.velocity.x < 0 ? -1 : 1;
-            if (desiredDirection !== this.facingDirection) {
-                this.facingDirection = desiredDirection;
-            }
-        }
-        // If horizontal velocity is too small, keep current facing direction (prevents rapid flipping)
-        
-        // Apply flip based on facing direction
-        if (this.facingDirection < 0) {
-            ctx.scale(-1, 1);
-        }
+        this.updateFacingDirection();
         
         // Apply rotation if provided (for directional movement)
+        // tintedSprites.draw mirrors the sprite after this rotation, so a flipped sprite turns the other way
         if (angle !== 0) {
-            ctx.rotate(angle);
+            ctx.rotate(this.facingDirection < 0 ? -angle : angle);
         }
         
-        if (tintStrength > 0) {
-            // Create temporary canvas for proper transparency handling
-            const tempCanvas = document.createElement('canvas');
-            const tempCtx = tempCanvas.getContext('2d');
-            tempCanvas.width = size;
-            tempCanvas.height = size;
-            
-            // Draw sprite on temp canvas with validation
-            try {
-                tempCtx.drawImage(sprite, 0, 0, size, size);
-            } catch (error) {
-                console.error('🚨 drawImage error in temp canvas:', error, {
-                    sprite: sprite,
-                    size: size,
-                    entityType: this.constructor.name
-                });
-                ctx.restore();
-                return;
-            }
-            
-            // Apply tint using source-atop (only affects non-transparent pixels)
-            tempCtx.globalCompositeOperation = 'source-atop';
-            tempCtx.fillStyle = `rgba(100, 150, 255, ${tintStrength})`;
-            tempCtx.fillRect(0, 0, size, size);
-            
-            // Draw the tinted sprite to main canvas
-            ctx.globalAlpha = depthOpacity;
-            ctx.drawImage(tempCanvas, -size/2, -size/2);
-        } else {
-            // No tint needed, draw normally with validation
-            ctx.globalAlpha = depthOpacity;
-            try {
-                ctx.drawImage(sprite, -size/2, -size/2, size, size);
-            } catch (error) {
-                console.error('🚨 drawImage error in main canvas:', error, {
-                    sprite: sprite,
-                    size: size,
-                    entityType: this.constructor.name,
-                    fishType: this.fishType
-                });
-            }
+        // Depth tint comes pre-rendered from the tinted sprite cache
+        ctx.globalAlpha = depthOpacity;
+        try {
+            window.tintedSprites.draw(ctx, sprite, size, tintStrength, this.facingDirection);
+        } catch (error) {
+            console.error('🚨 drawImage error in sprite:', error, {
+                sprite: sprite,
+                size: size,
+                entityType: this.constructor.name,
+                fishType: this.fishType
+            });
         }
         
         ctx.restore();
     }
 
+    // Update facing direction with threshold to prevent rapid flipping
+    // Only flip when horizontal velocity is significant (prevents flipping when moving straight down)
+    updateFacingDirection() {
+        const absVelX = Math.abs(this.velocity.x);
+        if (absVelX > this.flipVelocityThreshold) {
+            // Horizontal movement is significant - update facing direction
+            this.facingDirection = this.velocity.x < 0 ? -1 : 1;
+        }
+        // If horizontal velocity is too small, keep current facing direction (prevents rapid flipping)
+        return this.facingDirection;
+    }
+
     applyForce(force) {
         this.acceleration.x += force.x;
         this.acceleration.y += force.y;
@@ -167,6 +150,11 @@ class Entity {
         this.move();
     }
 
+    // Perception - other entities of the given spatial type(s) within radius, from the world's spatial grid
+    findNearby(radius, types = null) {
+        return window.gameEntities ? window.gameEntities.findNearby(this.x, this.y, radius, types, this) : [];
+    }
+
     draw() {
         // Base draw - override in subclasses
         if (this.currentSprite) {
@@ -176,9 +164,13 @@ class Entity {
     
     // Base food consumption method
     consumeFood(food) {
-        // Basic food consumption logic
-        this.energy = Math.min(this.energy + 20, 100);
-        this.hunger = Math.max(this.hunger - 0.3, 0);
+        // Basic food consumption logic - species with a metabolism keep hunger as the empty share of their store
+        if (window.MetabolismSystem && MetabolismSystem.get(this)) {
+            MetabolismSystem.feed(this, 20);
+        } else {
+            this.energy = Math.min(this.energy + 20, 100);
+            this.hunger = Math.max(this.hunger - 0.3, 0);
+        }
         
         if (window.gameState?.fryDebug) {
             console.log(`🍽️ ${this.constructor.name} consumed food. Energy: ${this.energy}, Hunger: ${this.hunger}`);
@@ -190,12 +182,16 @@ class Entity {
     // Base poop consumption method
     consumePoop(poop, poopArray, index) {
         // Basic poop consumption logic
-        this.energy = Math.min(this.energy + 15, 100);
-        this.hunger = Math.max(this.hunger - 0.2, 0);
+        if (window.MetabolismSystem && MetabolismSystem.get(this)) {
+            MetabolismSystem.feed(this, 15);
+        } else {
+            this.energy = Math.min(this.energy + 15, 100);
+            this.hunger = Math.max(this.hunger - 0.2, 0);
+        }
         
         // Remove poop from array if index is valid
         if (index >= 0 && index < poopArray.length) {
-            poopArray.splice(index, 1);
+            EntityLifecycle.removeFrom(poopArray, index, DEATH_CAUSES.EATEN, this);
         }
         
         if (window.gameState?.fryDebug) {
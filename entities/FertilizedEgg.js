@@ -2,11 +2,20 @@
 class FertilizedEgg extends (window.Entity || Entity) {
     constructor(x, y) {
         super(x, y);
-        
+        this.resetFertilizedEgg(x, y);
+    }
+    
+    // Pool reuse (see EntityPools) - back to the state a new fertilized egg starts in
+    reset(x, y) {
+        this.resetEntity(x, y);
+        this.resetFertilizedEgg(x, y);
+    }
+    
+    resetFertilizedEgg(x, y) {
         // Fertilized egg specific properties
         this.size = 4; // Increased by 3px from 1px
         this.eaten = false;
-        this.spawnTime = Date.now();
+        this.spawnTime = SimClock.now();
         this.lifespan = 30000; // 30 seconds lifespan (reduced from 60, but still enough for hatching)
         this.nutritionValue = 5; // Higher nutrition than regular fish eggs
         this.fertilized = true; // Mark as fertilized
@@ -23,7 +32,7 @@ class FertilizedEgg extends (window.Entity || Entity) {
         // Hatching system compatibility
         this.hatchTimer = 0; // Timer for hatching system
         this.hatched = false; // Flag to prevent double hatching
-        this.hatchDuration = 7000 + Math.random() * 6000; // Random duration between 7-13 seconds
+        this.hatchDuration = 7000 + SimRandom.random() * 6000; // Random duration between 7-13 seconds
         
         console.log('🥚 FertilizedEgg created at', x, y);
     }
@@ -35,14 +44,14 @@ class FertilizedEgg extends (window.Entity || Entity) {
         }
         
         // Update development timer
-        this.developmentTimer += 16; // Approximate frame time
+        this.developmentTimer += SimClock.stepMs; // One simulation tick
         
         // Update hatching timer for truefry hatching system
-        this.hatchTimer += 16; // Approximate frame time
+        this.hatchTimer += SimClock.stepMs; // One simulation tick
         
         // Check if egg has expired
-        if (Date.now() - this.spawnTime > this.lifespan) {
-            this.eaten = true; // Mark for removal
+        if (SimClock.now() - this.spawnTime > this.lifespan) {
+            EntityLifecycle.kill(this, DEATH_CAUSES.EXPIRED);
         }
         
         // Keep egg within world bounds
@@ -193,14 +202,14 @@ class FertilizedEgg extends (window.Entity || Entity) {
         const eatRadius = (entity.size || 20) / 2 + this.size / 2;
         
         if (distance < eatRadius) {
-            this.eaten = true;
+            EntityLifecycle.kill(this, DEATH_CAUSES.EATEN, entity);
             
             // Create eating bubbles
             if (window.ObjectPools) {
                 for (let i = 0; i < 4; i++) {
                     window.ObjectPools.getEatingBubble(
-                        this.x + (Math.random() - 0.5) * 12,
-                        this.y + (Math.random() - 0.5) * 12
+                        this.x + (SimRandom.random() - 0.5) * 12,
+                        this.y + (SimRandom.random() - 0.5) * 12
                     );
                 }
             }
@@ -224,4 +233,32 @@ class FertilizedEgg extends (window.Entity || Entity) {
 // Export for global access
 if (typeof window !== 'undefined') {
     window.FertilizedEgg = FertilizedEgg;
-} 
\ No newline at end of file
+} 
+
+// Fertilized egg species (hatched by the TrueFry hatching system)
+registerSpecies({
+    id: 'fertilizedEgg',
+    className: 'FertilizedEgg',
+    array: 'fertilizedEggs',
+    spatialType: 'fertilizedEgg',
+    sprites: { fertilizedEgg: 'fertilizedegg.png' },
+    spawn: {
+        mode: 'fertilizedEggs', order: 70, label: 'Fertilized Eggs',
+        count: [1, 3],
+        create: (x, y) => acquireEntity(FertilizedEgg, x, y),
+        prompt: 'Click to spawn (1-3)',
+        hint: 'Click to spawn fertilized eggs (1-3)',
+        sprite: 'fertilizedEgg',
+        color: 'rgba(255, 182, 193, 0.8)', strokeColor: 'rgba(255, 182, 193, 0.7)'
+    },
+    update: { phase: SPECIES_UPDATE_PHASES.ENVIRONMENT, order: 30, run: gameEntities => gameEntities.updateFertilizedEggs() },
+    renderState: (egg, out) => window.EggRenderingSystem.getRenderState(egg, 'fertilizedEgg', out),
+    invariants: {
+        timers: { developmentTimer: [0, Infinity], hatchTimer: [0, Infinity] }
+    }
+});
+
+// Reused through acquireEntity - hatch or expire within half a minute
+if (window.entityPools) {
+    window.entityPools.register(FertilizedEgg, { maxSize: 200 });
+}
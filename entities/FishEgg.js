@@ -2,11 +2,20 @@
 class FishEgg extends (window.Entity || Entity) {
     constructor(x, y) {
         super(x, y);
-        
+        this.resetFishEgg(x, y);
+    }
+    
+    // Pool reuse (see EntityPools) - back to the state a new fish egg starts in
+    reset(x, y) {
+        this.resetEntity(x, y);
+        this.resetFishEgg(x, y);
+    }
+    
+    resetFishEgg(x, y) {
         // Fish egg specific properties
         this.size = 4; // Changed to 4px to match fertilized egg size
         this.eaten = false;
-        this.spawnTime = Date.now();
+        this.spawnTime = SimClock.now();
         this.lifespan = 30000; // 30 seconds lifespan
         this.nutritionValue = 2; // Higher nutrition than regular fish food
         
@@ -23,8 +32,8 @@ class FishEgg extends (window.Entity || Entity) {
         }
         
         // Check if egg has expired
-        if (Date.now() - this.spawnTime > this.lifespan) {
-            this.eaten = true; // Mark for removal
+        if (SimClock.now() - this.spawnTime > this.lifespan) {
+            EntityLifecycle.kill(this, DEATH_CAUSES.EXPIRED);
         }
     }
     
@@ -132,8 +141,8 @@ class FishEgg extends (window.Entity || Entity) {
         ctx.fillText(`N:${this.nutritionValue}`, this.x, this.y + this.size/2 + 15);
         
         // Draw lifespan progress
-        const lifespanProgress = (Date.now() - this.spawnTime) / this.lifespan;
-        const timeLeft = Math.max(0, (this.lifespan - (Date.now() - this.spawnTime)) / 1000);
+        const lifespanProgress = (SimClock.now() - this.spawnTime) / this.lifespan;
+        const timeLeft = Math.max(0, (this.lifespan - (SimClock.now() - this.spawnTime)) / 1000);
         ctx.fillText(`${timeLeft.toFixed(1)}s`, this.x, this.y + this.size/2 + 25);
         
         ctx.restore();
@@ -147,14 +156,14 @@ class FishEgg extends (window.Entity || Entity) {
         const eatRadius = (entity.size || 20) / 2 + this.size / 2;
         
         if (distance < eatRadius) {
-            this.eaten = true;
+            EntityLifecycle.kill(this, DEATH_CAUSES.EATEN, entity);
             
             // Create eating bubbles
             if (window.ObjectPools) {
                 for (let i = 0; i < 3; i++) {
                     window.ObjectPools.getEatingBubble(
-                        this.x + (Math.random() - 0.5) * 10,
-                        this.y + (Math.random() - 0.5) * 10
+                        this.x + (SimRandom.random() - 0.5) * 10,
+                        this.y + (SimRandom.random() - 0.5) * 10
                     );
                 }
             }
@@ -173,4 +182,30 @@ class FishEgg extends (window.Entity || Entity) {
 // Export for global access
 if (typeof window !== 'undefined') {
     window.FishEgg = FishEgg;
-} 
\ No newline at end of file
+} 
+
+// Unfertilized fish egg species
+registerSpecies({
+    id: 'fishEgg',
+    className: 'FishEgg',
+    array: 'fishEggs',
+    spatialType: 'egg',
+    sprites: { fishEgg: 'fishEgg.png' },
+    spawn: {
+        mode: 'fishEggs', order: 50, label: 'Fish Eggs',
+        count: [1, 3],
+        create: (x, y) => acquireEntity(FishEgg, x, y),
+        prompt: 'Click to spawn (1-3)',
+        hint: 'Click to spawn fish eggs (1-3, need sperm to fertilize)',
+        sprite: 'fishEgg', cursorClump: true,
+        color: 'rgba(255, 255, 224, 0.8)', strokeColor: 'rgba(255, 255, 224, 0.7)' // Light yellow for fish eggs
+    },
+    counter: { key: 'fishEggs', label: 'Fish Eggs', icon: 'fishEgg', order: 110, count: gameEntities => gameEntities.fishEggs.length },
+    update: { phase: SPECIES_UPDATE_PHASES.ENVIRONMENT, order: 20, run: gameEntities => gameEntities.updateFishEggs() },
+    renderState: (egg, out) => window.EggRenderingSystem.getRenderState(egg, 'fishEgg', out)
+});
+
+// Reused through acquireEntity - laid and eaten or fertilized within seconds
+if (window.entityPools) {
+    window.entityPools.register(FishEgg, { maxSize: 200 });
+}
@@ -1,6 +1,11 @@
 // FishFood class for player-dropped food
 class FishFood {
     constructor(x, y) {
+        this.reset(x, y);
+    }
+    
+    // Also called when a pooled food item is reused (see EntityPools)
+    reset(x, y) {
         this.x = x;
         this.y = y;
         this.size = 12;
@@ -9,6 +14,12 @@ class FishFood {
         this.eaten = false;
         this.opacity = 1;
         this.transformedToPoop = false; // Track if already transformed to avoid multiple transformations
+        this.isAlive = true;
+        
+        // Stable id and species tag
+        if (window.EntityRegistry) {
+            window.EntityRegistry.assignIdentity(this);
+        }
         
         // Track creation in optimization system
         if (window.FishFoodMovementSystem) {
@@ -45,19 +56,29 @@ class FishFood {
             if (this.y >= abyssalDepth && !this.transformedToPoop) {
                 // Transform into poop3 when reaching abyssal depth
                 if (window.gameEntities && window.Poop) {
-                    window.gameEntities.poop.push(new window.Poop(this.x, this.y, 'abyssal'));
+                    window.gameEntities.poop.push(acquireEntity(window.Poop, this.x, this.y, 'abyssal'));
                 }
-                this.eaten = true;
+                EntityLifecycle.kill(this, DEATH_CAUSES.TRANSFORMED);
                 this.transformedToPoop = true;
                 return;
             }
             
             if (this.y > WORLD_HEIGHT + 10) {
-                this.eaten = true;
+                EntityLifecycle.kill(this, DEATH_CAUSES.LEFT_WORLD);
             }
         }
     }
 
+    // Worker-mode render state - same depth fade as draw() (see SimulationWorker)
+    getRenderState(out) {
+        if (this.eaten) return false;
+        
+        out.sprite = 'fishFood';
+        out.opacity = window.Utils ? window.Utils.getDepthOpacity(this.y, this.opacity) : this.opacity;
+        out.tint = window.Utils ? window.Utils.getDepthTint(this.y) : 0;
+        return true;
+    }
+
     draw() {
         if (!this.eaten) {
             // Safe check for Utils and inRenderDistance
@@ -75,29 +96,10 @@ class FishFood {
             
             context.save();
             
-            if (tintStrength > 0) {
-                // Create temporary canvas for proper transparency handling
-                const tempCanvas = document.createElement('canvas');
-                const tempCtx = tempCanvas.getContext('2d');
-                tempCanvas.width = this.size;
-                tempCanvas.height = this.size;
-                
-                // Draw sprite on temp canvas
-                tempCtx.drawImage(spriteObj.fishFood, 0, 0, this.size, this.size);
-                
-                // Apply tint using source-atop
-                tempCtx.globalCompositeOperation = 'source-atop';
-                tempCtx.fillStyle = `rgba(100, 150, 255, ${tintStrength})`;
-                tempCtx.fillRect(0, 0, this.size, this.size);
-                
-                // Draw the tinted sprite to main canvas
-                context.globalAlpha = depthOpacity;
-                context.drawImage(tempCanvas, this.x - this.size/2, this.y - this.size/2);
-            } else {
-                // No tint needed, draw normally
-                context.globalAlpha = depthOpacity;
-                context.drawImage(spriteObj.fishFood, this.x - this.size/2, this.y - this.size/2, this.size, this.size);
-            }
+            // Depth tint comes pre-rendered from the tinted sprite cache
+            const sprite = window.tintedSprites ? window.tintedSprites.get(spriteObj.fishFood, this.size, tintStrength) : spriteObj.fishFood;
+            context.globalAlpha = depthOpacity;
+            context.drawImage(sprite, this.x - this.size/2, this.y - this.size/2, this.size, this.size);
             
             context.restore();
         }
@@ -121,10 +123,10 @@ class FishFood {
                 
                 // Add poop when fish eats food
                 if (window.gameEntities && window.Poop) {
-                    window.gameEntities.poop.push(new window.Poop(f.x, f.y));
+                    window.gameEntities.poop.push(acquireEntity(window.Poop, f.x, f.y));
                 }
                 
-                this.eaten = true;
+                EntityLifecycle.kill(this, DEATH_CAUSES.EATEN, f);
                 return true;
             }
         }
@@ -136,4 +138,29 @@ class FishFood {
 // Export for use by other modules
 if (typeof window !== 'undefined') {
     window.FishFood = FishFood;
-} 
\ No newline at end of file
+} 
+
+// Fish food species
+registerSpecies({
+    id: 'fishFood',
+    className: 'FishFood',
+    array: 'fishFood',
+    spatialType: 'food',
+    sprites: { fishFood: 'fishFood.png' },
+    spawn: {
+        mode: 'food', order: 10, label: 'Food',
+        count: [5, 10],
+        create: (x, y) => acquireEntity(FishFood, x, y),
+        hint: 'Click to spawn food',
+        sprite: 'fishFood', iconClump: true, cursorClump: true,
+        color: 'rgba(0, 255, 0, 0.8)', strokeColor: 'rgba(255, 255, 255, 0.5)'
+    },
+    counter: { key: 'fishFood', label: 'Fish Food', icon: 'fishFood', order: 100, count: gameEntities => gameEntities.fishFood.length },
+    update: { phase: SPECIES_UPDATE_PHASES.ENVIRONMENT, order: 10, run: gameEntities => gameEntities.updateFishFood() },
+    renderState: (food, out) => food.getRenderState(out)
+});
+
+// Reused through acquireEntity - dropped in clumps of 5-10 and eaten within seconds
+if (window.entityPools) {
+    window.entityPools.register(FishFood, { maxSize: 200 });
+}
@@ -8,8 +8,8 @@ class GiantSquid extends (window.Entity || Entity) {
         const WORLD_HEIGHT = window.WORLD_HEIGHT || 8000;
         
         // Use provided position or spawn in abyssal zones (75-95% depth)
-        const spawnY = y !== null ? y : WORLD_HEIGHT * (0.75 + Math.random() * 0.2);
-        const spawnX = x !== null ? x : Math.random() * WORLD_WIDTH;
+        const spawnY = y !== null ? y : WORLD_HEIGHT * (0.75 + SimRandom.random() * 0.2);
+        const spawnX = x !== null ? x : SimRandom.random() * WORLD_WIDTH;
         super(spawnX, spawnY, 'abyssal');
         
         // Physical properties - 5% increase from base values
@@ -18,6 +18,7 @@ class GiantSquid extends (window.Entity || Entity) {
         this.cruiseSpeed = window.SQUID_CONFIG.CRUISE_SPEED;
         this.burstSpeed = window.SQUID_CONFIG.BURST_SPEED;
         this.maxForce = window.SQUID_CONFIG.MAX_FORCE;
+        this.growth = 1; // Squid settled from paralarvae start smaller and grow by feeding (see SquidLifecycleSystem)
         
         // Sensory system - scaled proportionally for larger squid
         this.visionRange = window.SQUID_CONFIG.VISION_RANGE;
@@ -39,14 +40,14 @@ class GiantSquid extends (window.Entity || Entity) {
         // Squids will now immediately start moving toward preferred depth when spawned shallow
         const currentDepth = this.y / WORLD_HEIGHT;
         this.spawnGracePeriod = 0; // No grace period - immediate movement
-        this.spawnTime = Date.now();
+        this.spawnTime = SimClock.now();
         
         // Initialize velocity - start moving immediately toward preferred depth if shallow
         if (currentDepth < 0.5) {
             // Spawned in shallow water - give immediate downward velocity toward preferred depth
             const targetDepth = WORLD_HEIGHT * 0.85; // Preferred depth target
             const directionY = targetDepth - this.y;
-            const directionX = (Math.random() - 0.5) * 200; // Small horizontal variation
+            const directionX = (SimRandom.random() - 0.5) * 200; // Small horizontal variation
             const mag = Math.sqrt(directionX ** 2 + directionY ** 2);
             
             if (mag > 0) {
@@ -113,8 +114,10 @@ class GiantSquid extends (window.Entity || Entity) {
     }
     
     // Delegate prey scanning to behavior tree
+    // Only tuna inside the hunting radius can become prey - take them from the spatial grid
     scanForPrey(predators, fish) {
-        return this.behaviorTree.scanForPrey(this, predators, fish);
+        const candidates = window.gameEntities ? this.findNearby(this.huntingRadius, 'predator') : predators;
+        return this.behaviorTree.scanForPrey(this, candidates, fish);
     }
 
     // Delegate depth maintenance to behavior tree
@@ -123,7 +126,7 @@ class GiantSquid extends (window.Entity || Entity) {
     }
 
     // Main update method - orchestrates all modular systems
-    update(fish, predators, krill) {
+    update(fish, predators) {
         // REMOVED: Grace period decrement and expiration logic - no longer needed
         // Squids now start moving immediately when spawned shallow
         
@@ -153,7 +156,7 @@ class GiantSquid extends (window.Entity || Entity) {
         this.jetSystem.updateAnimationTimers(this);
         
         // Update behavior tree BEFORE other movement systems
-        this.behaviorTree.updateBehaviorTree(this, fish, predators, krill);
+        this.behaviorTree.updateBehaviorTree(this, fish, predators);
         
         // CRITICAL FIX: Apply depth maintenance - maintainDepth() handles jetting logic internally
         // maintainDepth() is designed to skip only if jetting AND no dive target exists
@@ -212,6 +215,11 @@ class GiantSquid extends (window.Entity || Entity) {
         if (window.gameEntities && window.gameEntities.squid) {
             const nearbySquid = this.behaviorTree.scanForOtherSquids(this, window.gameEntities.squid);
             if (nearbySquid) {
+                // Two ready adults may mate before they go their separate ways
+                if (window.gameEntities.squidLifecycleSystem) {
+                    window.gameEntities.squidLifecycleSystem.tryMating(this, nearbySquid, window.gameEntities);
+                }
+                
                 // Only retreat if this squid should retreat (deterministic comparison)
                 // This ensures only one squid retreats when two detect each other
                 if (this.behaviorTree.shouldRetreatFromSquid(this, nearbySquid)) {
@@ -272,6 +280,11 @@ class GiantSquid extends (window.Entity || Entity) {
             }
         }
         
+        // Prey eaten or removed by something else is dropped
+        if (this.huntTarget && EntityLifecycle.isDead(this.huntTarget)) {
+            this.huntTarget = null;
+        }
+        
         if (!this.huntTarget) {
             this.huntTarget = this.scanForPrey(predators, fish);
             // Claim the target if we found one
@@ -327,6 +340,10 @@ class GiantSquid extends (window.Entity || Entity) {
     }
     
     handleAttacking(fish, predators) {
+        if (this.huntTarget && EntityLifecycle.isDead(this.huntTarget)) {
+            this.huntTarget = null;
+        }
+        
         if (this.huntTarget) {
             // Attempt to grab prey
             if (this.steeringForces.attemptToGrabPrey(this, predators, fish)) {
@@ -403,7 +420,7 @@ class GiantSquid extends (window.Entity || Entity) {
      * ENHANCED: Now accounts for diagonal sprite orientation
      */
     updateFacingDirection() {
-        const currentTime = Date.now();
+        const currentTime = SimClock.now();
         
         // Only update facing direction if enough time has passed since last flip (1 second cooldown)
         if (currentTime - this.lastFlipTime >= this.FLIP_COOLDOWN) {
@@ -484,57 +501,23 @@ class GiantSquid extends (window.Entity || Entity) {
         ctx.save();
         ctx.translate(this.x, this.y);
         
-        // Use controlled facing direction instead of immediate velocity direction
-        if (this.facingDirection < 0) {
-            ctx.scale(-1, 1);
-        }
-        
         // Apply rotation if provided (for directional movement)
+        // Uses the controlled facing direction instead of immediate velocity direction - tintedSprites.draw
+        // mirrors the sprite after this rotation, so a flipped sprite turns the other way
         if (angle !== 0) {
-            ctx.rotate(angle);
+            ctx.rotate(this.facingDirection < 0 ? -angle : angle);
         }
         
-        if (tintStrength > 0) {
-            // Create temporary canvas for proper transparency handling
-            const tempCanvas = document.createElement('canvas');
-            const tempCtx = tempCanvas.getContext('2d');
-            tempCanvas.width = size;
-            tempCanvas.height = size;
-            
-            // Draw sprite on temp canvas with validation
-            try {
-                tempCtx.drawImage(sprite, 0, 0, size, size);
-            } catch (error) {
-                console.error('🚨 drawImage error in temp canvas (GiantSquid):', error, {
-                    sprite: sprite,
-                    size: size,
-                    entityType: this.constructor.name
-                });
-                ctx.restore();
-                return;
-            }
-            
-            // Apply tint using source-atop (only affects non-transparent pixels)
-            tempCtx.globalCompositeOperation = 'source-atop';
-            tempCtx.fillStyle = `rgba(100, 150, 255, ${tintStrength})`;
-            tempCtx.fillRect(0, 0, size, size);
-            
-            // Draw the tinted sprite to main canvas
-            ctx.globalAlpha = depthOpacity;
-            ctx.drawImage(tempCanvas, -size/2, -size/2);
-        } else {
-            // No tint needed, draw normally with validation
-            ctx.globalAlpha = depthOpacity;
-            try {
-                ctx.drawImage(sprite, -size/2, -size/2, size, size);
-            } catch (error) {
-                console.error('🚨 drawImage error in main canvas (GiantSquid):', error, {
-                    sprite: sprite,
-                    size: size,
-                    entityType: this.constructor.name,
-                    fishType: this.fishType
-                });
-            }
+        ctx.globalAlpha = depthOpacity;
+        try {
+            window.tintedSprites.draw(ctx, sprite, size, tintStrength, this.facingDirection);
+        } catch (error) {
+            console.error('🚨 drawImage error in GiantSquid sprite:', error, {
+                sprite: sprite,
+                size: size,
+                entityType: this.constructor.name,
+                fishType: this.fishType
+            });
         }
         
         ctx.restore();
@@ -561,4 +544,40 @@ class GiantSquid extends (window.Entity || Entity) {
 }
 
 // Export for global access
-window.GiantSquid = GiantSquid; 
\ No newline at end of file
+window.GiantSquid = GiantSquid; 
+
+// Giant squid species - updated after the lifecycle systems so it hunts the settled world
+registerSpecies({
+    id: 'squid',
+    className: 'GiantSquid',
+    array: 'squid',
+    sprites: {
+        giantSquid1: 'giant squid fram1.png', giantSquid2: 'giant squid fram2.png',
+        abyssalSquid1: 'abbysal squid fram1.png', abyssalSquid2: 'abbysal squid fram2.png',
+        abyssalSquid1Blink: 'abbysal squid fram1 (1).png', abyssalSquid2Blink: 'abbysal squid fram2 (1).png'
+    },
+    spawn: {
+        mode: 'squid', order: 110, label: 'Squid',
+        count: [1, 1], spread: 0, // A single giant squid right at the cursor
+        create: (x, y) => {
+            console.log('Giant squid spawned at:', x, y);
+            return new GiantSquid(x, y);
+        },
+        prompt: 'Click to spawn giant squid',
+        hint: 'Click to spawn giant squid (apex predator)',
+        sprite: 'giantSquid1', iconSize: 135, cursorSize: 80, textOffset: 25,
+        color: 'rgba(150, 50, 200, 0.8)', strokeColor: 'rgba(150, 50, 200, 0.8)'
+    },
+    counter: { key: 'squid', label: 'Giant Squid', icon: 'giantSquid1', order: 90, count: gameEntities => gameEntities.squid.length },
+    update: { phase: SPECIES_UPDATE_PHASES.LATE, order: 10, run: gameEntities => gameEntities.updateSquid() },
+    renderState: (squid, out) => squid.renderingSystem.getRenderState(squid, squid.jetSystem, out),
+    debugDraw: (debugView, ctx, squid, camera) => debugView.drawSquidDebug(ctx, squid, camera),
+    invariants: {
+        states: { state: Object.values(SQUID_STATES) },
+        timers: { stateTimer: [0, Infinity], growth: [0, 1] },
+        targets: ['huntTarget'],
+        margin: 1400 // SQUID_CONFIG.EDGE_BUFFER lets squid swim two sprite lengths (892px) off the map
+    },
+    metabolism: SQUID_CONFIG.METABOLISM,
+    aging: SQUID_CONFIG.AGING
+});
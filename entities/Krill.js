@@ -19,7 +19,7 @@ class Krill extends KrillBase {
         this.behaviorState = 'foraging'; // Default behavior state
         
         // Randomly select sprite set: 66% lone krill, 34% regular krill
-        if (Math.random() < 0.66) {
+        if (SimRandom.random() < 0.66) {
             // Lone krill sprites (66% chance) - use original size (9px, smaller)
             this.spriteFrames = ['lonekrill1', 'lonekrill2', 'lonekrill3', 'lonekrill2'];
             // Size remains at 9 (original size from KrillBase)
@@ -64,4 +64,38 @@ class Krill extends KrillBase {
 // Export for use by other modules
 if (typeof window !== 'undefined') {
     window.Krill = Krill;
-} 
\ No newline at end of file
+} 
+
+// Krill species
+registerSpecies({
+    id: 'krill',
+    className: 'Krill',
+    array: 'krill',
+    sprites: {
+        krill1: 'krill1.png', krill2: 'krill2.png', krill3: 'krill3.png', krillSpawnIcon: 'krillSpawnIcon.png',
+        // Lone krill variant - smaller, more solitary
+        lonekrill1: 'lonekrill1.png', lonekrill2: 'lonekrill2.png', lonekrill3: 'lonekrill3.png',
+        // Tiger krill variant - striped, more aggressive
+        tigerKrill1: 'tiger krill1.png', tigerKrill2: 'tiger krill2.png', tigerKrill3: 'tiger krill3.png'
+    },
+    spawn: {
+        mode: 'krill', order: 80, label: 'Krill',
+        count: [3, 5],
+        create: (x, y) => {
+            const krill = new Krill();
+            krill.x = x;
+            krill.y = y;
+            return krill;
+        },
+        hint: 'Click to spawn krill',
+        sprite: 'krillSpawnIcon', iconSize: 40, textOffset: 15,
+        color: 'rgba(255, 150, 100, 0.8)', strokeColor: 'rgba(255, 150, 100, 0.5)'
+    },
+    counter: { key: 'krill', label: 'Krill', icon: 'krill1', order: 60, count: gameEntities => gameEntities.krill.length },
+    update: { phase: SPECIES_UPDATE_PHASES.CREATURES, order: 20, run: (gameEntities, krill) => gameEntities.updateKrill(krill) },
+    renderState: (krill, out) => window.krillRenderingSystem.getRenderState(krill, 'regularKrill', 0.8, out),
+    debugDraw: (debugView, ctx, krill, camera) => debugView.drawKrillDebug(ctx, krill, camera),
+    invariants: KRILL_INVARIANTS,
+    metabolism: KRILL_METABOLISM,
+    aging: window.krillLifecycleSystem.config.AGING
+});
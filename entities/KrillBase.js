@@ -1,12 +1,16 @@
 // Base Krill class with core functionality
+
+// Spatial grid types of every krill stage - krill swarm with all of them
+const KRILL_SPATIAL_TYPES = ['krill', 'paleKrill', 'momKrill'];
+
 class KrillBase extends Boid {
     constructor() {
         super(FISH_TYPES.KRILL);
         
         // Initialize velocity properly
         this.velocity = this.velocity || { x: 0, y: 0 };
-        this.velocity.x = (Math.random() - 0.5) * 2;
-        this.velocity.y = (Math.random() - 0.5) * 2;
+        this.velocity.x = (SimRandom.random() - 0.5) * 2;
+        this.velocity.y = (SimRandom.random() - 0.5) * 2;
         
         // Core krill properties
         this.krillSize = 9;
@@ -18,8 +22,8 @@ class KrillBase extends Boid {
         
         // Behavioral state system
         this.behaviorState = 'schooling';
-        this.energy = 0.7 + Math.random() * 0.3; // Start with good energy
-        this.hunger = Math.random() * 0.5; // Random initial hunger
+        this.energy = 0.7 + SimRandom.random() * 0.3; // Start with good energy
+        this.hunger = SimRandom.random() * 0.5; // Random initial hunger
         this.nutritionLevel = 0.5;
         
         // AI and swarm properties
@@ -31,7 +35,7 @@ class KrillBase extends Boid {
         this.migrationPhase = 0;
         this.migrationTarget = null;
         this.restStartTime = 0;
-        this.wanderOffset = Math.random() * Math.PI * 2;
+        this.wanderOffset = SimRandom.random() * Math.PI * 2;
         
         // Post-migration resting properties
         this.wasMigrating = false;
@@ -45,7 +49,7 @@ class KrillBase extends Boid {
         
         // Spawn in deep waters (60-90% depth)
         const WORLD_HEIGHT = window.WORLD_HEIGHT || 8000;
-        const spawnDepth = 0.6 + Math.random() * 0.3;
+        const spawnDepth = 0.6 + SimRandom.random() * 0.3;
         this.y = WORLD_HEIGHT * spawnDepth;
         
         // Food tracking for reproduction system
@@ -59,8 +63,8 @@ class KrillBase extends Boid {
         this.nearbyUpdateInterval = 200; // Update every 200ms
         
         // Add more randomization to initial velocity to prevent line formation
-        this.velocity.x += (Math.random() - 0.5) * 2;
-        this.velocity.y += (Math.random() - 0.5) * 2;
+        this.velocity.x += (SimRandom.random() - 0.5) * 2;
+        this.velocity.y += (SimRandom.random() - 0.5) * 2;
     }
     
     setupFishProperties() {
@@ -106,14 +110,17 @@ class KrillBase extends Boid {
     }
     
     // Main update function using the simplified AI system
-    update(boids, predators, food, poop, sperm = []) {
+    // Swarm mates, threats and food all come from the spatial grid - nothing scans the whole world
+    update() {
         // Update cached nearby krill periodically for performance
-        const currentTime = Date.now();
+        const currentTime = SimClock.now();
         if (currentTime - this.lastNearbyUpdate > this.nearbyUpdateInterval) {
-            this.updateNearbyKrill(boids);
+            this.updateNearbyKrill();
             this.lastNearbyUpdate = currentTime;
         }
         
+        const { predators, food, poop, sperm } = this.senseSurroundings();
+        
         // Use the simplified AI system
         if (window.krillAI) {
             const aiResult = window.krillAI.updateKrillBehavior(
@@ -136,7 +143,7 @@ class KrillBase extends Boid {
             this.edges();
         } else {
             // Fallback to basic behavior if AI system not loaded
-            this.basicUpdate(boids, predators, food, poop, sperm);
+            this.basicUpdate(predators, food, poop, sperm);
             
             // Standard movement and bounds checking for fallback
             this.move();
@@ -150,35 +157,61 @@ class KrillBase extends Boid {
         this.updateAnimation();
     }
     
+    // Tick between AI updates for krill far from the view (distance LOD) - drift on the last decision
+    coast() {
+        this.move();
+        this.edges();
+        this.updateAnimation();
+    }
+    
+    // Predators and food within the AI's detection ranges
+    senseSurroundings() {
+        const config = window.KRILL_CONFIG || {};
+        // Old krill sense less of what is around them
+        const perception = window.AgingSystem ? AgingSystem.getPerception(this) : 1;
+        const foodRange = (config.FOOD_DETECTION_RANGE || 120) * perception;
+        return {
+            predators: this.findNearby((config.PREDATOR_DETECTION_RANGE || 150) * perception, 'predator'),
+            food: this.findNearby(foodRange, 'food'),
+            poop: this.findNearby(foodRange, 'poop'),
+            sperm: this.findNearby(foodRange, 'sperm')
+        };
+    }
+    
     // Improved food consumption methods from unmodularized version
-    checkForFood(fishFoodArray, poopArray, spermArray = []) {
+    // Takes the nearby food from senseSurroundings(); eaten items leave their world array
+    checkForFood(nearbyFood, nearbyPoop, nearbySperm = []) {
+        const world = window.gameEntities;
+        
         // Check for poop consumption (preferred food)
-        for (let i = poopArray.length - 1; i >= 0; i--) {
-            const poop = poopArray[i];
+        for (let i = nearbyPoop.length - 1; i >= 0; i--) {
+            const poop = nearbyPoop[i];
             if (poop.isActive && poop.state >= 2) {
                 const distSquared = this.distanceSquared(this, poop);
                 if (distSquared < this.eatRadiusSquared) {
-                    this.consumePoop(poop, poopArray, i);
+                    const poopArray = world ? world.poop : nearbyPoop;
+                    this.consumePoop(poop, poopArray, poopArray.indexOf(poop));
                     break; // Only eat one per frame
                 }
             }
         }
         
         // Check for sperm consumption (high nutrition, easy to catch)
-        for (let i = spermArray.length - 1; i >= 0; i--) {
-            const sperm = spermArray[i];
+        for (let i = nearbySperm.length - 1; i >= 0; i--) {
+            const sperm = nearbySperm[i];
             if (!sperm.eaten) {
                 const distSquared = this.distanceSquared(this, sperm);
                 if (distSquared < this.eatRadiusSquared) {
-                    this.consumeSperm(sperm, spermArray, i);
+                    const spermArray = world ? world.sperm : nearbySperm;
+                    this.consumeSperm(sperm, spermArray, spermArray.indexOf(sperm));
                     break; // Only eat one per frame
                 }
             }
         }
         
         // Check for fish food consumption
-        for (let i = fishFoodArray.length - 1; i >= 0; i--) {
-            const food = fishFoodArray[i];
+        for (let i = nearbyFood.length - 1; i >= 0; i--) {
+            const food = nearbyFood[i];
             if (!food.eaten) {
                 const distSquared = this.distanceSquared(this, food);
                 if (distSquared < this.eatRadiusSquared) {
@@ -189,6 +222,18 @@ class KrillBase extends Boid {
         }
     }
     
+    // Report a meal on the ecosystem bus so event counts and the console see krill feeding
+    publishMeal(food, preyType) {
+        if (!window.ecosystemEvents) return;
+        window.ecosystemEvents.publish(window.ECOSYSTEM_EVENTS.PREY_EATEN, {
+            actors: { predator: this, prey: food },
+            x: food.x,
+            y: food.y,
+            cause: 'forage',
+            details: { predatorType: 'krill', preyType, distance: Math.sqrt(this.distanceSquared(this, food)) }
+        });
+    }
+    
     consumePoop(poop, poopArray, index) {
         this.behaviorState = 'eating';
         this.poopEaten++;
@@ -208,7 +253,7 @@ class KrillBase extends Boid {
         this.foodConsumed = (this.foodConsumed || 0) + foodValue;
         
         // Visual effect (reduced to prevent lag)
-        if (Math.random() < 0.4 && window.ObjectPools) {
+        if (SimRandom.random() < 0.4 && window.ObjectPools) {
             window.ObjectPools.getEatingBubble(poop.x, poop.y);
         }
         
@@ -219,11 +264,12 @@ class KrillBase extends Boid {
         }
         
         // Remove consumed poop
-        poopArray.splice(index, 1);
+        EntityLifecycle.removeFrom(poopArray, index, DEATH_CAUSES.EATEN, this);
+        this.publishMeal(poop, 'poop');
     }
     
     consumeSperm(sperm, spermArray, index) {
-        sperm.eaten = true;
+        EntityLifecycle.kill(sperm, DEATH_CAUSES.EATEN, this);
         
         if (window.gameState?.krillDebug) {
             console.log(`🦐 Krill consumed sperm! Type: ${this.constructor.name}, Food consumed: ${this.foodConsumed + 1}`);
@@ -238,7 +284,7 @@ class KrillBase extends Boid {
         this.foodConsumed = (this.foodConsumed || 0) + 2;
         
         // Visual effect
-        if (Math.random() < 0.6 && window.ObjectPools) {
+        if (SimRandom.random() < 0.6 && window.ObjectPools) {
             window.ObjectPools.getEatingBubble(sperm.x, sperm.y);
         }
         
@@ -253,11 +299,13 @@ class KrillBase extends Boid {
         }
         
         // Remove consumed sperm
-        spermArray.splice(index, 1);
+        EntityLifecycle.removeFrom(spermArray, index, DEATH_CAUSES.EATEN, this);
+        this.publishMeal(sperm, 'sperm');
     }
     
     consumeFishFood(food) {
-        food.eaten = true;
+        EntityLifecycle.kill(food, DEATH_CAUSES.EATEN, this);
+        this.publishMeal(food, 'fishFood');
         
         if (window.gameState?.krillDebug) {
             console.log(`🦐 Krill consumed fish food! Type: ${this.constructor.name}, Food consumed: ${this.foodConsumed + 1}`);
@@ -272,7 +320,7 @@ class KrillBase extends Boid {
         this.foodConsumed = (this.foodConsumed || 0) + 1;
         
         // Visual effect
-        if (Math.random() < 0.5 && window.ObjectPools) {
+        if (SimRandom.random() < 0.5 && window.ObjectPools) {
             window.ObjectPools.getEatingBubble(food.x, food.y);
         }
         
@@ -288,6 +336,32 @@ class KrillBase extends Boid {
         }
     }
     
+    // A bite of phytoplankton grazed from the nutrient field (KrillAI.grazePlankton) - small, but always around
+    consumePlankton(amount) {
+        const grazing = KRILL_CONFIG.GRAZING;
+        const share = amount / grazing.BITE; // A thin cell gives a partial bite
+
+        this.nutritionLevel = Math.min(1.0, this.nutritionLevel + grazing.NUTRITION * share);
+        this.energy = Math.min(1.0, this.energy + grazing.ENERGY * share);
+        this.hunger = Math.max(0, this.hunger - grazing.HUNGER_RELIEF * share);
+
+        // Every few bites count as a meal towards reproduction, like fish food
+        this.planktonGrazed = (this.planktonGrazed || 0) + amount;
+        if (this.planktonGrazed >= grazing.BITE * grazing.BITES_PER_MEAL) {
+            this.planktonGrazed = 0;
+            this.foodConsumed = (this.foodConsumed || 0) + 1;
+
+            if (this.canTransform && this.constructor.name === 'Krill' && this.foodConsumed >= 3 && !this.shouldTransform) {
+                this.shouldTransform = true;
+                this.transformTo = 'momKrill';
+
+                if (window.gameState?.krillDebug) {
+                    console.log(`🦐 Krill ready for transformation after grazing! Food consumed: ${this.foodConsumed}`);
+                }
+            }
+        }
+    }
+
     // Food consumption tracking for external systems
     checkFoodConsumption(foodValue) {
         this.foodConsumed = (this.foodConsumed || 0) + foodValue;
@@ -297,9 +371,9 @@ class KrillBase extends Boid {
     }
     
     // Fallback basic behavior if AI system unavailable
-    basicUpdate(boids, predators, food, poop, sperm = []) {
+    basicUpdate(predators, food, poop, sperm = []) {
         // Simple flocking with other krill
-        const krillOnly = boids.filter(b => b.fishType === FISH_TYPES.KRILL);
+        const krillOnly = this.findNearby(window.CONSTANTS?.PERCEPTION_RADIUS || 50, KRILL_SPATIAL_TYPES);
         super.flock(krillOnly, predators, food, []);
         
         // Basic poop seeking
@@ -348,7 +422,7 @@ class KrillBase extends Boid {
         // FALLBACK METHOD: Only used if krillAI system is not available
         // Updated to match current KRILL_CONFIG values for consistency
         const WORLD_HEIGHT = window.WORLD_HEIGHT || 8000;
-        const currentTime = Date.now();
+        const currentTime = SimClock.now();
         // Use config value if available, otherwise fallback to current cycle length
         const migrationCycle = (window.KRILL_CONFIG && window.KRILL_CONFIG.MIGRATION_CYCLE_LENGTH) || 150000; // 2.5 minutes (matches current config)
         const cyclePosition = (currentTime % migrationCycle) / migrationCycle;
@@ -383,8 +457,8 @@ class KrillBase extends Boid {
             const verticalVariation = Math.cos(personalOffset * 1.3) * 0.015;
             
             // Add some noise to prevent perfect synchronization
-            const noiseX = (Math.random() - 0.5) * 0.03;
-            const noiseY = (Math.random() - 0.5) * 0.02;
+            const noiseX = (SimRandom.random() - 0.5) * 0.03;
+            const noiseY = (SimRandom.random() - 0.5) * 0.02;
             
             // Apply randomized forces
             this.velocity.x += horizontalDrift + noiseX;
@@ -397,15 +471,9 @@ class KrillBase extends Boid {
         }
     }
     
-    updateNearbyKrill(boids) {
+    updateNearbyKrill() {
         const SWARM_RADIUS = window.KRILL_CONFIG?.SWARM_RADIUS || 120;
-        this.nearbyKrill = boids.filter(b => {
-            if (b === this || b.fishType !== FISH_TYPES.KRILL) return false;
-            const dx = this.x - b.x;
-            const dy = this.y - b.y;
-            const distSquared = dx * dx + dy * dy;
-            return distSquared < SWARM_RADIUS * SWARM_RADIUS;
-        });
+        this.nearbyKrill = this.findNearby(SWARM_RADIUS, KRILL_SPATIAL_TYPES);
     }
     
     updateSpeedBasedOnState() {
@@ -463,15 +531,6 @@ class KrillBase extends Boid {
             ctx.filter = `brightness(${1 - tintStrength * 0.3})`;
         }
         
-        // Create temporary canvas for sprite processing
-        const tempCanvas = document.createElement('canvas');
-        const tempCtx = tempCanvas.getContext('2d');
-        tempCanvas.width = this.size;
-        tempCanvas.height = this.size;
-        
-        // Draw sprite to temp canvas
-        tempCtx.drawImage(window.sprites[currentSpriteKey], 0, 0, this.size, this.size);
-        
         // Apply velocity-based rotation
         const angle = Math.atan2(this.velocity.y, this.velocity.x);
         ctx.translate(this.x, this.y);
@@ -480,7 +539,7 @@ class KrillBase extends Boid {
         // Krill1-3 sprites render at normal size
         const renderSize = this.size;
         
-        // Draw the processed sprite
+        // Draw the sprite
         ctx.drawImage(window.sprites[currentSpriteKey], -renderSize/2, -renderSize/2, renderSize, renderSize);
         
         ctx.restore();
@@ -528,7 +587,30 @@ class KrillBase extends Boid {
     }
 }
 
+// What the invariant checker holds every krill stage to (see systems/InvariantChecker.js)
+const KRILL_INVARIANTS = {
+    states: { behaviorState: [...Object.values(KRILL_STATES), 'schooling'] },
+    timers: { energy: [0, 1], hunger: [0, 1] },
+    targets: ['seekTarget', 'fleeTarget']
+};
+
+// Krill tire and fill up through their own energy (0-1) and gut hunger - krillAI burns them and the consume*
+// methods above restore them - so the metabolism only adds starvation once their energy is spent
+const KRILL_METABOLISM = {
+    max: 1,
+    hungry: 1 - KRILL_CONFIG.HUNGER_THRESHOLD,
+    keepsHunger: true
+};
+
 // Export for global access
 if (typeof window !== 'undefined') {
     window.KrillBase = KrillBase;
+    window.KRILL_SPATIAL_TYPES = KRILL_SPATIAL_TYPES;
+    window.KRILL_INVARIANTS = KRILL_INVARIANTS;
+    window.KRILL_METABOLISM = KRILL_METABOLISM;
+}
+
+// Krill timers join the fields Boid keeps in the entity store (structure-of-arrays mode)
+if (window.entityStore) {
+    window.entityStore.install(KrillBase, ['lastNearbyUpdate', 'restStartTime']);
 } 
\ No newline at end of file
@@ -27,18 +27,27 @@ class PaleKrill extends KrillBase {
             this.maturationTimer = 0;
             this.maturationDuration = 15000; // 15 seconds
             this.canTransform = true;
-            this.energy = 0.4 + Math.random() * 0.3;
+            this.energy = 0.4 + SimRandom.random() * 0.3;
             this.nutritionLevel = 0.3;
-            this.hunger = Math.random() * 0.7;
+            this.hunger = SimRandom.random() * 0.7;
         }
     }
     
-    update(boids, predators, food, poop) {
+    update() {
         // Call parent update first
-        super.update(boids, predators, food, poop);
-        
+        super.update();
+        this.advanceMaturation();
+    }
+    
+    // Maturation runs on simulation time, so it advances on coasting ticks too
+    coast() {
+        super.coast();
+        this.advanceMaturation();
+    }
+    
+    advanceMaturation() {
         // Update maturation timer
-        this.maturationTimer += 16; // Approximate frame time
+        this.maturationTimer += SimClock.stepMs; // One simulation tick
         
         // Check for food-based transformation
         if (this.shouldTransform && this.transformTo === 'regularKrill') {
@@ -178,15 +187,15 @@ class MomKrill extends KrillBase {
             this.batchesProduced = 0;
             this.maxBatches = 3;
             this.canTransform = false;
-            this.energy = 0.9 + Math.random() * 0.1;
+            this.energy = 0.9 + SimRandom.random() * 0.1;
             this.nutritionLevel = 0.8;
-            this.hunger = Math.random() * 0.3;
+            this.hunger = SimRandom.random() * 0.3;
         }
     }
     
-    update(boids, predators, food, poop) {
+    update() {
         // Call parent update first
-        super.update(boids, predators, food, poop);
+        super.update();
         
         // Offspring production is handled by GameEntities.updateMomKrillOffspring()
         // No need to call checkOffspring() here to avoid double-timer increments
@@ -277,4 +286,44 @@ class MomKrill extends KrillBase {
 if (typeof window !== 'undefined') {
     window.PaleKrill = PaleKrill;
     window.MomKrill = MomKrill;
-} 
\ No newline at end of file
+}
+
+if (window.entityStore) {
+    window.entityStore.install(PaleKrill, ['maturationTimer']);
+    window.entityStore.install(MomKrill, ['offspringTimer']);
+}
+
+// Pale and mom krill species - grown from regular krill by the krill lifecycle, not spawned by the player
+registerSpecies({
+    id: 'paleKrill',
+    className: 'PaleKrill',
+    array: 'paleKrill',
+    sprites: { paleKrill1: 'pale krill1.png', paleKrill2: 'pale krill2.png', paleKrill3: 'pale krill3.png' },
+    counter: { key: 'paleKrill', label: 'Pale Krill', icon: 'paleKrill1', order: 70, count: gameEntities => gameEntities.paleKrill.length },
+    update: { phase: SPECIES_UPDATE_PHASES.CREATURES, order: 21, run: (gameEntities, paleKrill) => gameEntities.updateKrill(paleKrill) },
+    renderState: (paleKrill, out) => window.krillRenderingSystem.getRenderState(paleKrill, 'paleKrill', 0.7, out),
+    debugDraw: (debugView, ctx, paleKrill, camera) => debugView.drawKrillDebug(ctx, paleKrill, camera),
+    invariants: {
+        ...KRILL_INVARIANTS,
+        timers: { ...KRILL_INVARIANTS.timers, maturationTimer: [0, Infinity] }
+    },
+    metabolism: KRILL_METABOLISM,
+    aging: window.krillLifecycleSystem.config.AGING
+});
+
+registerSpecies({
+    id: 'momKrill',
+    className: 'MomKrill',
+    array: 'momKrill',
+    sprites: { momKrill1: 'krill mom1.png', momKrill2: 'krill mom2.png', momKrill3: 'krill mom3.png' },
+    counter: { key: 'momKrill', label: 'Mom Krill', icon: 'momKrill1', order: 80, count: gameEntities => gameEntities.momKrill.length },
+    update: { phase: SPECIES_UPDATE_PHASES.CREATURES, order: 22, run: (gameEntities, momKrill) => gameEntities.updateKrill(momKrill) },
+    renderState: (momKrill, out) => window.krillRenderingSystem.getRenderState(momKrill, 'momKrill', 0.9, out),
+    debugDraw: (debugView, ctx, momKrill, camera) => debugView.drawKrillDebug(ctx, momKrill, camera),
+    invariants: {
+        ...KRILL_INVARIANTS,
+        timers: { ...KRILL_INVARIANTS.timers, offspringTimer: [0, Infinity] }
+    },
+    metabolism: KRILL_METABOLISM,
+    aging: window.krillLifecycleSystem.config.AGING
+});
@@ -1,6 +1,11 @@
 // Poop class for waste cycle system
 class Poop {
     constructor(x, y, type = 'regular') {
+        this.reset(x, y, type);
+    }
+    
+    // Also called when a pooled poop is reused (see EntityPools)
+    reset(x, y, type = 'regular') {
         this.x = x;
         this.y = y;
         this.velocity = { x: 0, y: 0.3 }; // Slow downward drift
@@ -17,25 +22,34 @@ class Poop {
             this.state = 1; // 1 = fresh, 2 = aged, 3 = deep water
         }
         
+        // Released into the nutrient field as the poop decomposes (see NutrientFieldSystem)
+        this.nutrients = this.feedValue * (window.NUTRIENT_FIELD_CONFIG ? window.NUTRIENT_FIELD_CONFIG.POOP_NUTRIENTS : 0);
+        
         this.stateTimer = 0;
         this.maxAge = 5000; // 5 seconds for state 1
         this.isActive = true;
+        this.isAlive = true;
         this.opacity = 1.0;
-        this.rotationSpeed = (Math.random() - 0.5) * 0.02;
+        this.rotationSpeed = (SimRandom.random() - 0.5) * 0.02;
         this.rotation = 0;
         
         // Add slight random drift
-        this.velocity.x = (Math.random() - 0.5) * 0.1;
+        this.velocity.x = (SimRandom.random() - 0.5) * 0.1;
         
         // Pattern index for optimization system (if used)
-        this.patternIndex = Math.floor(Math.random() * 1000);
+        this.patternIndex = Math.floor(SimRandom.random() * 1000);
+        
+        // Stable id and species tag
+        if (window.EntityRegistry) {
+            window.EntityRegistry.assignIdentity(this);
+        }
     }
     
     update() {
         if (!this.isActive) return;
         
         // Always handle state timer and state 1 -> 2 transition (individual per poop)
-        this.stateTimer += 16;
+        this.stateTimer += SimClock.stepMs;
         
         // State 1 -> State 2 after 5 seconds
         if (this.state === 1 && this.stateTimer >= this.maxAge) {
@@ -85,14 +99,14 @@ class Poop {
         // Bounds checking - remove if too far down or out of bounds
         const WORLD_WIDTH = window.WORLD_WIDTH || 12000;
         if (this.y > WORLD_HEIGHT + 100 || this.x < -100 || this.x > WORLD_WIDTH + 100) {
-            this.isActive = false;
+            EntityLifecycle.kill(this, DEATH_CAUSES.LEFT_WORLD);
         }
         
         // Fade out very old poop
         if (this.stateTimer > 30000) { // 30 seconds total life
             this.opacity -= 0.01;
             if (this.opacity <= 0) {
-                this.isActive = false;
+                EntityLifecycle.kill(this, DEATH_CAUSES.EXPIRED);
             }
         }
     }
@@ -156,7 +170,7 @@ class Poop {
                             Math.sqrt((this.x - e.x) * (this.x - e.x) + (this.y - e.y) * (this.y - e.y));
             
             if (distance < this.size/2 + e.size/2) {
-                this.isActive = false;
+                EntityLifecycle.kill(this, DEATH_CAUSES.EATEN, e);
                 return true;
             }
         }
@@ -168,4 +182,33 @@ class Poop {
 // Export for use by other modules
 if (typeof window !== 'undefined') {
     window.Poop = Poop;
-} 
\ No newline at end of file
+} 
+
+// Poop species
+registerSpecies({
+    id: 'poop',
+    className: 'Poop',
+    array: 'poop',
+    sprites: { poop: 'poop.png', poop2: 'poop2.png', poop3: 'poop3.png' },
+    restore: data => new Poop(data.x, data.y, data.type),
+    spawn: {
+        mode: 'poop', order: 20, label: 'Poop',
+        count: [3, 5],
+        create: (x, y) => acquireEntity(Poop, x, y, 'regular'),
+        hint: 'Click to spawn poop',
+        sprite: 'poop', iconClump: true, cursorClump: true,
+        color: 'rgba(139, 69, 19, 0.8)', strokeColor: 'rgba(139, 69, 19, 0.7)'
+    },
+    counter: { key: 'poop', label: 'Poop', icon: 'poop', order: 130, count: gameEntities => gameEntities.poop.length },
+    update: { phase: SPECIES_UPDATE_PHASES.ENVIRONMENT, order: 50, run: gameEntities => gameEntities.updatePoop() },
+    renderState: (poop, out) => window.PoopRenderingSystem.getRenderState(poop, out),
+    invariants: {
+        states: { state: [1, 2, 3] }, // fresh, aged, deep water
+        timers: { stateTimer: [0, Infinity] }
+    }
+});
+
+// Reused through acquireEntity - every meal ends in one
+if (window.entityPools) {
+    window.entityPools.register(Poop, { maxSize: 300 });
+}
@@ -12,14 +12,16 @@ class Predator extends (window.Entity || Entity) {
         this.maxSpeed = 3;
         this.maxForce = 0.12; // Doubled from 0.06 for 2x sharper turning
         this.size = 50; // Both tuna types have same size for identical behavior
+        this.adultSize = this.size;
+        this.growth = 1; // Hatchlings start at 0 and grow by eating (see TunaSpawningSystem)
         this.huntCooldown = 0;
-        this.aggression = 0.7 + Math.random() * 0.3;
+        this.aggression = 0.7 + SimRandom.random() * 0.3;
         
         // Initialize modular systems
         this.initializeModularSystems();
         
         // Start in mid-to-deep waters
-        this.y = WORLD_HEIGHT * 0.4 + Math.random() * WORLD_HEIGHT * 0.4;
+        this.y = WORLD_HEIGHT * 0.4 + SimRandom.random() * WORLD_HEIGHT * 0.4;
         this.preferredDepth = WORLD_HEIGHT * 0.6;
         this.depthTolerance = WORLD_HEIGHT * 0.3;
         
@@ -127,7 +129,8 @@ class Predator extends (window.Entity || Entity) {
     }
 
     // Main update method - now uses modular systems
-    update(prey, krill, squid = []) {
+    // Prey comes from the spatial grid through TunaAI; squid is the (small) squid array for the threat check
+    update(squid = []) {
         // Use AI system if available
         if (window.TunaAI && window.gameEntities) {
             // Let AI system handle all behavior
@@ -148,9 +151,10 @@ class Predator extends (window.Entity || Entity) {
                 }
             }
         } else {
-            // Fallback to legacy system
-            if (this.legacySystem) {
-                this.legacySystem.legacyUpdate(this, prey, krill, squid);
+            // Fallback to legacy system (scans whole arrays - only used without TunaAI)
+            const world = window.gameEntities;
+            if (this.legacySystem && world) {
+                this.legacySystem.legacyUpdate(this, world.fish, world.getAllKrill(), squid);
             }
         }
         
@@ -300,49 +304,21 @@ class Predator extends (window.Entity || Entity) {
         ctx.save();
         ctx.translate(this.x, this.y);
         
-        if (this.velocity.x < 0) {
-            ctx.scale(-1, 1);
-        }
-        
+        const facing = this.velocity.x < 0 ? -1 : 1;
+        // tintedSprites.draw mirrors the sprite after this rotation, so a flipped sprite turns the other way
         if (angle !== 0) {
-            ctx.rotate(angle);
+            ctx.rotate(facing * angle);
         }
         
-        if (tintStrength > 0) {
-            const tempCanvas = document.createElement('canvas');
-            const tempCtx = tempCanvas.getContext('2d');
-            tempCanvas.width = size;
-            tempCanvas.height = size;
-            
-            try {
-                tempCtx.drawImage(sprite, 0, 0, size, size);
-            } catch (error) {
-                console.error('🚨 drawImage error in Predator temp canvas:', error, {
-                    sprite: sprite,
-                    size: size,
-                    tunaType: this.tunaType
-                });
-                ctx.restore();
-                return;
-            }
-            
-            tempCtx.globalCompositeOperation = 'source-atop';
-            tempCtx.fillStyle = `rgba(100, 150, 255, ${tintStrength})`;
-            tempCtx.fillRect(0, 0, size, size);
-            
-            ctx.globalAlpha = depthOpacity;
-            ctx.drawImage(tempCanvas, -size/2, -size/2);
-        } else {
-            ctx.globalAlpha = depthOpacity;
-            try {
-                ctx.drawImage(sprite, -size/2, -size/2, size, size);
-            } catch (error) {
-                console.error('🚨 drawImage error in Predator main canvas:', error, {
-                    sprite: sprite,
-                    size: size,
-                    tunaType: this.tunaType
-                });
-            }
+        ctx.globalAlpha = depthOpacity;
+        try {
+            window.tintedSprites.draw(ctx, sprite, size, tintStrength, facing);
+        } catch (error) {
+            console.error('🚨 drawImage error in Predator:', error, {
+                sprite: sprite,
+                size: size,
+                tunaType: this.tunaType
+            });
         }
         
         ctx.restore();
@@ -377,49 +353,21 @@ class Predator extends (window.Entity || Entity) {
         ctx.save();
         ctx.translate(this.x, this.y);
         
-        if (this.velocity.x < 0) {
-            ctx.scale(-1, 1);
-        }
-        
+        const facing = this.velocity.x < 0 ? -1 : 1;
+        // tintedSprites.draw mirrors the sprite after this rotation, so a flipped sprite turns the other way
         if (angle !== 0) {
-            ctx.rotate(angle);
+            ctx.rotate(facing * angle);
         }
         
-        if (tintStrength > 0) {
-            const tempCanvas = document.createElement('canvas');
-            const tempCtx = tempCanvas.getContext('2d');
-            tempCanvas.width = size;
-            tempCanvas.height = size;
-            
-            try {
-                tempCtx.drawImage(sprite, 0, 0, size, size);
-            } catch (error) {
-                console.error('🚨 drawImage error in Predator overlay temp canvas:', error, {
-                    sprite: sprite,
-                    size: size,
-                    tunaType: this.tunaType
-                });
-                ctx.restore();
-                return;
-            }
-            
-            tempCtx.globalCompositeOperation = 'source-atop';
-            tempCtx.fillStyle = `rgba(100, 150, 255, ${tintStrength})`;
-            tempCtx.fillRect(0, 0, size, size);
-            
-            ctx.globalAlpha = depthOpacity;
-            ctx.drawImage(tempCanvas, -size/2, -size/2);
-        } else {
-            ctx.globalAlpha = depthOpacity;
-            try {
-                ctx.drawImage(sprite, -size/2, -size/2, size, size);
-            } catch (error) {
-                console.error('🚨 drawImage error in Predator overlay main canvas:', error, {
-                    sprite: sprite,
-                    size: size,
-                    tunaType: this.tunaType
-                });
-            }
+        ctx.globalAlpha = depthOpacity;
+        try {
+            window.tintedSprites.draw(ctx, sprite, size, tintStrength, facing);
+        } catch (error) {
+            console.error('🚨 drawImage error in Predator overlay:', error, {
+                sprite: sprite,
+                size: size,
+                tunaType: this.tunaType
+            });
         }
         
         ctx.restore();
@@ -444,4 +392,44 @@ class Predator extends (window.Entity || Entity) {
 // Export for use by other modules
 if (typeof window !== 'undefined') {
     window.Predator = Predator;
-} 
\ No newline at end of file
+} 
+
+// Tuna species
+registerSpecies({
+    id: 'tuna',
+    className: 'Predator',
+    array: 'predators',
+    spatialType: 'predator',
+    sprites: {
+        tuna: 'tuna.png',
+        tunaFins: 'tuna fins.png', // Overlay sprite for tuna
+        tunaEaten: 'tuna eaten.png' // Tuna eaten overlay sprite
+    },
+    restore: data => new Predator(data.tunaType),
+    spawn: {
+        mode: 'tuna', order: 100, label: 'Tuna',
+        count: [1, 3],
+        create: (x, y) => {
+            const tunaTypes = ['tuna'];
+            const tuna = new Predator(tunaTypes[Math.floor(SimRandom.random() * tunaTypes.length)]);
+            tuna.x = x;
+            tuna.y = y;
+            return tuna;
+        },
+        prompt: 'Click to spawn (1-3 random)',
+        hint: 'Click to spawn tuna (1-3 random types)',
+        sprite: 'tuna', iconSize: 35, textOffset: 15,
+        color: 'rgba(255, 100, 100, 0.8)', strokeColor: 'rgba(255, 100, 100, 0.7)'
+    },
+    counter: { key: 'predators', label: 'Tuna', icon: 'tuna', order: 50, count: gameEntities => gameEntities.predators.length },
+    update: { phase: SPECIES_UPDATE_PHASES.CREATURES, order: 10, run: gameEntities => gameEntities.updatePredators() },
+    renderState: (tuna, out) => tuna.renderingSystem.getRenderState(tuna, out),
+    debugDraw: (debugView, ctx, predators, camera) => debugView.drawPredatorDebug(ctx, predators, camera),
+    invariants: {
+        states: { aiState: Object.values(TUNA_STATES) },
+        timers: { huntCooldown: [0, Infinity], targetSwitchTimer: [0, Infinity], patrolTargetChangeCooldown: [0, Infinity], growth: [0, 1] },
+        targets: ['aiTarget']
+    },
+    metabolism: TUNA_CONFIG.metabolism,
+    aging: TUNA_CONFIG.aging
+});
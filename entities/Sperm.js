@@ -2,23 +2,32 @@
 class Sperm extends (window.Entity || Entity) {
     constructor(x, y) {
         super(x, y);
-        
+        this.resetSperm(x, y);
+    }
+    
+    // Pool reuse (see EntityPools) - back to the state a new sperm starts in
+    reset(x, y) {
+        this.resetEntity(x, y);
+        this.resetSperm(x, y);
+    }
+    
+    resetSperm(x, y) {
         // Sperm specific properties
         this.size = 8; // Smaller than fish eggs
         this.eaten = false;
-        this.spawnTime = Date.now();
+        this.spawnTime = SimClock.now();
         this.lifespan = 15000; // 15 seconds lifespan (shorter than eggs)
         this.nutritionValue = 1; // Lower nutrition than fish eggs
         
         // Initialize velocity for sinking motion (like poop)
         this.velocity = {
-            x: (Math.random() - 0.5) * 0.5, // Small horizontal drift
-            y: 0.2 + Math.random() * 0.6 // Slower downward sinking motion (0.2 to 0.8 pixels per frame)
+            x: (SimRandom.random() - 0.5) * 0.5, // Small horizontal drift
+            y: 0.2 + SimRandom.random() * 0.6 // Slower downward sinking motion (0.2 to 0.8 pixels per frame)
         };
         
         // Swimming animation
-        this.swimOffset = Math.random() * Math.PI * 2;
-        this.swimSpeed = 0.03 + Math.random() * 0.02;
+        this.swimOffset = SimRandom.random() * Math.PI * 2;
+        this.swimSpeed = 0.03 + SimRandom.random() * 0.02;
         
         console.log('🐟 Fish Sperm created at', x, y);
     }
@@ -32,8 +41,8 @@ class Sperm extends (window.Entity || Entity) {
         this.y += this.velocity.y;
         
         // Check if sperm has expired
-        if (Date.now() - this.spawnTime > this.lifespan) {
-            this.eaten = true; // Mark for removal
+        if (SimClock.now() - this.spawnTime > this.lifespan) {
+            EntityLifecycle.kill(this, DEATH_CAUSES.EXPIRED);
         }
         
         // Keep sperm within world bounds
@@ -46,6 +55,15 @@ class Sperm extends (window.Entity || Entity) {
         if (this.y > WORLD_HEIGHT) this.y = WORLD_HEIGHT;
     }
     
+    // Worker-mode render state - fixed opacity like draw() (see SimulationWorker)
+    getRenderState(out) {
+        if (this.eaten) return false;
+        
+        out.sprite = 'fishSperm';
+        out.opacity = 0.8;
+        return true;
+    }
+    
     draw() {
         if (this.eaten) return;
         
@@ -121,8 +139,8 @@ class Sperm extends (window.Entity || Entity) {
         ctx.fillText(`N:${this.nutritionValue}`, this.x, this.y + this.size/2 + 10);
         
         // Draw lifespan progress
-        const lifespanProgress = (Date.now() - this.spawnTime) / this.lifespan;
-        const timeLeft = Math.max(0, (this.lifespan - (Date.now() - this.spawnTime)) / 1000);
+        const lifespanProgress = (SimClock.now() - this.spawnTime) / this.lifespan;
+        const timeLeft = Math.max(0, (this.lifespan - (SimClock.now() - this.spawnTime)) / 1000);
         ctx.fillText(`${timeLeft.toFixed(1)}s`, this.x, this.y + this.size/2 + 18);
         
         ctx.restore();
@@ -136,14 +154,14 @@ class Sperm extends (window.Entity || Entity) {
         const eatRadius = (entity.size || 20) / 2 + this.size / 2;
         
         if (distance < eatRadius) {
-            this.eaten = true;
+            EntityLifecycle.kill(this, DEATH_CAUSES.EATEN, entity);
             
             // Create eating bubbles
             if (window.ObjectPools) {
                 for (let i = 0; i < 2; i++) {
                     window.ObjectPools.getEatingBubble(
-                        this.x + (Math.random() - 0.5) * 8,
-                        this.y + (Math.random() - 0.5) * 8
+                        this.x + (SimRandom.random() - 0.5) * 8,
+                        this.y + (SimRandom.random() - 0.5) * 8
                     );
                 }
             }
@@ -162,4 +180,33 @@ class Sperm extends (window.Entity || Entity) {
 // Export for global access
 if (typeof window !== 'undefined') {
     window.Sperm = Sperm;
-} 
\ No newline at end of file
+} 
+
+// Fish sperm species - its update also runs sperm-egg fertilization
+registerSpecies({
+    id: 'sperm',
+    className: 'Sperm',
+    array: 'sperm',
+    sprites: { fishSperm: 'fishsperm.png' },
+    spawn: {
+        mode: 'sperm', order: 60, label: 'Sperm',
+        count: [1, 3],
+        create: (x, y) => acquireEntity(Sperm, x, y),
+        prompt: 'Click to spawn (1-3)',
+        hint: 'Click to spawn sperm (1-3, fertilizes fish eggs)',
+        sprite: 'fishSperm', cursorClump: true,
+        color: 'rgba(255, 255, 255, 0.8)', strokeColor: 'rgba(255, 255, 255, 0.7)' // White for sperm
+    },
+    counter: { key: 'sperm', label: 'Fish Sperm', icon: 'fishSperm', order: 120, count: gameEntities => gameEntities.sperm.length },
+    update: { phase: SPECIES_UPDATE_PHASES.ENVIRONMENT, order: 40, run: gameEntities => gameEntities.updateSperm() },
+    renderState: (sperm, out) => sperm.getRenderState(out),
+    debugDraw: (debugView, ctx, sperm, camera) => debugView.drawSpermDebug(ctx, sperm, camera),
+    invariants: {
+        timers: { lifespan: [0, Infinity] }
+    }
+});
+
+// Reused through acquireEntity - released in bursts while fry spawn
+if (window.entityPools) {
+    window.entityPools.register(Sperm, { maxSize: 200 });
+}
@@ -0,0 +1,196 @@
+// Squid Paralarva class - Hatchling giant squid released by a mating pair (see SquidLifecycleSystem)
+// Paralarvae drift in the sunlit water near the surface, pick off krill and eggs, and are themselves prey for tuna.
+// Once grown (growth 1) SquidLifecycleSystem settles them into a young GiantSquid that dives to the abyss.
+class SquidParalarva extends (window.Entity || Entity) {
+    constructor(x, y) {
+        super(x, y);
+
+        const lifecycle = window.SQUID_CONFIG.LIFECYCLE;
+        this.size = lifecycle.PARALARVA_SIZE;
+        this.maxSpeed = lifecycle.PARALARVA_SPEED;
+        this.maxForce = lifecycle.PARALARVA_FORCE;
+        this.energy = lifecycle.PARALARVA_START_ENERGY;
+        this.growth = 0;
+        this.preyTarget = null;
+        this.wanderAngle = SimRandom.random() * Math.PI * 2;
+        this.velocity = { x: (SimRandom.random() - 0.5) * this.maxSpeed, y: 0 };
+    }
+
+    update(gameEntities) {
+        const lifecycle = window.SQUID_CONFIG.LIFECYCLE;
+
+        // Prey that was eaten by someone else is dropped
+        if (this.preyTarget && EntityLifecycle.isDead(this.preyTarget)) {
+            this.preyTarget = null;
+        }
+        if (!this.preyTarget) {
+            this.preyTarget = this.findPrey(lifecycle.PARALARVA_FEED_RANGE);
+        }
+
+        const threat = this.findThreat(lifecycle.PARALARVA_FLEE_RANGE);
+        if (threat) {
+            // Dart away from the tuna - food can wait
+            this.steerTowards(2 * this.x - threat.x, 2 * this.y - threat.y, 1.5);
+        } else if (this.preyTarget) {
+            const dist = window.Utils.distance(this, this.preyTarget);
+            if (dist < lifecycle.PARALARVA_EAT_RANGE + this.preyTarget.size / 2) {
+                this.eat(this.preyTarget, gameEntities);
+                this.preyTarget = null;
+            } else {
+                this.steerTowards(this.preyTarget.x, this.preyTarget.y, 1);
+            }
+        } else {
+            this.wander();
+        }
+
+        this.keepToDepthBand(lifecycle.PARALARVA_DEPTH);
+
+        // Limit speed
+        const speed = Math.hypot(this.velocity.x, this.velocity.y);
+        if (speed > this.maxSpeed) {
+            this.velocity.x = (this.velocity.x / speed) * this.maxSpeed;
+            this.velocity.y = (this.velocity.y / speed) * this.maxSpeed;
+        }
+
+        this.move();
+
+        // Keep within world bounds
+        const WORLD_WIDTH = window.WORLD_WIDTH || 12000;
+        const WORLD_HEIGHT = window.WORLD_HEIGHT || 8000;
+        if (this.x < 0) { this.x = 0; this.velocity.x = Math.abs(this.velocity.x); }
+        if (this.x > WORLD_WIDTH) { this.x = WORLD_WIDTH; this.velocity.x = -Math.abs(this.velocity.x); }
+        if (this.y < 0) this.y = 0;
+        if (this.y > WORLD_HEIGHT) this.y = WORLD_HEIGHT;
+    }
+
+    // Nearest tuna in range
+    findThreat(range) {
+        let closest = null;
+        let closestDistSquared = range * range;
+        for (const tuna of this.findNearby(range, 'predator')) {
+            const distSquared = window.Utils.distanceSquared(this, tuna);
+            if (distSquared < closestDistSquared) {
+                closest = tuna;
+                closestDistSquared = distSquared;
+            }
+        }
+        return closest;
+    }
+
+    // Nearest krill or egg in range
+    findPrey(range) {
+        const diet = window.SQUID_CONFIG.LIFECYCLE.PARALARVA_METABOLISM.diet;
+        let closest = null;
+        let closestDistSquared = range * range;
+        for (const prey of this.findNearby(range, SquidParalarva.PREY_SPATIAL_TYPES)) {
+            if (!diet[prey.species]) continue;
+            const distSquared = window.Utils.distanceSquared(this, prey);
+            if (distSquared < closestDistSquared) {
+                closest = prey;
+                closestDistSquared = distSquared;
+            }
+        }
+        return closest;
+    }
+
+    eat(prey, gameEntities) {
+        const species = window.speciesRegistry.get(prey.species);
+        const array = species ? gameEntities[species.array] : null;
+        const index = array ? array.indexOf(prey) : -1;
+        if (index === -1) return;
+
+        gameEntities.removeEntityAt(array, index, DEATH_CAUSES.EATEN, this);
+        const gained = window.MetabolismSystem ? MetabolismSystem.eat(this, prey) : 0;
+        this.growth = Math.min(1, this.growth + gained * window.SQUID_CONFIG.LIFECYCLE.PARALARVA_GROWTH_PER_ENERGY);
+
+        if (window.ecosystemEvents) {
+            window.ecosystemEvents.publish(window.ECOSYSTEM_EVENTS.PREY_EATEN, {
+                actors: { predator: this, prey },
+                x: prey.x,
+                y: prey.y,
+                cause: 'hunt',
+                details: { predatorType: 'squidParalarva', preyType: species.array, distance: window.Utils.distance(this, prey) }
+            });
+        }
+    }
+
+    steerTowards(x, y, weight) {
+        const dx = x - this.x;
+        const dy = y - this.y;
+        const dist = Math.hypot(dx, dy) || 1;
+        this.applyForce({
+            x: ((dx / dist) * this.maxSpeed - this.velocity.x) * this.maxForce * weight,
+            y: ((dy / dist) * this.maxSpeed - this.velocity.y) * this.maxForce * weight
+        });
+    }
+
+    // Slow, meandering drift while nothing edible is in sight
+    wander() {
+        this.wanderAngle += (SimRandom.random() - 0.5) * 0.3;
+        this.applyForce({
+            x: Math.cos(this.wanderAngle) * this.maxForce * 0.5,
+            y: Math.sin(this.wanderAngle) * this.maxForce * 0.25
+        });
+    }
+
+    // Paralarvae stay in the sunlit band near the surface
+    keepToDepthBand([minDepth, maxDepth]) {
+        const depth = this.y / (window.WORLD_HEIGHT || 8000);
+        if (depth < minDepth) {
+            this.applyForce({ x: 0, y: this.maxForce });
+        } else if (depth > maxDepth) {
+            this.applyForce({ x: 0, y: -this.maxForce });
+        }
+    }
+
+    getRenderState(out) {
+        out.sprite = 'giantSquid1';
+        out.angle = Math.atan2(this.velocity.y, Math.abs(this.velocity.x)) * 0.5;
+        out.opacity = window.Utils.getDepthOpacity(this.y, 0.85);
+        out.tint = window.Utils.getDepthTint(this.y);
+        out.flip = this.updateFacingDirection();
+    }
+
+    draw() {
+        if (!window.Utils?.inRenderDistance(this)) return;
+
+        const sprite = (window.sprites || {}).giantSquid1;
+        if (!sprite || !(sprite instanceof HTMLImageElement) || !sprite.complete || sprite.naturalWidth === 0) {
+            return;
+        }
+        this.drawSprite(sprite, this.size, 0.85, Math.atan2(this.velocity.y, Math.abs(this.velocity.x)) * 0.5);
+    }
+}
+
+// Krill and fry eggs - everything in PARALARVA_METABOLISM.diet that a paralarva can see
+SquidParalarva.PREY_SPATIAL_TYPES = ['krill', 'paleKrill', 'momKrill', 'egg', 'fertilizedEgg'];
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.SquidParalarva = SquidParalarva;
+}
+
+// Squid paralarva species (released by mating giant squid, settled into young squid by SquidLifecycleSystem)
+registerSpecies({
+    id: 'squidParalarva',
+    className: 'SquidParalarva',
+    array: 'squidParalarvae',
+    spatialType: 'squidParalarva',
+    spawn: {
+        mode: 'squidParalarvae', order: 105, label: 'Paralarvae',
+        count: [2, 4],
+        create: (x, y) => new SquidParalarva(x, y),
+        prompt: 'Click to spawn (2-4)',
+        hint: 'Click to spawn squid paralarvae (2-4, grow into giant squid)',
+        sprite: 'giantSquid1', iconSize: 30, textOffset: 15,
+        color: 'rgba(190, 110, 230, 0.8)', strokeColor: 'rgba(190, 110, 230, 0.7)'
+    },
+    counter: { key: 'squidParalarvae', label: 'Paralarvae', icon: 'giantSquid1', order: 95, count: gameEntities => gameEntities.squidParalarvae.length },
+    update: { phase: SPECIES_UPDATE_PHASES.CREATURES, order: 40, run: gameEntities => gameEntities.updateSquidParalarvae() },
+    renderState: (paralarva, out) => paralarva.getRenderState(out),
+    invariants: {
+        timers: { growth: [0, 1] },
+        targets: ['preyTarget']
+    },
+    metabolism: SQUID_CONFIG.LIFECYCLE.PARALARVA_METABOLISM
+});
@@ -38,7 +38,7 @@ class TrueFry1 extends Boid {
         // Energy and nutrition
         this.energy = 100;
         this.nutritionLevel = 0.6;
-        this.hunger = Math.random() * 0.5;
+        this.hunger = SimRandom.random() * 0.5;
         
         // TrueFry specific feeding properties
         this.lastEatTime = 0;
@@ -54,26 +54,35 @@ class TrueFry1 extends Boid {
         }
     }
     
-    update(boids, predators, food, krill = [], poop = [], fertilizedEggs = []) {
-        // Re-enable flocking and feeding systems
-        this.flock(boids, predators, food, krill);
-        this.checkForFood(krill, food, poop, fertilizedEggs);
+    update() {
+        // Re-enable flocking and feeding systems (flockmates and food come from the spatial grid)
+        this.flock(this.findNearbyFlockmates());
+        this.checkForFood();
         this.move();
         this.edges();
+        this.advanceTimers();
         
+        // Let the TrueFryTransformationSystem handle evolution logic
+        // This class only updates the timer and sets flags
+    }
+    
+    // Evolution runs on simulation time, so it advances on coasting ticks (distance LOD) too
+    coast() {
+        super.coast();
+        this.advanceTimers();
+    }
+    
+    advanceTimers() {
         // Update evolution timer (cap at evolutionDuration to prevent going over 100%)
-        this.evolutionTimer = Math.min(this.evolutionTimer + 16, this.evolutionDuration);
+        this.evolutionTimer = Math.min(this.evolutionTimer + SimClock.stepMs, this.evolutionDuration);
         
         // Update eating cooldown
         if (!this.canEat) {
-            const currentTime = Date.now();
+            const currentTime = SimClock.now();
             if (currentTime - this.lastEatTime >= this.eatCooldown) {
                 this.canEat = true;
             }
         }
-        
-        // Let the TrueFryTransformationSystem handle evolution logic
-        // This class only updates the timer and sets flags
     }
     
     // Override food consumption to trigger evolution with 1-second cooldown
@@ -85,7 +94,7 @@ class TrueFry1 extends Boid {
         
         // TrueFry specific progression
         this.hasEatenThisStage++;
-        this.lastEatTime = Date.now();
+        this.lastEatTime = SimClock.now();
         this.canEat = false; // Start cooldown
         
         if (window.gameState?.fryDebug) {
@@ -103,7 +112,7 @@ class TrueFry1 extends Boid {
         
         // TrueFry specific progression
         this.hasEatenThisStage++;
-        this.lastEatTime = Date.now();
+        this.lastEatTime = SimClock.now();
         this.canEat = false; // Start cooldown
         
         if (window.gameState?.fryDebug) {
@@ -114,25 +123,37 @@ class TrueFry1 extends Boid {
     }
     
     // Override checkForFood to use TrueFry specific logic
-    checkForFood(krillArray, fishFoodArray, poopArray, fertilizedEggsArray = []) {
-        if (!this.canEat) return false; // Cannot eat during cooldown
+    checkForFood() {
+        if (!this.canEat) {
+            // Cannot eat during cooldown - stop chasing whatever was targeted before (it may be gone by now)
+            this.huntTarget = null;
+            return false;
+        }
         
         // Use parent method but with TrueFry specific food sources (eggs removed - fry cannot eat eggs)
+        // Food is looked up in the spatial grid (types) within hunting range
         const foodSources = [
-            { array: krillArray, name: 'krill', range: 25 },
-            { array: fishFoodArray, name: 'fishFood', range: 20 },
-            { array: poopArray.filter(p => p.state >= 2), name: 'poop', range: 22 }
+            { types: KRILL_SPATIAL_TYPES, name: 'krill', range: 25 },
+            { types: 'food', name: 'fishFood', range: 20 },
+            { types: 'poop', name: 'poop', range: 22, minState: 2 }
         ];
         
         let closestFood = null;
         let closestDistance = Infinity;
+        // Hungry fry search further afield
+        let searchRange = window.MetabolismSystem && MetabolismSystem.isHungry(this)
+            ? 120 * (MetabolismSystem.get(this).hungryDetectionScale || 1) : 120;
+        if (window.AgingSystem) {
+            searchRange *= AgingSystem.getPerception(this); // Old fry notice food from closer in
+        }
         
         // Find closest food
         for (let foodSource of foodSources) {
-            if (!foodSource.array || foodSource.array.length === 0) continue;
+            const nearbyFood = this.findNearby(searchRange, foodSource.types);
             
-            for (let i = foodSource.array.length - 1; i >= 0; i--) {
-                const food = foodSource.array[i];
+            for (let i = nearbyFood.length - 1; i >= 0; i--) {
+                const food = nearbyFood[i];
+                if (foodSource.minState && !(food.state >= foodSource.minState)) continue;
                 const distance = Math.sqrt((this.x - food.x) ** 2 + (this.y - food.y) ** 2);
                 
                 // Check if within eating range
@@ -144,20 +165,31 @@ class TrueFry1 extends Boid {
                         if (food && food.isSwarmKrill === true && food.convertToLoneKrill) {
                             food.convertToLoneKrill();
                         } else {
-                        foodSource.array.splice(i, 1);
+                        EntityLifecycle.remove(food, DEATH_CAUSES.EATEN, this);
                         }
                     } else if (foodSource.name === 'fishFood') {
                         this.consumeFood(food);
-                        foodSource.array.splice(i, 1);
+                        EntityLifecycle.remove(food, DEATH_CAUSES.EATEN, this);
                     } else if (foodSource.name === 'poop') {
+                        const poopArray = window.gameEntities.poop;
                         this.consumePoop(food, poopArray, poopArray.indexOf(food));
                     }
+                    
+                    if (window.ecosystemEvents) {
+                        window.ecosystemEvents.publish(window.ECOSYSTEM_EVENTS.PREY_EATEN, {
+                            actors: { predator: this, prey: food },
+                            x: food.x,
+                            y: food.y,
+                            cause: 'forage',
+                            details: { predatorType: 'fry', preyType: foodSource.name, distance }
+                        });
+                    }
                     return true;
                 }
                 
                 // Track closest food for hunting behavior
                 if (distance < closestDistance && distance < 120) {
-                    closestFood = { food, source: foodSource, distance, index: i };
+                    closestFood = { food, source: foodSource, distance };
                     closestDistance = distance;
                 }
             }
@@ -201,6 +233,15 @@ class TrueFry1 extends Boid {
         };
     }
     
+    // Worker-mode render state - reduced depth effect like draw() (see SimulationWorker)
+    getRenderState(out) {
+        out.sprite = this.fishType;
+        out.angle = Math.atan2(this.velocity.y, Math.abs(this.velocity.x)) * 0.5;
+        out.opacity = window.Utils.getDepthOpacity(this.y * 0.5, 0.9) * 0.75;
+        out.tint = window.Utils.getDepthTint(this.y * 0.5);
+        out.flip = this.updateFacingDirection();
+    }
+    
     draw() {
         if (!window.Utils?.inRenderDistance(this)) return;
         
@@ -257,56 +298,22 @@ class TrueFry1 extends Boid {
         }
         // If horizontal velocity is too small, keep current facing direction (prevents rapid flipping)
         
-        // Apply flip based on facing direction
-        if (this.facingDirection < 0) {
-            ctx.scale(-1, 1);
-        }
-        
         // Apply rotation if provided (for directional movement)
+        // tintedSprites.draw mirrors the sprite after this rotation, so a flipped sprite turns the other way
         if (angle !== 0) {
-            ctx.rotate(angle);
+            ctx.rotate(this.facingDirection < 0 ? -angle : angle);
         }
         
-        if (tintStrength > 0) {
-            // Create temporary canvas for proper transparency handling
-            const tempCanvas = document.createElement('canvas');
-            const tempCtx = tempCanvas.getContext('2d');
-            tempCanvas.width = size;
-            tempCanvas.height = size;
-            
-            // Draw sprite on temp canvas with validation
-            try {
-                tempCtx.drawImage(sprite, 0, 0, size, size);
-            } catch (error) {
-                console.error('🚨 drawImage error in TrueFry temp canvas:', error, {
-                    sprite: sprite,
-                    size: size,
-                    fishType: this.fishType
-                });
-                ctx.restore();
-                return;
-            }
-            
-            // Apply deep water tint using source-atop (only affects non-transparent pixels)
-            tempCtx.globalCompositeOperation = 'source-atop';
-            tempCtx.fillStyle = `rgba(100, 150, 255, ${tintStrength})`;
-            tempCtx.fillRect(0, 0, size, size);
-            
-            // Draw the tinted sprite to main canvas
-            ctx.globalAlpha = opacity;
-            ctx.drawImage(tempCanvas, -size/2, -size/2);
-        } else {
-            // No tint needed, draw normally with validation
-            ctx.globalAlpha = opacity;
-            try {
-                ctx.drawImage(sprite, -size/2, -size/2, size, size);
-            } catch (error) {
-                console.error('🚨 drawImage error in TrueFry main canvas:', error, {
-                    sprite: sprite,
-                    size: size,
-                    fishType: this.fishType
-                });
-            }
+        // Deep water tint comes pre-rendered from the tinted sprite cache
+        ctx.globalAlpha = opacity;
+        try {
+            window.tintedSprites.draw(ctx, sprite, size, tintStrength, this.facingDirection);
+        } catch (error) {
+            console.error('🚨 drawImage error in TrueFry sprite:', error, {
+                sprite: sprite,
+                size: size,
+                fishType: this.fishType
+            });
         }
         
         ctx.restore();
@@ -349,7 +356,7 @@ class TrueFry1 extends Boid {
         
         // Show eating cooldown status
         if (!this.canEat) {
-            const remainingCooldown = Math.max(0, this.eatCooldown - (Date.now() - this.lastEatTime));
+            const remainingCooldown = Math.max(0, this.eatCooldown - (SimClock.now() - this.lastEatTime));
             ctx.fillStyle = '#FF5722';
             ctx.fillText(`CD: ${Math.ceil(remainingCooldown/100)}s`, this.x, this.y - this.size/2 - 20);
         }
@@ -400,7 +407,7 @@ class TrueFry2 extends Boid {
         // Energy and nutrition
         this.energy = 110;
         this.nutritionLevel = 0.7;
-        this.hunger = Math.random() * 0.4;
+        this.hunger = SimRandom.random() * 0.4;
         
         // TrueFry specific feeding properties
         this.lastEatTime = 0;
@@ -416,26 +423,35 @@ class TrueFry2 extends Boid {
         }
     }
     
-    update(boids, predators, food, krill = [], poop = [], fertilizedEggs = []) {
-        // Re-enable flocking and feeding systems
-        this.flock(boids, predators, food, krill);
-        this.checkForFood(krill, food, poop, fertilizedEggs);
+    update() {
+        // Re-enable flocking and feeding systems (flockmates and food come from the spatial grid)
+        this.flock(this.findNearbyFlockmates());
+        this.checkForFood();
         this.move();
         this.edges();
+        this.advanceTimers();
         
+        // Let the TrueFryTransformationSystem handle evolution logic
+        // This class only updates the timer and sets flags
+    }
+    
+    // Evolution runs on simulation time, so it advances on coasting ticks (distance LOD) too
+    coast() {
+        super.coast();
+        this.advanceTimers();
+    }
+    
+    advanceTimers() {
         // Update evolution timer (cap at evolutionDuration to prevent going over 100%)
-        this.evolutionTimer = Math.min(this.evolutionTimer + 16, this.evolutionDuration);
+        this.evolutionTimer = Math.min(this.evolutionTimer + SimClock.stepMs, this.evolutionDuration);
         
         // Update eating cooldown
         if (!this.canEat) {
-            const currentTime = Date.now();
+            const currentTime = SimClock.now();
             if (currentTime - this.lastEatTime >= this.eatCooldown) {
                 this.canEat = true;
             }
         }
-        
-        // Let the TrueFryTransformationSystem handle evolution logic
-        // This class only updates the timer and sets flags
     }
     
     // Override food consumption to trigger evolution with 1-second cooldown
@@ -447,7 +463,7 @@ class TrueFry2 extends Boid {
         
         // TrueFry specific progression
         this.hasEatenThisStage++;
-        this.lastEatTime = Date.now();
+        this.lastEatTime = SimClock.now();
         this.canEat = false; // Start cooldown
         
         if (window.gameState?.fryDebug) {
@@ -465,7 +481,7 @@ class TrueFry2 extends Boid {
         
         // TrueFry specific progression
         this.hasEatenThisStage++;
-        this.lastEatTime = Date.now();
+        this.lastEatTime = SimClock.now();
         this.canEat = false; // Start cooldown
         
         if (window.gameState?.fryDebug) {
@@ -476,25 +492,37 @@ class TrueFry2 extends Boid {
     }
     
     // Override checkForFood to use TrueFry specific logic
-    checkForFood(krillArray, fishFoodArray, poopArray, fertilizedEggsArray = []) {
-        if (!this.canEat) return false; // Cannot eat during cooldown
+    checkForFood() {
+        if (!this.canEat) {
+            // Cannot eat during cooldown - stop chasing whatever was targeted before (it may be gone by now)
+            this.huntTarget = null;
+            return false;
+        }
         
         // Use parent method but with TrueFry specific food sources (eggs removed - fry cannot eat eggs)
+        // Food is looked up in the spatial grid (types) within hunting range
         const foodSources = [
-            { array: krillArray, name: 'krill', range: 25 },
-            { array: fishFoodArray, name: 'fishFood', range: 20 },
-            { array: poopArray.filter(p => p.state >= 2), name: 'poop', range: 22 }
+            { types: KRILL_SPATIAL_TYPES, name: 'krill', range: 25 },
+            { types: 'food', name: 'fishFood', range: 20 },
+            { types: 'poop', name: 'poop', range: 22, minState: 2 }
         ];
         
         let closestFood = null;
         let closestDistance = Infinity;
+        // Hungry fry search further afield
+        let searchRange = window.MetabolismSystem && MetabolismSystem.isHungry(this)
+            ? 120 * (MetabolismSystem.get(this).hungryDetectionScale || 1) : 120;
+        if (window.AgingSystem) {
+            searchRange *= AgingSystem.getPerception(this); // Old fry notice food from closer in
+        }
         
         // Find closest food
         for (let foodSource of foodSources) {
-            if (!foodSource.array || foodSource.array.length === 0) continue;
+            const nearbyFood = this.findNearby(searchRange, foodSource.types);
             
-            for (let i = foodSource.array.length - 1; i >= 0; i--) {
-                const food = foodSource.array[i];
+            for (let i = nearbyFood.length - 1; i >= 0; i--) {
+                const food = nearbyFood[i];
+                if (foodSource.minState && !(food.state >= foodSource.minState)) continue;
                 const distance = Math.sqrt((this.x - food.x) ** 2 + (this.y - food.y) ** 2);
                 
                 // Check if within eating range
@@ -506,20 +534,31 @@ class TrueFry2 extends Boid {
                         if (food && food.isSwarmKrill === true && food.convertToLoneKrill) {
                             food.convertToLoneKrill();
                         } else {
-                        foodSource.array.splice(i, 1);
+                        EntityLifecycle.remove(food, DEATH_CAUSES.EATEN, this);
                         }
                     } else if (foodSource.name === 'fishFood') {
                         this.consumeFood(food);
-                        foodSource.array.splice(i, 1);
+                        EntityLifecycle.remove(food, DEATH_CAUSES.EATEN, this);
                     } else if (foodSource.name === 'poop') {
+                        const poopArray = window.gameEntities.poop;
                         this.consumePoop(food, poopArray, poopArray.indexOf(food));
                     }
+                    
+                    if (window.ecosystemEvents) {
+                        window.ecosystemEvents.publish(window.ECOSYSTEM_EVENTS.PREY_EATEN, {
+                            actors: { predator: this, prey: food },
+                            x: food.x,
+                            y: food.y,
+                            cause: 'forage',
+                            details: { predatorType: 'fry', preyType: foodSource.name, distance }
+                        });
+                    }
                     return true;
                 }
                 
                 // Track closest food for hunting behavior
                 if (distance < closestDistance && distance < 120) {
-                    closestFood = { food, source: foodSource, distance, index: i };
+                    closestFood = { food, source: foodSource, distance };
                     closestDistance = distance;
                 }
             }
@@ -563,6 +602,15 @@ class TrueFry2 extends Boid {
         };
     }
     
+    // Worker-mode render state - full depth effect like draw() (see SimulationWorker)
+    getRenderState(out) {
+        out.sprite = this.fishType;
+        out.angle = Math.atan2(this.velocity.y, Math.abs(this.velocity.x)) * 0.5;
+        out.opacity = window.Utils.getDepthOpacity(this.y, 0.9);
+        out.tint = window.Utils.getDepthTint(this.y);
+        out.flip = this.updateFacingDirection();
+    }
+    
     draw() {
         if (!window.Utils?.inRenderDistance(this)) return;
         
@@ -618,56 +666,22 @@ class TrueFry2 extends Boid {
         }
         // If horizontal velocity is too small, keep current facing direction (prevents rapid flipping)
         
-        // Apply flip based on facing direction
-        if (this.facingDirection < 0) {
-            ctx.scale(-1, 1);
-        }
-        
         // Apply rotation if provided (for directional movement)
+        // tintedSprites.draw mirrors the sprite after this rotation, so a flipped sprite turns the other way
         if (angle !== 0) {
-            ctx.rotate(angle);
+            ctx.rotate(this.facingDirection < 0 ? -angle : angle);
         }
         
-        if (tintStrength > 0) {
-            // Create temporary canvas for proper transparency handling
-            const tempCanvas = document.createElement('canvas');
-            const tempCtx = tempCanvas.getContext('2d');
-            tempCanvas.width = size;
-            tempCanvas.height = size;
-            
-            // Draw sprite on temp canvas with validation
-            try {
-                tempCtx.drawImage(sprite, 0, 0, size, size);
-            } catch (error) {
-                console.error('🚨 drawImage error in TrueFry temp canvas:', error, {
-                    sprite: sprite,
-                    size: size,
-                    fishType: this.fishType
-                });
-                ctx.restore();
-                return;
-            }
-            
-            // Apply deep water tint using source-atop (only affects non-transparent pixels)
-            tempCtx.globalCompositeOperation = 'source-atop';
-            tempCtx.fillStyle = `rgba(100, 150, 255, ${tintStrength})`;
-            tempCtx.fillRect(0, 0, size, size);
-            
-            // Draw the tinted sprite to main canvas
-            ctx.globalAlpha = opacity;
-            ctx.drawImage(tempCanvas, -size/2, -size/2);
-        } else {
-            // No tint needed, draw normally with validation
-            ctx.globalAlpha = opacity;
-            try {
-                ctx.drawImage(sprite, -size/2, -size/2, size, size);
-            } catch (error) {
-                console.error('🚨 drawImage error in TrueFry main canvas:', error, {
-                    sprite: sprite,
-                    size: size,
-                    fishType: this.fishType
-                });
-            }
+        // Deep water tint comes pre-rendered from the tinted sprite cache
+        ctx.globalAlpha = opacity;
+        try {
+            window.tintedSprites.draw(ctx, sprite, size, tintStrength, this.facingDirection);
+        } catch (error) {
+            console.error('🚨 drawImage error in TrueFry sprite:', error, {
+                sprite: sprite,
+                size: size,
+                fishType: this.fishType
+            });
         }
         
         ctx.restore();
@@ -709,7 +723,7 @@ class TrueFry2 extends Boid {
         
         // Show eating cooldown status
         if (!this.canEat) {
-            const remainingCooldown = Math.max(0, this.eatCooldown - (Date.now() - this.lastEatTime));
+            const remainingCooldown = Math.max(0, this.eatCooldown - (SimClock.now() - this.lastEatTime));
             ctx.fillStyle = '#FF5722';
             ctx.fillText(`CD: ${Math.ceil(remainingCooldown/100)}s`, this.x, this.y - this.size/2 - 20);
         }
@@ -725,4 +739,61 @@ class TrueFry2 extends Boid {
 
 // Export for global access
 window.TrueFry1 = TrueFry1;
-window.TrueFry2 = TrueFry2; 
\ No newline at end of file
+window.TrueFry2 = TrueFry2; 
+
+// TrueFry species - both stages live in the fish array and are updated with the fry
+registerSpecies({
+    id: 'truefry1',
+    className: 'TrueFry1',
+    array: 'fish',
+    sprites: { truefry1: 'truefry1.png' },
+    spawn: {
+        mode: 'truefry1', order: 30, label: 'TrueFry1',
+        count: [1, 3],
+        create: (x, y) => new TrueFry1(x, y),
+        prompt: 'Click to spawn (1-3)',
+        hint: 'Click to spawn TrueFry1 (1-3)',
+        sprite: 'truefry1', iconSize: 90, textOffset: 15,
+        color: 'rgba(100, 150, 255, 0.8)', strokeColor: 'rgba(100, 150, 255, 0.7)'
+    },
+    counter: {
+        key: 'trueFry1', label: 'TrueFry1', icon: 'truefry1', order: 10,
+        count: gameEntities => gameEntities.fish.filter(f => f.constructor.name === 'TrueFry1').length
+    },
+    renderState: (fry, out) => fry.getRenderState(out),
+    invariants: {
+        states: { behaviorState: ['foraging', 'hunting'] },
+        timers: { hunger: [0, 1], evolutionTimer: [0, Infinity] },
+        targets: ['huntTarget']
+    },
+    metabolism: BoidConfig.METABOLISM,
+    aging: BoidConfig.AGING
+});
+
+registerSpecies({
+    id: 'truefry2',
+    className: 'TrueFry2',
+    array: 'fish',
+    sprites: { truefry2: 'truefry2.png' },
+    spawn: {
+        mode: 'truefry2', order: 40, label: 'TrueFry2',
+        count: [1, 3],
+        create: (x, y) => new TrueFry2(x, y),
+        prompt: 'Click to spawn (1-3)',
+        hint: 'Click to spawn TrueFry2 (1-3)',
+        sprite: 'truefry2', iconSize: 90, textOffset: 15,
+        color: 'rgba(150, 200, 255, 0.8)', strokeColor: 'rgba(150, 200, 255, 0.7)'
+    },
+    counter: {
+        key: 'trueFry2', label: 'TrueFry2', icon: 'truefry2', order: 20,
+        count: gameEntities => gameEntities.fish.filter(f => f.constructor.name === 'TrueFry2').length
+    },
+    renderState: (fry, out) => fry.getRenderState(out),
+    invariants: {
+        states: { behaviorState: ['foraging', 'hunting'] },
+        timers: { hunger: [0, 1], evolutionTimer: [0, Infinity] },
+        targets: ['huntTarget']
+    },
+    metabolism: { ...BoidConfig.METABOLISM, max: 110 }, // TrueFry2 starts with a bigger store
+    aging: BoidConfig.AGING
+});
@@ -0,0 +1,101 @@
+// Tuna Egg class - Eggs released by a spawning tuna school (see TunaSpawningSystem), hatch into juvenile tuna
+class TunaEgg extends (window.Entity || Entity) {
+    constructor(x, y) {
+        super(x, y);
+        this.resetTunaEgg(x, y);
+    }
+
+    // Pool reuse (see EntityPools) - back to the state a new tuna egg starts in
+    reset(x, y) {
+        this.resetEntity(x, y);
+        this.resetTunaEgg(x, y);
+    }
+
+    resetTunaEgg(x, y) {
+        const breeding = window.TUNA_CONFIG.breeding;
+
+        this.size = 6; // A little larger than fry eggs
+        this.eaten = false;
+        this.spawnTime = SimClock.now();
+        this.lifespan = breeding.eggLifespan;
+
+        // Initialize shared floating system
+        if (window.EggFloatingSystem) {
+            window.EggFloatingSystem.initializeFloating(this);
+        }
+
+        // Hatching (TunaSpawningSystem hatches the egg once hatchTimer reaches hatchDuration)
+        const [minHatch, maxHatch] = breeding.hatchDuration;
+        this.hatchTimer = 0;
+        this.hatchDuration = minHatch + SimRandom.random() * (maxHatch - minHatch);
+        this.hatched = false;
+    }
+
+    update() {
+        // Use shared floating system
+        if (window.EggFloatingSystem) {
+            window.EggFloatingSystem.updateFloating(this);
+        }
+
+        this.hatchTimer += SimClock.stepMs; // One simulation tick
+
+        // Eggs that drifted too long without hatching are lost
+        if (SimClock.now() - this.spawnTime > this.lifespan) {
+            EntityLifecycle.kill(this, DEATH_CAUSES.EXPIRED);
+        }
+
+        // Keep egg within world bounds
+        const WORLD_WIDTH = window.WORLD_WIDTH || 12000;
+        const WORLD_HEIGHT = window.WORLD_HEIGHT || 8000;
+
+        if (this.x < 0) this.x = 0;
+        if (this.x > WORLD_WIDTH) this.x = WORLD_WIDTH;
+        if (this.y < 0) this.y = 0;
+        if (this.y > WORLD_HEIGHT) this.y = WORLD_HEIGHT;
+    }
+
+    isReadyToHatch() {
+        return this.hatchTimer >= this.hatchDuration && !this.hatched && !this.eaten;
+    }
+
+    draw() {
+        if (window.EggRenderingSystem) {
+            window.EggRenderingSystem.drawTunaEgg(this);
+        }
+    }
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.TunaEgg = TunaEgg;
+}
+
+// Tuna egg species (laid and hatched by the tuna spawning system)
+registerSpecies({
+    id: 'tunaEgg',
+    className: 'TunaEgg',
+    array: 'tunaEggs',
+    spatialType: 'tunaEgg',
+    spawn: {
+        mode: 'tunaEggs', order: 75, label: 'Tuna Eggs',
+        count: [1, 3],
+        create: (x, y) => acquireEntity(TunaEgg, x, y),
+        prompt: 'Click to spawn (1-3)',
+        hint: 'Click to spawn tuna eggs (1-3, hatch into juvenile tuna)',
+        sprite: 'fishEgg', cursorClump: true,
+        color: 'rgba(255, 170, 120, 0.8)', strokeColor: 'rgba(255, 170, 120, 0.7)'
+    },
+    counter: { key: 'tunaEggs', label: 'Tuna Eggs', icon: 'fishEgg', order: 115, count: gameEntities => gameEntities.tunaEggs.length },
+    update: { phase: SPECIES_UPDATE_PHASES.ENVIRONMENT, order: 35, run: gameEntities => gameEntities.updateTunaEggs() },
+    draw: (gameEntities, tunaEggs) => window.EggRenderingSystem && window.EggRenderingSystem.drawAllTunaEggs(tunaEggs),
+    renderState: (egg, out) => window.EggRenderingSystem.getRenderState(egg, 'tunaEgg', out),
+    invariants: {
+        timers: { hatchTimer: [0, Infinity] }
+    }
+});
+
+// Reused through acquireEntity - each spawning school lays only a few eggs (2-4 with the default tuna config)
+// and they hatch within half a minute
+if (window.entityPools) {
+    window.entityPools.register(TunaEgg, { maxSize: 100 });
+}
@@ -6,67 +6,7 @@ const ctx = canvas.getContext('2d');
 window.canvas = canvas;
 window.ctx = ctx;
 
-// World dimensions
-const WORLD_WIDTH = 12000;
-const WORLD_HEIGHT = 8000;
-
-const CONSTANTS = {
-    PERCEPTION_RADIUS: 50,
-    SEPARATION_RADIUS: 30,
-    FEAR_RADIUS: 80,
-    FOOD_ATTRACTION_RADIUS: 60,
-    CAMERA_MARGIN: 50,
-    CAMERA_SPEED: 5,
-    CAMERA_BOOST: 2.5,
-    ZOOM_FACTOR: 0.1,
-    BORDER_WIDTH: 8,
-    CORNER_SIZE: 30,
-    DEPTH_FADE_START: 0.0,
-    DEPTH_FADE_END: 0.7,
-    MIN_DEPTH_OPACITY: 0.15,
-    DEPTH_BLUE_INTENSITY: 0.7,
-    ABYSSAL_OPACITY: 0.05,
-    MAX_EATING_BUBBLES: 50,
-    RENDER_DISTANCE: 1500,
-    UPDATE_FREQUENCY: 60
-};
-
-const FISH_TYPES = {
-    SMALL_FRY_2: 'smallFry2',
-    SMALL_FRY_3: 'smallFry3', 
-    SMALL_FRY_4: 'smallFry4',
-    KRILL: 'krill',
-    PALE_KRILL: 'paleKrill',
-    TIGER_KRILL: 'tigerKrill',
-    MOM_KRILL: 'momKrill'
-};
-
-// Make global constants accessible to all modules
-window.WORLD_WIDTH = WORLD_WIDTH;
-window.WORLD_HEIGHT = WORLD_HEIGHT;
-window.CONSTANTS = CONSTANTS;
-window.FISH_TYPES = FISH_TYPES;
-
-const gameState = {
-    spawnMode: 'off',
-    showUI: true,
-    hudState: 'off', // 'off' by default, controls only in pause menu
-    paused: false,
-    lastFrameTime: 0,
-    frameCount: 0,
-    fryDebug: true, // Enable fry movement debugging
-    frySpawningDebug: false,
-    tunaDebug: false,
-    squidDebug: false,
-    krillDebug: false,
-    performanceDebug: false,
-    spatialDebug: false,
-    consoleDebug: false,
-    // All debug flags are now managed by DebugManager and default to false
-};
-
-// Make gameState globally accessible
-window.gameState = gameState;
+// World dimensions, CONSTANTS, FISH_TYPES and gameState are defined in systems/SimulationCore.js
 
 // Initialize DebugManager
 if (window.DebugManager) {
@@ -99,6 +39,11 @@ function initializeOptimizationSystems() {
     if (window.PerformanceMonitoringSystem) {
         window.performanceMonitoringSystem = new window.PerformanceMonitoringSystem();
         console.log('📈 Performance monitoring system initialized globally');
+        
+        // Its samples drive the quality tiers
+        if (window.qualityGovernor) {
+            window.performanceMonitoringSystem.attachGovernor(window.qualityGovernor);
+        }
     }
     
     // Log optimization system status
@@ -120,31 +65,14 @@ function initializeOptimizationSystems() {
 // Initialize optimization systems
 initializeOptimizationSystems();
 
-const camera = { x: 0, y: 0, zoom: 1, minZoom: 0.5, maxZoom: 4.0, viewWidth: 0, viewHeight: 0 };
+const camera = { x: 0, y: 0, zoom: 1, minZoom: 0.15, maxZoom: 4.0, viewWidth: 0, viewHeight: 0 };
 const keys = { w: false, a: false, s: false, d: false, shift: false };
 
 const sprites = {};
 const spriteFiles = {
-    bubble1: 'bubble1.png', bubble2: 'bubble2.png', smallFry2: 'smallFry2.png',
-    smallFry3: 'smallFry3.png', smallFry4: 'smallFry4.png', tuna: 'tuna.png',
-    tunaFins: 'tuna fins.png', // Overlay sprite for tuna
-    tunaEaten: 'tuna eaten.png', // Tuna eaten overlay sprite
-    fishFood: 'fishFood.png', fishEgg: 'fishEgg.png', fishSperm: 'fishsperm.png', fertilizedEgg: 'fertilizedegg.png', poop: 'poop.png', poop2: 'poop2.png', poop3: 'poop3.png',
-    krill1: 'krill1.png', krill2: 'krill2.png', krill3: 'krill3.png', krillSpawnIcon: 'krillSpawnIcon.png',
-    // Lone krill variant - smaller, more solitary
-    lonekrill1: 'lonekrill1.png', lonekrill2: 'lonekrill2.png', lonekrill3: 'lonekrill3.png',
-    // Pale krill variant - lighter, more translucent
-    paleKrill1: 'pale krill1.png', paleKrill2: 'pale krill2.png', paleKrill3: 'pale krill3.png',
-    // Tiger krill variant - striped, more aggressive
-    tigerKrill1: 'tiger krill1.png', tigerKrill2: 'tiger krill2.png', tigerKrill3: 'tiger krill3.png',
-    // Mom krill variant - larger, nurturing
-    momKrill1: 'krill mom1.png', momKrill2: 'krill mom2.png', momKrill3: 'krill mom3.png',
-    // TrueFry - enhanced fry with stronger schooling
-    truefry1: 'truefry1.png',
-    truefry2: 'truefry2.png',
-    giantSquid1: 'giant squid fram1.png', giantSquid2: 'giant squid fram2.png',
-    abyssalSquid1: 'abbysal squid fram1.png', abyssalSquid2: 'abbysal squid fram2.png',
-    abyssalSquid1Blink: 'abbysal squid fram1 (1).png', abyssalSquid2Blink: 'abbysal squid fram2 (1).png'
+    bubble1: 'bubble1.png', bubble2: 'bubble2.png',
+    // Every creature lists its own sprites when it registers its species
+    ...(window.speciesRegistry ? window.speciesRegistry.getSpriteFiles() : {})
 };
 
 let spritesLoaded = 0;
@@ -153,6 +81,8 @@ Object.entries(spriteFiles).forEach(([key, filename]) => {
     sprites[key] = new Image();
     sprites[key].onload = () => {
         spritesLoaded++;
+        // Anything tinted from this sprite before it finished loading was rendered blank
+        if (window.tintedSprites) window.tintedSprites.invalidate();
         if (key.includes('krill')) {
             console.log(`✅ Loaded krill sprite: ${key} -> ${filename}`);
         }
@@ -174,60 +104,14 @@ Object.entries(spriteFiles).forEach(([key, filename]) => {
 // Make sprites globally accessible
 window.sprites = sprites;
 
-// Object pools for performance
-const ObjectPools = {
-    eatingBubbles: [],
-    
-    getEatingBubble(x, y) {
-        let bubble = this.eatingBubbles.find(b => b.isDead());
-        if (!bubble) {
-            bubble = new EatingBubble(x, y);
-            this.eatingBubbles.push(bubble);
-        } else {
-            bubble.reset(x, y);
-        }
-        return bubble;
-    },
-    
-    cleanup() {
-        // Keep pool size manageable
-        if (this.eatingBubbles.length > CONSTANTS.MAX_EATING_BUBBLES) {
-            this.eatingBubbles = this.eatingBubbles.filter(b => !b.isDead()).slice(0, CONSTANTS.MAX_EATING_BUBBLES);
-        }
-    }
+// ObjectPools and Utils are defined in systems/SimulationCore.js - add the canvas/camera helpers here
+Utils.createDepthGradient = () => window.createDepthGradient(ctx, WORLD_HEIGHT);
+// Zoomed far out the view is wider than RENDER_DISTANCE - everything in view still draws
+Utils.inRenderDistance = (entity) => {
+    const viewRadius = Math.sqrt(camera.viewWidth * camera.viewWidth + camera.viewHeight * camera.viewHeight) / 2;
+    return window.inRenderDistance(entity, camera, Math.max(CONSTANTS.RENDER_DISTANCE, viewRadius));
 };
 
-// Make ObjectPools globally accessible
-window.ObjectPools = ObjectPools;
-
-// Optimized utility functions
-const Utils = {
-    // Math functions now loaded from mathUtils.js
-    distanceSquared: window.distanceSquared,
-    distance: window.distance,
-    calculateSteering: window.calculateSteering,
-    limitVelocity: window.limitVelocity,
-    enforceMinimumSpeed: window.enforceMinimumSpeed,
-    handleEdges: (entity, margin, damping) => window.handleEdges(entity, margin, damping, WORLD_WIDTH, WORLD_HEIGHT),
-    
-    // Behavioral functions now loaded from behaviorUtils.js
-    shouldIgnorePrey: (predatorType, preyType) => window.shouldIgnorePrey(predatorType, preyType, FISH_TYPES),
-    shouldFlee: (fishType, predatorType) => window.shouldFlee(fishType, predatorType, FISH_TYPES),
-    
-    // Depth functions now loaded from depthUtils.js
-    getDepthFactor: (y) => window.getDepthFactor(y, WORLD_HEIGHT),
-    getDepthOpacity: (y, baseOpacity = 1) => window.getDepthOpacity(y, baseOpacity, WORLD_HEIGHT, CONSTANTS),
-    getDepthTint: (y) => window.getDepthTint(y, WORLD_HEIGHT, CONSTANTS),
-    createDepthGradient: () => window.createDepthGradient(ctx, WORLD_HEIGHT),
-    inRenderDistance: (entity) => window.inRenderDistance(entity, camera, CONSTANTS.RENDER_DISTANCE),
-    
-    // Random bubble sprite now from behaviorUtils.js
-    getRandomBubbleSprite: () => window.getRandomBubbleSprite(sprites)
-};
-
-// Make Utils globally accessible
-window.Utils = Utils;
-
 // Canvas management - Full screen
 function resizeCanvas() {
     canvas.width = window.innerWidth;
@@ -262,6 +146,11 @@ function drawBorders() {
 const inputHandler = window.createInputHandler(keys, gameState);
 // Override wheel handler to check spawn mode and handle zoom or cycling
 inputHandler.handleWheel = (event) => {
+    // Live input is disabled while a replay drives spawning and the camera
+    if (window.replaySystem && window.replaySystem.isReplaying()) {
+        event.preventDefault();
+        return;
+    }
     // If spawn mode is active, use scroll wheel to cycle through spawn options
     if (gameState.spawnMode !== 'off') {
         event.preventDefault();
@@ -273,7 +162,13 @@ inputHandler.handleWheel = (event) => {
 };
 // Override keydown handler to add arrow key zoom support
 const originalHandleKeyDown = inputHandler.handleKeyDown;
+const REPLAY_LOCKED_KEYS = ['f', 'arrowup', 'arrowdown', 'arrowleft', 'arrowright'];
 inputHandler.handleKeyDown = (event) => {
+    // Spawn-mode and zoom keys are ignored during a replay (pause and speed still work)
+    if (window.replaySystem && window.replaySystem.isReplaying() && REPLAY_LOCKED_KEYS.includes(event.key.toLowerCase())) {
+        event.preventDefault();
+        return;
+    }
     // Handle arrow key zoom first (only when spawn mode is off)
     if ((event.key === 'ArrowUp' || event.key === 'ArrowDown') && gameState.spawnMode === 'off') {
         event.preventDefault();
@@ -304,13 +199,44 @@ let ecosystemInitialized = false;
 
 // Create game entities using the new modular system
 let gameEntities;
+
+// Worker mode (?worker=1): the simulation runs in a Web Worker and this thread only draws and forwards input
+let simulationWorker = null;
             
 // Initialize the game entities system
 function initializeGameEntities() {
+    if (window.SimulationWorkerClient && window.SimulationWorkerClient.isRequested()) {
+        simulationWorker = new window.SimulationWorkerClient();
+        simulationWorker.start(window.SimRandom ? window.SimRandom.getSeed() : null);
+        window.simulationWorker = simulationWorker;
+        if (window.qualityGovernor) {
+            window.qualityGovernor.onChange = tier => simulationWorker.setQualityTier(tier);
+        }
+        if (window.invariantChecker) {
+            window.invariantChecker.onViolation = pauseOnInvariantViolation;
+        }
+        return;
+    }
     if (window.GameEntities) {
+        if (window.SimRandom) {
+            console.log(`🎲 Simulation seed: ${window.SimRandom.getSeed()} (add ?seed=${window.SimRandom.getSeed()} to the URL to replay this world)`);
+        }
         gameEntities = new window.GameEntities();
         gameEntities.initializeEcosystem();
         window.gameEntities = gameEntities; // Make globally accessible for compatibility
+        
+        // GameEntities brings its own performance monitor and replaces the global one - its samples drive the quality tiers now
+        if (gameEntities.performanceMonitoring && window.qualityGovernor) {
+            gameEntities.performanceMonitoring.attachGovernor(window.qualityGovernor);
+        }
+        
+        // Stop following an entity as soon as it dies or leaves the world
+        if (gameEntities.entityRegistry && window.cameraFollowSystem) {
+            gameEntities.entityRegistry.onRemoved((entity, death) => window.cameraFollowSystem.handleEntityRemoved(entity, death));
+        }
+        if (window.invariantChecker) {
+            window.invariantChecker.onViolation = pauseOnInvariantViolation;
+        }
         console.log('GameEntities system initialized successfully');
             } else {
         console.error('GameEntities module not found!');
@@ -328,34 +254,103 @@ if (window.CameraFollowSystem) {
     console.warn('⚠️ CameraFollowSystem not found - camera following disabled');
 }
 
+// Initialize world snapshots (save/load slots and JSON export in the pause menu)
+if (window.WorldSnapshotSystem) {
+    window.worldSnapshots = new window.WorldSnapshotSystem(camera);
+    console.log('💾 World snapshot system initialized');
+} else {
+    console.warn('⚠️ WorldSnapshotSystem not found - world saving disabled');
+}
+
+// Initialize intervention recording and replay
+if (window.ReplaySystem) {
+    window.replaySystem = new window.ReplaySystem(camera, window.worldSnapshots);
+    console.log('🎬 Replay system initialized');
+} else {
+    console.warn('⚠️ ReplaySystem not found - recording disabled');
+}
+
 // Optimized spawning system using GameEntities
 canvas.addEventListener('click', (event) => {
-    if (gameState.spawnMode === 'off' || !gameEntities) return;
+    if (gameState.spawnMode === 'off' || (!gameEntities && !simulationWorker)) return;
+    if (window.replaySystem && window.replaySystem.isReplaying()) return;
     
     const rect = canvas.getBoundingClientRect();
     const centerX = ((event.clientX - rect.left) / camera.zoom) + camera.x;
     const centerY = ((event.clientY - rect.top) / camera.zoom) + camera.y;
     
+    if (simulationWorker) {
+        simulationWorker.spawn(gameState.spawnMode, centerX, centerY);
+        return;
+    }
+    
+    if (window.replaySystem) {
+        window.replaySystem.recordSpawn(gameState.spawnMode, centerX, centerY);
+    }
+    
     // Use the GameEntities spawn system
     gameEntities.spawnEntity(gameState.spawnMode, centerX, centerY);
 });
 
-// Highly optimized animation loop with frame limiting and optimization systems
+// A broken invariant stops the world on the tick it was found and puts the camera on the offending entity
+function pauseOnInvariantViolation(report) {
+    gameState.paused = true;
+    const pauseMenu = document.getElementById('pauseMenu');
+    if (pauseMenu) {
+        pauseMenu.style.display = 'flex';
+    }
+    
+    if (report.x !== null && report.y !== null) {
+        if (cameraFollowSystem) {
+            cameraFollowSystem.stopFollowing();
+        }
+        camera.x = report.x - camera.viewWidth / 2;
+        camera.y = report.y - camera.viewHeight / 2;
+    }
+    
+    if (window.updateTimeControlsDisplay) {
+        window.updateTimeControlsDisplay();
+    }
+    if (window.updateInvariantDisplay) {
+        window.updateInvariantDisplay();
+    }
+}
+
+// Fixed-timestep animation loop: the simulation ticks at SimClock's constant rate, rendering interpolates between ticks
 function animate(currentTime = 0) {
-    // Check if game is paused
-    if (gameState.paused) {
-        requestAnimationFrame(animate);
+    if (simulationWorker) {
+        animateWorkerMode(currentTime);
         return;
     }
     
-    // Frame rate limiting
-    if (currentTime - gameState.lastFrameTime < 1000 / CONSTANTS.UPDATE_FREQUENCY) {
+    // Check if game is paused
+    if (gameState.paused) {
+        // Don't let the paused time pile up in the accumulator
+        window.SimClock.resync();
+        
+        // Single-tick stepping while paused
+        const steps = window.SimClock.takePendingSteps();
+        if (steps > 0) {
+            for (let i = 0; i < steps; i++) {
+                simulationTick();
+            }
+            renderFrame(1);
+            
+            // Refresh the tick readout in the pause menu
+            if (window.updateTimeControlsDisplay) {
+                window.updateTimeControlsDisplay();
+            }
+        }
+        
         requestAnimationFrame(animate);
         return;
     }
     
     gameState.lastFrameTime = currentTime;
     gameState.frameCount++;
+    if (window.frameProfiler) {
+        window.frameProfiler.beginFrame();
+    }
     
     // Reset console debug system frame counters
     if (window.ConsoleDebugSystem) {
@@ -367,56 +362,137 @@ function animate(currentTime = 0) {
         window.performanceMonitoringSystem.update(currentTime);
     }
     
-    // Update camera follow system first
-    if (cameraFollowSystem && cameraFollowSystem.isFollowing) {
-        cameraFollowSystem.update();
-    } else {
-        // Only update camera with keyboard input if not following
+    const replaying = window.replaySystem && window.replaySystem.isReplaying();
+    
+    // Update camera follow system first (during a replay the camera comes from the replay events)
+    if (!replaying) {
+        if (cameraFollowSystem && cameraFollowSystem.isFollowing) {
+            cameraFollowSystem.update();
+        } else {
+            // Only update camera with keyboard input if not following
+            window.updateCamera(camera, keys, CONSTANTS, WORLD_WIDTH, WORLD_HEIGHT);
+        }
+        updateLODFocus();
+    }
+    
+    // Log camera moves, spawn-mode changes and AI focus changes for the replay file
+    if (window.replaySystem && window.replaySystem.isRecording()) {
+        window.replaySystem.recordSpawnMode(gameState.spawnMode);
+        window.replaySystem.recordCamera(camera);
+        window.replaySystem.recordLODFocus(gameEntities.lodSystem ? gameEntities.lodSystem.focus : null);
+        window.replaySystem.recordAIDetail(gameEntities.lodSystem ? gameEntities.lodSystem.getUpcomingAIDetail() : null);
+    }
+    
+    // Run as many fixed simulation ticks as the real time since the last frame calls for
+    const ticks = window.SimClock.consumeFrame(currentTime);
+    for (let i = 0; i < ticks; i++) {
+        simulationTick();
+        // An invariant violation paused the game - leave the world on the tick that broke it
+        if (gameState.paused) break;
+    }
+    
+    renderFrame(window.SimClock.alpha);
+    
+    if (window.frameProfiler) {
+        window.frameProfiler.endFrame();
+    }
+    requestAnimationFrame(animate);
+}
+
+// Worker-mode frame: forward time controls, move the camera and draw the worker's latest render state
+function animateWorkerMode(currentTime) {
+    // Only drawing is profiled here - the simulation's update runs in the worker
+    if (window.frameProfiler) {
+        window.frameProfiler.beginFrame();
+    }
+    if (!gameState.paused) {
+        gameState.lastFrameTime = currentTime;
+        gameState.frameCount++;
+        if (window.performanceMonitoringSystem) {
+            window.performanceMonitoringSystem.update(currentTime);
+        }
         window.updateCamera(camera, keys, CONSTANTS, WORLD_WIDTH, WORLD_HEIGHT);
+        updateLODFocus();
     }
     
+    simulationWorker.sync(gameState);
+    renderFrame(1);
+    
+    if (window.frameProfiler) {
+        window.frameProfiler.endFrame();
+    }
+    requestAnimationFrame(animate);
+}
+
+// Centre the AI level of detail on the view - krill and fry well off-screen think every few ticks
+function updateLODFocus() {
+    const centerX = camera.x + camera.viewWidth / 2;
+    const centerY = camera.y + camera.viewHeight / 2;
+    const viewRadius = Math.sqrt(camera.viewWidth * camera.viewWidth + camera.viewHeight * camera.viewHeight) / 2;
+    
+    if (simulationWorker) {
+        simulationWorker.followView(centerX, centerY, viewRadius);
+    } else if (gameEntities && gameEntities.lodSystem) {
+        gameEntities.lodSystem.followView(centerX, centerY, viewRadius);
+        
+        // Loaded worlds and finished replays bring their own AI detail - keep it on the quality governor's tier
+        const detail = window.qualityGovernor ? window.qualityGovernor.getTier().ai : null;
+        const current = gameEntities.lodSystem.getUpcomingAIDetail();
+        if (detail && (current.lowReach !== detail.lowReach || current.mediumFrequency !== detail.mediumFrequency || current.lowFrequency !== detail.lowFrequency)) {
+            gameEntities.lodSystem.requestAIDetail(detail);
+        }
+    }
+}
+
+// Draw the world and HUD, with entities interpolated by alpha between the previous and latest tick
+function renderFrame(alpha) {
+    const profiler = window.frameProfiler;
+    profiler?.begin('Draw');
     window.applyCamera(ctx);
     
     // Draw background
+    profiler?.begin('background');
     ctx.fillStyle = Utils.createDepthGradient();
     ctx.fillRect(0, 0, WORLD_WIDTH, WORLD_HEIGHT);
     drawBorders();
-    
-    // Update and draw using GameEntities system with optimizations
-    if (gameEntities) {
-        gameEntities.update();
-        gameEntities.draw();
+    profiler?.end();
+    
+    // Draw entities blended between the previous and latest tick
+    if (simulationWorker) {
+        profiler?.begin('worker render state');
+        simulationWorker.draw(ctx, sprites, camera);
+        profiler?.end();
+    } else if (gameEntities) {
+        gameEntities.draw(alpha, camera);
     }
     
-    // Update eating bubbles from object pools
+    // Draw eating bubbles from object pools
+    profiler?.begin('eating bubbles');
     const { eatingBubbles } = ObjectPools;
     for (let i = 0; i < eatingBubbles.length; i++) {
-        eatingBubbles[i].update();
         eatingBubbles[i].draw();
     }
-    
-    // Clean up pools more frequently to prevent lag
-    if (gameState.frameCount % 180 === 0) { // Every 3 seconds instead of 5
-        ObjectPools.cleanup();
-        
-        // Clean up enhanced object pools if available
-        if (window.enhancedObjectPools) {
-            window.enhancedObjectPools.cleanup();
-        }
-    }
+    profiler?.end();
     
     // Draw spawn indicator
+    profiler?.begin('HUD');
     if (gameState.spawnMode !== 'off' && Utils.inRenderDistance(mouseWorldPos)) {
         if (window.uiRenderingSystem) {
             window.uiRenderingSystem.drawSpawnIndicator(ctx, mouseWorldPos, gameState.spawnMode, sprites);
         }
     }
     
+    // Mark the entity that broke an invariant
+    if (window.invariantChecker) {
+        window.invariantChecker.drawHighlight(ctx);
+    }
+    
     window.resetCamera(ctx);
     
     // Draw entity counter UI (replaces old ecosystem info)
-    if (gameEntities && gameEntities.entityCounter) {
-        gameEntities.entityCounter.drawUI(ctx, sprites, gameState);
+    const entityCounter = simulationWorker ? simulationWorker.entityCounter : gameEntities && gameEntities.entityCounter;
+    if (entityCounter) {
+        entityCounter.drawUI(ctx, sprites, gameState);
     }
     
     // Draw optimization performance info if debug is enabled
@@ -425,11 +501,17 @@ function animate(currentTime = 0) {
             const report = gameEntities.getOptimizationReport();
             drawOptimizationInfo(ctx, report);
         }
+        
+        // Per-subsystem frame budget, bottom left
+        if (profiler) {
+            profiler.drawOverlay(ctx, 10, canvas.height - 170);
+        }
     }
     
     // Draw camera follow system debug
     if (cameraFollowSystem) {
         cameraFollowSystem.drawDebug(ctx);
+        cameraFollowSystem.drawReadout(ctx);
     }
     
     // Draw spawn mode indicators (visual indicators only, controls are in pause menu)
@@ -437,7 +519,87 @@ function animate(currentTime = 0) {
         window.uiRenderingSystem.drawUIModeIndicators(ctx, gameState.spawnMode, sprites);
     }
     
-    requestAnimationFrame(animate);
+    // Show the simulation speed whenever it isn't real time
+    drawTimeControlIndicator(ctx);
+    
+    // Current quality tier
+    if (window.qualityGovernor && gameState.hudState === 'full') {
+        window.qualityGovernor.drawHUD(ctx);
+    }
+    profiler?.end();
+    profiler?.end();
+}
+
+// Draw the current simulation speed in the top-right corner
+function drawTimeControlIndicator(ctx) {
+    const timeScale = window.SimClock.timeScale;
+    if (timeScale !== 1 || gameState.paused) {
+        const label = gameState.paused ? `⏸️ Tick ${window.SimClock.tick}` : `${timeScale < 1 ? '🐢' : '⏩'} ${timeScale}x`;
+        ctx.save();
+        ctx.font = 'bold 16px Arial';
+        ctx.textAlign = 'right';
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(canvas.width - 150, 10, 140, 28);
+        ctx.fillStyle = '#00ccff';
+        ctx.fillText(label, canvas.width - 20, 30);
+        ctx.restore();
+    }
+    
+    drawReplayIndicator(ctx);
+}
+
+// Show recording / replay progress below the speed indicator
+function drawReplayIndicator(ctx) {
+    const replaySystem = window.replaySystem;
+    if (!replaySystem || (!replaySystem.isRecording() && !replaySystem.isReplaying())) return;
+    
+    let label;
+    if (replaySystem.isRecording()) {
+        label = `🔴 REC ${replaySystem.recording.events.length} events`;
+    } else {
+        const progress = replaySystem.getReplayProgress();
+        label = `▶️ REPLAY ${progress.tick}/${progress.endTick}`;
+    }
+    
+    ctx.save();
+    ctx.font = 'bold 14px Arial';
+    ctx.textAlign = 'right';
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.fillRect(canvas.width - 230, 44, 220, 26);
+    ctx.fillStyle = replaySystem.isRecording() ? '#ff5555' : '#00ff99';
+    ctx.fillText(label, canvas.width - 20, 62);
+    ctx.restore();
+}
+
+// One fixed simulation step - everything that must evolve identically regardless of frame rate
+function simulationTick() {
+    window.frameProfiler?.begin('Update');
+    if (gameEntities) {
+        // Feed recorded interventions back in before the tick they happened on
+        if (window.replaySystem) {
+            window.replaySystem.applyDueEvents(gameEntities);
+        }
+        gameEntities.update();
+    }
+    
+    // Update eating bubbles from object pools
+    window.frameProfiler?.begin('eating bubbles');
+    const { eatingBubbles } = ObjectPools;
+    for (let i = 0; i < eatingBubbles.length; i++) {
+        eatingBubbles[i].update();
+    }
+    window.frameProfiler?.end();
+    
+    // Clean up pools every 3 seconds of simulation time
+    if (window.SimClock.tick % 180 === 0) {
+        ObjectPools.cleanup();
+        
+        // Clean up enhanced object pools if available
+        if (window.enhancedObjectPools) {
+            window.enhancedObjectPools.cleanup();
+        }
+    }
+    window.frameProfiler?.end();
 }
 
 // Draw optimization performance information
@@ -456,6 +618,16 @@ function drawOptimizationInfo(ctx, report) {
         y += 15;
     }
     
+    if (report.entityPools) {
+        ctx.fillText(`Entity pools: ${report.entityPools.efficiency}% reused (${report.entityPools.hits} hits, ${report.entityPools.misses} new)`, 10, y);
+        y += 15;
+    }
+    
+    if (report.tintedSprites) {
+        ctx.fillText(`Tinted sprites: ${report.tintedSprites.entries} cached, ${report.tintedSprites.hitRate} hits`, 10, y);
+        y += 15;
+    }
+    
     if (report.batchProcessing) {
         ctx.fillText(`Batch: ${report.batchProcessing.totalBatchesProcessed} batches, ${report.batchProcessing.totalEntitiesProcessed} entities`, 10, y);
         y += 15;
@@ -464,10 +636,19 @@ function drawOptimizationInfo(ctx, report) {
     if (report.lodSystem) {
         ctx.fillText(`LOD: H${report.lodSystem.highLOD} M${report.lodSystem.mediumLOD} L${report.lodSystem.lowLOD}`, 10, y);
         y += 15;
+        
+        // Krill and fry per AI tier last tick, and how many of them ran their AI
+        const scheduling = report.lodSystem.scheduling;
+        if (scheduling && scheduling.active) {
+            ctx.fillText(`AI LOD: H${scheduling.high} M${scheduling.medium} L${scheduling.low}, ${scheduling.updated}/${scheduling.scheduled} thinking`, 10, y);
+        } else {
+            ctx.fillText('AI LOD: off (every entity thinks every tick)', 10, y);
+        }
+        y += 15;
     }
     
     if (report.rendering) {
-        ctx.fillText(`Render: F${report.rendering.fullRenders} S${report.rendering.simplifiedRenders} M${report.rendering.minimalRenders}`, 10, y);
+        ctx.fillText(`Render: F${report.rendering.fullRenders} S${report.rendering.simplifiedRenders} M${report.rendering.minimalRenders} I${report.rendering.impostorRenders} (${report.rendering.impostorCells} splats)`, 10, y);
         y += 15;
     }
     
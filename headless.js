@@ -0,0 +1,207 @@
+// Headless runner - Loads the simulation scripts into a Node vm context and steps GameEntities without a canvas
+// Usage: node headless.js [--ticks 3600] [--report-every 600] [--seed 1234] [--replay replay.json] [--storage soa] [--invariants] [--verbose]
+// The script list is read from index.html so the browser and headless builds always load the same modules
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { isSimulationScript } = require('./utils/simulationScripts.js');
+
+// Read a script, honouring UTF-16 files saved with a BOM
+function readScript(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+        return buffer.toString('utf16le').replace(/^﻿/, '');
+    }
+    return buffer.toString('utf8').replace(/^﻿/, '');
+}
+
+// Local <script src> entries from index.html, in load order
+function getSimulationScripts(rootDir) {
+    const html = fs.readFileSync(path.join(rootDir, 'index.html'), 'utf8');
+    const scripts = [];
+    const scriptPattern = /<script\s+src="([^"]+)"/g;
+    let match;
+    while ((match = scriptPattern.exec(html)) !== null) {
+        const src = match[1];
+        if (isSimulationScript(src)) scripts.push(src);
+    }
+    return scripts;
+}
+
+class HeadlessSimulation {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || __dirname;
+        this.verbose = !!options.verbose;
+        this.seed = options.seed !== undefined ? options.seed : null;
+        this.storage = options.storage || null; // 'soa' keeps krill and fry in typed arrays (systems/EntityStore.js)
+        this.invariants = !!options.invariants; // validate the world after every tick (systems/InvariantChecker.js)
+        this.violation = null;                  // the first broken invariant of the last step() call
+        this.context = null;
+        this.gameEntities = null;
+        this.tick = 0;
+    }
+
+    // Create the window-like global and evaluate every simulation script in order
+    load() {
+        const quietConsole = {
+            log: () => {},
+            info: () => {},
+            debug: () => {},
+            warn: () => {},
+            error: (...args) => console.error(...args)
+        };
+
+        const sandbox = {
+            console: this.verbose ? console : quietConsole,
+            setTimeout,
+            clearTimeout,
+            setInterval,
+            clearInterval,
+            performance
+        };
+        sandbox.window = sandbox;
+        sandbox.self = sandbox;
+        // Seed before any script runs - some modules draw random numbers at load time
+        sandbox.SIMULATION_SEED = this.seed;
+        sandbox.ENTITY_STORAGE = this.storage;
+        sandbox.INVARIANT_CHECKS = this.invariants;
+        this.context = vm.createContext(sandbox);
+
+        for (const src of getSimulationScripts(this.rootDir)) {
+            const filePath = path.join(this.rootDir, src);
+            vm.runInContext(readScript(filePath), this.context, { filename: filePath });
+        }
+
+        return this;
+    }
+
+    // Build GameEntities and spawn the starting ecosystem
+    initialize() {
+        if (!this.context) this.load();
+
+        const window = this.context.window;
+        this.seed = window.SimRandom.getSeed();
+
+        if (window.DebugManager && !window.debugManager) {
+            window.debugManager = new window.DebugManager();
+            if (window.ConsoleDebugSystem) {
+                window.ConsoleDebugSystem.setDebugManager(window.debugManager);
+            }
+        }
+
+        this.gameEntities = new window.GameEntities();
+        this.gameEntities.initializeEcosystem();
+        window.gameEntities = this.gameEntities;
+        
+        if (window.invariantChecker) {
+            window.invariantChecker.onViolation = report => {
+                if (!this.violation) this.violation = report;
+            };
+        }
+        return this;
+    }
+
+    // Restore a recorded replay's starting world and feed its events in on the following ticks
+    loadReplay(replay) {
+        if (!this.gameEntities) this.initialize();
+
+        const window = this.context.window;
+        window.replaySystem = new window.ReplaySystem(null);
+        window.replaySystem.startReplay(this.gameEntities, replay);
+        this.seed = window.SimRandom.getSeed();
+        return this;
+    }
+
+    // Advance the simulation by a number of ticks - the same work animate() does minus drawing
+    // With invariant checks on it stops after the first tick that breaks one (see this.violation)
+    step(ticks = 1) {
+        if (!this.gameEntities) this.initialize();
+
+        const window = this.context.window;
+        const gameState = window.gameState;
+        this.violation = null;
+
+        for (let i = 0; i < ticks; i++) {
+            gameState.frameCount++;
+            this.tick++;
+
+            if (window.ConsoleDebugSystem) {
+                window.ConsoleDebugSystem.resetFrameCounters();
+            }
+
+            if (window.replaySystem) {
+                window.replaySystem.applyDueEvents(this.gameEntities);
+            }
+
+            // GameEntities.update advances SimClock by one fixed step
+            this.gameEntities.update();
+
+            if (window.SimClock.tick % 180 === 0) {
+                window.ObjectPools.cleanup();
+            }
+
+            if (this.violation) break;
+        }
+
+        return this;
+    }
+
+    getEntityCounts() {
+        return this.gameEntities ? this.gameEntities.getEntityCounts() : {};
+    }
+}
+
+// Command line entry point
+function runFromCommandLine(argv) {
+    const readOption = (name, fallback) => {
+        const index = argv.indexOf(name);
+        return index !== -1 && argv[index + 1] !== undefined ? Number(argv[index + 1]) : fallback;
+    };
+
+    const readString = (name) => {
+        const index = argv.indexOf(name);
+        return index !== -1 ? argv[index + 1] : undefined;
+    };
+
+    const seed = readString('--seed');
+    const replayPath = readString('--replay');
+    const storage = readString('--storage');
+    const invariants = argv.includes('--invariants');
+    const simulation = new HeadlessSimulation({ seed, storage, invariants, verbose: argv.includes('--verbose') }).initialize();
+
+    // A replay runs for its recorded length unless --ticks says otherwise
+    let defaultTicks = 3600;
+    if (replayPath) {
+        const replay = JSON.parse(fs.readFileSync(replayPath, 'utf8'));
+        simulation.loadReplay(replay);
+        defaultTicks = replay.endTick - replay.startTick;
+        console.log(`🎬 Replaying ${replayPath}: ${replay.events.length} events from tick ${replay.startTick}`);
+    }
+
+    const ticks = readOption('--ticks', defaultTicks);
+    const reportEvery = readOption('--report-every', 600);
+
+    console.log(`🧪 Headless simulation: ${ticks} ticks, seed ${simulation.seed}${storage ? `, ${storage} storage` : ''}${invariants ? ', invariant checks' : ''}`);
+    console.log(`tick 0`, JSON.stringify(simulation.getEntityCounts()));
+
+    const startTime = Date.now();
+    while (simulation.tick < ticks) {
+        simulation.step(Math.min(reportEvery, ticks - simulation.tick));
+        console.log(`tick ${simulation.tick}`, JSON.stringify(simulation.getEntityCounts()));
+        if (simulation.violation) {
+            console.log(`🩺 Invariant broken: ${simulation.violation.entity || simulation.violation.arrayName} - ${simulation.violation.message}`);
+            console.log(JSON.stringify(simulation.violation, null, 2));
+            process.exitCode = 1;
+            return;
+        }
+    }
+    console.log(`✅ Finished in ${Date.now() - startTime}ms`);
+}
+
+if (require.main === module) {
+    runFromCommandLine(process.argv.slice(2));
+}
+
+module.exports = { HeadlessSimulation, getSimulationScripts };
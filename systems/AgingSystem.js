@@ -0,0 +1,140 @@
+// Aging System - Life stages, senescence and death by old age for every species that declares aging
+// Each creature's age grows by one simulation step per tick and its lifespan is drawn from the species' range the
+// first time it is seen. The age picks the life stage (juvenile, adult, elder...). Over the last stage the creature
+// grows senescent: it covers less ground per tick and notices food and prey from closer in (getPerception), until
+// it dies of old age at the end of its lifespan.
+// Moults and transformations keep the age of the creature they replace (inherit), so a krill that turned into a mom
+// krill does not start life over.
+//
+// Species opt in through registerSpecies({ aging }) (see SpeciesRegistry.js); the numbers live in their configs.
+
+class AgingSystem {
+    constructor() {
+        this.diedOfAge = {}; // species -> deaths by old age
+    }
+
+    // The species' aging, or null for entities that do not age (eggs, food, poop)
+    static get(entity) {
+        const species = window.speciesRegistry && entity ? window.speciesRegistry.get(entity.species) : null;
+        return species && species.aging ? species.aging : null;
+    }
+
+    // Life stage the entity's age falls in (the last stage lasts until death)
+    static getStage(entity) {
+        const aging = AgingSystem.get(entity);
+        if (!aging) return null;
+        const age = entity.age || 0;
+        for (let i = 0; i < aging.stages.length - 1; i++) {
+            if (age < aging.stages[i].until) return aging.stages[i].name;
+        }
+        return aging.stages[aging.stages.length - 1].name;
+    }
+
+    // How far into old age, 0 (not old yet) to 1 (dies this tick) - senescence ramps over the last stage
+    static getSenescence(entity) {
+        const aging = AgingSystem.get(entity);
+        if (!aging || !entity.lifespan || aging.stages.length < 2) return 0;
+        const oldFrom = Math.min(aging.stages[aging.stages.length - 2].until, entity.lifespan);
+        if (entity.age <= oldFrom) return 0;
+        return Math.min(1, (entity.age - oldFrom) / Math.max(1, entity.lifespan - oldFrom));
+    }
+
+    // Multiplier for detection ranges - 1 in the prime of life, senescence.perception at the very end
+    static getPerception(entity) {
+        const aging = AgingSystem.get(entity);
+        if (!aging || !aging.senescence) return 1;
+        return 1 - AgingSystem.getSenescence(entity) * (1 - aging.senescence.perception);
+    }
+
+    // A creature replaced by its next form (moult, transformation) hands on its age and lifespan
+    static inherit(from, to) {
+        if (!from || !to || from.age === undefined) return;
+        to.age = from.age;
+        to.lifespan = from.lifespan;
+    }
+
+    // "adult, 3m 12s" for overlays and readouts - null until the entity has been aged once
+    static describe(entity) {
+        const stage = AgingSystem.getStage(entity);
+        if (!stage || entity.age === undefined) return null;
+        const seconds = Math.floor((entity.age || 0) / 1000);
+        return `${stage}, ${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    }
+
+    // The founding population starts at mixed ages, so it does not die of old age all at once
+    scatterAges(gameEntities) {
+        if (!window.speciesRegistry) return;
+        window.speciesRegistry.getArrayNames().forEach(arrayName => {
+            (gameEntities[arrayName] || []).forEach(entity => {
+                const aging = AgingSystem.get(entity);
+                if (!aging || entity.age !== undefined) return;
+                this.startLife(entity, aging);
+                entity.age = SimRandom.random() * aging.stages[Math.max(0, aging.stages.length - 2)].until;
+            });
+        });
+    }
+
+    startLife(entity, aging) {
+        const [min, max] = aging.lifespan;
+        entity.age = 0;
+        entity.lifespan = min + SimRandom.random() * (max - min);
+    }
+
+    // Called by GameEntities once per tick, after every species has moved
+    update(gameEntities) {
+        if (!window.speciesRegistry) return;
+
+        window.speciesRegistry.getArrayNames().forEach(arrayName => {
+            const entities = gameEntities[arrayName];
+            if (!entities || entities.length === 0) return;
+
+            let died = false;
+            for (let i = 0; i < entities.length; i++) {
+                const entity = entities[i];
+                const aging = AgingSystem.get(entity);
+                if (!aging || entity.isAlive === false) continue;
+
+                if (entity.age === undefined) {
+                    this.startLife(entity, aging);
+                }
+                entity.age += SimClock.stepMs;
+
+                if (entity.age >= entity.lifespan) {
+                    if (EntityLifecycle.kill(entity, DEATH_CAUSES.OLD_AGE)) {
+                        this.diedOfAge[entity.species] = (this.diedOfAge[entity.species] || 0) + 1;
+                        died = true;
+                    }
+                    continue;
+                }
+
+                this.slowDown(entity, aging);
+            }
+
+            if (died) {
+                gameEntities.removeDeadEntities(entities);
+            }
+        });
+    }
+
+    // Old creatures cover less ground - take back part of this tick's move. Velocity is left alone so the
+    // species' own steering and speed limits keep working as they are
+    slowDown(entity, aging) {
+        if (!aging.senescence || !entity.velocity) return;
+        const senescence = AgingSystem.getSenescence(entity);
+        if (senescence === 0) return;
+
+        const lost = senescence * (1 - aging.senescence.speed);
+        entity.x -= entity.velocity.x * lost;
+        entity.y -= entity.velocity.y * lost;
+    }
+
+    getStats() {
+        const total = Object.values(this.diedOfAge).reduce((sum, count) => sum + count, 0);
+        return { diedOfAge: { ...this.diedOfAge }, total };
+    }
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.AgingSystem = AgingSystem;
+}
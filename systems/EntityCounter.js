@@ -1,54 +1,38 @@
 // Entity Counter System - Tracks world populations and player spawn statistics
 class EntityCounter {
     constructor() {
+        // Rows that are not a species: effects and array totals
+        this.coreCounters = [
+            { key: 'bubbles', label: 'Bubbles', icon: 'bubble1', order: 40, count: gameEntities => gameEntities.bubbles ? gameEntities.bubbles.length : 0 },
+            { key: 'fish', label: 'Fish', order: 45, hidden: true, count: gameEntities => gameEntities.fish ? gameEntities.fish.length : 0 },
+            { key: 'eatingBubbles', label: 'Eating Bubbles', icon: 'bubble2', order: 1000, count: null } // Counted from the object pool
+        ];
+        
+        // Species counter rows, in display order
+        const speciesCounters = window.speciesRegistry ? window.speciesRegistry.getCounters().map(species => species.counter) : [];
+        this.counters = [...speciesCounters, ...this.coreCounters].sort((a, b) => a.order - b.order);
+        
         // World population counters
-        this.worldCounts = {
-            trueFry1: 0,
-            trueFry2: 0,
-            regularFry: 0,
-            bubbles: 0,
-            fish: 0,
-            predators: 0,
-            krill: 0,
-            paleKrill: 0,
-            momKrill: 0,
-            squid: 0,
-            fishFood: 0,
-            fishEggs: 0,
-            sperm: 0,
-            poop: 0,
-            eatingBubbles: 0
-        };
+        this.worldCounts = {};
+        this.counters.forEach(counter => {
+            this.worldCounts[counter.key] = 0;
+        });
         
-        // Player spawn statistics (for analytics/tracking)
-        this.playerSpawns = {
-            food: 0,
-            krill: 0,
-            poop: 0,
-            truefry1: 0,
-            truefry2: 0,
-            fry: 0,
-            tuna: 0,
-            squid: 0
-        };
+        // Player spawn statistics (for analytics/tracking), one entry per spawn mode
+        this.playerSpawns = {};
+        this.spawnModes = window.speciesRegistry ? window.speciesRegistry.getSpawnModes() : [];
+        this.spawnModes.forEach(species => {
+            this.playerSpawns[species.spawn.mode] = 0;
+        });
+        
+        // Ecosystem events seen on the event bus (prey eaten, hatchings, transformations...)
+        this.eventCounts = {};
+        this.subscribeToEcosystemEvents();
         
         // Entity display configuration
-        this.entityDisplayConfig = [
-            { key: 'trueFry1', name: 'TrueFry1', icon: 'truefry1' },
-            { key: 'trueFry2', name: 'TrueFry2', icon: 'truefry2' },
-            { key: 'regularFry', name: 'Regular Fry', icon: 'smallFry2' },
-            { key: 'bubbles', name: 'Bubbles', icon: 'bubble1' },
-            { key: 'predators', name: 'Tuna', icon: 'tuna' },
-            { key: 'krill', name: 'Krill', icon: 'krill1' },
-            { key: 'paleKrill', name: 'Pale Krill', icon: 'paleKrill1' },
-            { key: 'momKrill', name: 'Mom Krill', icon: 'momKrill1' },
-            { key: 'squid', name: 'Giant Squid', icon: 'giantSquid1' },
-            { key: 'fishFood', name: 'Fish Food', icon: 'fishFood' },
-            { key: 'fishEggs', name: 'Fish Eggs', icon: 'fishEgg' },
-            { key: 'sperm', name: 'Fish Sperm', icon: 'fishSperm' },
-            { key: 'poop', name: 'Poop', icon: 'poop' },
-            { key: 'eatingBubbles', name: 'Eating Bubbles', icon: 'bubble2' }
-        ];
+        this.entityDisplayConfig = this.counters
+            .filter(counter => !counter.hidden)
+            .map(counter => ({ key: counter.key, name: counter.label, icon: counter.icon, color: counter.color }));
         
         // UI positioning
         this.uiStartY = 90;
@@ -61,26 +45,11 @@ class EntityCounter {
     updateWorldCounts(gameEntities, objectPools) {
         if (!gameEntities) return;
         
-        this.worldCounts.bubbles = gameEntities.bubbles ? gameEntities.bubbles.length : 0;
-        this.worldCounts.fish = gameEntities.fish ? gameEntities.fish.length : 0;
-        this.worldCounts.predators = gameEntities.predators ? gameEntities.predators.length : 0;
-        this.worldCounts.krill = gameEntities.krill ? gameEntities.krill.length : 0;
-        this.worldCounts.paleKrill = gameEntities.paleKrill ? gameEntities.paleKrill.length : 0;
-        this.worldCounts.momKrill = gameEntities.momKrill ? gameEntities.momKrill.length : 0;
-        this.worldCounts.squid = gameEntities.squid ? gameEntities.squid.length : 0;
-        this.worldCounts.fishFood = gameEntities.fishFood ? gameEntities.fishFood.length : 0;
-        this.worldCounts.fishEggs = gameEntities.fishEggs ? gameEntities.fishEggs.length : 0;
-        this.worldCounts.sperm = gameEntities.sperm ? gameEntities.sperm.length : 0;
-        this.worldCounts.poop = gameEntities.poop ? gameEntities.poop.length : 0;
-        
-        // Count fry stages
-        if (gameEntities.fish) {
-            this.worldCounts.trueFry1 = gameEntities.fish.filter(f => f.constructor.name === 'TrueFry1').length;
-            this.worldCounts.trueFry2 = gameEntities.fish.filter(f => f.constructor.name === 'TrueFry2').length;
-            this.worldCounts.regularFry = gameEntities.fish.filter(f => 
-                f.constructor.name !== 'TrueFry1' && f.constructor.name !== 'TrueFry2'
-            ).length;
-        }
+        this.counters.forEach(counter => {
+            if (counter.count) {
+                this.worldCounts[counter.key] = counter.count(gameEntities);
+            }
+        });
         
         // Count active eating bubbles from object pool
         if (objectPools && objectPools.eatingBubbles) {
@@ -88,6 +57,18 @@ class EntityCounter {
         }
     }
     
+    // Population stats come from the ecosystem event bus rather than from each system
+    subscribeToEcosystemEvents() {
+        if (typeof window === 'undefined' || !window.ecosystemEvents) return;
+        
+        window.ecosystemEvents.subscribe('*', event => {
+            this.eventCounts[event.type] = (this.eventCounts[event.type] || 0) + 1;
+        });
+        window.ecosystemEvents.subscribe(window.ECOSYSTEM_EVENTS.PLAYER_SPAWNED, event => {
+            this.trackPlayerSpawn(event.details.spawnType, event.details.amount);
+        });
+    }
+    
     // Track player spawns with immediate analytics
     trackPlayerSpawn(spawnType, amount = 1) {
         if (this.playerSpawns.hasOwnProperty(spawnType)) {
@@ -166,7 +147,7 @@ class EntityCounter {
             ctx.fillText(`${config.name}:`, textX, yOffset);
             
             // Count with color coding
-            const countColor = this.getCountColor(config.key, count);
+            const countColor = count > 0 && config.color ? config.color(count) : this.getCountColor(config.key, count);
             ctx.fillStyle = countColor;
             ctx.fillText(count.toString(), textX + 100, yOffset);
             
@@ -251,17 +232,8 @@ class EntityCounter {
     
     // Get display name for spawn types
     getSpawnDisplayName(spawnType) {
-        const names = {
-            food: 'Food',
-            krill: 'Krill',
-            poop: 'Poop',
-            truefry1: 'TrueFry1',
-            truefry2: 'TrueFry2',
-            fry: 'Fry',
-            tuna: 'Tuna',
-            squid: 'Squid'
-        };
-        return names[spawnType] || spawnType;
+        const species = this.spawnModes.find(entry => entry.spawn.mode === spawnType);
+        return species ? species.spawn.label : spawnType;
     }
     
     // Reset player spawn statistics
@@ -289,6 +261,7 @@ class EntityCounter {
         return {
             worldCounts: { ...this.worldCounts },
             playerSpawns: { ...this.playerSpawns },
+            eventCounts: { ...this.eventCounts },
             totalEntities: this.getTotalWorldEntities(),
             totalPlayerSpawns: this.getTotalPlayerSpawns(),
             timestamp: Date.now()
@@ -0,0 +1,71 @@
+// Entity Lifecycle - One contract for how entities spawn, die and leave the world
+// Spawn: the constructor assigns an id (EntityRegistry.assignIdentity) and the registry announces it.
+// Death: EntityLifecycle.kill() marks the entity dead and records why and by whom.
+// Removal: GameEntities takes dead entities out of their arrays and the registry announces the removal,
+// so systems holding per-entity references (cooldown maps, camera follow) can let go of them.
+
+const DEATH_CAUSES = {
+    EATEN: 'eaten',               // killer: the entity that ate it
+    STARVED: 'starved',
+    OLD_AGE: 'old-age',           // reached the end of its lifespan (see AgingSystem)
+    EXPIRED: 'expired',           // lifespan ran out, faded away
+    TRANSFORMED: 'transformed',   // replaced by its next life stage (moulting, hatching, fertilization)
+    LEFT_WORLD: 'left-world',     // drifted out of the world bounds
+    REMOVED: 'removed'            // taken out without a recorded cause
+};
+
+class EntityLifecycle {
+    // Death phase - mark an entity dead and record the cause. The first recorded death wins.
+    static kill(entity, cause, killer = null) {
+        if (!entity || entity.death) return false;
+
+        entity.isAlive = false;
+        entity.death = {
+            cause,
+            killerId: killer ? killer.id : null,
+            killerSpecies: killer ? killer.species : null,
+            tick: window.SimClock ? window.SimClock.tick : 0
+        };
+
+        // Keep the older per-type removal flags consistent for code that still reads them
+        if (entity.eaten !== undefined) entity.eaten = true;
+        if (entity.isActive !== undefined) entity.isActive = false;
+        return true;
+    }
+
+    // Dead entities are removed from their array at the next sweep
+    static isDead(entity) {
+        return entity.isAlive === false || entity.eaten === true || entity.isActive === false;
+    }
+
+    static getDeath(entity) {
+        return entity.death || null;
+    }
+
+    // Kill and remove in one go, for code that takes prey out of an array mid-tick
+    static removeFrom(array, index, cause, killer = null) {
+        if (window.gameEntities) {
+            return window.gameEntities.removeEntityAt(array, index, cause, killer);
+        }
+        const entity = array[index];
+        EntityLifecycle.kill(entity, cause, killer);
+        array.splice(index, 1);
+        return entity;
+    }
+
+    // Kill and remove an entity found through a neighbour query - its array is looked up through its species
+    static remove(entity, cause, killer = null) {
+        const array = window.gameEntities ? window.gameEntities.getArrayFor(entity) : null;
+        const index = array ? array.indexOf(entity) : -1;
+        if (index !== -1) {
+            return EntityLifecycle.removeFrom(array, index, cause, killer);
+        }
+        EntityLifecycle.kill(entity, cause, killer);
+        return entity;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.DEATH_CAUSES = DEATH_CAUSES;
+    window.EntityLifecycle = EntityLifecycle;
+}
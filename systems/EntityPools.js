@@ -0,0 +1,135 @@
+// Entity Pools - Reuse the objects of short-lived entities (food, poop, sperm, eggs) instead of dropping them
+// An entity class registers with a reset hook that puts a used object back into the state its constructor leaves,
+// consuming the same SimRandom draws, so a pooled world runs tick-for-tick like one that allocates every entity.
+// Allocation sites call acquireEntity(Class, ...args) where they used to call new Class(...args).
+//
+// GameEntities releases an entity when the entity registry announces its removal. Released objects only become
+// reusable at the end of the tick, so nothing still looking at them during the tick sees them come back to life.
+// A reused object gets a fresh id - code holding an entity across ticks should compare ids, not objects.
+
+class EntityPoolManager {
+    constructor() {
+        this.pools = new Map(); // entity class -> pool
+    }
+
+    // options: reset(entity, ...args) - defaults to entity.reset(...args); maxSize - free objects kept at most
+    register(EntityClass, options = {}) {
+        this.pools.set(EntityClass, {
+            name: EntityClass.name,
+            reset: options.reset || ((entity, ...args) => entity.reset(...args)),
+            maxSize: options.maxSize || 256,
+            free: [],
+            released: [], // waiting for the end of the tick
+            hits: 0,
+            misses: 0,
+            dropped: 0
+        });
+    }
+
+    isPooled(EntityClass) {
+        return this.pools.has(EntityClass);
+    }
+
+    // Reuse a released object or construct a new one - either way it starts in its constructor state
+    acquire(EntityClass, ...args) {
+        const pool = this.pools.get(EntityClass);
+        if (!pool) return new EntityClass(...args);
+
+        const entity = pool.free.pop();
+        if (!entity) {
+            pool.misses++;
+            return new EntityClass(...args);
+        }
+        pool.hits++;
+
+        // Fields other systems hung on it in its last life (death record, targets) start unset, as on a new object
+        const keys = Object.keys(entity);
+        for (let i = 0; i < keys.length; i++) {
+            entity[keys[i]] = undefined;
+        }
+        pool.reset(entity, ...args);
+        return entity;
+    }
+
+    // Hand a removed entity back (only instances of the registered class itself - subclasses keep their own state)
+    release(entity) {
+        const pool = entity ? this.pools.get(entity.constructor) : null;
+        if (!pool || entity.pooled) return;
+
+        if (pool.free.length + pool.released.length >= pool.maxSize) {
+            pool.dropped++;
+            return;
+        }
+        // Non-enumerable, so snapshots and the reset sweep in acquire never see it
+        Object.defineProperty(entity, 'pooled', { value: true, writable: true, configurable: true });
+        pool.released.push(entity);
+    }
+
+    // Called once GameEntities has finished a tick - this tick's releases become reusable
+    endTick(isLive = null) {
+        this.pools.forEach(pool => {
+            for (let i = 0; i < pool.released.length; i++) {
+                const entity = pool.released[i];
+                entity.pooled = false;
+                // Put back into the world after its removal (moved between arrays) - not ours to reuse
+                if (isLive && isLive(entity)) continue;
+                pool.free.push(entity);
+            }
+            pool.released.length = 0;
+        });
+    }
+
+    // Forget every pooled object (the world they came from was replaced)
+    clear() {
+        this.pools.forEach(pool => {
+            pool.free.length = 0;
+            pool.released.length = 0;
+        });
+    }
+
+    getStats() {
+        let hits = 0;
+        let misses = 0;
+        const pools = {};
+        this.pools.forEach(pool => {
+            hits += pool.hits;
+            misses += pool.misses;
+            const total = pool.hits + pool.misses;
+            pools[pool.name] = {
+                free: pool.free.length,
+                maxSize: pool.maxSize,
+                hits: pool.hits,
+                misses: pool.misses,
+                dropped: pool.dropped,
+                efficiency: total === 0 ? 100 : Number((pool.hits / total * 100).toFixed(1))
+            };
+        });
+
+        const total = hits + misses;
+        return {
+            hits,
+            misses,
+            efficiency: total === 0 ? 100 : Number((hits / total * 100).toFixed(1)),
+            pools
+        };
+    }
+
+    resetStats() {
+        this.pools.forEach(pool => {
+            pool.hits = 0;
+            pool.misses = 0;
+            pool.dropped = 0;
+        });
+    }
+}
+
+// new EntityClass(...args), from the class's pool when it has one
+function acquireEntity(EntityClass, ...args) {
+    return window.entityPools ? window.entityPools.acquire(EntityClass, ...args) : new EntityClass(...args);
+}
+
+if (typeof window !== 'undefined') {
+    window.EntityPoolManager = EntityPoolManager;
+    window.entityPools = new EntityPoolManager();
+    window.acquireEntity = acquireEntity;
+}
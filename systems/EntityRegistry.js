@@ -0,0 +1,159 @@
+// Entity Registry - Stable IDs, species tags and lookup for every simulated entity
+// Each entity gets a monotonically increasing id and a species tag (see SpeciesRegistry) in its constructor, so "tuna #42"
+// means the same fish across frames, saves and logs. GameEntities keeps one registry in sync with its
+// arrays and announces spawns and removals (see EntityLifecycle) so systems holding per-entity Maps
+// can release them.
+
+class EntityRegistry {
+    constructor() {
+        this.entities = new Map();   // id -> entity
+        this.bySpecies = new Map();  // species -> Set of entities
+        this.spawnListeners = [];
+        this.removalListeners = [];
+    }
+
+    // Give a freshly constructed entity its id and species (called from entity constructors)
+    static assignIdentity(entity) {
+        if (entity.id === undefined) {
+            entity.id = EntityRegistry.nextId++;
+            const species = window.speciesRegistry ? window.speciesRegistry.getByClassName(entity.constructor.name) : null;
+            entity.species = species ? species.id : entity.constructor.name;
+            entity.spawnTick = window.SimClock ? window.SimClock.tick : 0;
+        }
+        return entity.id;
+    }
+
+    // Counter state for world snapshots - restored worlds keep handing out unused ids
+    static getState() {
+        return { nextId: EntityRegistry.nextId };
+    }
+
+    static setState(saved) {
+        if (saved && saved.nextId) {
+            EntityRegistry.nextId = saved.nextId;
+        }
+    }
+
+    // Spawn phase - add an entity and tell every spawn listener
+    register(entity, announce = true) {
+        EntityRegistry.assignIdentity(entity);
+        if (this.entities.get(entity.id) === entity) return entity.id;
+
+        this.entities.set(entity.id, entity);
+        if (!this.bySpecies.has(entity.species)) {
+            this.bySpecies.set(entity.species, new Set());
+        }
+        this.bySpecies.get(entity.species).add(entity);
+        if (announce) this.notify(this.spawnListeners, entity, 'spawn');
+        return entity.id;
+    }
+
+    // Removal phase - drop an entity and tell every listener (with its recorded death) so they can release it
+    unregister(entity) {
+        if (!entity || this.entities.get(entity.id) !== entity) return false;
+
+        this.entities.delete(entity.id);
+        const speciesSet = this.bySpecies.get(entity.species);
+        if (speciesSet) speciesSet.delete(entity);
+
+        this.notify(this.removalListeners, entity, 'removal');
+        return true;
+    }
+
+    // A failing listener must never break the tick that spawned or removed the entity
+    notify(listeners, entity, phase) {
+        listeners.forEach(listener => {
+            try {
+                listener(entity, entity.death || null);
+            } catch (error) {
+                console.error(`❌ Entity ${phase} listener failed for ${entity.species} #${entity.id}:`, error);
+            }
+        });
+    }
+
+    // Listen for spawns - returns an unsubscribe function
+    onSpawned(listener) {
+        return this.addListener(this.spawnListeners, listener);
+    }
+
+    // Listen for removals: listener(entity, death) - returns an unsubscribe function
+    onRemoved(listener) {
+        return this.addListener(this.removalListeners, listener);
+    }
+
+    addListener(listeners, listener) {
+        listeners.push(listener);
+        return () => {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) listeners.splice(index, 1);
+        };
+    }
+
+    // Match the registry to the entity arrays: register newcomers, unregister anything no longer in a world array
+    // (removals that bypassed GameEntities.removeEntityAt are announced here with cause 'removed')
+    sync(entityArrays, announce = true) {
+        const present = new Set();
+        entityArrays.forEach(array => {
+            for (let i = 0; i < array.length; i++) {
+                const entity = array[i];
+                this.register(entity, announce);
+                present.add(entity);
+            }
+        });
+
+        const removed = [];
+        this.entities.forEach(entity => {
+            if (!present.has(entity)) removed.push(entity);
+        });
+        removed.forEach(entity => {
+            EntityLifecycle.kill(entity, DEATH_CAUSES.REMOVED);
+            this.unregister(entity);
+        });
+        return removed.length;
+    }
+
+    get(id) {
+        return this.entities.get(id) || null;
+    }
+
+    has(id) {
+        return this.entities.has(id);
+    }
+
+    getBySpecies(species) {
+        const speciesSet = this.bySpecies.get(species);
+        return speciesSet ? Array.from(speciesSet) : [];
+    }
+
+    countBySpecies() {
+        const counts = {};
+        this.bySpecies.forEach((speciesSet, species) => {
+            counts[species] = speciesSet.size;
+        });
+        return counts;
+    }
+
+    forEach(callback) {
+        this.entities.forEach(entity => callback(entity, entity.id));
+    }
+
+    [Symbol.iterator]() {
+        return this.entities.values();
+    }
+
+    get size() {
+        return this.entities.size;
+    }
+
+    // Forget everything without announcing (world replaced by a snapshot)
+    clear() {
+        this.entities.clear();
+        this.bySpecies.clear();
+    }
+}
+
+EntityRegistry.nextId = 1;
+
+if (typeof window !== 'undefined') {
+    window.EntityRegistry = EntityRegistry;
+}
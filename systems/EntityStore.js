@@ -0,0 +1,218 @@
+// Entity Store - Structure-of-arrays storage for the high-count species (krill and fry)
+// Opt-in with ?storage=soa in the URL (or window.ENTITY_STORAGE = 'soa' before the scripts load, as the headless
+// runner and the simulation worker do). Position, velocity, acceleration, behaviour state and the per-tick timers
+// then live in typed arrays indexed by a slot, and the entity objects become handles: install() puts accessors on
+// the class prototype, so krill.x, krill.velocity.x and krill.behaviorState read and write the arrays and the
+// tuna, squid and lifecycle code that works on individual entities keeps working unchanged.
+//
+// A slot is taken in the Entity constructor and given back when the entity registry announces the removal.
+// Released handles keep their last values as plain properties, so a stale reference (a squid's grabbed prey,
+// the camera target) never reads whichever entity reuses the slot.
+//
+// Float32 storage rounds differently from plain numbers, so a world run in this mode does not replay
+// tick-for-tick in the default mode (and the other way round).
+
+// Per-entity scalar columns - every one is a Float32Array except behaviorState, stored as a code into stateNames
+const ENTITY_STORE_SCALARS = ['x', 'y', 'animationFrame', 'lastNearbyUpdate', 'restStartTime', 'maturationTimer', 'offspringTimer'];
+// Vector fields and their x/y columns
+const ENTITY_STORE_VECTORS = {
+    velocity: ['vx', 'vy'],
+    acceleration: ['ax', 'ay']
+};
+
+class EntityStore {
+    constructor(capacity = 1024) {
+        this.capacity = 0;
+        this.owners = [];        // slot -> entity (null when free)
+        this.freeSlots = [];
+        this.stateCodes = new Map([[undefined, 0]]); // behaviour state string -> code
+        this.stateNames = [undefined];               // code -> behaviour state string
+        this.columns = [...ENTITY_STORE_SCALARS];
+        Object.values(ENTITY_STORE_VECTORS).forEach(([xColumn, yColumn]) => this.columns.push(xColumn, yColumn));
+        this.columns.forEach(column => {
+            this[column] = new Float32Array(0);
+        });
+        this.state = new Uint8Array(0);
+        this.grow(capacity);
+    }
+
+    // Give an entity class stored accessors for the listed fields (subclasses inherit them)
+    install(EntityClass, fields) {
+        const store = this;
+        const proto = EntityClass.prototype;
+        proto.entityStore = store;
+
+        fields.forEach(field => {
+            if (ENTITY_STORE_VECTORS[field]) {
+                Object.defineProperty(proto, field, {
+                    configurable: true,
+                    get() { return this.storeVectors[field]; },
+                    set(vector) { store.writeVector(this.storeSlot, field, vector); }
+                });
+            } else if (field === 'behaviorState') {
+                Object.defineProperty(proto, field, {
+                    configurable: true,
+                    get() { return store.stateNames[store.state[this.storeSlot]]; },
+                    set(state) { store.state[this.storeSlot] = store.getStateCode(state); }
+                });
+            } else if (ENTITY_STORE_SCALARS.includes(field)) {
+                Object.defineProperty(proto, field, {
+                    configurable: true,
+                    get() { return store[field][this.storeSlot]; },
+                    set(value) { store[field][this.storeSlot] = value; }
+                });
+            } else {
+                throw new Error(`EntityStore has no column for ${field}`);
+            }
+        });
+
+        // Snapshots read the stored fields through getStoredFields - remember which ones this class has
+        const inherited = Object.getPrototypeOf(proto).storedFields || [];
+        proto.storedFields = [...new Set([...inherited, ...fields])];
+    }
+
+    // Called first thing in the Entity constructor - hidden slot and vector views, so snapshots skip them
+    attach(entity) {
+        const slot = this.allocate(entity);
+        Object.defineProperty(entity, 'storeSlot', { value: slot, writable: true, configurable: true });
+        const vectors = {};
+        Object.keys(ENTITY_STORE_VECTORS).forEach(field => {
+            vectors[field] = new StoredVector(this, entity, field);
+        });
+        Object.defineProperty(entity, 'storeVectors', { value: vectors, writable: true, configurable: true });
+    }
+
+    allocate(entity) {
+        if (this.freeSlots.length === 0) {
+            this.grow(this.capacity * 2);
+        }
+        const slot = this.freeSlots.pop();
+        this.owners[slot] = entity;
+        this.columns.forEach(column => {
+            this[column][slot] = 0;
+        });
+        this.state[slot] = 0;
+        return slot;
+    }
+
+    // Freeze the entity's stored values into plain properties and hand its slot back
+    release(entity) {
+        const slot = entity.storeSlot;
+        if (slot === undefined || slot < 0 || this.owners[slot] !== entity) return;
+
+        const values = this.getStoredFields(entity);
+        Object.keys(values).forEach(field => {
+            Object.defineProperty(entity, field, { value: values[field], writable: true, enumerable: true, configurable: true });
+        });
+        entity.storeSlot = -1;
+
+        this.owners[slot] = null;
+        this.freeSlots.push(slot);
+    }
+
+    // Release every stored entity isLive rejects (constructed but never added to the world, or replaced by a snapshot)
+    reclaim(isLive) {
+        let released = 0;
+        for (let slot = 0; slot < this.capacity; slot++) {
+            const entity = this.owners[slot];
+            if (entity && !isLive(entity)) {
+                this.release(entity);
+                released++;
+            }
+        }
+        return released;
+    }
+
+    // Plain copies of the stored fields (snapshots, release)
+    getStoredFields(entity) {
+        const values = {};
+        (entity.storedFields || []).forEach(field => {
+            const value = entity[field];
+            values[field] = ENTITY_STORE_VECTORS[field] ? { x: value.x, y: value.y } : value;
+        });
+        return values;
+    }
+
+    writeVector(slot, field, vector) {
+        const [xColumn, yColumn] = ENTITY_STORE_VECTORS[field];
+        this[xColumn][slot] = vector ? vector.x : 0;
+        this[yColumn][slot] = vector ? vector.y : 0;
+    }
+
+    getStateCode(state) {
+        let code = this.stateCodes.get(state);
+        if (code === undefined) {
+            if (this.stateNames.length > 255) {
+                throw new Error(`EntityStore ran out of behaviour state codes at '${state}'`);
+            }
+            code = this.stateNames.length;
+            this.stateNames.push(state);
+            this.stateCodes.set(state, code);
+        }
+        return code;
+    }
+
+    // Double the columns - the handles read through the store, so replacing the arrays is safe
+    grow(capacity) {
+        const oldCapacity = this.capacity;
+        this.columns.forEach(column => {
+            const grown = new Float32Array(capacity);
+            grown.set(this[column]);
+            this[column] = grown;
+        });
+        const grownState = new Uint8Array(capacity);
+        grownState.set(this.state);
+        this.state = grownState;
+
+        // Hand out low slots first so live entities stay packed at the front of the arrays
+        for (let slot = capacity - 1; slot >= oldCapacity; slot--) {
+            this.owners[slot] = null;
+            this.freeSlots.push(slot);
+        }
+        this.capacity = capacity;
+    }
+
+    getStats() {
+        return {
+            capacity: this.capacity,
+            used: this.capacity - this.freeSlots.length,
+            states: this.stateNames.length - 1,
+            bytes: this.capacity * (this.columns.length * 4 + 1)
+        };
+    }
+}
+
+// Handle for one entity's velocity or acceleration - x and y read straight from the store's columns
+class StoredVector {
+    constructor(store, entity, field) {
+        this.store = store;
+        this.entity = entity;
+        [this.xColumn, this.yColumn] = ENTITY_STORE_VECTORS[field];
+    }
+
+    get x() { return this.store[this.xColumn][this.entity.storeSlot]; }
+    set x(value) { this.store[this.xColumn][this.entity.storeSlot] = value; }
+    get y() { return this.store[this.yColumn][this.entity.storeSlot]; }
+    set y(value) { this.store[this.yColumn][this.entity.storeSlot] = value; }
+}
+
+// 'soa' from a preset window.ENTITY_STORAGE (headless runs, the worker), then ?storage=soa in the URL
+function getEntityStorageMode() {
+    if (typeof window === 'undefined') return 'objects';
+    if (window.ENTITY_STORAGE) return window.ENTITY_STORAGE;
+    if (window.location && window.location.search) {
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('storage')) return params.get('storage');
+    }
+    return 'objects';
+}
+
+if (typeof window !== 'undefined') {
+    window.EntityStore = EntityStore;
+    window.getEntityStorageMode = getEntityStorageMode;
+    // Only the typed-array mode has a store - entity files install their stored fields when it exists
+    window.entityStore = getEntityStorageMode() === 'soa' ? new EntityStore() : null;
+    if (window.entityStore) {
+        console.log('🧮 Entity store: krill and fry use structure-of-arrays storage');
+    }
+}
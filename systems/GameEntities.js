@@ -3,26 +3,32 @@
 
 class GameEntities {
     constructor() {
-        this.fish = [];
-        this.predators = [];
-        this.krill = [];
-        this.paleKrill = [];
-        this.momKrill = [];
+        // One array per registered species array (several species may share one, e.g. fry and truefry in fish)
+        if (window.speciesRegistry) {
+            window.speciesRegistry.getArrayNames().forEach(name => {
+                this[name] = [];
+            });
+        }
         this.truefry = [];
-        this.fishFood = [];
-        this.fishEggs = [];
-        this.fertilizedEggs = [];
-        this.sperm = [];
-        this.poop = [];
         this.bubbles = [];
-        this.squid = [];
         
         // Initialize entity counter
         this.entityCounter = window.EntityCounter ? new window.EntityCounter() : null;
         
+        // Stable id / species lookup for everything in the entity arrays
+        this.entityRegistry = window.EntityRegistry ? new window.EntityRegistry() : null;
+        
         // Initialize optimization systems
         this.initializeOptimizationSystems();
         
+        // Render interpolation between fixed simulation ticks
+        this.renderInterpolation = {
+            MAX_INTERPOLATION_JUMP: 200 // Larger per-tick moves are teleports - draw at the new position
+        };
+        
+        // Contact checks only look this far for fry (largest fry 32px + largest item 20px, halved, plus slack)
+        this.contactReach = 40;
+        
         // Fish spawning system is only used for initialization, not stored as instance variable
         
         // Initialize fry fertilization system
@@ -37,6 +43,34 @@ class GameEntities {
         this.frySpawningSystem = window.FrySpawningSystem ? new window.FrySpawningSystem() : null;
         console.log('🐟 Fry spawning system initialized:', !!this.frySpawningSystem);
         
+        // Fry systems key their cooldowns by entity id - release them when a fry leaves the world
+        // (the spatial grid drops the entity too, so neighbour queries never return removed entities)
+        if (this.entityRegistry) {
+            this.entityRegistry.onRemoved(entity => {
+                if (this.fryEggLayingSystem) this.fryEggLayingSystem.forgetFry(entity);
+                if (this.frySpawningSystem) this.frySpawningSystem.forgetFry(entity);
+                if (this.nutrientFieldSystem) this.nutrientFieldSystem.onEntityRemoved(entity);
+                if (this.spatialPartitioning) this.spatialPartitioning.removeEntity(entity);
+                if (window.entityStore) window.entityStore.release(entity);
+                if (window.entityPools) window.entityPools.release(entity);
+            });
+        }
+        
+        // Energy use and starvation for every species that declares a metabolism
+        this.metabolismSystem = window.MetabolismSystem ? new window.MetabolismSystem() : null;
+        
+        // Life stages and death by old age for every species that declares aging
+        this.agingSystem = window.AgingSystem ? new window.AgingSystem() : null;
+        
+        // Tuna schooling, spawning and hatching
+        this.tunaSpawningSystem = window.TunaSpawningSystem ? new window.TunaSpawningSystem() : null;
+        
+        // Squid mating, paralarvae settling and growth
+        this.squidLifecycleSystem = window.SquidLifecycleSystem ? new window.SquidLifecycleSystem() : null;
+        
+        // Nutrients from poop and carcasses, and the plankton krill graze on
+        this.nutrientFieldSystem = window.NutrientFieldSystem ? new window.NutrientFieldSystem() : null;
+        
         // Initialize tuna pooping system
         this.tunaPoopingSystem = window.TunaPoopingSystem ? new window.TunaPoopingSystem() : null;
         console.log('🐟 Tuna pooping system initialized:', !!this.tunaPoopingSystem);
@@ -117,24 +151,19 @@ class GameEntities {
     setupBatchProcessing() {
         // Register fish batch processing (regular fry only) - smaller batch size for better responsiveness
         this.batchProcessing.registerBatchType('fry', (fry, index) => {
-            fry.update(this.fish, this.predators, this.fishFood, 
-                       [...this.krill, ...this.paleKrill, ...this.momKrill], 
-                       this.poop, this.fertilizedEggs);
+            fry.update();
         });
         // Register truefry batch processing - smaller batch size for better responsiveness
         this.batchProcessing.registerBatchType('truefry', (truefry, index) => {
-            truefry.update(this.fish, this.predators, this.fishFood, 
-                       [...this.krill, ...this.paleKrill, ...this.momKrill], 
-                       this.poop, this.fertilizedEggs);
+            truefry.update();
         });
         // Register predator batch processing
         this.batchProcessing.registerBatchType('predator', (predator, index) => {
-            predator.update(this.fish, [...this.krill, ...this.paleKrill, ...this.momKrill], this.squid);
+            predator.update(this.squid);
         });
         // Register krill batch processing - smaller batch size for better responsiveness
         this.batchProcessing.registerBatchType('krill', (krill, index) => {
-            krill.update([...this.krill, ...this.paleKrill, ...this.momKrill], 
-                        this.predators, this.fishFood, this.poop);
+            krill.update();
         });
         
         // Register bubble batch processing for optimized ambient effects
@@ -149,60 +178,23 @@ class GameEntities {
         // No need for separate batch processor
     }
     
-    // Update spatial partitioning for all entities
+    // Update spatial partitioning for all entities - each species array under its spatial type (see SpeciesRegistry)
+    // Only entities that changed cell move; removed entities leave through the entity registry's removal hook
     updateSpatialPartitioning() {
         if (!this.spatialPartitioning) return;
         
-        // Update fish positions
-        this.fish.forEach(fish => {
-            this.spatialPartitioning.updateEntity(fish, 'fish');
-        });
-        
-        // Update predators
-        this.predators.forEach(predator => {
-            this.spatialPartitioning.updateEntity(predator, 'predator');
-        });
-        
         // Note: Bubble particle system doesn't need spatial partitioning as it uses its own optimized rendering
-        
-        // Update krill
-        this.krill.forEach(krill => {
-            this.spatialPartitioning.updateEntity(krill, 'krill');
-        });
-        
-        this.paleKrill.forEach(krill => {
-            this.spatialPartitioning.updateEntity(krill, 'paleKrill');
-        });
-        
-        this.momKrill.forEach(krill => {
-            this.spatialPartitioning.updateEntity(krill, 'momKrill');
-        });
-        
-        // Update food and other entities
-        this.fishFood.forEach(food => {
-            this.spatialPartitioning.updateEntity(food, 'food');
-        });
-        
-        this.poop.forEach(poop => {
-            this.spatialPartitioning.updateEntity(poop, 'poop');
-        });
-        
-        this.sperm.forEach(sperm => {
-            this.spatialPartitioning.updateEntity(sperm, 'sperm');
-        });
-        
-        this.fishEggs.forEach(egg => {
-            this.spatialPartitioning.updateEntity(egg, 'egg');
-        });
-        
-        this.fertilizedEggs.forEach(egg => {
-            this.spatialPartitioning.updateEntity(egg, 'fertilizedEgg');
+        this.getSpatialArrays().forEach(({ array, type }) => {
+            for (let i = 0; i < array.length; i++) {
+                this.spatialPartitioning.updateEntity(array[i], type);
+            }
         });
         
         // Update performance stats periodically
-        if (window.gameState && window.gameState.frameCount - this.spatialStats.lastUpdate > this.spatialStats.updateInterval) {
+        const tick = window.SimClock ? window.SimClock.tick : (window.gameState ? window.gameState.frameCount : 0);
+        if (tick - this.spatialStats.lastUpdate > this.spatialStats.updateInterval) {
             this.spatialPartitioning.logPerformanceStats();
-            this.spatialStats.lastUpdate = window.gameState.frameCount;
+            this.spatialStats.lastUpdate = tick;
         }
     }
     
@@ -217,34 +209,40 @@ class GameEntities {
             console.warn('FishSpawningSystem not available, using fallback spawning');
             this.initializeEcosystemFallback();
         }
+        
+        if (this.agingSystem) {
+            this.agingSystem.scatterAges(this);
+        }
+        
+        this.syncEntityRegistry();
     }
     
     // Fallback spawning method (original implementation)
     initializeEcosystemFallback() {
         // Create initial fish population
         for (let i = 0; i < 180; i++) {
-            const fishType = Math.random() < 0.4 ? window.FISH_TYPES.SMALL_FRY_2 : 
-                           Math.random() < 0.5 ? window.FISH_TYPES.SMALL_FRY_3 : 
+            const fishType = SimRandom.random() < 0.4 ? window.FISH_TYPES.SMALL_FRY_2 : 
+                           SimRandom.random() < 0.5 ? window.FISH_TYPES.SMALL_FRY_3 : 
                            window.FISH_TYPES.SMALL_FRY_4;
             const fish = new window.Boid(fishType);
-            fish.x = Math.random() * window.WORLD_WIDTH;
-            fish.y = Math.random() * window.WORLD_HEIGHT;
+            fish.x = SimRandom.random() * window.WORLD_WIDTH;
+            fish.y = SimRandom.random() * window.WORLD_HEIGHT;
             this.fish.push(fish);
         }
         
         // Create initial krill population (reduced to 220 total)
         for (let i = 0; i < 190; i++) {
             const krill = new window.Krill();
-            krill.x = Math.random() * window.WORLD_WIDTH;
-            krill.y = Math.random() * window.WORLD_HEIGHT;
+            krill.x = SimRandom.random() * window.WORLD_WIDTH;
+            krill.y = SimRandom.random() * window.WORLD_HEIGHT;
             this.krill.push(krill);
         }
         
         // Create initial pale krill population
         for (let i = 0; i < 15; i++) {
             const paleKrill = new window.PaleKrill(
-                Math.random() * window.WORLD_WIDTH,
-                Math.random() * window.WORLD_HEIGHT
+                SimRandom.random() * window.WORLD_WIDTH,
+                SimRandom.random() * window.WORLD_HEIGHT
             );
             this.paleKrill.push(paleKrill);
         }
@@ -252,8 +250,8 @@ class GameEntities {
         // Create initial mom krill population
         for (let i = 0; i < 15; i++) {
             const momKrill = new window.MomKrill(
-                Math.random() * window.WORLD_WIDTH,
-                Math.random() * window.WORLD_HEIGHT
+                SimRandom.random() * window.WORLD_WIDTH,
+                SimRandom.random() * window.WORLD_HEIGHT
             );
             this.momKrill.push(momKrill);
         }
@@ -266,8 +264,8 @@ class GameEntities {
         for (let i = 0; i < 35; i++) {
             const tunaType = 'tuna';
             const predator = new window.Predator(tunaType);
-            predator.x = Math.random() * window.WORLD_WIDTH;
-            predator.y = window.WORLD_HEIGHT * 0.6 + Math.random() * window.WORLD_HEIGHT * 0.3; // 60-90% depth for better overlap with squid
+            predator.x = SimRandom.random() * window.WORLD_WIDTH;
+            predator.y = window.WORLD_HEIGHT * 0.6 + SimRandom.random() * window.WORLD_HEIGHT * 0.3; // 60-90% depth for better overlap with squid
             this.predators.push(predator);
         }
         
@@ -312,219 +310,68 @@ class GameEntities {
         });
     }
     
-    // Spawn entities based on spawn mode
+    // Spawn entities based on spawn mode (each species declares its count, spread and constructor)
     spawnEntity(spawnMode, x, y) {
-        const centerX = x;
-        const centerY = y;
-        const spreadRadius = 100;
-        
-        if (spawnMode === 'food') {
-            // Spawn 5-10 fish food with random spread
-            const foodCount = 5 + Math.floor(Math.random() * 6); // 5-10
-            for (let i = 0; i < foodCount; i++) {
-                const angle = Math.random() * Math.PI * 2;
-                const distance = Math.random() * spreadRadius;
-                const spawnX = centerX + Math.cos(angle) * distance;
-                const spawnY = centerY + Math.sin(angle) * distance;
-                const newFood = new window.FishFood(spawnX, spawnY);
-                this.fishFood.push(newFood);
-            }
-            if (this.entityCounter) {
-                this.entityCounter.trackPlayerSpawn('food', foodCount);
-            }
-        } else if (spawnMode === 'krill') {
-            // Spawn krill with spread
-            const krillCount = 3 + Math.floor(Math.random() * 3); // 3-5 krill
-            
-            for (let i = 0; i < krillCount; i++) {
-                const angle = Math.random() * Math.PI * 2;
-                const distance = Math.random() * spreadRadius;
-                const spawnX = centerX + Math.cos(angle) * distance;
-                const spawnY = centerY + Math.sin(angle) * distance;
-                
-                const newKrill = new window.Krill();
-                newKrill.x = spawnX;
-                newKrill.y = spawnY;
-                this.krill.push(newKrill);
-            }
-            
-            if (this.entityCounter) {
-                this.entityCounter.trackPlayerSpawn('krill', krillCount);
-            }
-        } else if (spawnMode === 'poop') {
-            // Spawn 3-5 poop with random spread (like fish food)
-            const poopCount = 3 + Math.floor(Math.random() * 3); // 3-5 poop
-            
-            for (let i = 0; i < poopCount; i++) {
-                const angle = Math.random() * Math.PI * 2;
-                const distance = Math.random() * spreadRadius;
-                const spawnX = centerX + Math.cos(angle) * distance;
-                const spawnY = centerY + Math.sin(angle) * distance;
-                
-                const newPoop = new window.Poop(spawnX, spawnY, 'regular');
-                this.poop.push(newPoop);
-            }
-            
-            if (this.entityCounter) {
-                this.entityCounter.trackPlayerSpawn('poop', poopCount);
-            }
-        } else if (spawnMode === 'truefry1') {
-            // Spawn TrueFry1 with spread (1-3)
-            const fryCount = 1 + Math.floor(Math.random() * 3); // 1-3 TrueFry1
-            
-            console.log(`🐟 Attempting to spawn ${fryCount} TrueFry1...`);
-            
-            for (let i = 0; i < fryCount; i++) {
-                const angle = Math.random() * Math.PI * 2;
-                const distance = Math.random() * spreadRadius;
-                const spawnX = centerX + Math.cos(angle) * distance;
-                const spawnY = centerY + Math.sin(angle) * distance;
-                
-                console.log(`🐟 Creating TrueFry1 ${i+1}/${fryCount} at (${spawnX.toFixed(1)}, ${spawnY.toFixed(1)})`);
-                
-                const newTrueFry = new window.TrueFry1(spawnX, spawnY);
-                this.fish.push(newTrueFry);
-                
-                console.log(`🐟 TrueFry1 spawned at (${spawnX.toFixed(1)}, ${spawnY.toFixed(1)}) - fishType: ${newTrueFry.fishType}, added to fish array. Fish count: ${this.fish.length}`);
-            }
-            
-            if (this.entityCounter) {
-                this.entityCounter.trackPlayerSpawn('truefry1', fryCount);
-            }
-        } else if (spawnMode === 'truefry2') {
-            // Spawn TrueFry2 with spread (1-3)
-            const fryCount = 1 + Math.floor(Math.random() * 3); // 1-3 TrueFry2
-            
-            console.log(`🐟 Attempting to spawn ${fryCount} TrueFry2...`);
-            
-            for (let i = 0; i < fryCount; i++) {
-                const angle = Math.random() * Math.PI * 2;
-                const distance = Math.random() * spreadRadius;
-                const spawnX = centerX + Math.cos(angle) * distance;
-                const spawnY = centerY + Math.sin(angle) * distance;
-                
-                console.log(`🐟 Creating TrueFry2 ${i+1}/${fryCount} at (${spawnX.toFixed(1)}, ${spawnY.toFixed(1)})`);
-                
-                const newTrueFry = new window.TrueFry2(spawnX, spawnY);
-                this.fish.push(newTrueFry);
-                
-                console.log(`🐟 TrueFry2 spawned at (${spawnX.toFixed(1)}, ${spawnY.toFixed(1)}) - fishType: ${newTrueFry.fishType}, added to fish array. Fish count: ${this.fish.length}`);
-            }
-            
-            if (this.entityCounter) {
-                this.entityCounter.trackPlayerSpawn('truefry2', fryCount);
-            }
-        } else if (spawnMode === 'fishEggs') {
-            // Spawn fish eggs with spread (1-3) - these need sperm to fertilize
-            const eggCount = 1 + Math.floor(Math.random() * 3); // 1-3 eggs
-            
-            for (let i = 0; i < eggCount; i++) {
-                const angle = Math.random() * Math.PI * 2;
-                const distance = Math.random() * spreadRadius;
-                const spawnX = centerX + Math.cos(angle) * distance;
-                const spawnY = centerY + Math.sin(angle) * distance;
-                
-                const newFishEgg = new window.FishEgg(spawnX, spawnY);
-                this.fishEggs.push(newFishEgg);
-            }
-            
-            if (this.entityCounter) {
-                this.entityCounter.trackPlayerSpawn('fishEggs', eggCount);
-            }
-        } else if (spawnMode === 'sperm') {
-            // Spawn sperm with spread (1-3) - these fertilize fish eggs
-            const spermCount = 1 + Math.floor(Math.random() * 3); // 1-3 sperm
-            
-            for (let i = 0; i < spermCount; i++) {
-                const angle = Math.random() * Math.PI * 2;
-                const distance = Math.random() * spreadRadius;
-                const spawnX = centerX + Math.cos(angle) * distance;
-                const spawnY = centerY + Math.sin(angle) * distance;
-                
-                const newSperm = new window.Sperm(spawnX, spawnY);
-                this.sperm.push(newSperm);
-            }
-            
-            if (this.entityCounter) {
-                this.entityCounter.trackPlayerSpawn('sperm', spermCount);
-            }
-        } else if (spawnMode === 'fertilizedEggs') {
-            // Spawn fertilized eggs with spread (1-3)
-            const eggCount = 1 + Math.floor(Math.random() * 3); // 1-3 eggs
-            
-            for (let i = 0; i < eggCount; i++) {
-                const angle = Math.random() * Math.PI * 2;
-                const distance = Math.random() * spreadRadius;
-                const spawnX = centerX + Math.cos(angle) * distance;
-                const spawnY = centerY + Math.sin(angle) * distance;
-                
-                const newFertilizedEgg = new window.FertilizedEgg(spawnX, spawnY);
-                this.fertilizedEggs.push(newFertilizedEgg);
-            }
-            
-            if (this.entityCounter) {
-                this.entityCounter.trackPlayerSpawn('fertilizedEggs', eggCount);
-            }
-        } else if (spawnMode === 'fry') {
-            // Spawn small fry with spread
-            const fryCount = 1 + Math.floor(Math.random() * 5); // 1-5 fry
-            const fryTypes = [window.FISH_TYPES.SMALL_FRY_2, window.FISH_TYPES.SMALL_FRY_3, window.FISH_TYPES.SMALL_FRY_4];
-            
-            for (let i = 0; i < fryCount; i++) {
-                const angle = Math.random() * Math.PI * 2;
-                const distance = Math.random() * spreadRadius;
-                const spawnX = centerX + Math.cos(angle) * distance;
-                const spawnY = centerY + Math.sin(angle) * distance;
-                
-                const randomFryType = fryTypes[Math.floor(Math.random() * fryTypes.length)];
-                const newFry = new window.Boid(randomFryType);
-                newFry.x = spawnX;
-                newFry.y = spawnY;
-                this.fish.push(newFry);
-            }
-            
-            if (this.entityCounter) {
-                this.entityCounter.trackPlayerSpawn('fry', fryCount);
-            }
-        } else if (spawnMode === 'tuna') {
-            // Spawn tuna with spread
-            const tunaCount = 1 + Math.floor(Math.random() * 3); // 1-3 tuna
-            const tunaTypes = ['tuna'];
-            
-            for (let i = 0; i < tunaCount; i++) {
-                const angle = Math.random() * Math.PI * 2;
-                const distance = Math.random() * spreadRadius;
-                const spawnX = centerX + Math.cos(angle) * distance;
-                const spawnY = centerY + Math.sin(angle) * distance;
-                
-                const randomTunaType = tunaTypes[Math.floor(Math.random() * tunaTypes.length)];
-                const newTuna = new window.Predator(randomTunaType);
-                newTuna.x = spawnX;
-                newTuna.y = spawnY;
-                this.predators.push(newTuna);
-            }
-            
-            if (this.entityCounter) {
-                this.entityCounter.trackPlayerSpawn('tuna', tunaCount);
-            }
-        } else if (spawnMode === 'squid') {
-            // Spawn a single giant squid
-            const newSquid = new window.GiantSquid(centerX, centerY);
-            this.squid.push(newSquid);
-            
-            console.log('Giant squid spawned at:', centerX, centerY);
-            
-            if (this.entityCounter) {
-                this.entityCounter.trackPlayerSpawn('squid', 1);
+        const species = window.speciesRegistry ? window.speciesRegistry.getSpawnMode(spawnMode) : null;
+        if (!species) return;
+        
+        const spawn = species.spawn;
+        const [minCount, maxCount] = spawn.count;
+        const count = minCount === maxCount ? minCount : minCount + Math.floor(SimRandom.random() * (maxCount - minCount + 1));
+        const entities = this[species.array];
+        
+        for (let i = 0; i < count; i++) {
+            let spawnX = x;
+            let spawnY = y;
+            if (spawn.spread > 0) {
+                const angle = SimRandom.random() * Math.PI * 2;
+                const distance = SimRandom.random() * spawn.spread;
+                spawnX = x + Math.cos(angle) * distance;
+                spawnY = y + Math.sin(angle) * distance;
             }
+            entities.push(spawn.create(spawnX, spawnY, this));
+        }
+        
+        this.publishPlayerSpawn(spawnMode, count, x, y);
+        
+        // Spawned entities are looked up by id right away, not only after the next tick
+        this.syncEntityRegistry();
+    }
+    
+    // Announce a player spawn on the ecosystem event bus (EntityCounter tracks it from there)
+    publishPlayerSpawn(spawnType, amount, x, y) {
+        if (window.ecosystemEvents) {
+            window.ecosystemEvents.publish(window.ECOSYSTEM_EVENTS.PLAYER_SPAWNED, {
+                x,
+                y,
+                cause: 'player',
+                details: { spawnType, amount }
+            });
+        } else if (this.entityCounter) {
+            this.entityCounter.trackPlayerSpawn(spawnType, amount);
         }
     }
     
-    // Update all entities with optimization systems
+    // Advance the simulation by one fixed tick (SimClock.stepMs of simulation time)
     update() {
+        // Each subsystem is timed as a section of the frame budget (utils/frameProfiler.js)
+        const profiler = window.frameProfiler;
+        
+        // Remember pre-tick positions for render interpolation, then move simulation time forward
+        this.storePreviousPositions();
+        if (window.SimClock) {
+            window.SimClock.advance();
+        }
+        
         // Update spatial partitioning first
+        profiler?.begin('spatial grid');
         this.updateSpatialPartitioning();
         
+        if (this.lodSystem) {
+            this.lodSystem.beginTick();
+        }
+        profiler?.end();
+        
         // Update performance monitoring
         if (this.performanceMonitoring) {
             this.performanceMonitoring.update();
@@ -538,6 +385,7 @@ class GameEntities {
         };
         
         // Update bubble particle system if available
+        profiler?.begin('bubbles');
         if (this.bubbleParticleSystem) {
             this.bubbleParticleSystem.update();
         } else {
@@ -546,177 +394,25 @@ class GameEntities {
                 this.bubbles[i].update();
             }
         }
+        profiler?.end();
         
-        // Update fish food using optimization system if available
-        if (window.FishFoodMovementSystem) {
-            // Batch update all fish food
-            window.FishFoodMovementSystem.updateAllFishFood(this.fishFood);
-            
-            // Still need to check if eaten by fish/krill (individual check)
-            for (let i = this.fishFood.length - 1; i >= 0; i--) {
-                const food = this.fishFood[i];
-                if (food.checkEaten(this.fish) || food.eaten) {
-                    this.fishFood.splice(i, 1);
-                }
-            }
-        } else {
-            // Fallback: Original individual update
-        for (let i = this.fishFood.length - 1; i >= 0; i--) {
-            const food = this.fishFood[i];
-            food.update();
-            
-            if (food.checkEaten(this.fish) || food.eaten) {
-                this.fishFood.splice(i, 1);
-                }
-            }
-        }
-        
-        // Update fish eggs
-        for (let i = this.fishEggs.length - 1; i >= 0; i--) {
-            const egg = this.fishEggs[i];
-            egg.update();
-            
-            if (egg.eaten) {
-                this.fishEggs.splice(i, 1);
-            }
-        }
-        
-        // Update fertilized eggs (so they can hatch)
-        for (let i = this.fertilizedEggs.length - 1; i >= 0; i--) {
-            const egg = this.fertilizedEggs[i];
-            egg.update();
-            
-            // Remove expired eggs
-            if (egg.eaten) {
-                this.fertilizedEggs.splice(i, 1);
-            }
-        }
-        
-        // Handle sperm in optimized loop
-        for (let i = this.sperm.length - 1; i >= 0; i--) {
-            const sperm = this.sperm[i];
-            sperm.update();
-            
-            if (sperm.checkEaten(this.fish) || sperm.eaten) {
-                this.sperm.splice(i, 1);
-            }
-        }
-        
-        // Process sperm fertilization system (actual sperm-egg collisions)
-        if (window.SpermFertilizationSystem) {
-            window.SpermFertilizationSystem.processSpermFertilization(this.sperm, this.fishEggs, this);
-        }
-        
-        // Update poop using optimization system if available
-        if (window.PoopMovementSystem) {
-            // First, handle state 1 -> 2 transitions for all poop (must be done before batch processing)
-            // Also update state timers for all poop
-            for (let i = 0; i < this.poop.length; i++) {
-                const poop = this.poop[i];
-                if (poop.isActive) {
-                    poop.stateTimer += 16;
-                    // State 1 -> State 2 after 5 seconds
-                    if (poop.state === 1 && poop.stateTimer >= poop.maxAge) {
-                        poop.state = 2;
-                        poop.stateTimer = 0;
-                    }
-                }
-            }
-            
-            // Batch update poop2 and poop3 (returns unprocessed poop1)
-            const unprocessedPoop1 = window.PoopMovementSystem.batchUpdate(this.poop);
-            
-            // Update remaining poop1 individually (not optimized, uses fallback)
-            if (unprocessedPoop1 && Array.isArray(unprocessedPoop1)) {
-                for (let i = 0; i < unprocessedPoop1.length; i++) {
-                    unprocessedPoop1[i].updateFallback();
-                }
-            }
-            
-            // Remove eaten/inactive poop
-            for (let i = this.poop.length - 1; i >= 0; i--) {
-                const poop = this.poop[i];
-                if (poop.checkEaten(this.fish) || !poop.isActive) {
-                    this.poop.splice(i, 1);
-                }
-            }
-        } else {
-            // Fallback: Original individual update
-        for (let i = this.poop.length - 1; i >= 0; i--) {
-            const poop = this.poop[i];
-            poop.update();
-            
-                if (poop.checkEaten(this.fish) || !poop.isActive) {
-                this.poop.splice(i, 1);
-                }
-            }
-        }
+        // Food, eggs, sperm and poop (each species' update slot, dead entities swept after each)
+        this.updateSpeciesPhase(window.SPECIES_UPDATE_PHASES.ENVIRONMENT);
         
         // Update bubble systems (prioritize optimized system)
+        profiler?.begin('bubbles');
         if (this.bubbleSystem) {
             this.bubbleSystem.update();
         } else if (this.bubbleParticleSystem) {
             this.bubbleParticleSystem.update();
         }
+        profiler?.end();
         
-        // Use batch processing for main entities if available
-        if (this.batchProcessing) {
-            // Temporarily disable batch processing for all entities to ensure smooth movement
-            // Process all entities with traditional updates for better responsiveness
-            
-            // Process predators (tuna) with traditional updates
-            this.predators.forEach(p => {
-                p.update(this.fish, [...this.krill, ...this.paleKrill, ...this.momKrill], this.squid);
-            });
-            
-            // Process krill and fry with traditional updates for better responsiveness
-            this.krill.forEach(k => {
-                k.update([...this.krill, ...this.paleKrill, ...this.momKrill], this.predators, this.fishFood, this.poop, this.sperm);
-            });
-            
-            this.paleKrill.forEach(pk => {
-                pk.update([...this.krill, ...this.paleKrill, ...this.momKrill], this.predators, this.fishFood, this.poop, this.sperm);
-            });
-            
-            this.momKrill.forEach(mk => {
-                mk.update([...this.krill, ...this.paleKrill, ...this.momKrill], this.predators, this.fishFood, this.poop, this.sperm);
-            });
-            
-            // Process all fish (both regular fry and truefry) with traditional updates
-            this.fish.forEach(f => {
-                f.update(this.fish, this.predators, this.fishFood, 
-                        [...this.krill, ...this.paleKrill, ...this.momKrill], 
-                        this.poop, this.fertilizedEggs);
-            });
-            
-            // Debug logging for entity counts
-            if (window.gameState?.fryDebug) {
-                console.log(`🐟 Processing: ${this.fish.length} fish, ${this.predators.length} predators, ${this.krill.length + this.paleKrill.length + this.momKrill.length} krill`);
-            }
-        } else {
-            // Fallback to traditional updates
-            this.fish.forEach(f => {
-                f.update(this.fish, this.predators, this.fishFood, [...this.krill, ...this.paleKrill, ...this.momKrill], this.poop, this.fertilizedEggs);
-            });
-            
-            this.predators.forEach(p => {
-                p.update(this.fish, [...this.krill, ...this.paleKrill, ...this.momKrill], this.squid);
-            });
-            
-            this.krill.forEach(k => {
-                k.update([...this.krill, ...this.paleKrill, ...this.momKrill], this.predators, this.fishFood, this.poop, this.sperm);
-            });
-            
-            this.paleKrill.forEach(pk => {
-                pk.update([...this.krill, ...this.paleKrill, ...this.momKrill], this.predators, this.fishFood, this.poop, this.sperm);
-            });
-            
-            this.momKrill.forEach(mk => {
-                mk.update([...this.krill, ...this.paleKrill, ...this.momKrill], this.predators, this.fishFood, this.poop, this.sperm);
-            });
-        }
+        // Tuna, krill and fry
+        this.updateSpeciesPhase(window.SPECIES_UPDATE_PHASES.CREATURES);
         
         // Process fry egg laying system
+        profiler?.begin('fry breeding');
         if (this.fryEggLayingSystem) {
             this.fryEggLayingSystem.processAllFry(this.fish, this);
         }
@@ -732,8 +428,10 @@ class GameEntities {
         } else if (window.gameState?.fryDebug) {
             console.warn(`🐟 Fry spawning system not available!`);
         }
+        profiler?.end();
         
         // Process truefry hatching system
+        profiler?.begin('truefry lifecycle');
         if (this.truefryHatchingSystem) {
             if (window.ConsoleDebugSystem) {
                 window.ConsoleDebugSystem.log('FRY', `Calling truefry hatching system with ${this.fertilizedEggs.length} fertilized eggs`);
@@ -763,7 +461,7 @@ class GameEntities {
                     
                     if (transformation && transformation.newEntity) {
                         // Remove the old entity from fish array
-                        this.fish.splice(i, 1);
+                        this.removeEntityAt(this.fish, i, DEATH_CAUSES.TRANSFORMED);
                         
                         if (window.gameState?.fryDebug) {
                             console.log(`🐟 TrueFry transformation successful: ${fish.fishType} → ${transformation.newEntity.fishType}`);
@@ -780,7 +478,7 @@ class GameEntities {
                 
                 if (transformation && transformation.newEntity) {
                     // Remove the old entity from truefry array
-                    this.truefry.splice(i, 1);
+                    this.removeEntityAt(this.truefry, i, DEATH_CAUSES.TRANSFORMED);
                     
                     if (window.gameState?.fryDebug) {
                         console.log(`🐟 TrueFry transformation successful: ${truefry.fishType} → ${transformation.newEntity.fishType}`);
@@ -790,27 +488,359 @@ class GameEntities {
         } else if (window.gameState?.fryDebug) {
             console.warn(`🐟 TrueFry transformation system not available!`);
         }
+        profiler?.end();
+        
+        profiler?.begin('tuna breeding');
+        if (this.tunaSpawningSystem) {
+            this.tunaSpawningSystem.update(this.predators, this.tunaEggs, this);
+        }
+        profiler?.end();
+        
+        profiler?.begin('squid lifecycle');
+        if (this.squidLifecycleSystem) {
+            this.squidLifecycleSystem.update(this);
+        }
+        profiler?.end();
         
         // Process tuna pooping system
+        profiler?.begin('tuna pooping');
         if (this.tunaPoopingSystem) {
             this.tunaPoopingSystem.update(this.predators, this);
         }
+        profiler?.end();
+        
+        // Poop and carcasses feed the nutrient field, plankton grows where the light reaches it
+        profiler?.begin('nutrient field');
+        if (this.nutrientFieldSystem) {
+            this.nutrientFieldSystem.update(this);
+        }
+        profiler?.end();
         
         // Handle krill lifecycle transformations
+        profiler?.begin('krill lifecycle');
         this.updateKrillLifecycle();
+        profiler?.end();
         
-        // Update squid
-        this.squid.forEach(s => {
-            s.update(this.fish, this.predators, [...this.krill, ...this.paleKrill, ...this.momKrill]);
-        });
+        // Squid and anything else that reacts to the settled world
+        this.updateSpeciesPhase(window.SPECIES_UPDATE_PHASES.LATE);
+        
+        // Everyone has moved, hunted and eaten - pay for it, and sweep out whoever starved
+        profiler?.begin('metabolism');
+        if (this.metabolismSystem) {
+            this.metabolismSystem.update(this);
+        }
+        profiler?.end();
+        
+        profiler?.begin('aging');
+        if (this.agingSystem) {
+            this.agingSystem.update(this);
+        }
+        profiler?.end();
         
         // Clean up optimization systems
+        profiler?.begin('bookkeeping');
         this.cleanupOptimizationSystems();
 
+        // Register newborns and announce everything removed during this tick
+        this.syncEntityRegistry();
+        if (window.gameState && window.gameState.frameCount % 600 === 0) {
+            this.reclaimEntityStore();
+        }
+        // This tick's removals can be reused from the next tick on
+        if (window.entityPools && this.entityRegistry) {
+            window.entityPools.endTick(entity => this.entityRegistry.get(entity.id) === entity);
+        }
+        
         // --- FIX: Update population counter every frame ---
         if (this.entityCounter) {
             this.entityCounter.updateWorldCounts(this, window.ObjectPools);
         }
+        profiler?.end();
+        
+        // Optional validation of the settled world (systems/InvariantChecker.js)
+        if (window.invariantChecker && window.invariantChecker.enabled) {
+            profiler?.begin('invariants');
+            window.invariantChecker.check(this);
+            profiler?.end();
+        }
+    }
+    
+    // Run every registered species' update slot in one tick phase, then sweep out its dead entities
+    updateSpeciesPhase(phase) {
+        if (!window.speciesRegistry) return;
+        
+        window.speciesRegistry.getUpdates(phase).forEach(species => {
+            const entities = this[species.array];
+            if (!entities) return;
+            window.frameProfiler?.begin(species.id);
+            species.update.run(this, entities);
+            this.removeDeadEntities(entities);
+            window.frameProfiler?.end();
+        });
+    }
+    
+    // Every krill stage in one list (built fresh for each caller - krill moult mid-tick)
+    // Perception goes through findNearby() - this is only for fallbacks that need the whole population
+    getAllKrill() {
+        return [...this.krill, ...this.paleKrill, ...this.momKrill];
+    }
+    
+    // Perception query - entities of the given spatial type(s) within radius of (x, y), excluding `exclude`
+    findNearby(x, y, radius, types = null, exclude = null) {
+        if (this.spatialPartitioning) {
+            return this.spatialPartitioning.queryRadius(x, y, radius, types, exclude);
+        }
+        
+        // No grid - scan the arrays holding those types
+        const wanted = types === null ? null : (Array.isArray(types) ? types : [types]);
+        const radiusSquared = radius * radius;
+        const nearby = [];
+        this.getSpatialArrays().forEach(({ array, type }) => {
+            if (wanted && !wanted.includes(type)) return;
+            for (let i = 0; i < array.length; i++) {
+                const entity = array[i];
+                if (entity === exclude) continue;
+                const dx = entity.x - x;
+                const dy = entity.y - y;
+                if (dx * dx + dy * dy < radiusSquared) nearby.push(entity);
+            }
+        });
+        return nearby;
+    }
+    
+    // Fry that could touch a small item (food, poop, sperm)
+    findFishInReach(item) {
+        return this.findNearby(item.x, item.y, this.contactReach, 'fish');
+    }
+    
+    // Species arrays paired with the spatial type they are indexed under
+    getSpatialArrays() {
+        if (!window.speciesRegistry) return [];
+        return window.speciesRegistry.getSpatialTypes()
+            .map(({ array, type }) => ({ array: this[array], type }))
+            .filter(entry => entry.array);
+    }
+    
+    // Update fish food using optimization system if available
+    updateFishFood() {
+        if (window.FishFoodMovementSystem) {
+            // Batch update all fish food
+            window.FishFoodMovementSystem.updateAllFishFood(this.fishFood);
+            
+            // Still need to check if eaten by fish/krill (individual check)
+            for (let i = this.fishFood.length - 1; i >= 0; i--) {
+                this.fishFood[i].checkEaten(this.findFishInReach(this.fishFood[i]));
+            }
+        } else {
+            // Fallback: Original individual update
+            for (let i = this.fishFood.length - 1; i >= 0; i--) {
+                const food = this.fishFood[i];
+                food.update();
+                food.checkEaten(this.findFishInReach(food));
+            }
+        }
+    }
+    
+    updateFishEggs() {
+        for (let i = this.fishEggs.length - 1; i >= 0; i--) {
+            this.fishEggs[i].update();
+        }
+    }
+    
+    // Fertilized eggs count down so they can hatch - expired eggs are removed by the sweep
+    updateFertilizedEggs() {
+        for (let i = this.fertilizedEggs.length - 1; i >= 0; i--) {
+            this.fertilizedEggs[i].update();
+        }
+    }
+    
+    // Tuna eggs drift and count down - TunaSpawningSystem hatches them, expired eggs are removed by the sweep
+    updateTunaEggs() {
+        for (let i = this.tunaEggs.length - 1; i >= 0; i--) {
+            this.tunaEggs[i].update();
+        }
+    }
+    
+    // Paralarvae feed near the surface - SquidLifecycleSystem settles the grown ones into young squid
+    updateSquidParalarvae() {
+        for (let i = this.squidParalarvae.length - 1; i >= 0; i--) {
+            this.squidParalarvae[i].update(this);
+        }
+    }
+    
+    updateSperm() {
+        for (let i = this.sperm.length - 1; i >= 0; i--) {
+            const sperm = this.sperm[i];
+            sperm.update();
+            sperm.checkEaten(this.findFishInReach(sperm));
+        }
+        this.removeDeadEntities(this.sperm);
+        
+        // Process sperm fertilization system (actual sperm-egg collisions)
+        if (window.SpermFertilizationSystem) {
+            window.SpermFertilizationSystem.processSpermFertilization(this.sperm, this.fishEggs, this);
+        }
+    }
+    
+    // Update poop using optimization system if available
+    updatePoop() {
+        if (window.PoopMovementSystem) {
+            // First, handle state 1 -> 2 transitions for all poop (must be done before batch processing)
+            // Also update state timers for all poop
+            for (let i = 0; i < this.poop.length; i++) {
+                const poop = this.poop[i];
+                if (poop.isActive) {
+                    poop.stateTimer += SimClock.stepMs;
+                    // State 1 -> State 2 after 5 seconds
+                    if (poop.state === 1 && poop.stateTimer >= poop.maxAge) {
+                        poop.state = 2;
+                        poop.stateTimer = 0;
+                    }
+                }
+            }
+            
+            // Batch update poop2 and poop3 (returns unprocessed poop1)
+            const unprocessedPoop1 = window.PoopMovementSystem.batchUpdate(this.poop);
+            
+            // Update remaining poop1 individually (not optimized, uses fallback)
+            if (unprocessedPoop1 && Array.isArray(unprocessedPoop1)) {
+                for (let i = 0; i < unprocessedPoop1.length; i++) {
+                    unprocessedPoop1[i].updateFallback();
+                }
+            }
+            
+            // Check if eaten by fish
+            for (let i = this.poop.length - 1; i >= 0; i--) {
+                this.poop[i].checkEaten(this.findFishInReach(this.poop[i]));
+            }
+        } else {
+            // Fallback: Original individual update
+            for (let i = this.poop.length - 1; i >= 0; i--) {
+                const poop = this.poop[i];
+                poop.update();
+                poop.checkEaten(this.findFishInReach(poop));
+            }
+        }
+    }
+    
+    // Process predators (tuna) - prey and threats come from the spatial grid
+    updatePredators() {
+        this.predators.forEach(p => {
+            p.update(this.squid);
+        });
+    }
+    
+    // Regular, pale and mom krill share one update - each stage has its own array, neighbours come from the grid
+    updateKrill(krillArray) {
+        krillArray.forEach(k => {
+            this.updateWithLOD(k);
+        });
+    }
+    
+    // Process all fish (both regular fry and truefry) - flockmates, threats and food come from the grid
+    updateFish() {
+        this.fish.forEach(f => {
+            this.updateWithLOD(f);
+        });
+        
+        // Debug logging for entity counts
+        if (window.gameState?.fryDebug) {
+            console.log(`🐟 Processing: ${this.fish.length} fish, ${this.predators.length} predators, ${this.krill.length + this.paleKrill.length + this.momKrill.length} krill`);
+        }
+    }
+    
+    // Distance LOD for krill and fry - far from the view focus they run their AI every few ticks and coast between,
+    // with each decision's steering scaled by the ticks it covers (tuna and squid always think every tick)
+    updateWithLOD(entity) {
+        const lodSystem = this.lodSystem;
+        if (!lodSystem || !lodSystem.isActive()) {
+            entity.update();
+            return;
+        }
+        
+        const ticks = lodSystem.scheduleUpdate(entity, SimClock.tick);
+        if (ticks === 0) {
+            entity.coast();
+            return;
+        }
+        
+        const previousVx = entity.velocity.x;
+        const previousVy = entity.velocity.y;
+        entity.update();
+        if (ticks > 1) {
+            lodSystem.scaleSteering(entity, previousVx, previousVy, ticks);
+        }
+    }
+    
+    updateSquid() {
+        this.squid.forEach(s => {
+            s.update(this.fish, this.predators);
+        });
+    }
+    
+    // Removal phase - take one entity out of its array, record its death and announce the removal
+    // The last entity moves into the freed slot (no splice shifting the array), so loops that remove while
+    // iterating must run backwards - everything past the index has been visited already
+    removeEntityAt(array, index, cause, killer = null) {
+        const entity = array[index];
+        if (!entity) return null;
+        
+        EntityLifecycle.kill(entity, cause, killer);
+        const last = array.pop();
+        if (index < array.length) array[index] = last;
+        if (this.entityRegistry) {
+            this.entityRegistry.unregister(entity);
+        }
+        return entity;
+    }
+    
+    removeEntity(array, entity, cause, killer = null) {
+        const index = array.indexOf(entity);
+        return index === -1 ? null : this.removeEntityAt(array, index, cause, killer);
+    }
+    
+    // Sweep every dead entity out of an array (they already recorded their cause of death)
+    removeDeadEntities(array) {
+        for (let i = array.length - 1; i >= 0; i--) {
+            if (EntityLifecycle.isDead(array[i])) {
+                this.removeEntityAt(array, i, DEATH_CAUSES.REMOVED);
+            }
+        }
+    }
+    
+    // Entity arrays tracked by the entity registry (bubbles are effects, not entities)
+    getRegisteredArrays() {
+        return this.getSpeciesArrays().concat([this.truefry]);
+    }
+    
+    // The arrays registered species live in
+    getSpeciesArrays() {
+        return window.speciesRegistry ? window.speciesRegistry.getArrayNames().map(name => this[name]) : [];
+    }
+    
+    // Bring the registry in line with the entity arrays (announce = false when a snapshot replaced the world)
+    syncEntityRegistry(announce = true) {
+        if (this.entityRegistry) {
+            this.entityRegistry.sync(this.getRegisteredArrays(), announce);
+        }
+    }
+    
+    // Free the store slots of krill and fry that are not in the world (built and dropped without ever being
+    // registered, or replaced by a snapshot) - the registry only announces removals of entities it knew
+    reclaimEntityStore() {
+        if (!window.entityStore || !this.entityRegistry) return 0;
+        return window.entityStore.reclaim(entity => this.entityRegistry.get(entity.id) === entity);
+    }
+    
+    // The world array an entity lives in, through its species
+    getArrayFor(entity) {
+        const species = window.speciesRegistry ? window.speciesRegistry.get(entity.species) : null;
+        return species ? this[species.array] || null : null;
+    }
+    
+    // Look up a live entity by its stable id
+    getEntityById(id) {
+        return this.entityRegistry ? this.entityRegistry.get(id) : null;
     }
     
     // Clean up optimization systems
@@ -909,8 +939,77 @@ class GameEntities {
         }
     }
     
+    // Entity arrays drawn at interpolated positions between simulation ticks
+    getInterpolatedArrays() {
+        return this.getSpeciesArrays();
+    }
+    
+    // Store every entity's position before a tick so rendering can blend towards the new one
+    storePreviousPositions() {
+        const arrays = this.getInterpolatedArrays();
+        for (let a = 0; a < arrays.length; a++) {
+            const entities = arrays[a];
+            for (let i = 0; i < entities.length; i++) {
+                entities[i].prevX = entities[i].x;
+                entities[i].prevY = entities[i].y;
+            }
+        }
+    }
+    
+    // Temporarily move entities to prev + (current - prev) * alpha for drawing
+    applyRenderInterpolation(alpha) {
+        const maxJump = this.renderInterpolation.MAX_INTERPOLATION_JUMP;
+        const arrays = this.getInterpolatedArrays();
+        for (let a = 0; a < arrays.length; a++) {
+            const entities = arrays[a];
+            for (let i = 0; i < entities.length; i++) {
+                const e = entities[i];
+                e.simX = e.x;
+                e.simY = e.y;
+                // New entities have no previous position, teleports (edge wrap, transformations) snap
+                if (e.prevX === undefined || Math.abs(e.x - e.prevX) > maxJump || Math.abs(e.y - e.prevY) > maxJump) continue;
+                e.x = e.prevX + (e.x - e.prevX) * alpha;
+                e.y = e.prevY + (e.y - e.prevY) * alpha;
+            }
+        }
+    }
+    
+    // Put simulation positions back after drawing
+    restoreSimulationPositions() {
+        const arrays = this.getInterpolatedArrays();
+        for (let a = 0; a < arrays.length; a++) {
+            const entities = arrays[a];
+            for (let i = 0; i < entities.length; i++) {
+                const e = entities[i];
+                if (e.simX === undefined) continue;
+                e.x = e.simX;
+                e.y = e.simY;
+            }
+        }
+    }
+    
+    // Draw all entities, interpolated by alpha (0 = previous tick, 1 = latest tick), for the view of this camera
+    draw(alpha = 1, camera = null) {
+        const interpolate = alpha < 1;
+        if (interpolate) {
+            window.frameProfiler?.begin('interpolation');
+            this.applyRenderInterpolation(alpha);
+            window.frameProfiler?.end();
+        }
+        
+        try {
+            this.drawEntities(camera);
+        } finally {
+            if (interpolate) {
+                window.frameProfiler?.begin('interpolation');
+                this.restoreSimulationPositions();
+                window.frameProfiler?.end();
+            }
+        }
+    }
+    
     // Draw all entities with enhanced rendering
-    draw() {
+    drawEntities(camera = null) {
         // Debug: Log krill counts
         if (window.gameState?.krillDebug) {
             if (window.ConsoleDebugSystem) {
@@ -918,9 +1017,23 @@ class GameEntities {
             }
         }
         
+        // Each group is timed as a section of the frame budget (utils/frameProfiler.js)
+        const profiler = window.frameProfiler;
+        
+        // Plankton haze behind everything else
+        if (this.nutrientFieldSystem && camera) {
+            profiler?.begin('plankton');
+            this.nutrientFieldSystem.draw(window.ctx, camera);
+            profiler?.end();
+        }
+        
         // Use enhanced rendering system if available
         if (this.enhancedRendering) {
+            // Zoomed far out, krill and fry hand over to density impostors
+            this.enhancedRendering.beginFrame(camera);
+            
             // Draw regular krill with enhanced rendering
+            profiler?.begin('krill');
             this.krill.forEach(krill => {
                 this.enhancedRendering.renderEntity(krill, 'krill');
             });
@@ -934,29 +1047,46 @@ class GameEntities {
             this.momKrill.forEach(momKrill => {
                 this.enhancedRendering.renderEntity(momKrill, 'krill');
             });
+            profiler?.end();
             
             // Draw fish with enhanced rendering
+            profiler?.begin('fry');
             this.fish.forEach(fish => {
                 this.enhancedRendering.renderEntity(fish, 'boid');
             });
+            profiler?.end();
+            
+            // Density splats for the krill and fry that dissolved out above
+            if (this.enhancedRendering.impostorBlend > 0) {
+                profiler?.begin('density impostors');
+                this.enhancedRendering.renderImpostors(window.ctx, this.spatialPartitioning, camera);
+                profiler?.end();
+            }
             
             // Draw predators with enhanced rendering
+            profiler?.begin('tuna');
             this.predators.forEach(predator => {
                 this.enhancedRendering.renderEntity(predator, 'predator');
             });
+            profiler?.end();
         } else {
             // Fallback to traditional rendering
-            this.drawTraditional();
+            profiler?.begin('creatures');
+            this.drawTraditional(camera);
+            profiler?.end();
         }
         
         // Draw bubble systems (prioritize optimized system)
+        profiler?.begin('bubbles');
         if (this.bubbleSystem) {
             this.bubbleSystem.render();
         } else if (this.bubbleParticleSystem) {
             this.bubbleParticleSystem.render();
         }
+        profiler?.end();
         
         // Draw fish food and poop
+        profiler?.begin('food, eggs and poop');
         this.fishFood.forEach(food => food.draw());
         
         // Use optimized egg rendering systems
@@ -987,20 +1117,35 @@ class GameEntities {
             // Fallback to individual rendering
             this.poop.forEach(poop => poop.draw());
         }
+        profiler?.end();
         
         // Draw squid
+        profiler?.begin('squid');
         this.squid.forEach(s => {
             s.draw();
         });
+        profiler?.end();
+        
+        // Species that bring their own renderer
+        if (window.speciesRegistry) {
+            window.speciesRegistry.getDrawers().forEach(species => {
+                profiler?.begin(species.id);
+                species.draw(this, this[species.array]);
+                profiler?.end();
+            });
+        }
         
-        // Draw debug information
-        if (this.debugViewSystem && window.camera) {
-            this.debugViewSystem.draw(window.ctx, this, window.camera);
+        // Draw debug information (the quality governor drops it on its lower tiers)
+        const debugAllowed = !window.qualityGovernor || window.qualityGovernor.allowsDebugOverlays();
+        if (this.debugViewSystem && camera && debugAllowed) {
+            profiler?.begin('debug view');
+            this.debugViewSystem.draw(window.ctx, this, camera);
+            profiler?.end();
         }
     }
     
     // Traditional drawing method (fallback)
-    drawTraditional() {
+    drawTraditional(camera = null) {
         // Draw regular krill
         for (let krill of this.krill) {
             if (window.krillRenderingSystem) {
@@ -1052,7 +1197,7 @@ class GameEntities {
                         window.ConsoleDebugSystem.log('RENDERING', `Drawing TrueFry: ${f.fishType} at (${f.x.toFixed(1)}, ${f.y.toFixed(1)})`, 'debug');
                     }
                 }
-                f.draw(window.ctx, window.camera);
+                f.draw(window.ctx, camera);
             } else {
                 // Regular fish use their own draw method
                 f.draw();
@@ -1069,6 +1214,8 @@ class GameEntities {
         const report = {
             spatialPartitioning: this.spatialPartitioning ? this.spatialPartitioning.getStats() : null,
             objectPooling: this.enhancedObjectPools ? this.enhancedObjectPools.getStats() : null,
+            entityPools: window.entityPools ? window.entityPools.getStats() : null,
+            tintedSprites: window.tintedSprites ? window.tintedSprites.getStats() : null,
             batchProcessing: this.batchProcessing ? this.batchProcessing.getStats() : null,
             lodSystem: this.lodSystem ? this.lodSystem.getStats() : null,
             rendering: this.enhancedRendering ? this.enhancedRendering.getStats() : null,
@@ -1083,18 +1230,17 @@ class GameEntities {
         const trueFry1 = this.fish.filter(f => f.constructor.name === 'TrueFry1').length;
         const trueFry2 = this.fish.filter(f => f.constructor.name === 'TrueFry2').length;
         const regularFry = this.fish.filter(f => f.constructor.name !== 'TrueFry1' && f.constructor.name !== 'TrueFry2').length;
+        
+        // Every species array, so newly registered creatures show up without being listed here
+        const counts = {};
+        const arrayNames = window.speciesRegistry ? window.speciesRegistry.getArrayNames() : [];
+        arrayNames.forEach(name => {
+            if (this[name]) counts[name] = this[name].length;
+        });
+        
         return {
-            fish: this.fish.length,
-            krill: this.krill.length,
-            paleKrill: this.paleKrill.length,
-            momKrill: this.momKrill.length,
-            predators: this.predators.length,
-            squid: this.squid.length,
+            ...counts,
             bubbles: this.bubbleSystem ? this.bubbleSystem.maxBubbles : (this.bubbleParticleSystem ? this.bubbleParticleSystem.maxParticles : this.bubbles.length),
-            fishFood: this.fishFood.length,
-            poop: this.poop.length,
-            fishEggs: this.fishEggs.length,
-            fertilizedEggs: this.fertilizedEggs.length,
             trueFry1,
             trueFry2,
             regularFry
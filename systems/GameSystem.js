@@ -89,13 +89,13 @@ class GameSystem {
         switch(mode) {
             case 'food':
                 if (window.FishFood) {
-                    this.addEntity('food', new window.FishFood(x, y));
+                    this.addEntity('food', window.acquireEntity(window.FishFood, x, y));
                 }
                 break;
             case 'krill':
                 for (let i = 0; i < 5; i++) {
-                    const offsetX = (Math.random() - 0.5) * 100;
-                    const offsetY = (Math.random() - 0.5) * 100;
+                    const offsetX = (SimRandom.random() - 0.5) * 100;
+                    const offsetY = (SimRandom.random() - 0.5) * 100;
                     if (window.Krill) {
                         this.addEntity('krill', new window.Krill(x + offsetX, y + offsetY));
                     }
@@ -103,15 +103,15 @@ class GameSystem {
                 break;
             case 'poop':
                 if (window.Poop) {
-                    this.addEntity('poop', new window.Poop(x, y));
+                    this.addEntity('poop', window.acquireEntity(window.Poop, x, y));
                 }
                 break;
             case 'fry':
                 const fishTypes = [FISH_TYPES.SMALL_FRY_2, FISH_TYPES.SMALL_FRY_3, FISH_TYPES.SMALL_FRY_4];
                 for (let i = 0; i < 8; i++) {
-                    const offsetX = (Math.random() - 0.5) * 120;
-                    const offsetY = (Math.random() - 0.5) * 120;
-                    const fishType = fishTypes[Math.floor(Math.random() * fishTypes.length)];
+                    const offsetX = (SimRandom.random() - 0.5) * 120;
+                    const offsetY = (SimRandom.random() - 0.5) * 120;
+                    const fishType = fishTypes[Math.floor(SimRandom.random() * fishTypes.length)];
                     if (window.Boid) {
                         this.addEntity('boids', new window.Boid(fishType));
                     }
@@ -146,9 +146,9 @@ class GameSystem {
         // Create initial boids (small fish)
         const fishTypes = [FISH_TYPES.SMALL_FRY_2, FISH_TYPES.SMALL_FRY_3, FISH_TYPES.SMALL_FRY_4];
         for (let i = 0; i < 0; i++) {
-            const fishType = fishTypes[Math.floor(Math.random() * fishTypes.length)];
-            const x = Math.random() * WORLD_WIDTH;
-            const y = Math.random() * WORLD_HEIGHT;
+            const fishType = fishTypes[Math.floor(SimRandom.random() * fishTypes.length)];
+            const x = SimRandom.random() * WORLD_WIDTH;
+            const y = SimRandom.random() * WORLD_HEIGHT;
             if (window.Boid) {
                 this.addEntity('boids', new window.Boid(fishType));
             }
@@ -156,8 +156,8 @@ class GameSystem {
 
         // Create initial krill
         for (let i = 0; i < 60; i++) {
-            const x = Math.random() * WORLD_WIDTH;
-            const y = Math.random() * WORLD_HEIGHT;
+            const x = SimRandom.random() * WORLD_WIDTH;
+            const y = SimRandom.random() * WORLD_HEIGHT;
             if (window.Krill) {
                 this.addEntity('krill', new window.Krill(x, y));
             }
@@ -165,8 +165,8 @@ class GameSystem {
 
         // Create initial predators (tuna)
         for (let i = 0; i < 3; i++) {
-            const x = Math.random() * WORLD_WIDTH;
-            const y = Math.random() * WORLD_HEIGHT;
+            const x = SimRandom.random() * WORLD_WIDTH;
+            const y = SimRandom.random() * WORLD_HEIGHT;
             if (window.Predator) {
                 this.addEntity('predators', new window.Predator(x, y));
             }
@@ -174,8 +174,8 @@ class GameSystem {
 
         // Create initial giant squids
         for (let i = 0; i < 1; i++) {
-            const x = Math.random() * WORLD_WIDTH;
-            const y = WORLD_HEIGHT * 0.8 + Math.random() * WORLD_HEIGHT * 0.2; // Deep water
+            const x = SimRandom.random() * WORLD_WIDTH;
+            const y = WORLD_HEIGHT * 0.8 + SimRandom.random() * WORLD_HEIGHT * 0.2; // Deep water
             if (window.GiantSquid) {
                 this.addEntity('giantSquids', new window.GiantSquid(x, y));
             }
@@ -183,8 +183,8 @@ class GameSystem {
 
         // Create some ambient bubbles - increased to 100 for enhanced atmosphere
         for (let i = 0; i < 100; i++) {
-            const x = Math.random() * WORLD_WIDTH;
-            const y = Math.random() * WORLD_HEIGHT;
+            const x = SimRandom.random() * WORLD_WIDTH;
+            const y = SimRandom.random() * WORLD_HEIGHT;
             if (window.Bubble) {
                 this.addEntity('bubbles', new window.Bubble(x, y));
             }
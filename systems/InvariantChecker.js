@@ -0,0 +1,281 @@
+// Invariant Checker - Optional pass after every tick that validates the world before corruption spreads
+// Every entity of every species is checked for a finite position inside the world, a finite and sane velocity,
+// membership in exactly one GameEntities array under its registered id, entity references (targets) that point at
+// live entities, and the timers and state fields its species declares through registerSpecies({ invariants }).
+//
+// A failure goes to onViolation as a report with the entity's dumped state - game.js pauses and highlights the
+// entity, the simulation worker forwards it to the page, the headless runner stops. Each entity and check is
+// reported once, so resuming after a look does not stop on the same fault again.
+// Opt in with ?invariants in the URL, window.INVARIANT_CHECKS = true before the scripts load, or the pause menu.
+
+class InvariantChecker {
+    constructor() {
+        this.config = {
+            BOUNDS_MARGIN: 500,     // pixels an entity may stray past the world edge (spawns and bounces overshoot)
+            MAX_SPEED: 300,         // pixels per tick - no creature legitimately moves this fast
+            TARGET_GRACE_TICKS: 10  // ticks a target may stay dangling before its holder notices (LOD AI coasts up to 8)
+        };
+
+        this.enabled = InvariantChecker.isRequested();
+        this.onViolation = null;
+        this.lastViolation = null;
+        this.violations = 0;
+        this.checkedTicks = 0;
+
+        this.reported = new Set();       // 'id:check' pairs already reported
+        this.danglingSince = new Map();  // 'id:field' -> first tick the target was seen dangling
+        this.owners = new Map();         // entity -> array name, rebuilt every check
+    }
+
+    // window.INVARIANT_CHECKS (headless runs, the worker), then ?invariants in the URL
+    static isRequested() {
+        if (typeof window === 'undefined') return false;
+        if (window.INVARIANT_CHECKS !== undefined && window.INVARIANT_CHECKS !== null) return !!window.INVARIANT_CHECKS;
+        if (window.location && window.location.search) {
+            return new URLSearchParams(window.location.search).has('invariants');
+        }
+        return false;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        this.danglingSince.clear();
+        console.log(`🩺 Invariant checks ${this.enabled ? 'on' : 'off'}`);
+    }
+
+    // Called by GameEntities at the end of every tick - returns the number of new violations
+    check(gameEntities) {
+        if (!this.enabled || !gameEntities || !window.speciesRegistry) return 0;
+        const tick = window.SimClock ? window.SimClock.tick : 0;
+        const arrayNames = window.speciesRegistry.getArrayNames();
+        const failures = [];
+        this.checkedTicks++;
+
+        // Positions, velocities and membership - one owner array per entity
+        this.owners.clear();
+        arrayNames.forEach(arrayName => {
+            const entities = gameEntities[arrayName];
+            if (!entities) return;
+            for (let i = 0; i < entities.length; i++) {
+                const entity = entities[i];
+                if (!entity) {
+                    failures.push({ entity: null, arrayName, check: 'membership', message: `empty slot ${i} in ${arrayName}` });
+                    continue;
+                }
+                const owner = this.owners.get(entity);
+                if (owner !== undefined) {
+                    failures.push({ entity, arrayName, check: 'membership', message: `also in ${owner}` });
+                    continue;
+                }
+                this.owners.set(entity, arrayName);
+                const species = window.speciesRegistry.get(entity.species);
+                const margin = species && species.invariants && species.invariants.margin !== undefined
+                    ? species.invariants.margin : this.config.BOUNDS_MARGIN;
+                this.checkMotion(entity, arrayName, margin, failures);
+                if (gameEntities.entityRegistry && gameEntities.entityRegistry.get(entity.id) !== entity) {
+                    failures.push({ entity, arrayName, check: 'membership', message: `not registered under id ${entity.id}` });
+                }
+            }
+        });
+
+        // What each species declares - needs the complete owner map for target liveness
+        const dangling = new Map();
+        this.owners.forEach((arrayName, entity) => {
+            const species = window.speciesRegistry.get(entity.species);
+            if (species && species.invariants) {
+                this.checkSpecies(entity, arrayName, species.invariants, tick, dangling, failures);
+            }
+        });
+        this.danglingSince = dangling;
+
+        let reportedNow = 0;
+        failures.forEach(failure => {
+            const key = `${failure.entity ? failure.entity.id : failure.arrayName}:${failure.check}`;
+            if (this.reported.has(key)) return;
+            this.reported.add(key);
+            this.report(failure, tick);
+            reportedNow++;
+        });
+        return reportedNow;
+    }
+
+    checkMotion(entity, arrayName, margin, failures) {
+        const { MAX_SPEED } = this.config;
+        const x = entity.x;
+        const y = entity.y;
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+            failures.push({ entity, arrayName, check: 'position', message: `position is (${x}, ${y})` });
+        } else {
+            const width = window.WORLD_WIDTH || 12000;
+            const height = window.WORLD_HEIGHT || 8000;
+            if (x < -margin || x > width + margin || y < -margin || y > height + margin) {
+                failures.push({ entity, arrayName, check: 'bounds', message: `escaped the world at (${x.toFixed(0)}, ${y.toFixed(0)})` });
+            }
+        }
+
+        const velocity = entity.velocity;
+        if (!velocity) return;
+        if (!Number.isFinite(velocity.x) || !Number.isFinite(velocity.y)) {
+            failures.push({ entity, arrayName, check: 'velocity', message: `velocity is (${velocity.x}, ${velocity.y})` });
+        } else if (velocity.x * velocity.x + velocity.y * velocity.y > MAX_SPEED * MAX_SPEED) {
+            const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+            failures.push({ entity, arrayName, check: 'velocity', message: `speed ${speed.toFixed(1)} is over ${MAX_SPEED} per tick` });
+        }
+    }
+
+    // invariants: { states: { field: [allowed values] }, timers: { field: [min, max] }, targets: [field, ...],
+    //               margin: pixels past the world edge the species may roam (default BOUNDS_MARGIN) }
+    checkSpecies(entity, arrayName, invariants, tick, dangling, failures) {
+        if (invariants.states) {
+            for (const field in invariants.states) {
+                const value = entity[field];
+                if (!invariants.states[field].includes(value)) {
+                    failures.push({ entity, arrayName, check: `state:${field}`, message: `${field} is ${JSON.stringify(value)}` });
+                }
+            }
+        }
+
+        if (invariants.timers) {
+            for (const field in invariants.timers) {
+                const value = entity[field];
+                if (value === undefined) continue;
+                const [min, max] = invariants.timers[field];
+                if (!Number.isFinite(value) || value < min || value > max) {
+                    failures.push({ entity, arrayName, check: `timer:${field}`, message: `${field} is ${value}, outside [${min}, ${max}]` });
+                }
+            }
+        }
+
+        if (invariants.targets) {
+            invariants.targets.forEach(field => {
+                const target = entity[field];
+                // Only entity references - points and other plain objects are not tracked
+                if (!target || target.species === undefined || this.owners.has(target)) return;
+
+                const key = `${entity.id}:${field}`;
+                const since = this.danglingSince.has(key) ? this.danglingSince.get(key) : tick;
+                dangling.set(key, since);
+                if (tick - since >= this.config.TARGET_GRACE_TICKS) {
+                    failures.push({
+                        entity, arrayName, check: `target:${field}`,
+                        message: `${field} has pointed at removed ${this.describe(target)} for ${tick - since} ticks`
+                    });
+                }
+            });
+        }
+    }
+
+    report(failure, tick) {
+        const entity = failure.entity;
+        const report = {
+            tick,
+            check: failure.check,
+            message: failure.message,
+            arrayName: failure.arrayName,
+            entity: entity ? this.describe(entity) : null,
+            id: entity ? entity.id : null,
+            x: entity && Number.isFinite(entity.x) ? entity.x : null,
+            y: entity && Number.isFinite(entity.y) ? entity.y : null,
+            state: entity ? this.dumpState(entity) : null
+        };
+        this.violations++;
+        this.lastViolation = report;
+
+        console.error(`🩺 Invariant broken on tick ${tick}: ${report.entity || report.arrayName} - ${report.message}`, report.state);
+        if (this.onViolation) {
+            this.onViolation(report);
+        }
+    }
+
+    // A report from the simulation worker, handled as if this checker had found it
+    receive(report) {
+        this.violations++;
+        this.lastViolation = report;
+        console.error(`🩺 Invariant broken on tick ${report.tick}: ${report.entity || report.arrayName} - ${report.message}`, report.state);
+        if (this.onViolation) {
+            this.onViolation(report);
+        }
+    }
+
+    describe(entity) {
+        return `${entity.species || entity.constructor.name} #${entity.id}`;
+    }
+
+    // Plain copy of an entity's fields - references to other entities become their names, functions are left out
+    dumpState(entity) {
+        const state = { x: entity.x, y: entity.y };
+        if (entity.velocity) {
+            state.velocity = { x: entity.velocity.x, y: entity.velocity.y };
+        }
+        Object.keys(entity).forEach(key => {
+            if (key in state) return;
+            state[key] = this.dumpValue(entity[key], 0);
+        });
+        return state;
+    }
+
+    dumpValue(value, depth) {
+        if (value === null || typeof value !== 'object') {
+            return typeof value === 'function' ? undefined : value;
+        }
+        if (value.species !== undefined && value.id !== undefined) return this.describe(value);
+        if (Array.isArray(value)) {
+            return depth > 0 ? `[${value.length} items]` : value.slice(0, 10).map(item => this.dumpValue(item, depth + 1));
+        }
+        if (depth > 0) return `{${value.constructor ? value.constructor.name : 'Object'}}`;
+        const copy = {};
+        Object.keys(value).forEach(key => {
+            copy[key] = this.dumpValue(value[key], depth + 1);
+        });
+        return copy;
+    }
+
+    // Forget reported faults (a new world was loaded)
+    reset() {
+        this.reported.clear();
+        this.danglingSince.clear();
+        this.lastViolation = null;
+    }
+
+    getStats() {
+        return {
+            enabled: this.enabled,
+            checkedTicks: this.checkedTicks,
+            violations: this.violations,
+            lastViolation: this.lastViolation
+        };
+    }
+
+    // Ring and label around the offending entity (world coordinates, after the entities are drawn)
+    drawHighlight(ctx) {
+        const report = this.lastViolation;
+        if (!report) return;
+
+        // Follow the entity while it is still in the world, else mark where it was
+        const registry = window.gameEntities && window.gameEntities.entityRegistry;
+        const entity = registry && report.id !== null ? registry.get(report.id) : null;
+        const x = entity && Number.isFinite(entity.x) ? entity.x : report.x;
+        const y = entity && Number.isFinite(entity.y) ? entity.y : report.y;
+        if (x === null || y === null) return;
+
+        const radius = Math.max(40, (entity && entity.size) || 0) + 6 * Math.sin(Date.now() / 150);
+        ctx.save();
+        ctx.strokeStyle = '#ff3333';
+        ctx.lineWidth = 4;
+        ctx.setLineDash([12, 8]);
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.font = 'bold 16px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#ff3333';
+        ctx.fillText(`⚠️ ${report.entity || report.arrayName}: ${report.check}`, x, y - radius - 10);
+        ctx.restore();
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.InvariantChecker = InvariantChecker;
+    window.invariantChecker = new InvariantChecker();
+}
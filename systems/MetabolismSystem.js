@@ -0,0 +1,123 @@
+// Metabolism System - Energy, hunger and starvation for every species that declares a metabolism
+// Each tick a creature pays a basal cost for staying alive, a swimming cost that grows with the square of its speed
+// (sprinting at full speed costs four times cruising at half speed) and a hunting cost while it chases prey.
+// Bursts such as squid jets are charged when they happen (spend), and eating restores energy from the eater's food
+// table (feed with a known amount, or eat() to look the prey up in the species' diet). Hunger is the empty share of
+// the energy store, so AI code can ask isHungry() to put food ahead of everything but fleeing.
+// A creature whose energy runs out starves: it is killed with DEATH_CAUSES.STARVED and swept out this tick.
+//
+// Species opt in through registerSpecies({ metabolism }) (see SpeciesRegistry.js); the numbers live in their configs.
+
+class MetabolismSystem {
+    constructor() {
+        this.starved = {}; // species -> deaths by starvation
+    }
+
+    // The species' metabolism, or null for entities that do not eat (eggs, food, poop)
+    static get(entity) {
+        const species = window.speciesRegistry && entity ? window.speciesRegistry.get(entity.species) : null;
+        return species && species.metabolism ? species.metabolism : null;
+    }
+
+    // Share of a full energy store, 0 (starving) to 1 (full)
+    static getEnergyShare(entity) {
+        const metabolism = MetabolismSystem.get(entity);
+        if (!metabolism) return 1;
+        return Math.max(0, Math.min(1, entity.energy / metabolism.max));
+    }
+
+    // Below the species' hunger line, feeding goes ahead of everything but fleeing
+    static isHungry(entity) {
+        const metabolism = MetabolismSystem.get(entity);
+        return !!metabolism && entity.energy < metabolism.max * metabolism.hungry;
+    }
+
+    // Eating - energy in, capped at a full store
+    static feed(entity, amount) {
+        const metabolism = MetabolismSystem.get(entity);
+        if (!metabolism) return;
+        MetabolismSystem.setEnergy(entity, metabolism, entity.energy + amount);
+    }
+
+    // Eating prey or food by species, from the eater's diet table - returns the energy gained
+    static eat(eater, food) {
+        const metabolism = MetabolismSystem.get(eater);
+        if (!metabolism || !metabolism.diet || !food) return 0;
+        const gain = metabolism.diet[food.species] || 0;
+        MetabolismSystem.setEnergy(eater, metabolism, eater.energy + gain);
+        return gain;
+    }
+
+    // A burst of effort (a jet, a strike) paid for at once
+    static spend(entity, amount) {
+        const metabolism = MetabolismSystem.get(entity);
+        if (!metabolism) return;
+        MetabolismSystem.setEnergy(entity, metabolism, entity.energy - amount);
+    }
+
+    static setEnergy(entity, metabolism, energy) {
+        entity.energy = Math.max(0, Math.min(metabolism.max, energy));
+        // Krill keep their own gut fill next to energy (utils/krillAI.js) - everyone else's hunger is the empty share
+        if (!metabolism.keepsHunger) {
+            entity.hunger = 1 - entity.energy / metabolism.max;
+        }
+    }
+
+    // Called by GameEntities once per tick, after every species has moved
+    update(gameEntities) {
+        if (!window.speciesRegistry) return;
+
+        window.speciesRegistry.getArrayNames().forEach(arrayName => {
+            const entities = gameEntities[arrayName];
+            if (!entities || entities.length === 0) return;
+
+            let starved = false;
+            for (let i = 0; i < entities.length; i++) {
+                const entity = entities[i];
+                const metabolism = MetabolismSystem.get(entity);
+                if (!metabolism || entity.isAlive === false) continue;
+
+                this.burn(entity, metabolism);
+                if (entity.energy <= 0 && EntityLifecycle.kill(entity, DEATH_CAUSES.STARVED)) {
+                    this.starved[entity.species] = (this.starved[entity.species] || 0) + 1;
+                    starved = true;
+                }
+            }
+
+            if (starved) {
+                gameEntities.removeDeadEntities(entities);
+            }
+        });
+    }
+
+    // One tick of living, swimming and (while in a hunting state) chasing
+    burn(entity, metabolism) {
+        let cost = metabolism.basal || 0;
+
+        if (metabolism.swim && entity.velocity && entity.maxSpeed > 0) {
+            const speedSquared = entity.velocity.x * entity.velocity.x + entity.velocity.y * entity.velocity.y;
+            cost += metabolism.swim * Math.min(speedSquared / (entity.maxSpeed * entity.maxSpeed), 4);
+        }
+
+        if (metabolism.hunt && metabolism.hunting) {
+            for (const field in metabolism.hunting) {
+                if (metabolism.hunting[field].includes(entity[field])) {
+                    cost += metabolism.hunt;
+                    break;
+                }
+            }
+        }
+
+        MetabolismSystem.setEnergy(entity, metabolism, entity.energy - cost);
+    }
+
+    getStats() {
+        const total = Object.values(this.starved).reduce((sum, count) => sum + count, 0);
+        return { starved: { ...this.starved }, total };
+    }
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.MetabolismSystem = MetabolismSystem;
+}
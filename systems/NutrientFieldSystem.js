@@ -0,0 +1,306 @@
+// Nutrient Field System - Nutrients and phytoplankton on a coarse grid over the world
+// Poop that sinks into deep water decomposes where it lies, and creatures that starve or die of old age leave a
+// carcass that sinks and rots on its way down; both release nutrients into the cell they are in. Nutrients upwell
+// slowly towards the surface and mix sideways between neighbouring cells. Phytoplankton grows where light (which
+// fades with depth) and nutrients overlap, using up the nutrients it grows on, and dead plankton sinks back down as
+// nutrients one cell lower. Krill graze the plankton (KrillAI.calculateForagingForces / grazePlankton), which closes
+// the food web: a tank keeps itself fed without the player dropping FishFood.
+//
+// The field is plain arrays indexed row by row (row 0 at the surface), so snapshots save it like any other field.
+
+const NUTRIENT_FIELD_CONFIG = {
+    CELL_SIZE: 400,                 // World units per grid cell (30 x 20 cells in a 12000 x 8000 world)
+    INITIAL_NUTRIENTS: 3,           // Per cell at the start - richer towards the bottom (see reset)
+    INITIAL_PLANKTON: 2,            // Per cell at the surface - fading with the light
+
+    // Sources
+    POOP_NUTRIENTS: 2,              // Nutrients held per point of a poop's feedValue
+    POOP_DECAY_RATE: 0.06,          // Share of its remaining nutrients deep-water poop releases per second
+    CARCASS_NUTRIENTS: 0.5,         // Nutrients per unit of body size
+    CARCASS_SINK_SPEED: 0.6,        // World units per tick
+    CARCASS_DECAY_RATE: 0.03,       // Share of its remaining nutrients a carcass releases per second
+    CARCASS_CAUSES: ['starved', 'old-age'], // Deaths that leave a body behind (eaten prey is gone)
+
+    // Transport
+    UPWELLING_RATE: 0.02,           // Share of a cell's nutrients that rises one cell per second
+    DIFFUSION_RATE: 0.01,           // Share exchanged with each side neighbour per second
+
+    // Plankton
+    LIGHT_DEPTH: 0.3,               // Light falls to 1/e every 30% of world depth
+    GROWTH_RATE: 0.2,               // Per second at full light with plenty of nutrients
+    NUTRIENT_HALF_SATURATION: 2,    // Nutrients at which growth runs at half speed
+    PLANKTON_CAPACITY: 30,          // Most plankton a cell holds
+    PLANKTON_SEED: 0.05,            // Floor every lit cell keeps, so a bloom can always restart
+    DIE_OFF_RATE: 0.01,             // Share of plankton dying per second
+    REMINERALIZATION: 0.9,          // Share of dead plankton that returns as nutrients (the rest is lost)
+
+    // Rendering
+    DRAW_THRESHOLD: 1,              // Cells with less plankton are not tinted
+    DRAW_MAX_ALPHA: 0.18
+};
+
+class NutrientFieldSystem {
+    constructor() {
+        this.reset();
+
+        if (window.ConsoleDebugSystem) {
+            window.ConsoleDebugSystem.logSystemInit('ECOSYSTEM', 'Nutrient Field System initialized');
+        }
+    }
+
+    static get config() {
+        return NUTRIENT_FIELD_CONFIG;
+    }
+
+    // Fresh field - nutrients settled towards the bottom, a thin plankton layer in the sunlit water
+    reset() {
+        const config = NUTRIENT_FIELD_CONFIG;
+        const WORLD_WIDTH = window.WORLD_WIDTH || 12000;
+        const WORLD_HEIGHT = window.WORLD_HEIGHT || 8000;
+        this.columns = Math.ceil(WORLD_WIDTH / config.CELL_SIZE);
+        this.rows = Math.ceil(WORLD_HEIGHT / config.CELL_SIZE);
+        this.nutrients = [];
+        this.plankton = [];
+        for (let row = 0; row < this.rows; row++) {
+            const depth = (row + 0.5) / this.rows;
+            for (let column = 0; column < this.columns; column++) {
+                this.nutrients.push(config.INITIAL_NUTRIENTS * (0.5 + depth));
+                this.plankton.push(config.INITIAL_PLANKTON * this.getLight(row));
+            }
+        }
+        this.carcasses = []; // { x, y, nutrients } sinking bodies
+
+        this.released = { poop: 0, carcasses: 0 };
+        this.grazed = 0;
+    }
+
+    // Share of surface light reaching a row
+    getLight(row) {
+        return Math.exp(-((row + 0.5) / this.rows) / NUTRIENT_FIELD_CONFIG.LIGHT_DEPTH);
+    }
+
+    // Cell index holding a world position (positions outside the world clamp to the edge cells)
+    getCellIndex(x, y) {
+        const size = NUTRIENT_FIELD_CONFIG.CELL_SIZE;
+        const column = Math.max(0, Math.min(this.columns - 1, Math.floor(x / size)));
+        const row = Math.max(0, Math.min(this.rows - 1, Math.floor(y / size)));
+        return row * this.columns + column;
+    }
+
+    getPlankton(x, y) {
+        return this.plankton[this.getCellIndex(x, y)];
+    }
+
+    addNutrients(x, y, amount) {
+        if (!(amount > 0)) return;
+        this.nutrients[this.getCellIndex(x, y)] += amount;
+    }
+
+    /**
+     * Eat plankton from the cell at a position
+     * @param {number} x - World x
+     * @param {number} y - World y
+     * @param {number} amount - Plankton wanted
+     * @returns {number} Plankton actually eaten (less if the cell is thin)
+     */
+    graze(x, y, amount) {
+        const index = this.getCellIndex(x, y);
+        const eaten = Math.min(amount, this.plankton[index]);
+        if (eaten <= 0) return 0;
+        this.plankton[index] -= eaten;
+        this.grazed += eaten;
+        return eaten;
+    }
+
+    /**
+     * Richest plankton cell among the one holding (x, y) and its eight neighbours
+     * @param {number} x - World x
+     * @param {number} y - World y
+     * @param {number} minimum - Cells with less plankton are ignored
+     * @returns {Object|null} { x, y, plankton } at the cell centre, or null
+     */
+    findRichestCell(x, y, minimum) {
+        const size = NUTRIENT_FIELD_CONFIG.CELL_SIZE;
+        const index = this.getCellIndex(x, y);
+        const column = index % this.columns;
+        const row = Math.floor(index / this.columns);
+
+        let best = -1;
+        for (let r = Math.max(0, row - 1); r <= Math.min(this.rows - 1, row + 1); r++) {
+            for (let c = Math.max(0, column - 1); c <= Math.min(this.columns - 1, column + 1); c++) {
+                const cell = r * this.columns + c;
+                if (this.plankton[cell] >= minimum && (best === -1 || this.plankton[cell] > this.plankton[best])) {
+                    best = cell;
+                }
+            }
+        }
+        if (best === -1) return null;
+        return {
+            x: (best % this.columns + 0.5) * size,
+            y: (Math.floor(best / this.columns) + 0.5) * size,
+            plankton: this.plankton[best]
+        };
+    }
+
+    /**
+     * Called by GameEntities for every entity leaving the world - bodies of creatures that starved or died of age
+     * start sinking, faded poop hands over whatever it had not yet released
+     * @param {Object} entity - The removed entity
+     */
+    onEntityRemoved(entity) {
+        const config = NUTRIENT_FIELD_CONFIG;
+        const cause = entity.death ? entity.death.cause : null;
+
+        if (entity.species === 'poop') {
+            if (cause === DEATH_CAUSES.EXPIRED && entity.nutrients > 0) {
+                this.addNutrients(entity.x, entity.y, entity.nutrients);
+                this.released.poop += entity.nutrients;
+                entity.nutrients = 0;
+            }
+            return;
+        }
+
+        if (!config.CARCASS_CAUSES.includes(cause) || !window.MetabolismSystem || !MetabolismSystem.get(entity)) return;
+        this.carcasses.push({ x: entity.x, y: entity.y, nutrients: (entity.size || 1) * config.CARCASS_NUTRIENTS });
+    }
+
+    /**
+     * Called by GameEntities once per tick, after the creatures have eaten
+     * @param {Object} gameEntities - Game entities system
+     */
+    update(gameEntities) {
+        const seconds = SimClock.stepMs / 1000;
+        this.decomposePoop(gameEntities.poop, seconds);
+        this.sinkCarcasses(seconds);
+        this.transportNutrients(seconds);
+        this.growPlankton(seconds);
+    }
+
+    // Deep-water poop (state 3) rots where it lies - it stays edible until it fades
+    decomposePoop(poopArray, seconds) {
+        const rate = NUTRIENT_FIELD_CONFIG.POOP_DECAY_RATE * seconds;
+        for (let i = 0; i < poopArray.length; i++) {
+            const poop = poopArray[i];
+            if (!poop.isActive || poop.state !== 3 || !(poop.nutrients > 0)) continue;
+            const released = poop.nutrients * rate;
+            poop.nutrients -= released;
+            this.addNutrients(poop.x, poop.y, released);
+            this.released.poop += released;
+        }
+    }
+
+    // Bodies rot on their way down - whatever is left when one reaches the bottom is released there
+    sinkCarcasses(seconds) {
+        const config = NUTRIENT_FIELD_CONFIG;
+        const WORLD_HEIGHT = window.WORLD_HEIGHT || 8000;
+        const rate = config.CARCASS_DECAY_RATE * seconds;
+
+        for (let i = this.carcasses.length - 1; i >= 0; i--) {
+            const carcass = this.carcasses[i];
+            carcass.y += config.CARCASS_SINK_SPEED;
+            const released = carcass.y >= WORLD_HEIGHT ? carcass.nutrients : carcass.nutrients * rate;
+            carcass.y = Math.min(carcass.y, WORLD_HEIGHT);
+            carcass.nutrients -= released;
+            this.addNutrients(carcass.x, carcass.y, released);
+            this.released.carcasses += released;
+            if (carcass.nutrients <= 0.01) {
+                this.carcasses.splice(i, 1);
+            }
+        }
+    }
+
+    // Slow upwelling to the cell above and sideways mixing - computed from the old field so the sweep order
+    // does not matter
+    transportNutrients(seconds) {
+        const config = NUTRIENT_FIELD_CONFIG;
+        const upwelling = config.UPWELLING_RATE * seconds;
+        const diffusion = config.DIFFUSION_RATE * seconds;
+        const previous = this.nutrients.slice();
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let column = 0; column < this.columns; column++) {
+                const index = row * this.columns + column;
+                const amount = previous[index];
+                if (row > 0) {
+                    this.nutrients[index] -= amount * upwelling;
+                    this.nutrients[index - this.columns] += amount * upwelling;
+                }
+                if (column > 0) {
+                    const exchange = (amount - previous[index - 1]) * diffusion;
+                    this.nutrients[index] -= exchange;
+                    this.nutrients[index - 1] += exchange;
+                }
+            }
+        }
+    }
+
+    // Plankton grows with light and nutrients (using them up) and dies back, sinking one cell as nutrients
+    growPlankton(seconds) {
+        const config = NUTRIENT_FIELD_CONFIG;
+        for (let row = 0; row < this.rows; row++) {
+            const light = this.getLight(row);
+            for (let column = 0; column < this.columns; column++) {
+                const index = row * this.columns + column;
+                const nutrients = this.nutrients[index];
+                const plankton = Math.max(this.plankton[index], config.PLANKTON_SEED * light);
+
+                const saturation = nutrients / (nutrients + config.NUTRIENT_HALF_SATURATION);
+                const room = Math.max(0, 1 - plankton / config.PLANKTON_CAPACITY);
+                const grown = Math.min(nutrients, config.GROWTH_RATE * light * saturation * plankton * room * seconds);
+                const died = plankton * config.DIE_OFF_RATE * seconds;
+
+                this.nutrients[index] -= grown;
+                this.plankton[index] = plankton + grown - died;
+                const below = row < this.rows - 1 ? index + this.columns : index;
+                this.nutrients[below] += died * config.REMINERALIZATION;
+            }
+        }
+    }
+
+    // Faint green haze over cells holding plankton, drawn in world space behind the creatures
+    draw(ctx, camera) {
+        NutrientFieldSystem.drawPlankton(ctx, camera, this.plankton, this.columns);
+    }
+
+    // The haze from a plankton grid - worker mode draws the copy posted with each frame
+    static drawPlankton(ctx, camera, planktonCells, columns) {
+        if (!ctx || !camera || !planktonCells) return;
+        const config = NUTRIENT_FIELD_CONFIG;
+        const size = config.CELL_SIZE;
+        const rows = Math.ceil(planktonCells.length / columns);
+        const firstColumn = Math.max(0, Math.floor(camera.x / size));
+        const lastColumn = Math.min(columns - 1, Math.floor((camera.x + camera.viewWidth) / size));
+        const firstRow = Math.max(0, Math.floor(camera.y / size));
+        const lastRow = Math.min(rows - 1, Math.floor((camera.y + camera.viewHeight) / size));
+
+        ctx.save();
+        ctx.fillStyle = 'rgb(90, 200, 110)';
+        for (let row = firstRow; row <= lastRow; row++) {
+            for (let column = firstColumn; column <= lastColumn; column++) {
+                const plankton = planktonCells[row * columns + column];
+                if (plankton < config.DRAW_THRESHOLD) continue;
+                ctx.globalAlpha = config.DRAW_MAX_ALPHA * Math.min(1, plankton / config.PLANKTON_CAPACITY);
+                ctx.fillRect(column * size, row * size, size, size);
+            }
+        }
+        ctx.restore();
+    }
+
+    getStats() {
+        const sum = values => values.reduce((total, value) => total + value, 0);
+        return {
+            nutrients: Math.round(sum(this.nutrients)),
+            plankton: Math.round(sum(this.plankton)),
+            carcasses: this.carcasses.length,
+            releasedFromPoop: Math.round(this.released.poop),
+            releasedFromCarcasses: Math.round(this.released.carcasses),
+            grazed: Math.round(this.grazed)
+        };
+    }
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.NUTRIENT_FIELD_CONFIG = NUTRIENT_FIELD_CONFIG;
+    window.NutrientFieldSystem = NutrientFieldSystem;
+}
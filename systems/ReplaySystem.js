@@ -0,0 +1,252 @@
+// Replay System - Records player interventions and feeds them back into GameEntities
+// A recording starts from a world snapshot and logs every spawn click, spawn-mode change, camera
+// move and LOD focus change with the simulation tick it happened on. Because all simulation randomness comes from SimRandom
+// and time from SimClock, replaying those events on top of the snapshot reproduces the session exactly.
+
+class ReplaySystem {
+    constructor(camera = null, snapshots = null) {
+        this.camera = camera;
+        this.snapshots = snapshots || window.worldSnapshots ||
+            (window.WorldSnapshotSystem ? new window.WorldSnapshotSystem(camera) : null);
+        this.config = {
+            VERSION: 1,
+            FILE_TYPE: 'fishminder-replay',
+            CAMERA_EPSILON: 0.5 // Ignore sub-pixel camera jitter when recording
+        };
+        this.mode = 'idle'; // 'idle' | 'recording' | 'replaying'
+        this.recording = null;
+        this.replay = null;
+        this.replayIndex = 0;
+        this.lastCamera = null;
+        this.lastSpawnMode = null;
+        this.lastLODFocus = null;
+        this.lastAIDetail = null;
+    }
+
+    isRecording() {
+        return this.mode === 'recording';
+    }
+
+    isReplaying() {
+        return this.mode === 'replaying';
+    }
+
+    // ===== Recording =====
+
+    // Start a recording from the current world state
+    startRecording(gameEntities) {
+        if (!this.snapshots) throw new Error('WorldSnapshotSystem is required to record replays');
+        if (this.isReplaying()) this.stopReplay();
+
+        this.recording = {
+            type: this.config.FILE_TYPE,
+            version: this.config.VERSION,
+            recordedAt: new Date().toISOString(),
+            seed: window.SimRandom ? window.SimRandom.getSeed() : null,
+            startTick: window.SimClock ? window.SimClock.tick : 0,
+            endTick: null,
+            snapshot: this.snapshots.createSnapshot(gameEntities),
+            events: []
+        };
+        this.mode = 'recording';
+        this.lastCamera = null;
+        this.lastLODFocus = null;
+        this.lastAIDetail = null;
+        this.lastSpawnMode = window.gameState ? window.gameState.spawnMode : null;
+        console.log(`🔴 Replay recording started at tick ${this.recording.startTick}`);
+        return this.recording;
+    }
+
+    // Stop recording and return the finished replay
+    stopRecording() {
+        if (!this.isRecording()) return this.recording;
+        this.recording.endTick = window.SimClock ? window.SimClock.tick : this.recording.startTick;
+        this.mode = 'idle';
+        console.log(`⏹️ Replay recording stopped: ${this.recording.events.length} events over ${this.recording.endTick - this.recording.startTick} ticks`);
+        return this.recording;
+    }
+
+    recordEvent(event) {
+        if (!this.isRecording()) return;
+        this.recording.events.push({ tick: window.SimClock ? window.SimClock.tick : 0, ...event });
+    }
+
+    // Called by the canvas click handler right before gameEntities.spawnEntity
+    recordSpawn(spawnMode, x, y) {
+        this.recordSpawnMode(spawnMode);
+        this.recordEvent({ type: 'spawn', spawnMode, x, y });
+    }
+
+    recordSpawnMode(spawnMode) {
+        if (!this.isRecording() || spawnMode === this.lastSpawnMode) return;
+        this.lastSpawnMode = spawnMode;
+        this.recordEvent({ type: 'spawnMode', spawnMode });
+    }
+
+    // Called once per rendered frame - only logs the camera when it actually moved
+    recordCamera(camera) {
+        if (!this.isRecording() || !camera) return;
+        const last = this.lastCamera;
+        if (last &&
+            Math.abs(last.x - camera.x) < this.config.CAMERA_EPSILON &&
+            Math.abs(last.y - camera.y) < this.config.CAMERA_EPSILON &&
+            last.zoom === camera.zoom) {
+            return;
+        }
+
+        this.lastCamera = { x: camera.x, y: camera.y, zoom: camera.zoom };
+        const events = this.recording.events;
+        const tick = window.SimClock ? window.SimClock.tick : 0;
+        const previous = events[events.length - 1];
+        // Several frames can render between two ticks - keep only the latest camera per tick
+        if (previous && previous.type === 'camera' && previous.tick === tick) {
+            Object.assign(previous, this.lastCamera);
+        } else {
+            this.recordEvent({ type: 'camera', ...this.lastCamera });
+        }
+    }
+
+    // Called once per rendered frame - the LOD focus decides which krill and fry think each tick, so every change is logged
+    recordLODFocus(focus) {
+        if (!this.isRecording()) return;
+        const last = this.lastLODFocus;
+        if (last === focus || (last && focus && last.x === focus.x && last.y === focus.y && last.radius === focus.radius)) {
+            return;
+        }
+        
+        this.lastLODFocus = focus ? { ...focus } : null;
+        this.recordEvent({ type: 'lodFocus', focus: this.lastLODFocus });
+    }
+    
+    // Called once per rendered frame - the quality governor changes how often distant krill and fry think
+    recordAIDetail(detail) {
+        if (!this.isRecording() || !detail) return;
+        const last = this.lastAIDetail;
+        if (last && last.lowReach === detail.lowReach && last.mediumFrequency === detail.mediumFrequency && last.lowFrequency === detail.lowFrequency) {
+            return;
+        }
+        
+        this.lastAIDetail = { ...detail };
+        this.recordEvent({ type: 'aiDetail', detail: this.lastAIDetail });
+    }
+    
+    // ===== Replay =====
+
+    // Restore the recorded starting world and replay its events while live input is disabled
+    startReplay(gameEntities, replay) {
+        if (!replay || replay.type !== this.config.FILE_TYPE || replay.version !== this.config.VERSION) {
+            throw new Error(`Unsupported replay file: ${replay ? `${replay.type} v${replay.version}` : 'none'}`);
+        }
+        if (!this.snapshots) throw new Error('WorldSnapshotSystem is required to play replays');
+        if (this.isRecording()) this.stopRecording();
+
+        this.snapshots.restoreSnapshot(gameEntities, replay.snapshot);
+        this.replay = replay;
+        this.replayIndex = 0;
+        this.mode = 'replaying';
+        console.log(`▶️ Replay started: ${replay.events.length} events, ticks ${replay.startTick}-${replay.endTick}`);
+
+        // Events recorded before the first tick ran (camera position, spawn mode)
+        this.applyDueEvents(gameEntities);
+        return replay;
+    }
+
+    stopReplay() {
+        if (!this.isReplaying()) return;
+        this.mode = 'idle';
+        console.log(`⏹️ Replay stopped at tick ${window.SimClock ? window.SimClock.tick : '?'}`);
+    }
+
+    // Apply every event recorded at or before the current tick - called before each simulation tick
+    applyDueEvents(gameEntities) {
+        if (!this.isReplaying()) return;
+
+        const tick = window.SimClock ? window.SimClock.tick : 0;
+        const events = this.replay.events;
+        while (this.replayIndex < events.length && events[this.replayIndex].tick <= tick) {
+            this.applyEvent(gameEntities, events[this.replayIndex]);
+            this.replayIndex++;
+        }
+
+        if (this.replayIndex >= events.length && this.replay.endTick !== null && tick >= this.replay.endTick) {
+            console.log('✅ Replay finished - live input enabled');
+            this.stopReplay();
+        }
+    }
+
+    applyEvent(gameEntities, event) {
+        switch (event.type) {
+            case 'spawn':
+                gameEntities.spawnEntity(event.spawnMode, event.x, event.y);
+                break;
+            case 'spawnMode':
+                if (window.gameState) window.gameState.spawnMode = event.spawnMode;
+                break;
+            case 'camera':
+                if (this.camera) {
+                    this.camera.x = event.x;
+                    this.camera.y = event.y;
+                    this.camera.zoom = event.zoom;
+                    if (window.canvas) {
+                        this.camera.viewWidth = window.canvas.width / this.camera.zoom;
+                        this.camera.viewHeight = window.canvas.height / this.camera.zoom;
+                    }
+                }
+                break;
+            case 'lodFocus':
+                if (gameEntities.lodSystem) {
+                    if (event.focus) {
+                        gameEntities.lodSystem.setFocus(event.focus.x, event.focus.y, event.focus.radius);
+                    } else {
+                        gameEntities.lodSystem.clearFocus();
+                    }
+                }
+                break;
+            case 'aiDetail':
+                if (gameEntities.lodSystem) {
+                    gameEntities.lodSystem.setAIDetail(event.detail);
+                }
+                break;
+            default:
+                console.warn(`⚠️ Unknown replay event type: ${event.type}`);
+        }
+    }
+
+    // Progress through the replay for the on-screen indicator
+    getReplayProgress() {
+        if (!this.isReplaying()) return null;
+        const tick = window.SimClock ? window.SimClock.tick : 0;
+        return {
+            tick,
+            startTick: this.replay.startTick,
+            endTick: this.replay.endTick,
+            eventsApplied: this.replayIndex,
+            totalEvents: this.replay.events.length
+        };
+    }
+
+    // ===== Replay files =====
+
+    exportToFile(fileName = null) {
+        const replay = this.isRecording() ? this.stopRecording() : this.recording;
+        if (!replay) throw new Error('Nothing recorded yet');
+
+        const name = fileName || `fishminder-replay-${replay.seed}-tick${replay.startTick}-${replay.endTick}.json`;
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        link.click();
+        URL.revokeObjectURL(url);
+        return replay;
+    }
+
+    importFromFile(gameEntities, file) {
+        return file.text().then(json => this.startReplay(gameEntities, JSON.parse(json)));
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.ReplaySystem = ReplaySystem;
+}
@@ -0,0 +1,114 @@
+// Simulation Core - World constants, shared state and utilities used by the simulation
+// Contains nothing that needs a canvas or DOM, so the same file is loaded by index.html
+// and by the headless runner (headless.js) under Node
+
+// World dimensions
+const WORLD_WIDTH = 12000;
+const WORLD_HEIGHT = 8000;
+
+const CONSTANTS = {
+    PERCEPTION_RADIUS: 50,
+    SEPARATION_RADIUS: 30,
+    FEAR_RADIUS: 80,
+    FOOD_ATTRACTION_RADIUS: 60,
+    CAMERA_MARGIN: 50,
+    CAMERA_SPEED: 5,
+    CAMERA_BOOST: 2.5,
+    ZOOM_FACTOR: 0.1,
+    BORDER_WIDTH: 8,
+    CORNER_SIZE: 30,
+    DEPTH_FADE_START: 0.0,
+    DEPTH_FADE_END: 0.7,
+    MIN_DEPTH_OPACITY: 0.15,
+    DEPTH_BLUE_INTENSITY: 0.7,
+    ABYSSAL_OPACITY: 0.05,
+    MAX_EATING_BUBBLES: 50,
+    RENDER_DISTANCE: 1500,
+    UPDATE_FREQUENCY: 60
+};
+
+const FISH_TYPES = {
+    SMALL_FRY_2: 'smallFry2',
+    SMALL_FRY_3: 'smallFry3',
+    SMALL_FRY_4: 'smallFry4',
+    KRILL: 'krill',
+    PALE_KRILL: 'paleKrill',
+    TIGER_KRILL: 'tigerKrill',
+    MOM_KRILL: 'momKrill'
+};
+
+const gameState = {
+    spawnMode: 'off',
+    showUI: true,
+    hudState: 'off', // 'off' by default, controls only in pause menu
+    paused: false,
+    lastFrameTime: 0,
+    frameCount: 0,
+    fryDebug: true, // Enable fry movement debugging
+    frySpawningDebug: false,
+    tunaDebug: false,
+    squidDebug: false,
+    krillDebug: false,
+    performanceDebug: false,
+    spatialDebug: false,
+    consoleDebug: false,
+    // All debug flags are now managed by DebugManager and default to false
+};
+
+// Object pools for performance
+const ObjectPools = {
+    eatingBubbles: [],
+
+    getEatingBubble(x, y) {
+        let bubble = this.eatingBubbles.find(b => b.isDead());
+        if (!bubble) {
+            bubble = new window.EatingBubble(x, y);
+            this.eatingBubbles.push(bubble);
+        } else {
+            bubble.reset(x, y);
+        }
+        return bubble;
+    },
+
+    cleanup() {
+        // Keep pool size manageable
+        if (this.eatingBubbles.length > CONSTANTS.MAX_EATING_BUBBLES) {
+            this.eatingBubbles = this.eatingBubbles.filter(b => !b.isDead()).slice(0, CONSTANTS.MAX_EATING_BUBBLES);
+        }
+    }
+};
+
+// Optimized utility functions
+const Utils = {
+    // Math functions now loaded from mathUtils.js
+    distanceSquared: window.distanceSquared,
+    distance: window.distance,
+    calculateSteering: window.calculateSteering,
+    limitVelocity: window.limitVelocity,
+    enforceMinimumSpeed: window.enforceMinimumSpeed,
+    handleEdges: (entity, margin, damping) => window.handleEdges(entity, margin, damping, WORLD_WIDTH, WORLD_HEIGHT),
+
+    // Behavioral functions now loaded from behaviorUtils.js
+    shouldIgnorePrey: (predatorType, preyType) => window.shouldIgnorePrey(predatorType, preyType, FISH_TYPES),
+    shouldFlee: (fishType, predatorType) => window.shouldFlee(fishType, predatorType, FISH_TYPES),
+
+    // Depth functions now loaded from depthUtils.js
+    getDepthFactor: (y) => window.getDepthFactor(y, WORLD_HEIGHT),
+    getDepthOpacity: (y, baseOpacity = 1) => window.getDepthOpacity(y, baseOpacity, WORLD_HEIGHT, CONSTANTS),
+    getDepthTint: (y) => window.getDepthTint(y, WORLD_HEIGHT, CONSTANTS),
+    // createDepthGradient and inRenderDistance need the canvas and camera, game.js adds them
+
+    // Random bubble sprite now from behaviorUtils.js
+    getRandomBubbleSprite: () => window.getRandomBubbleSprite(window.sprites || {})
+};
+
+// Make global constants and shared state accessible to all modules (the camera stays in game.js)
+if (typeof window !== 'undefined') {
+    window.WORLD_WIDTH = WORLD_WIDTH;
+    window.WORLD_HEIGHT = WORLD_HEIGHT;
+    window.CONSTANTS = CONSTANTS;
+    window.FISH_TYPES = FISH_TYPES;
+    window.gameState = gameState;
+    window.ObjectPools = ObjectPools;
+    window.Utils = Utils;
+}
@@ -0,0 +1,255 @@
+// Simulation Worker - Runs GameEntities and every AI and lifecycle system off the main thread
+// Started by SimulationWorkerClient when the page is opened with ?worker=1. The client sends the page's simulation
+// scripts (see utils/simulationScripts.js), which load here in page order with self standing in for window.
+// The worker ticks the world on its own fixed-step SimClock and posts one render frame per batch of ticks:
+// RENDER_STRIDE floats per drawn entity (layout in RENDER_FIELDS) plus a parallel array of entity ids,
+// with sprite keys sent as indices into the sprite key list from the 'ready' message.
+//
+// Messages in:  init { scripts, seed, storage, invariants } | spawn { mode, x, y } | pause { paused } | timeScale { timeScale }
+//               | step { ticks } | lodFocus { x, y, radius } | quality { tier } | invariants { enabled }
+// Messages out: ready { seed, spriteKeys, fields, stride } | frame { tick, count, ids, data, counts, plankton, planktonColumns }
+//               | invariant { report }
+
+self.window = self;
+
+// Float offsets within one entity's render record
+const RENDER_FIELDS = {
+    sprite: 0,          // index into spriteKeys
+    overlay: 1,         // second sprite drawn on top (tuna fins, squid glow), -1 for none
+    x: 2,
+    y: 3,
+    angle: 4,
+    size: 5,
+    opacity: 6,
+    overlayOpacity: 7,
+    flip: 8,            // -1 mirrors the sprite horizontally
+    tint: 9,            // deep-water tint strength, drawn through tintedSprites
+    overlayTint: 10
+};
+const RENDER_STRIDE = 11;
+
+// Arrays in the order GameEntities.drawEntities paints them - species arrays not listed here are drawn last
+const RENDER_ARRAY_ORDER = ['krill', 'paleKrill', 'momKrill', 'fish', 'predators', 'fishFood', 'fishEggs', 'fertilizedEggs', 'sperm', 'poop', 'squid'];
+
+// Real milliseconds between worker frames (the clock decides how many ticks each one runs)
+const WORKER_FRAME_INTERVAL = 16;
+
+class SimulationWorker {
+    constructor() {
+        this.gameEntities = null;
+        this.paused = false;
+        this.spriteKeys = [];
+        this.spriteIndex = new Map();
+        this.renderArrays = [];
+        this.renderState = {};
+        this.loopTimer = null;
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'init':
+                this.initialize(message.scripts, message.seed, message.storage, message.invariants);
+                break;
+            case 'spawn':
+                if (this.gameEntities) this.gameEntities.spawnEntity(message.mode, message.x, message.y);
+                break;
+            case 'pause':
+                this.paused = !!message.paused;
+                break;
+            case 'timeScale':
+                self.SimClock.setTimeScale(message.timeScale);
+                break;
+            case 'step':
+                self.SimClock.requestStep(message.ticks || 1);
+                break;
+            case 'lodFocus':
+                if (this.gameEntities && this.gameEntities.lodSystem) {
+                    this.gameEntities.lodSystem.setFocus(message.x, message.y, message.radius);
+                }
+                break;
+            case 'quality':
+                if (this.gameEntities && self.qualityGovernor) {
+                    self.qualityGovernor.applyTier(message.tier, this.gameEntities);
+                }
+                break;
+            case 'invariants':
+                if (self.invariantChecker) self.invariantChecker.setEnabled(message.enabled);
+                break;
+            default:
+                console.warn(`⚠️ SimulationWorker: unknown message type ${message.type}`);
+        }
+    }
+
+    // Load the simulation scripts, build the world and start ticking
+    initialize(scripts, seed, storage, invariants) {
+        // Seed before any script runs - some modules draw random numbers at load time
+        self.SIMULATION_SEED = seed;
+        // The worker has no page URL - the client passes ?storage= on (see systems/EntityStore.js)
+        self.ENTITY_STORAGE = storage || null;
+        // Nor a query string for ?invariants - the client passes whether the checks are on
+        self.INVARIANT_CHECKS = !!invariants;
+        // Script paths are relative to the page, this file lives in systems/
+        importScripts(...scripts.map(src => `../${src}`));
+
+        if (self.DebugManager && !self.debugManager) {
+            self.debugManager = new self.DebugManager();
+            if (self.ConsoleDebugSystem) {
+                self.ConsoleDebugSystem.setDebugManager(self.debugManager);
+            }
+        }
+
+        this.gameEntities = new self.GameEntities();
+        this.gameEntities.initializeEcosystem();
+        self.gameEntities = this.gameEntities;
+
+        // A broken invariant stops the worker on that tick; the page pauses and highlights the entity
+        if (self.invariantChecker) {
+            self.invariantChecker.onViolation = report => {
+                this.paused = true;
+                self.postMessage({ type: 'invariant', report });
+            };
+        }
+
+        this.spriteKeys = Object.keys(self.speciesRegistry.getSpriteFiles());
+        this.spriteKeys.forEach((key, index) => this.spriteIndex.set(key, index));
+        const arrayNames = self.speciesRegistry.getArrayNames();
+        this.renderArrays = [...RENDER_ARRAY_ORDER.filter(name => arrayNames.includes(name)),
+            ...arrayNames.filter(name => !RENDER_ARRAY_ORDER.includes(name))];
+
+        self.postMessage({
+            type: 'ready',
+            seed: self.SimRandom.getSeed(),
+            spriteKeys: this.spriteKeys,
+            fields: RENDER_FIELDS,
+            stride: RENDER_STRIDE
+        });
+        console.log(`🧵 Simulation worker running (seed ${self.SimRandom.getSeed()})`);
+
+        this.runFrame();
+    }
+
+    // One loop iteration - the same fixed-step bookkeeping as animate() in game.js
+    runFrame() {
+        const clock = self.SimClock;
+        let ticks;
+        if (this.paused) {
+            clock.resync();
+            ticks = clock.takePendingSteps();
+        } else {
+            ticks = clock.consumeFrame(performance.now());
+        }
+
+        const wasPaused = this.paused;
+        for (let i = 0; i < ticks; i++) {
+            this.simulationTick();
+            // An invariant violation paused the worker - leave the world on the tick that broke it
+            if (this.paused && !wasPaused) break;
+        }
+        if (ticks > 0) {
+            this.postFrame();
+        }
+
+        this.loopTimer = setTimeout(() => this.runFrame(), WORKER_FRAME_INTERVAL);
+    }
+
+    // Mirrors simulationTick() in game.js
+    simulationTick() {
+        self.gameState.frameCount++;
+        if (self.ConsoleDebugSystem) {
+            self.ConsoleDebugSystem.resetFrameCounters();
+        }
+
+        this.gameEntities.update();
+
+        const { eatingBubbles } = self.ObjectPools;
+        for (let i = 0; i < eatingBubbles.length; i++) {
+            eatingBubbles[i].update();
+        }
+
+        if (self.SimClock.tick % 180 === 0) {
+            self.ObjectPools.cleanup();
+            if (self.enhancedObjectPools) {
+                self.enhancedObjectPools.cleanup();
+            }
+        }
+    }
+
+    // Pack every drawable entity into a transferable buffer and send it with the counter data
+    postFrame() {
+        const gameEntities = this.gameEntities;
+        let capacity = 0;
+        this.renderArrays.forEach(name => {
+            capacity += gameEntities[name].length;
+        });
+
+        const ids = new Uint32Array(capacity);
+        const data = new Float32Array(capacity * RENDER_STRIDE);
+        const out = this.renderState;
+        let count = 0;
+
+        for (let a = 0; a < this.renderArrays.length; a++) {
+            const entities = gameEntities[this.renderArrays[a]];
+            for (let i = 0; i < entities.length; i++) {
+                const entity = entities[i];
+                const species = self.speciesRegistry.get(entity.species);
+                if (!species || !species.renderState) continue;
+
+                out.sprite = null;
+                out.overlay = null;
+                out.x = entity.x;
+                out.y = entity.y;
+                out.angle = 0;
+                out.size = entity.size;
+                out.opacity = 1;
+                out.overlayOpacity = 0;
+                out.flip = 1;
+                out.tint = 0;
+                out.overlayTint = 0;
+                if (species.renderState(entity, out) === false) continue;
+
+                const sprite = this.spriteIndex.get(out.sprite);
+                if (sprite === undefined) continue;
+                const overlay = out.overlay ? this.spriteIndex.get(out.overlay) : undefined;
+
+                const offset = count * RENDER_STRIDE;
+                data[offset + RENDER_FIELDS.sprite] = sprite;
+                data[offset + RENDER_FIELDS.overlay] = overlay === undefined ? -1 : overlay;
+                data[offset + RENDER_FIELDS.x] = out.x;
+                data[offset + RENDER_FIELDS.y] = out.y;
+                data[offset + RENDER_FIELDS.angle] = out.angle;
+                data[offset + RENDER_FIELDS.size] = out.size;
+                data[offset + RENDER_FIELDS.opacity] = out.opacity;
+                data[offset + RENDER_FIELDS.overlayOpacity] = out.overlayOpacity;
+                data[offset + RENDER_FIELDS.flip] = out.flip;
+                data[offset + RENDER_FIELDS.tint] = out.tint;
+                data[offset + RENDER_FIELDS.overlayTint] = out.overlayTint;
+                ids[count] = entity.id;
+                count++;
+            }
+        }
+
+        // The plankton haze is drawn from a copy of the field's grid
+        const field = gameEntities.nutrientFieldSystem;
+        const plankton = field ? Float32Array.from(field.plankton) : null;
+
+        // GameEntities.update refreshes the world counts every tick
+        const counter = gameEntities.entityCounter;
+        self.postMessage({
+            type: 'frame',
+            tick: self.SimClock.tick,
+            count,
+            ids,
+            data,
+            plankton,
+            planktonColumns: field ? field.columns : 0,
+            counts: counter ? {
+                worldCounts: counter.worldCounts,
+                playerSpawns: counter.playerSpawns,
+                eventCounts: counter.eventCounts
+            } : null
+        }, plankton ? [ids.buffer, data.buffer, plankton.buffer] : [ids.buffer, data.buffer]);
+    }
+}
+
+const simulationWorker = new SimulationWorker();
+self.onmessage = event => simulationWorker.handleMessage(event.data);
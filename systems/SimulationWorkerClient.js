@@ -0,0 +1,228 @@
+// Simulation Worker Client - Render-only main thread for worker mode (?worker=1 in the URL)
+// Starts systems/SimulationWorker.js, forwards spawn clicks and the pause menu's time controls to it,
+// and draws the compact render frames it posts back, interpolated between the last two frames.
+// The HUD population counter is fed from the worker's counts. Snapshots, replays, camera follow and the
+// debug views need the live GameEntities and are unavailable in this mode.
+
+class SimulationWorkerClient {
+    constructor() {
+        this.worker = null;
+        this.ready = false;
+        this.seed = null;
+        this.spriteKeys = [];
+        this.fields = null;
+        this.stride = 0;
+
+        // Latest and previous frames, with the real time each arrived for interpolation
+        this.currentFrame = null;
+        this.previousFrame = null;
+        this.previousOffsets = new Map(); // entity id -> record offset in previousFrame
+
+        // Time control state last sent to the worker
+        this.sentPaused = false;
+        this.sentTimeScale = 1;
+        
+        // The worker's LOD focus follows the view through the same coarse steps as in-page play
+        this.lodFocus = window.LODSystem ? new window.LODSystem() : null;
+
+        // Population counter shown in the HUD, filled from worker frames
+        this.entityCounter = window.EntityCounter ? new window.EntityCounter() : null;
+
+        this.renderPoint = { x: 0, y: 0 };
+    }
+
+    // Worker mode is opt-in from the URL
+    static isRequested() {
+        if (typeof window === 'undefined' || !window.Worker || !window.location) return false;
+        const params = new URLSearchParams(window.location.search);
+        return params.get('worker') === '1';
+    }
+
+    // The page's simulation scripts in load order (relative src attributes, as written in index.html)
+    static getPageScripts() {
+        return Array.from(document.querySelectorAll('script[src]'))
+            .map(script => script.getAttribute('src'))
+            .filter(src => window.isSimulationScript(src));
+    }
+
+    start(seed = null) {
+        this.worker = new Worker('systems/SimulationWorker.js');
+        this.worker.onmessage = event => this.handleMessage(event.data);
+        this.worker.onerror = event => console.error('❌ Simulation worker error:', event.message);
+        this.worker.postMessage({
+            type: 'init',
+            scripts: SimulationWorkerClient.getPageScripts(),
+            seed,
+            storage: window.getEntityStorageMode ? window.getEntityStorageMode() : null,
+            invariants: window.invariantChecker ? window.invariantChecker.enabled : false
+        });
+        console.log('🧵 Simulation worker starting - this thread only renders');
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'ready':
+                this.ready = true;
+                this.seed = message.seed;
+                this.spriteKeys = message.spriteKeys;
+                this.fields = message.fields;
+                this.stride = message.stride;
+                console.log(`🎲 Simulation seed: ${message.seed} (add ?seed=${message.seed} to the URL to replay this world)`);
+                break;
+            case 'frame':
+                this.receiveFrame(message);
+                break;
+            case 'invariant':
+                // The worker has already paused itself - the page follows without sending it a pause
+                this.sentPaused = true;
+                if (window.invariantChecker) {
+                    window.invariantChecker.receive(message.report);
+                }
+                break;
+        }
+    }
+
+    receiveFrame(message) {
+        this.previousFrame = this.currentFrame;
+        this.currentFrame = { ...message, receivedAt: performance.now() };
+
+        // Index the previous frame by entity id so each record can find where it was
+        this.previousOffsets.clear();
+        if (this.previousFrame) {
+            const { ids, count } = this.previousFrame;
+            for (let i = 0; i < count; i++) {
+                this.previousOffsets.set(ids[i], i * this.stride);
+            }
+        }
+
+        // Mirror the worker's tick so the pause menu and HUD show simulation time
+        window.SimClock.tick = message.tick;
+        if (window.gameState && window.gameState.paused && window.updateTimeControlsDisplay) {
+            window.updateTimeControlsDisplay(); // Single steps land after the menu's own refresh
+        }
+
+        if (this.entityCounter && message.counts) {
+            Object.assign(this.entityCounter.worldCounts, message.counts.worldCounts);
+            Object.assign(this.entityCounter.playerSpawns, message.counts.playerSpawns);
+            Object.assign(this.entityCounter.eventCounts, message.counts.eventCounts);
+        }
+    }
+
+    // Forward the pause menu's state - it drives the main-thread SimClock, which only acts as a control panel here
+    sync(gameState) {
+        if (!this.worker) return;
+
+        if (gameState.paused !== this.sentPaused) {
+            this.sentPaused = gameState.paused;
+            this.worker.postMessage({ type: 'pause', paused: this.sentPaused });
+        }
+
+        const timeScale = window.SimClock.timeScale;
+        if (timeScale !== this.sentTimeScale) {
+            this.sentTimeScale = timeScale;
+            this.worker.postMessage({ type: 'timeScale', timeScale });
+        }
+
+        const steps = window.SimClock.takePendingSteps();
+        if (steps > 0) {
+            this.worker.postMessage({ type: 'step', ticks: steps });
+        }
+    }
+
+    followView(x, y, radius) {
+        if (this.worker && this.lodFocus && this.lodFocus.followView(x, y, radius)) {
+            this.worker.postMessage({ type: 'lodFocus', ...this.lodFocus.focus });
+        }
+    }
+    
+    // The worker's bubbles, depth tint and AI detail follow the main thread's quality tier
+    setQualityTier(tier) {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'quality', tier });
+        }
+    }
+    
+    // The pause menu's invariant check toggle - the checks run where the simulation does
+    setInvariantChecks(enabled) {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'invariants', enabled });
+        }
+    }
+    
+    spawn(mode, x, y) {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'spawn', mode, x, y });
+        }
+    }
+
+    // Blend factor between the previous and latest frame, from how far we are into the gap between them
+    getAlpha() {
+        if (!this.previousFrame) return 1;
+        const interval = this.currentFrame.receivedAt - this.previousFrame.receivedAt;
+        if (interval <= 0) return 1;
+        return Math.min(1, (performance.now() - this.currentFrame.receivedAt) / interval);
+    }
+
+    // Draw the latest frame in world space (call between applyCamera and resetCamera)
+    draw(ctx, sprites, camera) {
+        if (!this.ready || !this.currentFrame) return;
+
+        const { count, ids, data, plankton, planktonColumns } = this.currentFrame;
+        const fields = this.fields;
+
+        // Plankton haze behind everything else, as GameEntities.drawEntities paints it
+        if (plankton && window.NutrientFieldSystem) {
+            window.NutrientFieldSystem.drawPlankton(ctx, camera, plankton, planktonColumns);
+        }
+
+        const alpha = this.getAlpha();
+        const previousData = this.previousFrame ? this.previousFrame.data : null;
+        const point = this.renderPoint;
+
+        for (let i = 0; i < count; i++) {
+            const offset = i * this.stride;
+            let x = data[offset + fields.x];
+            let y = data[offset + fields.y];
+
+            const previousOffset = previousData ? this.previousOffsets.get(ids[i]) : undefined;
+            if (previousOffset !== undefined) {
+                x = previousData[previousOffset + fields.x] + (x - previousData[previousOffset + fields.x]) * alpha;
+                y = previousData[previousOffset + fields.y] + (y - previousData[previousOffset + fields.y]) * alpha;
+            }
+
+            point.x = x;
+            point.y = y;
+            if (!Utils.inRenderDistance(point)) continue;
+
+            const sprite = sprites[this.spriteKeys[data[offset + fields.sprite]]];
+            if (!sprite || !sprite.complete || sprite.naturalWidth === 0) continue;
+
+            const size = data[offset + fields.size];
+            const angle = data[offset + fields.angle];
+            const flip = data[offset + fields.flip];
+
+            // Same transform as the in-page renderers - tintedSprites.draw mirrors after the rotation
+            ctx.save();
+            ctx.translate(x, y);
+            if (angle !== 0) {
+                ctx.rotate(flip < 0 ? -angle : angle);
+            }
+            ctx.globalAlpha = data[offset + fields.opacity];
+            window.tintedSprites.draw(ctx, sprite, size, data[offset + fields.tint], flip);
+
+            const overlayIndex = data[offset + fields.overlay];
+            if (overlayIndex >= 0) {
+                const overlay = sprites[this.spriteKeys[overlayIndex]];
+                if (overlay && overlay.complete && overlay.naturalWidth > 0) {
+                    ctx.globalAlpha = data[offset + fields.overlayOpacity];
+                    window.tintedSprites.draw(ctx, overlay, size, data[offset + fields.overlayTint], flip);
+                }
+            }
+            ctx.restore();
+        }
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.SimulationWorkerClient = SimulationWorkerClient;
+}
@@ -0,0 +1,177 @@
+// Species Registry - One place where every creature declares how the core systems treat it
+// A species module calls registerSpecies() at load time with its class, sprites, spawn-mode metadata,
+// counter row, debug drawer and update slot. GameEntities, EntityCounter, the spawn-mode UI, the debug
+// view and the sprite loader iterate the registered species instead of hard-coding each creature.
+//
+// Several species may share one GameEntities array (fry and both TrueFry stages live in `fish`).
+// Update, draw and debug hooks run once per array, so only the species that owns the array declares them.
+//
+// registerSpecies({
+//     id: 'squid',                      // species tag stamped on every entity (entity.species)
+//     className: 'GiantSquid',          // window[className] constructs it, snapshots restore it by name
+//     array: 'squid',                   // GameEntities array holding its entities
+//     spatialType: 'squid',             // spatial grid type for neighbour queries (defaults to the array name)
+//     sprites: { giantSquid1: 'giant squid fram1.png' },          // sprite key -> file in images/
+//     spawn: {                          // optional - adds a player spawn mode
+//         mode: 'squid', order: 110, label: 'Squid',
+//         count: [1, 1], spread: 0,     // how many per click and how far they scatter
+//         create: (x, y) => new GiantSquid(x, y),
+//         prompt: 'Click to spawn giant squid', hint: 'Click to spawn giant squid (apex predator)',
+//         sprite: 'giantSquid1', iconSize: 135, cursorSize: 80, color: '...', strokeColor: '...'
+//     },
+//     counter: { key: 'squid', label: 'Giant Squid', icon: 'giantSquid1', order: 90, count: gameEntities => n,
+//                color: count => 'rgba(...)' },  // optional, EntityCounter.getCountColor otherwise
+//     update: { phase: 'late', order: 10, run: (gameEntities, entities) => {} },
+//     draw: (gameEntities, entities) => {},                        // optional, after the core renderers
+//     renderState: (entity, out) => {},  // worker mode - fill out.sprite/x/y/angle/size/opacity/tint (see SimulationWorker), false to skip
+//     debugDraw: (debugView, ctx, entities, camera) => {},
+//     restore: data => new GiantSquid(data.x, data.y),               // optional, snapshots default to new X(x, y)
+//     invariants: {                     // optional, checked after every tick when invariant checks are on
+//         states: { state: Object.values(SQUID_STATES) },             // field -> allowed values
+//         timers: { stateTimer: [0, Infinity] },                      // field -> [min, max]
+//         targets: ['huntTarget'],                                    // fields that may only point at live entities
+//         margin: 1400                                                // pixels past the world edge (default 500)
+//     },
+//     metabolism: {                     // optional, energy burned each tick by MetabolismSystem - starves at 0
+//         max: 100, basal: 0.0015, swim: 0.002, hunt: 0.002,          // store, per-tick costs (swim at full speed)
+//         hunting: { state: ['hunting', 'attacking'] },               // field -> values that pay the hunt cost
+//         hungry: 0.5,                                                // energy share below which AI puts food first
+//         diet: { tuna: 45, fry: 6 }                                  // energy per prey species, for eat()
+//     },
+//     aging: {                          // optional, AgingSystem ages it every tick and it dies of old age
+//         stages: [{ name: 'juvenile', until: 180000 }, { name: 'adult', until: 1200000 }, { name: 'elder' }],
+//         lifespan: [1500000, 2100000],                               // simulation ms, drawn per creature
+//         senescence: { speed: 0.7, perception: 0.6 }                 // over the last stage, down to these at death
+//     }
+// });
+
+// Update phases in the order GameEntities runs them within one tick
+const SPECIES_UPDATE_PHASES = {
+    ENVIRONMENT: 'environment', // food, eggs, sperm, poop - before the bubble systems
+    CREATURES: 'creatures',     // swimmers - before the fry and krill lifecycle systems
+    LATE: 'late'                // after the lifecycle systems (apex predators react to the settled world)
+};
+
+// Defaults for spawn-mode metadata a species leaves out
+const SPAWN_MODE_DEFAULTS = {
+    count: [1, 1],
+    spread: 100,
+    iconSize: 60,
+    iconClump: false,   // Mode indicator shows a clump of three sprites
+    cursorSize: 40,
+    cursorClump: false, // Cursor shows a clump of three sprites
+    textOffset: 0,
+    prompt: 'Click to spawn', // Mode indicator text after the mode name
+    color: 'rgba(255, 255, 255, 0.8)',
+    strokeColor: 'rgba(255, 255, 255, 0.5)'
+};
+
+class SpeciesRegistry {
+    constructor() {
+        this.species = new Map();    // id -> definition (registration order)
+        this.byClassName = new Map();
+    }
+
+    register(definition) {
+        const { id, className, array } = definition || {};
+        if (!id || !className || !array) {
+            throw new Error('Species definitions need an id, a className and an array name');
+        }
+        if (this.species.has(id)) {
+            throw new Error(`Species already registered: ${id}`);
+        }
+
+        const species = { sprites: {}, ...definition };
+        if (species.spawn) {
+            species.spawn = { ...SPAWN_MODE_DEFAULTS, label: id, ...species.spawn };
+            species.spawn.name = `${species.spawn.label.toUpperCase()} MODE`;
+        }
+        if (species.update) {
+            species.update = { phase: SPECIES_UPDATE_PHASES.CREATURES, order: 100, ...species.update };
+        }
+
+        this.species.set(id, species);
+        this.byClassName.set(className, species);
+        return species;
+    }
+
+    get(id) {
+        return this.species.get(id) || null;
+    }
+
+    getByClassName(className) {
+        return this.byClassName.get(className) || null;
+    }
+
+    getAll() {
+        return Array.from(this.species.values());
+    }
+
+    // GameEntities array names, each listed once
+    getArrayNames() {
+        return [...new Set(this.getAll().map(species => species.array))];
+    }
+
+    // Spatial grid type for each array - the first species in an array that names one, else the array name
+    getSpatialTypes() {
+        return this.getArrayNames().map(array => {
+            const owner = this.getAll().find(species => species.array === array && species.spatialType);
+            return { array, type: owner ? owner.spatialType : array };
+        });
+    }
+
+    // Player spawn modes in cycle order
+    getSpawnModes() {
+        return this.getAll()
+            .filter(species => species.spawn)
+            .sort((a, b) => a.spawn.order - b.spawn.order);
+    }
+
+    getSpawnMode(mode) {
+        return this.getAll().find(species => species.spawn && species.spawn.mode === mode) || null;
+    }
+
+    // Counter rows in display order
+    getCounters() {
+        return this.getAll()
+            .filter(species => species.counter)
+            .sort((a, b) => a.counter.order - b.counter.order);
+    }
+
+    // Species updated in one tick phase, in update order
+    getUpdates(phase) {
+        return this.getAll()
+            .filter(species => species.update && species.update.phase === phase)
+            .sort((a, b) => a.update.order - b.update.order);
+    }
+
+    getDrawers() {
+        return this.getAll().filter(species => species.draw);
+    }
+
+    getDebugDrawers() {
+        return this.getAll().filter(species => species.debugDraw);
+    }
+
+    // Every sprite any species asked for, keyed like window.sprites
+    getSpriteFiles() {
+        const files = {};
+        this.getAll().forEach(species => Object.assign(files, species.sprites));
+        return files;
+    }
+}
+
+// Create global instance
+const speciesRegistry = new SpeciesRegistry();
+
+// Entry point for species modules
+function registerSpecies(definition) {
+    return speciesRegistry.register(definition);
+}
+
+if (typeof window !== 'undefined') {
+    window.SPECIES_UPDATE_PHASES = SPECIES_UPDATE_PHASES;
+    window.SpeciesRegistry = SpeciesRegistry;
+    window.speciesRegistry = speciesRegistry;
+    window.registerSpecies = registerSpecies;
+}
@@ -0,0 +1,389 @@
+// World Snapshot System - Save, load, export and import the complete simulation state
+// A snapshot holds every entity array, each entity's AI state and timers, the lifecycle systems,
+// EntityCounter stats, the camera, SimClock and SimRandom, so a restored world continues exactly.
+
+class WorldSnapshotSystem {
+    constructor(camera = null) {
+        this.camera = camera;
+        this.config = {
+            VERSION: 1,
+            STORAGE_PREFIX: 'fishminder.snapshot.',
+            // GameEntities arrays saved with the world (bubbles are cosmetic and regenerate)
+            ENTITY_ARRAYS: ['fish', 'predators', 'krill', 'paleKrill', 'momKrill', 'truefry', 'squid',
+                'fishFood', 'fishEggs', 'fertilizedEggs', 'sperm', 'poop'],
+            // Lifecycle systems owned by GameEntities that keep per-entity state (cooldowns, timers),
+            // plus the LOD system whose view focus decides which krill and fry think each tick
+            OWNED_SYSTEMS: ['fryFertilizationSystem', 'fryEggLayingSystem', 'frySpawningSystem',
+                'tunaPoopingSystem', 'tunaSpawningSystem', 'squidLifecycleSystem', 'nutrientFieldSystem', 'truefryHatchingSystem', 'truefryTransformationSystem', 'lodSystem'],
+            // Global singletons whose state affects the simulation (some roll random patterns at load)
+            GLOBAL_SYSTEMS: ['krillAI', 'TunaAI', 'EggFloatingSystem', 'SpermFertilizationSystem',
+                'KrillTransformationSystem', 'krillLifecycleSystem', 'boidThreatSystem', 'PoopMovementSystem']
+        };
+
+        // Arrays of species registered after the built-in ones are saved too
+        if (window.speciesRegistry) {
+            window.speciesRegistry.getArrayNames().forEach(name => {
+                if (!this.config.ENTITY_ARRAYS.includes(name)) this.config.ENTITY_ARRAYS.push(name);
+            });
+        }
+    }
+
+    // ===== Snapshot creation =====
+
+    createSnapshot(gameEntities) {
+        const refIds = new Map();
+        let nextRefId = 0;
+        this.config.ENTITY_ARRAYS.forEach(name => {
+            (gameEntities[name] || []).forEach(entity => {
+                if (!refIds.has(entity)) refIds.set(entity, nextRefId++);
+            });
+        });
+
+        const context = {
+            refIds,
+            sharedObjects: this.collectSharedObjects(),
+            ancestors: new Set()
+        };
+
+        // Each entity is stored once with its class name and constructor arguments, arrays list ref ids
+        const entities = [];
+        refIds.forEach((id, entity) => {
+            entities[id] = {
+                className: entity.constructor.name,
+                data: this.serializeFields(entity, context)
+            };
+        });
+
+        const arrays = {};
+        this.config.ENTITY_ARRAYS.forEach(name => {
+            arrays[name] = (gameEntities[name] || []).map(entity => refIds.get(entity));
+        });
+
+        const systems = {};
+        this.config.OWNED_SYSTEMS.forEach(name => {
+            if (gameEntities[name]) systems[name] = this.serializeFields(gameEntities[name], context);
+        });
+
+        const globals = {};
+        this.config.GLOBAL_SYSTEMS.forEach(name => {
+            if (window[name]) globals[name] = this.serializeFields(window[name], context);
+        });
+
+        const counter = gameEntities.entityCounter;
+        return {
+            version: this.config.VERSION,
+            savedAt: new Date().toISOString(),
+            clock: window.SimClock ? window.SimClock.getState() : null,
+            frameCount: window.gameState ? window.gameState.frameCount : 0,
+            random: window.SimRandom ? window.SimRandom.getState() : null,
+            entityIds: window.EntityRegistry ? window.EntityRegistry.getState() : null,
+            camera: this.camera ? { x: this.camera.x, y: this.camera.y, zoom: this.camera.zoom } : null,
+            entityCounter: counter ? {
+                worldCounts: { ...counter.worldCounts },
+                playerSpawns: { ...counter.playerSpawns },
+                eventCounts: { ...counter.eventCounts }
+            } : null,
+            entities,
+            arrays,
+            systems,
+            globals,
+            spatialGrid: this.serializeSpatialGrid(gameEntities.spatialPartitioning, refIds)
+        };
+    }
+
+    // Neighbour queries return entities in bucket order, so keep the grid's order for an exact continuation
+    serializeSpatialGrid(spatialPartitioning, refIds) {
+        if (!spatialPartitioning) return null;
+        return spatialPartitioning.getState(entity => refIds.get(entity));
+    }
+
+    // Objects reachable straight from window (configs, singletons) - entities point at them but never own them
+    collectSharedObjects() {
+        const shared = new Set();
+        Object.keys(window).forEach(key => {
+            const value = window[key];
+            if (value && (typeof value === 'object' || typeof value === 'function')) {
+                shared.add(value);
+            }
+        });
+        return shared;
+    }
+
+    serializeFields(source, context) {
+        const result = {};
+        context.ancestors.add(source);
+        Object.keys(source).forEach(key => {
+            const value = this.serializeValue(source[key], context);
+            if (value !== undefined) result[key] = value;
+        });
+        // Krill and fry in structure-of-arrays mode keep some fields in the entity store, behind prototype accessors
+        if (source.storeSlot >= 0) {
+            const stored = source.entityStore.getStoredFields(source);
+            Object.keys(stored).forEach(key => {
+                result[key] = this.serializeValue(stored[key], context);
+            });
+        }
+        context.ancestors.delete(source);
+        return result;
+    }
+
+    serializeValue(value, context) {
+        if (value === null) return null;
+
+        const type = typeof value;
+        if (type === 'number') {
+            return Number.isFinite(value) ? value : { $num: String(value) };
+        }
+        if (type === 'string' || type === 'boolean') return value;
+        if (type !== 'object') return undefined; // functions, undefined, symbols
+
+        if (context.refIds.has(value)) return { $ref: context.refIds.get(value) };
+        if (context.sharedObjects.has(value) || context.ancestors.has(value)) return undefined;
+
+        if (Array.isArray(value)) {
+            context.ancestors.add(value);
+            const items = value.map(item => {
+                const serialized = this.serializeValue(item, context);
+                return serialized === undefined ? null : serialized;
+            });
+            context.ancestors.delete(value);
+            return items;
+        }
+
+        if (value instanceof Map) {
+            const entries = [];
+            value.forEach((mapValue, mapKey) => {
+                const key = this.serializeValue(mapKey, context);
+                const serialized = this.serializeValue(mapValue, context);
+                if (key !== undefined && serialized !== undefined) entries.push([key, serialized]);
+            });
+            return { $map: entries };
+        }
+
+        if (value instanceof Set) {
+            const items = [];
+            value.forEach(item => {
+                const serialized = this.serializeValue(item, context);
+                if (serialized !== undefined) items.push(serialized);
+            });
+            return { $set: items };
+        }
+
+        const proto = Object.getPrototypeOf(value);
+        if (proto === Object.prototype || proto === null) {
+            return this.serializeFields(value, context);
+        }
+
+        // Instances of our own classes (per-entity systems, detached prey) keep their class name,
+        // built-ins such as Image or canvas contexts are skipped
+        const className = value.constructor && value.constructor.name;
+        if (className && window[className] === value.constructor && !this.isNativeClass(value.constructor)) {
+            return { $class: className, ...this.serializeFields(value, context) };
+        }
+        return undefined;
+    }
+
+    isNativeClass(constructor) {
+        return /\[native code\]/.test(Function.prototype.toString.call(constructor));
+    }
+
+    // ===== Snapshot restore =====
+
+    restoreSnapshot(gameEntities, snapshot) {
+        if (!snapshot || snapshot.version !== this.config.VERSION) {
+            throw new Error(`Unsupported snapshot version: ${snapshot ? snapshot.version : 'none'}`);
+        }
+
+        // First pass: construct every entity so prototypes, configs and per-entity systems exist
+        const refs = snapshot.entities.map(entry => this.createEntity(entry));
+
+        // Second pass: overwrite with the saved state, resolving references between entities
+        snapshot.entities.forEach((entry, id) => {
+            if (refs[id]) this.applyFields(refs[id], entry.data, refs);
+        });
+
+        // Swap array contents in place so anything holding the arrays stays valid
+        this.config.ENTITY_ARRAYS.forEach(name => {
+            if (!gameEntities[name]) gameEntities[name] = [];
+            const target = gameEntities[name];
+            target.length = 0;
+            (snapshot.arrays[name] || []).forEach(id => {
+                if (refs[id]) target.push(refs[id]);
+            });
+        });
+
+        Object.keys(snapshot.systems || {}).forEach(name => {
+            if (gameEntities[name]) this.applyFields(gameEntities[name], snapshot.systems[name], refs);
+        });
+
+        Object.keys(snapshot.globals || {}).forEach(name => {
+            if (window[name]) this.applyFields(window[name], snapshot.globals[name], refs);
+        });
+
+        if (snapshot.entityCounter && gameEntities.entityCounter) {
+            Object.assign(gameEntities.entityCounter.worldCounts, snapshot.entityCounter.worldCounts);
+            Object.assign(gameEntities.entityCounter.playerSpawns, snapshot.entityCounter.playerSpawns);
+            Object.assign(gameEntities.entityCounter.eventCounts, snapshot.entityCounter.eventCounts || {});
+        }
+
+        if (snapshot.camera && this.camera) {
+            this.camera.x = snapshot.camera.x;
+            this.camera.y = snapshot.camera.y;
+            this.camera.zoom = snapshot.camera.zoom;
+            if (window.canvas) {
+                this.camera.viewWidth = window.canvas.width / this.camera.zoom;
+                this.camera.viewHeight = window.canvas.height / this.camera.zoom;
+            }
+        }
+
+        if (gameEntities.spatialPartitioning) {
+            this.restoreSpatialGrid(gameEntities.spatialPartitioning, snapshot.spatialGrid, refs);
+        }
+
+        // Restored entities carry their saved ids - continue numbering where the saved world stopped
+        if (window.EntityRegistry) window.EntityRegistry.setState(snapshot.entityIds);
+        if (gameEntities.entityRegistry) {
+            gameEntities.entityRegistry.clear();
+            gameEntities.syncEntityRegistry(false);
+        }
+        // The replaced world's krill and fry were never announced as removed - hand their store slots back
+        gameEntities.reclaimEntityStore();
+        // Pooled objects from the replaced world may still be referenced by it - start the pools empty
+        if (window.entityPools) window.entityPools.clear();
+
+        // Clock and random state last - constructing the entities above consumed random numbers
+        if (window.gameState && snapshot.frameCount !== undefined) window.gameState.frameCount = snapshot.frameCount;
+        if (window.SimClock) window.SimClock.setState(snapshot.clock);
+        if (window.SimRandom) window.SimRandom.setState(snapshot.random);
+
+        console.log(`💾 Snapshot restored: ${refs.length} entities at tick ${snapshot.clock ? snapshot.clock.tick : '?'}`);
+        return refs.length;
+    }
+
+    // Grid still indexes the old objects - refill it in the saved order (or rebuild next tick for old saves)
+    restoreSpatialGrid(spatialPartitioning, state, refs) {
+        spatialPartitioning.setState(state, id => refs[id]);
+    }
+
+    // Build an entity through its real constructor
+    createEntity(entry) {
+        const EntityClass = window[entry.className];
+        if (typeof EntityClass !== 'function') {
+            console.warn(`⚠️ Snapshot entity class not found: ${entry.className}`);
+            return null;
+        }
+
+        // Species whose constructor needs more than a position say how to rebuild one
+        const species = window.speciesRegistry ? window.speciesRegistry.getByClassName(entry.className) : null;
+        if (species && species.restore) {
+            return species.restore(entry.data);
+        }
+        return new EntityClass(entry.data.x, entry.data.y);
+    }
+
+    applyFields(target, data, refs) {
+        Object.keys(data).forEach(key => {
+            if (key === '$class') return;
+            const saved = data[key];
+            const current = target[key];
+
+            // Merge into existing per-entity objects (systems, velocity) instead of replacing them
+            if (this.isPlainSaved(saved) && current && typeof current === 'object' && !Array.isArray(current) &&
+                !(current instanceof Map) && !(current instanceof Set) &&
+                (!saved.$class || current.constructor.name === saved.$class)) {
+                this.applyFields(current, saved, refs);
+            } else {
+                target[key] = this.reviveValue(saved, refs);
+            }
+        });
+    }
+
+    isPlainSaved(saved) {
+        return saved !== null && typeof saved === 'object' && !Array.isArray(saved) &&
+            !('$ref' in saved) && !('$num' in saved) && !('$map' in saved) && !('$set' in saved);
+    }
+
+    reviveValue(saved, refs) {
+        if (saved === null || typeof saved !== 'object') return saved;
+        if (Array.isArray(saved)) return saved.map(item => this.reviveValue(item, refs));
+        if ('$ref' in saved) return refs[saved.$ref] || null;
+        if ('$num' in saved) return Number(saved.$num);
+        if ('$map' in saved) {
+            const map = new Map();
+            saved.$map.forEach(([key, value]) => map.set(this.reviveValue(key, refs), this.reviveValue(value, refs)));
+            return map;
+        }
+        if ('$set' in saved) return new Set(saved.$set.map(item => this.reviveValue(item, refs)));
+
+        const SavedClass = saved.$class ? window[saved.$class] : null;
+        const revived = typeof SavedClass === 'function' ? Object.create(SavedClass.prototype) : {};
+        // Detached krill and fry skip their constructor here - give them a store slot for the stored fields
+        if (revived.entityStore) revived.entityStore.attach(revived);
+        this.applyFields(revived, saved, refs);
+        return revived;
+    }
+
+    // ===== Named localStorage slots =====
+
+    hasStorage() {
+        try {
+            return typeof localStorage !== 'undefined' && localStorage !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    saveToSlot(gameEntities, slotName) {
+        if (!this.hasStorage()) throw new Error('localStorage is not available');
+        const snapshot = this.createSnapshot(gameEntities);
+        snapshot.name = slotName;
+        localStorage.setItem(this.config.STORAGE_PREFIX + slotName, JSON.stringify(snapshot));
+        console.log(`💾 World saved to slot "${slotName}" (tick ${snapshot.clock ? snapshot.clock.tick : '?'})`);
+        return snapshot;
+    }
+
+    loadFromSlot(gameEntities, slotName) {
+        if (!this.hasStorage()) throw new Error('localStorage is not available');
+        const json = localStorage.getItem(this.config.STORAGE_PREFIX + slotName);
+        if (!json) throw new Error(`No saved world named "${slotName}"`);
+        return this.restoreSnapshot(gameEntities, JSON.parse(json));
+    }
+
+    deleteSlot(slotName) {
+        if (this.hasStorage()) localStorage.removeItem(this.config.STORAGE_PREFIX + slotName);
+    }
+
+    listSlots() {
+        if (!this.hasStorage()) return [];
+        const slots = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(this.config.STORAGE_PREFIX)) {
+                slots.push(key.slice(this.config.STORAGE_PREFIX.length));
+            }
+        }
+        return slots.sort();
+    }
+
+    // ===== JSON file export / import =====
+
+    exportToFile(gameEntities, fileName = 'fishminder-world.json') {
+        const snapshot = this.createSnapshot(gameEntities);
+        const blob = new Blob([JSON.stringify(snapshot)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+        return snapshot;
+    }
+
+    importFromFile(gameEntities, file) {
+        return file.text().then(json => this.restoreSnapshot(gameEntities, JSON.parse(json)));
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.WorldSnapshotSystem = WorldSnapshotSystem;
+}
@@ -22,6 +22,7 @@ class DebugManager {
         
         // Initialize subsystems
         this.initializeSubsystems();
+        this.subscribeToEcosystemEvents();
         this.bindKeyEvents();
         
         console.log('🐟 DebugManager initialized (F3: all debug + console, T: cycle creatures)');
@@ -106,8 +107,29 @@ class DebugManager {
         };
     }
 
+    // Analytics record ecosystem events from the event bus (actors are left out so dead entities can be collected)
+    subscribeToEcosystemEvents() {
+        if (!window.ecosystemEvents) return;
+        
+        window.ecosystemEvents.subscribe('*', event => {
+            this.trackEvent(event.type, {
+                tick: event.tick,
+                x: event.x,
+                y: event.y,
+                cause: event.cause,
+                ...event.details
+            });
+        });
+        window.ecosystemEvents.subscribe(window.ECOSYSTEM_EVENTS.KRILL_TRANSFORMED, event => {
+            this.trackTransformation(event.details.fromType, event.details.toType);
+        });
+    }
+
     // Keybinds for F3 and T
     bindKeyEvents() {
+        // No keyboard in headless runs
+        if (typeof document === 'undefined') return;
+
         document.addEventListener('keydown', (event) => {
             if (event.key === 'F3') {
                 event.preventDefault();
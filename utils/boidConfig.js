@@ -69,6 +69,25 @@ class BoidConfig {
         poop: { energyGain: 8, range: 22, foodValue: 'variable' }
     };
 
+    // Energy use per tick (systems/MetabolismSystem.js) - a full store lasts about ten minutes of foraging,
+    // and FOOD_SOURCES.energyGain is what each meal puts back
+    static METABOLISM = {
+        max: 100,
+        basal: 0.001,
+        swim: 0.003, // Extra at full speed, scaled by (speed / maxSpeed)²
+        hunt: 0.001, // Extra every tick spent chasing food
+        hunting: { behaviorState: ['hunting'] },
+        hungry: 0.5, // Below half energy fry look for food further away
+        hungryDetectionScale: 1.5
+    };
+
+    // Life stages and lifespan in simulation milliseconds (systems/AgingSystem.js)
+    static AGING = {
+        stages: [{ name: 'juvenile', until: 60000 }, { name: 'adult', until: 360000 }, { name: 'elder' }],
+        lifespan: [480000, 720000], // 8-12 minutes
+        senescence: { speed: 0.6, perception: 0.5 }
+    };
+
     static DEBUG_COLORS = {
         foraging: '#90EE90',    // Light Green
         hunting: '#FFA500',     // Orange  
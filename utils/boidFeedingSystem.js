@@ -4,7 +4,7 @@ class BoidFeedingSystem {
         this.config = window.BoidConfig || {};
     }
 
-    checkForFood(boid, krillArray, fishFoodArray, poopArray, fertilizedEggsArray = []) {
+    checkForFood(boid) {
         const gameEntities = window.gameEntities;
         if (!gameEntities) return false;
         
@@ -32,9 +32,14 @@ class BoidFeedingSystem {
             boid.poopThreshold = this.getPoopThreshold();
         }
         
+        // Locked states never hunt - drop the target they were chasing before (it may have been eaten since)
+        if (boid.behaviorState !== 'foraging' && boid.behaviorState !== 'hunting') {
+            boid.huntTarget = null;
+        }
+        
         // Handle feeding state - update timer and prevent eating but allow normal movement
         if (boid.behaviorState === 'feeding') {
-            boid.feedingTimer += 16; // Approximate frame time
+            boid.feedingTimer += SimClock.stepMs; // One simulation tick
             if (boid.feedingTimer >= boid.feedingDuration) {
                 boid.behaviorState = 'foraging';
                 boid.feedingTimer = 0;
@@ -64,36 +69,46 @@ class BoidFeedingSystem {
         
         // Check all food types that small fry can eat
         const foodSources = this.getFoodSources(gameEntities);
+        let detectionRange = this.config.BEHAVIOR_CONFIG?.detectionRange || 120;
+        // Hungry fry search further afield
+        if (window.MetabolismSystem && MetabolismSystem.isHungry(boid)) {
+            detectionRange *= MetabolismSystem.get(boid).hungryDetectionScale || 1;
+        }
+        // Old fry notice food from closer in
+        if (window.AgingSystem) {
+            detectionRange *= AgingSystem.getPerception(boid);
+        }
         
         let closestFood = null;
         let closestDistance = Infinity;
         
-        // Find closest food
+        // Find closest food - only what the spatial grid has within detection (or eating) range
         for (let foodSource of foodSources) {
             if (!foodSource.array || foodSource.array.length === 0) continue;
             
-            for (let i = foodSource.array.length - 1; i >= 0; i--) {
-                const food = foodSource.array[i];
+            // Check if this fry type can eat this food type
+            if (!window.shouldIgnorePrey || window.shouldIgnorePrey(boid.fishType, foodSource.name, this.config.FISH_TYPES)) continue;
+            
+            const nearbyFood = boid.findNearby(Math.max(detectionRange, foodSource.range), foodSource.spatialType);
+            for (let i = nearbyFood.length - 1; i >= 0; i--) {
+                const food = nearbyFood[i];
+                if (foodSource.minState && !(food.state >= foodSource.minState)) continue;
+                
+                const distance = Math.sqrt((boid.x - food.x) ** 2 + (boid.y - food.y) ** 2);
                 
-                // Check if this fry type can eat this food type
-                if (window.shouldIgnorePrey && !window.shouldIgnorePrey(boid.fishType, foodSource.name, this.config.FISH_TYPES)) {
-                    const distance = Math.sqrt((boid.x - food.x) ** 2 + (boid.y - food.y) ** 2);
-                    
-                    // Check if within eating range
-                    if (distance < foodSource.range) {
-                        // Eat the food immediately (this may set state to 'feeding' if threshold reached)
-                        this.eatFood(boid, food, foodSource, i);
-                        // Return early - don't continue checking other food or changing state
-                        // This preserves the 'feeding' state if eatFood set it
-                        return true; // Return true to indicate food was eaten
-                    }
-                    
-                    // Track closest food for hunting behavior (only if not in eating range)
-                    const detectionRange = this.config.BEHAVIOR_CONFIG?.detectionRange || 120;
-                    if (distance < closestDistance && distance < detectionRange) {
-                        closestFood = { food, source: foodSource, distance, index: i };
-                        closestDistance = distance;
-                    }
+                // Check if within eating range
+                if (distance < foodSource.range) {
+                    // Eat the food immediately (this may set state to 'feeding' if threshold reached)
+                    this.eatFood(boid, food, foodSource, foodSource.array.indexOf(food));
+                    // Return early - don't continue checking other food or changing state
+                    // This preserves the 'feeding' state if eatFood set it
+                    return true; // Return true to indicate food was eaten
+                }
+                
+                // Track closest food for hunting behavior (only if not in eating range)
+                if (distance < closestDistance && distance < detectionRange) {
+                    closestFood = { food, source: foodSource, distance };
+                    closestDistance = distance;
                 }
             }
         }
@@ -130,15 +145,16 @@ class BoidFeedingSystem {
         const foodConfig = this.config.FOOD_SOURCES || {};
         
         // Base food sources that all fry can eat (eggs removed - fry cannot eat eggs)
+        // spatialType picks the grid bucket to search, array is where eaten food is removed from
         const baseFoodSources = [
             // Krill types with corrected food values
-            { array: gameEntities.krill, name: 'krill', energyGain: foodConfig.krill?.energyGain || 15, range: foodConfig.krill?.range || 25, foodValue: foodConfig.krill?.foodValue || 3 },
-            { array: gameEntities.paleKrill, name: 'paleKrill', energyGain: foodConfig.paleKrill?.energyGain || 12, range: foodConfig.paleKrill?.range || 25, foodValue: foodConfig.paleKrill?.foodValue || 2 },
-            { array: gameEntities.momKrill, name: 'momKrill', energyGain: foodConfig.momKrill?.energyGain || 20, range: gameEntities.momKrill?.range || 25, foodValue: foodConfig.momKrill?.foodValue || 6 },
+            { array: gameEntities.krill, spatialType: 'krill', name: 'krill', energyGain: foodConfig.krill?.energyGain || 15, range: foodConfig.krill?.range || 25, foodValue: foodConfig.krill?.foodValue || 3 },
+            { array: gameEntities.paleKrill, spatialType: 'paleKrill', name: 'paleKrill', energyGain: foodConfig.paleKrill?.energyGain || 12, range: foodConfig.paleKrill?.range || 25, foodValue: foodConfig.paleKrill?.foodValue || 2 },
+            { array: gameEntities.momKrill, spatialType: 'momKrill', name: 'momKrill', energyGain: foodConfig.momKrill?.energyGain || 20, range: gameEntities.momKrill?.range || 25, foodValue: foodConfig.momKrill?.foodValue || 6 },
             // Fish food - same as regular krill
-            { array: gameEntities.fishFood, name: 'fishFood', energyGain: foodConfig.fishFood?.energyGain || 10, range: foodConfig.fishFood?.range || 20, foodValue: foodConfig.fishFood?.foodValue || 3 },
+            { array: gameEntities.fishFood, spatialType: 'food', name: 'fishFood', energyGain: foodConfig.fishFood?.energyGain || 10, range: foodConfig.fishFood?.range || 20, foodValue: foodConfig.fishFood?.foodValue || 3 },
             // Poop (aged poop only - state 2 and 3) - different values for fry vs tuna poop
-            { array: gameEntities.poop?.filter(p => p.state >= 2) || [], name: 'poop', energyGain: foodConfig.poop?.energyGain || 8, range: foodConfig.poop?.range || 22, foodValue: 'variable' }
+            { array: gameEntities.poop, spatialType: 'poop', minState: 2, name: 'poop', energyGain: foodConfig.poop?.energyGain || 8, range: foodConfig.poop?.range || 22, foodValue: 'variable' }
         ];
         
         // Eggs removed - all fry types cannot eat eggs
@@ -158,29 +174,39 @@ class BoidFeedingSystem {
                 }
             } else {
                 // Conversion failed or already lone krill - remove normally
-                foodSource.array.splice(index, 1);
+                EntityLifecycle.removeFrom(foodSource.array, index, DEATH_CAUSES.EATEN, boid);
             }
         } else if (foodSource.name === 'poop') {
             // For poop, find and remove from main poop array
             const poopIndex = window.gameEntities.poop.indexOf(food);
             if (poopIndex !== -1) {
-                window.gameEntities.poop.splice(poopIndex, 1);
+                EntityLifecycle.removeFrom(window.gameEntities.poop, poopIndex, DEATH_CAUSES.EATEN, boid);
             }
         } else {
             // Normal removal for other food types
-            foodSource.array.splice(index, 1);
+            EntityLifecycle.removeFrom(foodSource.array, index, DEATH_CAUSES.EATEN, boid);
         }
         
         // Create eating bubbles
         if (window.ObjectPools) {
             for (let j = 0; j < 2; j++) {
                 window.ObjectPools.getEatingBubble(
-                    boid.x + (Math.random() - 0.5) * 15,
-                    boid.y + (Math.random() - 0.5) * 15
+                    boid.x + (SimRandom.random() - 0.5) * 15,
+                    boid.y + (SimRandom.random() - 0.5) * 15
                 );
             }
         }
         
+        if (window.ecosystemEvents) {
+            window.ecosystemEvents.publish(window.ECOSYSTEM_EVENTS.PREY_EATEN, {
+                actors: { predator: boid, prey: food },
+                x: food.x,
+                y: food.y,
+                cause: 'forage',
+                details: { predatorType: 'fry', preyType: foodSource.name, distance: window.Utils.distance(boid, food) }
+            });
+        }
+        
         // Add food value to consumption counter (handle variable poop values)
         let actualFoodValue = foodSource.foodValue;
         if (foodSource.name === 'poop' && foodSource.foodValue === 'variable') {
@@ -209,7 +235,7 @@ class BoidFeedingSystem {
         
         if (shouldPoop && window.gameEntities && window.gameEntities.poop && window.Poop) {
             // Create poop
-            window.gameEntities.poop.push(new window.Poop(boid.x, boid.y, 'regular'));
+            window.gameEntities.poop.push(window.acquireEntity(window.Poop, boid.x, boid.y, 'regular'));
             
             // Reset food counter and set new threshold
             boid.foodConsumed = 0;
@@ -228,8 +254,12 @@ class BoidFeedingSystem {
         }
         
         // Restore energy based on food type
-        boid.energy = Math.min(100, boid.energy + foodSource.energyGain);
-        boid.lastEatTime = Date.now();
+        if (window.MetabolismSystem) {
+            MetabolismSystem.feed(boid, foodSource.energyGain);
+        } else {
+            boid.energy = Math.min(100, boid.energy + foodSource.energyGain);
+        }
+        boid.lastEatTime = SimClock.now();
     }
 
     calculateSeekForce(boid, target) {
@@ -252,7 +282,7 @@ class BoidFeedingSystem {
 
     getPoopThreshold() {
         // Make fry poop very frequently - only 1-2 food items
-        return 1 + Math.floor(Math.random() * 2); // 1-2 food items for frequent feeding states
+        return 1 + Math.floor(SimRandom.random() * 2); // 1-2 food items for frequent feeding states
     }
 
     getFeedingStateDuration() {
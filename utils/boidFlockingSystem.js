@@ -142,8 +142,8 @@ class BoidFlockingSystem {
             
             // Add random offset to break perfect convergence
             const randomOffset = 0.02;
-            forces.x += (Math.random() - 0.5) * randomOffset;
-            forces.y += (Math.random() - 0.5) * randomOffset;
+            forces.x += (SimRandom.random() - 0.5) * randomOffset;
+            forces.y += (SimRandom.random() - 0.5) * randomOffset;
         }
         
         // Separation: Fry avoid crowding each other
@@ -163,7 +163,7 @@ class BoidFlockingSystem {
         }
         
         // Add small random movement to prevent perfect alignment
-        const randomAngle = Math.random() * Math.PI * 2;
+        const randomAngle = SimRandom.random() * Math.PI * 2;
         let randomForce = 0.015; // Small random force for regular boids
         
         // Enhanced randomization for krill to break up uniform patterns
@@ -175,7 +175,7 @@ class BoidFlockingSystem {
                 randomForce = 0.05; // Even more randomization during migration
                 
                 // Add periodic directional changes
-                const timeOffset = (boid.wanderOffset || 0) + Date.now() * 0.0002;
+                const timeOffset = (boid.wanderOffset || 0) + SimClock.now() * 0.0002;
                 const periodicX = Math.sin(timeOffset) * 0.02;
                 const periodicY = Math.cos(timeOffset * 1.7) * 0.025;
                 
@@ -232,7 +232,7 @@ class BoidFlockingSystem {
         // Add random movement when no flocking forces are applied (prevents straight-line drift)
         if (alignCount === 0 && cohesionCount === 0 && separationCount === 0) {
             // Add small random steering force to prevent straight-line movement
-            const randomAngle = Math.random() * Math.PI * 2;
+            const randomAngle = SimRandom.random() * Math.PI * 2;
             const randomForce = 0.02; // Very small random force
             forces.x += Math.cos(randomAngle) * randomForce;
             forces.y += Math.sin(randomAngle) * randomForce;
@@ -30,6 +30,15 @@ class BoidRenderingSystem {
         }
     }
     
+    // Worker-mode render state - same sprite, tilt and facing as draw()
+    getRenderState(boid, out) {
+        out.sprite = boid.fishType;
+        out.angle = Math.atan2(boid.velocity.y, Math.abs(boid.velocity.x)) * 0.5;
+        out.opacity = window.Utils.getDepthOpacity(boid.y, 0.9);
+        out.tint = window.Utils.getDepthTint(boid.y);
+        out.flip = boid.updateFacingDirection();
+    }
+    
     // Debug visualization for fry behavior
     drawDebugInfo(boid) {
         if (!boid.behaviorState) return;
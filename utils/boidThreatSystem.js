@@ -242,7 +242,7 @@ class BoidThreatSystem {
         }
         
         // Update threat tracking
-        boid.lastThreatDetection = Date.now();
+        boid.lastThreatDetection = SimClock.now();
         boid.threatLevel = this.calculateThreatLevel(boid, threats);
         
         // Debug logging - always log when fleeing forces are applied
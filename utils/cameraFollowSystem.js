@@ -222,12 +222,28 @@ class CameraFollowSystem {
         this.isFollowing = false;
     }
     
+    /**
+     * Release the follow target when the entity registry announces its removal
+     * @param {Object} entity - The removed entity
+     * @param {Object|null} death - Recorded cause of death (EntityLifecycle)
+     */
+    handleEntityRemoved(entity, death = null) {
+        if (!this.isFollowing || entity !== this.followTarget) return;
+        
+        console.log(`📷 Follow target removed (${death ? death.cause : 'unknown cause'})`);
+        this.stopFollowing();
+    }
+    
     /**
      * Generate a unique ID for an entity
      * @param {Object} entity - The entity
-     * @returns {string} Unique entity ID
+     * @returns {number|string} Unique entity ID
      */
     generateEntityId(entity) {
+        // Registry id survives snapshot restores, the fallback does not
+        if (entity.id !== undefined) {
+            return entity.id;
+        }
         return `${entity.constructor.name}_${entity.x}_${entity.y}_${Date.now()}`;
     }
     
@@ -279,6 +295,13 @@ class CameraFollowSystem {
         const gameEntities = window.gameEntities;
         if (!gameEntities) return false;
         
+        // Look the target up by id - a restored world holds a new object with the same id
+        if (gameEntities.entityRegistry && typeof this.followTargetId === 'number') {
+            const target = gameEntities.entityRegistry.get(this.followTargetId);
+            if (target) this.followTarget = target;
+            return !!target;
+        }
+        
         // Check all entity arrays for the target
         const entityArrays = [
             gameEntities.fish,
@@ -362,6 +385,31 @@ class CameraFollowSystem {
         ctx.restore();
     }
     
+    /**
+     * Draw the followed creature's name, life stage and age at the top of the screen
+     * @param {CanvasRenderingContext2D} ctx - Canvas context (screen space)
+     */
+    drawReadout(ctx) {
+        if (!ctx || !this.isFollowing || !this.followTarget) return;
+        
+        const target = this.followTarget;
+        const name = target.id !== undefined ? `${target.species || target.constructor.name} #${target.id}` :
+            (target.fishType || target.constructor.name);
+        const age = window.AgingSystem ? window.AgingSystem.describe(target) : null;
+        const text = age ? `📷 ${name} - ${age}` : `📷 ${name}`;
+        
+        ctx.save();
+        ctx.font = '14px Arial';
+        ctx.textAlign = 'center';
+        const width = ctx.measureText(text).width + 20;
+        const x = ctx.canvas.width / 2;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(x - width / 2, 10, width, 24);
+        ctx.fillStyle = 'rgba(0, 255, 0, 0.9)';
+        ctx.fillText(text, x, 27);
+        ctx.restore();
+    }
+    
     /**
      * Get system statistics
      * @returns {Object} Performance statistics
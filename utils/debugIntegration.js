@@ -262,8 +262,8 @@ const debugIntegration = new DebugIntegration();
 if (typeof window !== 'undefined') {
     window.DebugIntegration = debugIntegration;
     
-    // Initialize when DOM is ready
-    if (document.readyState === 'loading') {
+    // Initialize when DOM is ready (headless runs have no document)
+    if (typeof document !== 'undefined' && document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', () => {
             debugIntegration.initialize();
         });
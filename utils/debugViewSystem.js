@@ -95,15 +95,20 @@ class DebugViewSystem {
     
     /**
      * Main draw method for debug overlay
+     * @param {CanvasRenderingContext2D} ctx - Canvas context (may still carry the world transform)
+     * @param {Object} gameEntities - Game entities system
+     * @param {Object} camera - The game camera (x, y, zoom)
      */
-    draw(ctx) {
+    draw(ctx, gameEntities, camera) {
         // Update config based on current debug state
         this.updateDebugConfig();
         
         // Only render if debug is enabled
-        if (!this.isEnabled || !ctx || !window.gameEntities) return;
+        if (!this.isEnabled || !ctx || !gameEntities || !camera) return;
         
+        // The overlay is drawn in screen pixels - entity labels map world positions through the camera themselves
         ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
         
         // Set debug rendering styles
         ctx.strokeStyle = this.config.LINE_COLOR;
@@ -112,14 +117,14 @@ class DebugViewSystem {
         ctx.font = `${this.config.FONT_SIZE}px Arial`;
         ctx.textAlign = 'left';
         
-        // Draw debug info for each entity type
-        this.drawFishDebug(ctx, window.gameEntities.fish, window.gameEntities.camera);
-        this.drawPredatorDebug(ctx, window.gameEntities.predators, window.gameEntities.camera);
-        this.drawKrillDebug(ctx, window.gameEntities.krill, window.gameEntities.paleKrill, window.gameEntities.momKrill, window.gameEntities.camera);
-        this.drawSquidDebug(ctx, window.gameEntities.squid, window.gameEntities.camera);
-        this.drawSpermDebug(ctx, window.gameEntities.sperm, window.gameEntities.camera);
-        this.drawSystemDebug(ctx, window.gameEntities, window.gameEntities.camera);
-        this.drawPerformanceDebug(ctx, window.gameEntities.camera);
+        // Draw debug info for each species that declares a debug drawer
+        if (window.speciesRegistry) {
+            window.speciesRegistry.getDebugDrawers().forEach(species => {
+                species.debugDraw(this, ctx, gameEntities[species.array], camera);
+            });
+        }
+        this.drawSystemDebug(ctx, gameEntities, camera);
+        this.drawPerformanceDebug(ctx, camera);
         
         ctx.restore();
     }
@@ -134,20 +139,21 @@ class DebugViewSystem {
         if (!this.config.SHOW_AI_STATES || !fish) return;
         
         for (let f of fish) {
-            const screenX = f.x - camera.x;
-            const screenY = f.y - camera.y;
+            const screenX = (f.x - camera.x) * camera.zoom;
+            const screenY = (f.y - camera.y) * camera.zoom;
             
             // Draw AI state
             if (f.behaviorState) {
                 ctx.fillStyle = this.getStateColor(f.behaviorState);
                 ctx.fillText(`${f.fishType} - ${f.behaviorState}`, screenX + 15, screenY - 15);
             }
+            this.drawAge(ctx, f, screenX + 15, screenY - 3);
             
             // Draw detection ranges
             if (this.config.SHOW_DETECTION_RANGES && f.detectionRange) {
                 ctx.strokeStyle = '#00ff00';
                 ctx.beginPath();
-                ctx.arc(screenX, screenY, f.detectionRange, 0, Math.PI * 2);
+                ctx.arc(screenX, screenY, f.detectionRange * camera.zoom, 0, Math.PI * 2);
                 ctx.stroke();
             }
             
@@ -168,14 +174,14 @@ class DebugViewSystem {
                     ctx.setLineDash([5, 5]);
                     ctx.beginPath();
                     ctx.moveTo(screenX, screenY);
-                    ctx.lineTo(target.x - camera.x, target.y - camera.y);
+                    ctx.lineTo((target.x - camera.x) * camera.zoom, (target.y - camera.y) * camera.zoom);
                     ctx.stroke();
                     ctx.setLineDash([]);
                     
                     // Draw target egg
                     ctx.strokeStyle = '#ff00ff';
                     ctx.beginPath();
-                    ctx.arc(target.x - camera.x, target.y - camera.y, 10, 0, Math.PI * 2);
+                    ctx.arc((target.x - camera.x) * camera.zoom, (target.y - camera.y) * camera.zoom, 10, 0, Math.PI * 2);
                     ctx.stroke();
                 }
             }
@@ -202,20 +208,21 @@ class DebugViewSystem {
         if (!this.config.SHOW_AI_STATES || !predators) return;
         
         for (let p of predators) {
-            const screenX = p.x - camera.x;
-            const screenY = p.y - camera.y;
+            const screenX = (p.x - camera.x) * camera.zoom;
+            const screenY = (p.y - camera.y) * camera.zoom;
             
             // Draw AI state and energy
             if (p.aiState) {
                 ctx.fillStyle = this.getStateColor(p.aiState);
                 ctx.fillText(`${p.tunaType} - ${p.aiState} (E:${Math.round(p.energy)})`, screenX + 15, screenY - 15);
             }
+            this.drawAge(ctx, p, screenX + 15, screenY - 3);
             
             // Draw hunting radius
             if (this.config.SHOW_DETECTION_RANGES && window.TUNA_CONFIG) {
                 ctx.strokeStyle = '#ff0000';
                 ctx.beginPath();
-                ctx.arc(screenX, screenY, window.TUNA_CONFIG.huntRadius, 0, Math.PI * 2);
+                ctx.arc(screenX, screenY, window.TUNA_CONFIG.huntRadius * camera.zoom, 0, Math.PI * 2);
                 ctx.stroke();
             }
             
@@ -223,7 +230,7 @@ class DebugViewSystem {
             if (this.config.SHOW_DETECTION_RANGES && window.TUNA_CONFIG) {
                 ctx.strokeStyle = '#ff6600';
                 ctx.beginPath();
-                ctx.arc(screenX, screenY, window.TUNA_CONFIG.attackRadius, 0, Math.PI * 2);
+                ctx.arc(screenX, screenY, window.TUNA_CONFIG.attackRadius * camera.zoom, 0, Math.PI * 2);
                 ctx.stroke();
             }
             
@@ -241,7 +248,7 @@ class DebugViewSystem {
                 ctx.strokeStyle = '#ffff00';
                 ctx.beginPath();
                 ctx.moveTo(screenX, screenY);
-                ctx.lineTo(p.aiTarget.x - camera.x, p.aiTarget.y - camera.y);
+                ctx.lineTo((p.aiTarget.x - camera.x) * camera.zoom, (p.aiTarget.y - camera.y) * camera.zoom);
                 ctx.stroke();
             }
         }
@@ -250,25 +257,22 @@ class DebugViewSystem {
     /**
      * Draw debug information for krill
      * @param {CanvasRenderingContext2D} ctx - Canvas context
-     * @param {Array} krill - Regular krill array
-     * @param {Array} paleKrill - Pale krill array
-     * @param {Array} momKrill - Mom krill array
+     * @param {Array} krill - Krill array (regular, pale or mom krill)
      * @param {Object} camera - Camera system
      */
-    drawKrillDebug(ctx, krill, paleKrill, momKrill, camera) {
-        if (!this.config.SHOW_LIFECYCLE) return;
+    drawKrillDebug(ctx, krill, camera) {
+        if (!this.config.SHOW_LIFECYCLE || !krill) return;
         
-        const allKrill = [...(krill || []), ...(paleKrill || []), ...(momKrill || [])];
-        
-        for (let k of allKrill) {
-            const screenX = k.x - camera.x;
-            const screenY = k.y - camera.y;
+        for (let k of krill) {
+            const screenX = (k.x - camera.x) * camera.zoom;
+            const screenY = (k.y - camera.y) * camera.zoom;
             
             // Draw lifecycle info
             if (k.lifecycleStage) {
                 ctx.fillStyle = this.getKrillStageColor(k.lifecycleStage);
                 ctx.fillText(`${k.lifecycleStage} (${Math.round(k.lifecycleTimer || 0)})`, screenX + 10, screenY - 10);
             }
+            this.drawAge(ctx, k, screenX + 10, screenY + 2);
             
             // Draw transformation state
             if (k.isTransforming) {
@@ -293,8 +297,8 @@ class DebugViewSystem {
         for (let s of sperm) {
             if (s.eaten) continue;
             
-            const screenX = s.x - camera.x;
-            const screenY = s.y - camera.y;
+            const screenX = (s.x - camera.x) * camera.zoom;
+            const screenY = (s.y - camera.y) * camera.zoom;
             
             // Draw sperm info
             ctx.fillStyle = '#00ffff';
@@ -333,14 +337,15 @@ class DebugViewSystem {
         if (!this.config.SHOW_AI_STATES || !squid) return;
         
         for (let s of squid) {
-            const screenX = s.x - camera.x;
-            const screenY = s.y - camera.y;
+            const screenX = (s.x - camera.x) * camera.zoom;
+            const screenY = (s.y - camera.y) * camera.zoom;
             
             // Draw AI state
             if (s.aiState) {
                 ctx.fillStyle = this.getStateColor(s.aiState);
                 ctx.fillText(`Squid - ${s.aiState}`, screenX + 20, screenY - 15);
             }
+            this.drawAge(ctx, s, screenX + 20, screenY - 3);
             
             // Draw jet propulsion state
             if (s.jetSystem && s.jetSystem.isJetting) {
@@ -442,6 +447,20 @@ class DebugViewSystem {
         this.lastFrameTime = Date.now();
     }
     
+    /**
+     * Draw an entity's life stage and age (see AgingSystem) - elders in orange
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} entity - Any entity whose species declares aging
+     * @param {number} x - Screen x
+     * @param {number} y - Screen y
+     */
+    drawAge(ctx, entity, x, y) {
+        const age = window.AgingSystem ? window.AgingSystem.describe(entity) : null;
+        if (!age) return;
+        ctx.fillStyle = window.AgingSystem.getSenescence(entity) > 0 ? '#ff9933' : this.config.TEXT_COLOR;
+        ctx.fillText(age, x, y);
+    }
+    
     /**
      * Get color for AI state
      * @param {string} state - AI state
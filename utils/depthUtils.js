@@ -3,6 +3,8 @@
 
 // Cache for optimized depth calculations
 let _depthCache = new Map();
+let _tintCache = new Map();
+let _tintBand = 50; // Tint and opacity depth band - coarser bands mean fewer distinct tints to draw
 let _gradient = null;
 
 // Get depth factor (0 = surface, 1 = bottom)
@@ -14,9 +16,18 @@ function getDepthFactor(y, worldHeight) {
     return _depthCache.get(rounded);
 }
 
+// Depth factor for drawing only, in tint bands (squid AI reads getDepthFactor, which never changes resolution)
+function getTintDepthFactor(y, worldHeight) {
+    const rounded = Math.floor(y / _tintBand) * _tintBand;
+    if (!_tintCache.has(rounded)) {
+        _tintCache.set(rounded, Math.max(0, Math.min(1, rounded / worldHeight)));
+    }
+    return _tintCache.get(rounded);
+}
+
 // Calculate opacity based on depth
 function getDepthOpacity(y, baseOpacity = 1, worldHeight, constants) {
-    const depthFactor = getDepthFactor(y, worldHeight);
+    const depthFactor = getTintDepthFactor(y, worldHeight);
     const fadeStart = constants.DEPTH_FADE_START;  // 0.0 (0% - surface)
     const fadeEnd = constants.DEPTH_FADE_END;      // 0.7 (70%)
     
@@ -46,7 +57,7 @@ function getDepthOpacity(y, baseOpacity = 1, worldHeight, constants) {
 
 // Calculate blue tint based on depth
 function getDepthTint(y, worldHeight, constants) {
-    const depthFactor = getDepthFactor(y, worldHeight);
+    const depthFactor = getTintDepthFactor(y, worldHeight);
     
     // Surface layer (0%): No tint (fade starts immediately)
     if (depthFactor <= constants.DEPTH_FADE_START) return 0;
@@ -89,6 +100,13 @@ function createDepthGradient(ctx, worldHeight) {
     return _gradient;
 }
 
+// Change the tint band (the quality governor coarsens it when frames run long)
+function setTintBand(pixels) {
+    if (pixels === _tintBand) return;
+    _tintBand = pixels;
+    _tintCache.clear();
+}
+
 // Reset gradient cache (for canvas resize)
 function resetDepthGradient() {
     _gradient = null;
@@ -105,6 +123,7 @@ function inRenderDistance(entity, camera, renderDistance) {
 window.getDepthFactor = getDepthFactor;
 window.getDepthOpacity = getDepthOpacity;
 window.getDepthTint = getDepthTint;
+window.setTintBand = setTintBand;
 window.createDepthGradient = createDepthGradient;
 window.resetDepthGradient = resetDepthGradient;
 window.inRenderDistance = inRenderDistance; 
\ No newline at end of file
@@ -0,0 +1,178 @@
+// Ecosystem Event Bus - Typed publish/subscribe channel for ecological events
+// Systems publish what happened (who, where, when, why) instead of logging it themselves.
+// EntityCounter, DebugManager analytics and the console log all subscribe here, so stats,
+// achievements and replays share one source of truth.
+
+const ECOSYSTEM_EVENTS = {
+    PREY_EATEN: 'prey-eaten',               // actors: predator, prey
+    KRILL_TRANSFORMED: 'krill-transformed', // actors: from, to
+    EGG_FERTILIZED: 'egg-fertilized',       // actors: fertilizer (sperm or fry), egg, fertilizedEgg
+    EGG_HATCHED: 'egg-hatched',             // actors: egg, offspring[]
+    SQUID_SPAWNED: 'squid-spawned',         // actors: parents[], offspring[]
+    POOP_PRODUCED: 'poop-produced',         // actors: producer, poop
+    PLAYER_SPAWNED: 'player-spawned'        // details: spawnType, amount
+};
+
+// Who did the eating, keyed by details.predatorType - a meal is logged under the predator's system and debug flag
+const PREDATOR_LOGGING = {
+    tuna: { system: 'TUNA', debugFlag: 'tunaDebug', label: '🐟 Tuna' },
+    squid: { system: 'SQUID', debugFlag: 'squidDebug', label: '🦑 Giant squid' },
+    squidParalarva: { system: 'SQUID', debugFlag: 'squidDebug', label: '🦑 Squid paralarva' },
+    fry: { system: 'FRY', debugFlag: 'fryDebug', label: '🐟 Fry' },
+    krill: { system: 'KRILL', debugFlag: 'krillDebug', label: '🦐 Krill' }
+};
+
+function getPredatorLogging(event) {
+    return PREDATOR_LOGGING[event.details.predatorType] ||
+        { system: 'AI', debugFlag: 'behaviorDebug', label: `🍽️ ${event.details.predatorType}` };
+}
+
+// How each event shows up in the console (only while that creature's debug flag is on)
+// system and debugFlag may be functions of the event when more than one creature publishes it
+const ECOSYSTEM_EVENT_LOGGING = {
+    [ECOSYSTEM_EVENTS.PREY_EATEN]: {
+        system: event => getPredatorLogging(event).system,
+        debugFlag: event => getPredatorLogging(event).debugFlag,
+        format: event => {
+            const distance = event.details.distance !== undefined ? ` at distance ${event.details.distance.toFixed(1)}` : '';
+            return `${getPredatorLogging(event).label} ate ${event.details.preyType}${distance}`;
+        }
+    },
+    [ECOSYSTEM_EVENTS.KRILL_TRANSFORMED]: {
+        system: 'KRILL', debugFlag: 'krillDebug',
+        format: event => `🦐 Krill transformation successful: ${event.details.fromType} → ${event.details.toType} (${event.cause})`
+    },
+    [ECOSYSTEM_EVENTS.EGG_FERTILIZED]: {
+        system: 'FRY', debugFlag: 'fryDebug',
+        format: event => `🐟 Egg fertilized (${event.cause}) at (${event.x.toFixed(1)}, ${event.y.toFixed(1)})`
+    },
+    [ECOSYSTEM_EVENTS.EGG_HATCHED]: {
+        system: 'FRY', debugFlag: 'fryDebug',
+        format: event => `🐟 Egg hatched into ${event.actors.offspring.length} ${event.details.offspringType || 'TrueFry1'} at (${event.x.toFixed(1)}, ${event.y.toFixed(1)})`
+    },
+    [ECOSYSTEM_EVENTS.SQUID_SPAWNED]: {
+        system: 'SQUID', debugFlag: 'squidDebug',
+        format: event => `🦑 Giant squid spawned ${event.actors.offspring.length} paralarvae at (${event.x.toFixed(1)}, ${event.y.toFixed(1)})`
+    },
+    [ECOSYSTEM_EVENTS.POOP_PRODUCED]: {
+        system: 'TUNA', debugFlag: 'tunaDebug',
+        format: event => `💩 ${event.details.producerType} pooped at (${event.x.toFixed(1)}, ${event.y.toFixed(1)})`
+    },
+    [ECOSYSTEM_EVENTS.PLAYER_SPAWNED]: {
+        system: 'SPAWN', debugFlag: null,
+        format: event => `🎯 Player spawned ${event.details.amount} ${event.details.spawnType}`
+    }
+};
+
+class EcosystemEventBus {
+    constructor() {
+        this.handlers = new Map();     // event type -> [handler]
+        this.wildcardHandlers = [];    // handlers for every event type
+        this.counts = {};              // event type -> number published
+        this.recentEvents = [];
+        this.maxRecentEvents = 100;
+        this.knownTypes = new Set(Object.values(ECOSYSTEM_EVENTS));
+
+        Object.values(ECOSYSTEM_EVENTS).forEach(type => {
+            this.counts[type] = 0;
+        });
+
+        // The console is just another subscriber
+        this.subscribe('*', event => this.logEvent(event));
+    }
+
+    // Subscribe to one event type, or '*' for all of them - returns an unsubscribe function
+    subscribe(type, handler) {
+        if (type !== '*' && !this.knownTypes.has(type)) {
+            throw new Error(`Unknown ecosystem event type: ${type}`);
+        }
+
+        const list = type === '*' ? this.wildcardHandlers : (this.handlers.get(type) || []);
+        list.push(handler);
+        if (type !== '*') this.handlers.set(type, list);
+        return () => this.unsubscribe(type, handler);
+    }
+
+    unsubscribe(type, handler) {
+        const list = type === '*' ? this.wildcardHandlers : this.handlers.get(type);
+        if (!list) return;
+        const index = list.indexOf(handler);
+        if (index !== -1) list.splice(index, 1);
+    }
+
+    // Publish an event: actors are the entities involved, x/y where it happened, cause why
+    publish(type, { actors = {}, x = 0, y = 0, cause = null, details = {} } = {}) {
+        if (!this.knownTypes.has(type)) {
+            throw new Error(`Unknown ecosystem event type: ${type}`);
+        }
+
+        const event = {
+            type,
+            tick: window.SimClock ? window.SimClock.tick : 0,
+            time: window.SimClock ? window.SimClock.now() : 0,
+            actors,
+            x,
+            y,
+            cause,
+            details
+        };
+
+        this.counts[type]++;
+        this.recentEvents.push(event);
+        if (this.recentEvents.length > this.maxRecentEvents) {
+            this.recentEvents.shift();
+        }
+
+        // A failing subscriber must never break the simulation tick that published the event
+        const typeHandlers = this.handlers.get(type) || [];
+        [...typeHandlers, ...this.wildcardHandlers].forEach(handler => {
+            try {
+                handler(event);
+            } catch (error) {
+                console.error(`❌ Ecosystem event handler failed for ${type}:`, error);
+            }
+        });
+
+        return event;
+    }
+
+    // Console output for an event, through ConsoleDebugSystem when F3 console logging is on
+    logEvent(event) {
+        const logging = ECOSYSTEM_EVENT_LOGGING[event.type];
+        if (!logging) return;
+
+        const debugFlag = typeof logging.debugFlag === 'function' ? logging.debugFlag(event) : logging.debugFlag;
+        const flagOn = debugFlag && window.gameState && window.gameState[debugFlag];
+        if (window.ConsoleDebugSystem && window.ConsoleDebugSystem.isEnabled()) {
+            const system = typeof logging.system === 'function' ? logging.system(event) : logging.system;
+            window.ConsoleDebugSystem.log(system, logging.format(event));
+        } else if (flagOn) {
+            console.log(logging.format(event));
+        }
+    }
+
+    getCounts() {
+        return { ...this.counts };
+    }
+
+    getRecentEvents(count = 10) {
+        return this.recentEvents.slice(-count);
+    }
+
+    reset() {
+        Object.keys(this.counts).forEach(type => {
+            this.counts[type] = 0;
+        });
+        this.recentEvents = [];
+    }
+}
+
+// Create global instance
+const ecosystemEvents = new EcosystemEventBus();
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.ECOSYSTEM_EVENTS = ECOSYSTEM_EVENTS;
+    window.EcosystemEventBus = EcosystemEventBus;
+    window.ecosystemEvents = ecosystemEvents;
+}
@@ -28,16 +28,16 @@ class EggFloatingSystem {
     generateFloatingDataPool() {
         for (let i = 0; i < this.poolSize; i++) {
             const floatingData = {
-                floatOffset: Math.random() * Math.PI * 2,
+                floatOffset: SimRandom.random() * Math.PI * 2,
                 floatSpeed: this.config.BASE_FLOAT_SPEED + 
-                    (Math.random() - 0.5) * this.config.RANDOM_FLOAT_VARIANCE,
+                    (SimRandom.random() - 0.5) * this.config.RANDOM_FLOAT_VARIANCE,
                 floatAmplitude: this.config.BASE_FLOAT_AMPLITUDE + 
-                    (Math.random() - 0.5) * this.config.RANDOM_AMPLITUDE_VARIANCE,
+                    (SimRandom.random() - 0.5) * this.config.RANDOM_AMPLITUDE_VARIANCE,
                 velocity: {
-                    x: (Math.random() - 0.5) * (this.config.BASE_DRIFT_SPEED + 
-                        (Math.random() - 0.5) * this.config.RANDOM_DRIFT_VARIANCE),
-                    y: (Math.random() - 0.5) * (this.config.BASE_DRIFT_SPEED + 
-                        (Math.random() - 0.5) * this.config.RANDOM_DRIFT_VARIANCE)
+                    x: (SimRandom.random() - 0.5) * (this.config.BASE_DRIFT_SPEED + 
+                        (SimRandom.random() - 0.5) * this.config.RANDOM_DRIFT_VARIANCE),
+                    y: (SimRandom.random() - 0.5) * (this.config.BASE_DRIFT_SPEED + 
+                        (SimRandom.random() - 0.5) * this.config.RANDOM_DRIFT_VARIANCE)
                 }
             };
             this.floatingDataPool.push(floatingData);
@@ -6,17 +6,37 @@ class EggRenderingSystem {
         this.config = {
             SPRITE_KEYS: {
                 fishEgg: 'fishEgg',
-                fertilizedEgg: 'fertilizedEgg'
+                fertilizedEgg: 'fertilizedEgg',
+                tunaEgg: 'fishEgg' // Tuna eggs reuse the fish egg sprite, warmed up with TUNA_EGG_FILTER
             },
             FALLBACK_COLORS: {
                 fishEgg: 'rgba(255, 255, 200, 0.8)',
-                fertilizedEgg: 'rgba(255, 255, 150, 0.9)'
-            }
+                fertilizedEgg: 'rgba(255, 255, 150, 0.9)',
+                tunaEgg: 'rgba(255, 170, 120, 0.9)'
+            },
+            TUNA_EGG_FILTER: 'sepia(0.8) saturate(2.5)'
         };
         
         console.log('🥚 EggRenderingSystem initialized');
     }
     
+    /**
+     * Worker-mode render state for either egg kind - floating position, depth opacity and tint as drawn below
+     * @param {Object} egg - The fish egg or fertilized egg entity
+     * @param {string} eggKind - 'fishEgg', 'fertilizedEgg' or 'tunaEgg'
+     * @param {Object} out - Render state to fill (see SimulationWorker)
+     * @returns {boolean} False when the egg is not drawn
+     */
+    getRenderState(egg, eggKind, out) {
+        if (egg.eaten) return false;
+        
+        out.sprite = this.config.SPRITE_KEYS[eggKind];
+        out.y = window.EggFloatingSystem ? window.EggFloatingSystem.getFloatingY(egg) : egg.y + Math.sin(egg.floatOffset) * 2;
+        out.opacity = window.Utils ? window.Utils.getDepthOpacity(egg.y, 0.9) : 0.9;
+        out.tint = window.Utils ? window.Utils.getDepthTint(egg.y) : 0;
+        return true;
+    }
+    
     /**
      * Draw a fish egg entity
      * @param {Object} egg - The fish egg entity to draw
@@ -125,6 +145,39 @@ class EggRenderingSystem {
         }
     }
     
+    /**
+     * Draw a tuna egg entity
+     * @param {Object} egg - The tuna egg entity to draw
+     */
+    drawTunaEgg(egg) {
+        if (egg.eaten) return;
+        
+        // Check if in render distance
+        if (window.Utils && !window.Utils.inRenderDistance(egg)) return;
+        
+        const ctx = window.ctx;
+        if (!ctx) return;
+        
+        const sprite = (window.sprites || {})[this.config.SPRITE_KEYS.tunaEgg];
+        const depthOpacity = window.Utils ? window.Utils.getDepthOpacity(egg.y, 0.9) : 0.9;
+        const tintStrength = window.Utils ? window.Utils.getDepthTint(egg.y) : 0;
+        const floatY = window.EggFloatingSystem ? 
+            window.EggFloatingSystem.getFloatingY(egg) : 
+            egg.y + Math.sin(egg.floatOffset) * 2;
+        
+        ctx.save();
+        ctx.globalAlpha = depthOpacity;
+        ctx.filter = `${this.config.TUNA_EGG_FILTER} brightness(${1 - tintStrength * 0.3})`;
+        
+        if (sprite && sprite instanceof HTMLImageElement && sprite.complete) {
+            ctx.drawImage(sprite, egg.x - egg.size/2, floatY - egg.size/2, egg.size, egg.size);
+        } else {
+            this.drawFallbackEgg(egg, floatY, this.config.FALLBACK_COLORS.tunaEgg);
+        }
+        
+        ctx.restore();
+    }
+    
     /**
      * Draw fallback egg shape when sprite is not available
      * @param {Object} egg - The egg entity
@@ -344,6 +397,20 @@ class EggRenderingSystem {
             }
         }
     }
+    
+    /**
+     * Draw all tuna eggs using the rendering system
+     * @param {Array} tunaEggs - Array of tuna eggs to draw
+     */
+    drawAllTunaEggs(tunaEggs) {
+        if (!tunaEggs || tunaEggs.length === 0) return;
+        
+        for (let egg of tunaEggs) {
+            if (!egg.eaten) {
+                this.drawTunaEgg(egg);
+            }
+        }
+    }
 }
 
 // Create and export global instance
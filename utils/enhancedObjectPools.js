@@ -23,8 +23,8 @@ class EnhancedObjectPools {
         if (!vector) {
             this.performanceStats.vectorMisses++;
             vector = { 
-                x: 0, 
-                y: 0, 
+                x: x, 
+                y: y, 
                 isDead: () => false,
                 reset: function(x, y) {
                     this.x = x || 0;
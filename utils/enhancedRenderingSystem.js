@@ -1,5 +1,9 @@
 // Enhanced Rendering System Module
 // Provides LOD-based rendering optimization for better performance
+// Tiers: full sprites, simplified shapes and minimal dots by distance from the camera, plus density impostors when
+// zoomed far out - krill swarms and fry schools drawn as one heat splat per spatial grid cell instead of
+// hundreds of sprites a few pixels wide. Between the two impostor zooms sprites dissolve out (a stable share of
+// them by id, so it scales the draw cost down too) while the splats fade in.
 
 class EnhancedRenderingSystem {
     constructor() {
@@ -8,8 +12,31 @@ class EnhancedRenderingSystem {
             fullRenders: 0,
             simplifiedRenders: 0,
             minimalRenders: 0,
+            impostorRenders: 0,
+            impostorCells: 0,
             lastReset: 0
         };
+        
+        this.impostorConfig = {
+            FADE_START_ZOOM: 0.4,  // sprites start dissolving into density splats below this zoom...
+            FADE_END_ZOOM: 0.25,   // ...and are all splats from this one down
+            FULL_DENSITY: 6,       // entities in a grid cell for a splat at full strength
+            SPLAT_SIZE: 64         // pixels of the pre-rendered splat images
+        };
+        // Spatial grid types drawn as impostors, coloured like their minimal dots
+        this.impostorGroups = [
+            { type: 'krill', color: '255, 215, 0' },
+            { type: 'paleKrill', color: '245, 245, 220' },
+            { type: 'momKrill', color: '255, 165, 0' },
+            { type: 'fish', color: '135, 206, 235' }
+        ];
+        this.impostorBlend = 0; // 0 = all sprites, 1 = all impostors - set once per frame by beginFrame
+        this.camera = null;     // the game camera of the frame being drawn - set by beginFrame
+        
+        // Full sprites out to this share of the view radius, simplified shapes to twice that and dots beyond -
+        // the quality governor lowers it on its lower tiers
+        this.lodScale = 1;
+        this.splats = new Map(); // colour -> pre-rendered radial splat
     }
     
     // Initialize LOD system
@@ -20,9 +47,35 @@ class EnhancedRenderingSystem {
         }
     }
     
+    // Once per frame before any entity is rendered - how far the camera zoom is into the impostor tier, and the
+    // LOD distances for this view
+    beginFrame(camera) {
+        const { FADE_START_ZOOM, FADE_END_ZOOM } = this.impostorConfig;
+        const zoom = camera ? camera.zoom : 1;
+        this.impostorBlend = Math.max(0, Math.min(1, (FADE_START_ZOOM - zoom) / (FADE_START_ZOOM - FADE_END_ZOOM)));
+        this.performanceStats.impostorCells = 0;
+        
+        this.camera = camera || null;
+        if (this.lodSystem && camera) {
+            const viewRadius = Math.sqrt(camera.viewWidth * camera.viewWidth + camera.viewHeight * camera.viewHeight) / 2;
+            this.lodSystem.configureLODLevels(0, viewRadius * this.lodScale, viewRadius * this.lodScale * 2);
+        }
+    }
+    
+    // Krill and fry covered by a density splat this frame - a stable hash of the id decides which dissolve first
+    isImpostor(entity, renderType) {
+        if (this.impostorBlend === 0 || (renderType !== 'krill' && renderType !== 'boid')) return false;
+        return (Math.imul(entity.id || 0, 2654435761) >>> 0) / 4294967296 < this.impostorBlend;
+    }
+    
     // Render entity with LOD support
     renderEntity(entity, renderType = 'boid') {
-        const camera = window.camera;
+        const camera = this.camera;
+        
+        if (this.isImpostor(entity, renderType)) {
+            this.performanceStats.impostorRenders++;
+            return;
+        }
         
         if (!this.lodSystem || !camera) {
             // Fallback to full rendering
@@ -30,6 +83,9 @@ class EnhancedRenderingSystem {
             return;
         }
         
+        // Nothing out of render distance is drawn at any detail (the full renderers cull the same way)
+        if (!window.Utils.inRenderDistance(entity)) return;
+        
         // Update performance stats
         this.lodSystem.updatePerformanceStats(entity, camera);
         
@@ -216,6 +272,63 @@ class EnhancedRenderingSystem {
         ctx.fillRect(entity.x - 1, entity.y - 1, 2, 2);
     }
     
+    // Impostor rendering - one additive splat per occupied grid cell in view, at the centroid of its entities
+    renderImpostors(ctx, spatialPartitioning, camera) {
+        if (this.impostorBlend === 0 || !spatialPartitioning || !camera) return;
+        
+        const { FULL_DENSITY } = this.impostorConfig;
+        const cellSize = spatialPartitioning.cellSize;
+        const minCellX = Math.floor(camera.x / cellSize) - 1;
+        const minCellY = Math.floor(camera.y / cellSize) - 1;
+        const maxCellX = Math.floor((camera.x + camera.viewWidth) / cellSize) + 1;
+        const maxCellY = Math.floor((camera.y + camera.viewHeight) / cellSize) + 1;
+        
+        ctx.save();
+        ctx.globalCompositeOperation = 'lighter';
+        this.impostorGroups.forEach(({ type, color }) => {
+            const splat = this.getSplat(color);
+            spatialPartitioning.forEachCell(type, (entities, cellX, cellY) => {
+                if (cellX < minCellX || cellX > maxCellX || cellY < minCellY || cellY > maxCellY) return;
+                
+                let sumX = 0;
+                let sumY = 0;
+                for (let i = 0; i < entities.length; i++) {
+                    sumX += entities[i].x;
+                    sumY += entities[i].y;
+                }
+                const count = entities.length;
+                const x = sumX / count;
+                const y = sumY / count;
+                const radius = cellSize * (0.6 + 0.15 * Math.sqrt(count));
+                
+                ctx.globalAlpha = Math.min(1, count / FULL_DENSITY) * this.impostorBlend * window.Utils.getDepthOpacity(y, 0.8);
+                ctx.drawImage(splat, x - radius, y - radius, radius * 2, radius * 2);
+                this.performanceStats.impostorCells++;
+            });
+        });
+        ctx.restore();
+    }
+    
+    // Radial splat of one colour, rendered once
+    getSplat(color) {
+        let splat = this.splats.get(color);
+        if (!splat) {
+            const size = this.impostorConfig.SPLAT_SIZE;
+            splat = document.createElement('canvas');
+            splat.width = size;
+            splat.height = size;
+            const splatCtx = splat.getContext('2d');
+            const gradient = splatCtx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+            gradient.addColorStop(0, `rgba(${color}, 0.9)`);
+            gradient.addColorStop(0.4, `rgba(${color}, 0.5)`);
+            gradient.addColorStop(1, `rgba(${color}, 0)`);
+            splatCtx.fillStyle = gradient;
+            splatCtx.fillRect(0, 0, size, size);
+            this.splats.set(color, splat);
+        }
+        return splat;
+    }
+    
     // Utility methods
     getFishColor(fishType) {
         // Simple color mapping for LOD rendering
@@ -234,13 +347,15 @@ class EnhancedRenderingSystem {
     
     // Get performance statistics
     getStats() {
-        const total = this.performanceStats.fullRenders + this.performanceStats.simplifiedRenders + this.performanceStats.minimalRenders;
+        const total = this.performanceStats.fullRenders + this.performanceStats.simplifiedRenders + this.performanceStats.minimalRenders + this.performanceStats.impostorRenders;
         
         if (total === 0) {
             return {
                 fullRenders: '0%',
                 simplifiedRenders: '0%',
                 minimalRenders: '0%',
+                impostorRenders: '0%',
+                impostorCells: this.performanceStats.impostorCells,
                 totalRenders: 0
             };
         }
@@ -248,11 +363,14 @@ class EnhancedRenderingSystem {
         const fullPercent = (this.performanceStats.fullRenders / total * 100).toFixed(1);
         const simplifiedPercent = (this.performanceStats.simplifiedRenders / total * 100).toFixed(1);
         const minimalPercent = (this.performanceStats.minimalRenders / total * 100).toFixed(1);
+        const impostorPercent = (this.performanceStats.impostorRenders / total * 100).toFixed(1);
         
         return {
             fullRenders: fullPercent + '%',
             simplifiedRenders: simplifiedPercent + '%',
             minimalRenders: minimalPercent + '%',
+            impostorRenders: impostorPercent + '%',
+            impostorCells: this.performanceStats.impostorCells,
             totalRenders: total
         };
     }
@@ -262,13 +380,14 @@ class EnhancedRenderingSystem {
         if (window.gameState && window.gameState.frameCount % 600 === 0) {
             const stats = this.getStats();
             if (window.ConsoleDebugSystem) {
-                window.ConsoleDebugSystem.log('RENDERING', `LOD rendering: FULL ${stats.fullRenders}, SIMPLIFIED ${stats.simplifiedRenders}, MINIMAL ${stats.minimalRenders}`);
+                window.ConsoleDebugSystem.log('RENDERING', `LOD rendering: FULL ${stats.fullRenders}, SIMPLIFIED ${stats.simplifiedRenders}, MINIMAL ${stats.minimalRenders}, IMPOSTOR ${stats.impostorRenders}`);
             }
             
             // Reset performance counters
             this.performanceStats.fullRenders = 0;
             this.performanceStats.simplifiedRenders = 0;
             this.performanceStats.minimalRenders = 0;
+            this.performanceStats.impostorRenders = 0;
         }
     }
     
@@ -277,6 +396,7 @@ class EnhancedRenderingSystem {
         this.performanceStats.fullRenders = 0;
         this.performanceStats.simplifiedRenders = 0;
         this.performanceStats.minimalRenders = 0;
+        this.performanceStats.impostorRenders = 0;
     }
 }
 
@@ -64,17 +64,17 @@ class FishFoodMovementSystem {
         if (food.y >= this.sharedData.abyssalDepth) {
             // Transform into poop3 when reaching abyssal depth
             if (window.gameEntities && window.Poop) {
-                window.gameEntities.poop.push(new window.Poop(food.x, food.y, 'abyssal'));
+                window.gameEntities.poop.push(window.acquireEntity(window.Poop, food.x, food.y, 'abyssal'));
                 this.stats.transformations++;
             }
-            food.eaten = true;
+            EntityLifecycle.kill(food, DEATH_CAUSES.TRANSFORMED);
             food.transformedToPoop = true;
             return true;
         }
         
         // Check if out of bounds
         if (food.y > this.sharedData.maxDepth) {
-            food.eaten = true;
+            EntityLifecycle.kill(food, DEATH_CAUSES.LEFT_WORLD);
         }
         
         return false;
@@ -102,15 +102,15 @@ class FishSpawningSystem {
         if (!zone) {
             // Fallback to random position
             return {
-                x: Math.random() * this.WORLD_WIDTH,
-                y: Math.random() * this.WORLD_HEIGHT
+                x: SimRandom.random() * this.WORLD_WIDTH,
+                y: SimRandom.random() * this.WORLD_HEIGHT
             };
         }
         
-        const x = Math.random() * this.WORLD_WIDTH;
+        const x = SimRandom.random() * this.WORLD_WIDTH;
         const minY = this.WORLD_HEIGHT * zone.min;
         const maxY = this.WORLD_HEIGHT * zone.max;
-        const y = minY + Math.random() * (maxY - minY);
+        const y = minY + SimRandom.random() * (maxY - minY);
         
         return { x, y };
     }
@@ -122,10 +122,10 @@ class FishSpawningSystem {
      * @returns {Object} {x, y} spawn position
      */
     getSpawnPositionWithVariance(preferredDepth, variance = 0.1) {
-        const x = Math.random() * this.WORLD_WIDTH;
+        const x = SimRandom.random() * this.WORLD_WIDTH;
         const minY = this.WORLD_HEIGHT * Math.max(0, preferredDepth - variance);
         const maxY = this.WORLD_HEIGHT * Math.min(1, preferredDepth + variance);
-        const y = minY + Math.random() * (maxY - minY);
+        const y = minY + SimRandom.random() * (maxY - minY);
         
         return { x, y };
     }
@@ -189,7 +189,7 @@ class FishSpawningSystem {
                     break;
                     
                 case 'fishEgg':
-                    entity = new window.FertilizedEgg(position.x, position.y);
+                    entity = window.acquireEntity(window.FertilizedEgg, position.x, position.y);
                     gameEntities.fertilizedEggs.push(entity);
                     break;
                     
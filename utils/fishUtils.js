@@ -5,11 +5,11 @@ function createFishFood(x, y) {
     return {
         x: x,
         y: y,
-        velocity: { x: (Math.random() - 0.5) * 0.1, y: 0.5 },
+        velocity: { x: (SimRandom.random() - 0.5) * 0.1, y: 0.5 },
         size: 8,
         eaten: false,
         feedValue: 15,
-        rotationSpeed: (Math.random() - 0.5) * 0.02,
+        rotationSpeed: (SimRandom.random() - 0.5) * 0.02,
         rotation: 0,
         opacity: 1.0,
         age: 0,
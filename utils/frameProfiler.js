@@ -0,0 +1,305 @@
+// Frame Profiler - Times every named subsystem per frame, separately for update and draw
+// Sections nest: 'Update' and 'Draw' are the phases, the sections directly inside them (krill, bubbles,
+// tuna, HUD...) are the subsystems the budget bar stacks up. Deeper sections only show in the trace.
+// Every section keeps a rolling history of its per-frame time for percentiles, and the last few seconds
+// of frames are kept as trace events that load in chrome://tracing or https://ui.perfetto.dev.
+//
+// The profiler only reads the wall clock - it never touches simulation state, so profiled and unprofiled
+// runs tick identically. Outside beginFrame()/endFrame() (headless runs) begin/end do nothing.
+
+class FrameProfiler {
+    constructor(options = {}) {
+        this.budgetMs = options.budgetMs || 16;
+        this.historySize = options.historySize || 240; // 4 seconds of frames at 60fps
+        this.traceFrames = options.traceFrames || 300;
+        this.enabled = options.enabled !== false;
+
+        this.sections = new Map(); // 'Update/krill' -> rolling per-frame history
+        this.stack = [];
+        this.frameStart = null;
+        this.frameTotals = new Map(); // this frame's time per section
+        this.frameCount = 0;
+
+        this.frameHistory = new Float32Array(this.historySize);
+        this.lastFrame = null;
+        this.overBudget = null; // { frame, total, culprit, culpritMs } of the last frame over budget
+        this.overBudgetFrames = 0;
+
+        this.trace = []; // one array of trace events per frame, oldest first
+        this.traceEvents = null;
+        this.traceOrigin = FrameProfiler.now();
+
+        this.percentileCache = null;
+        this.percentileFrame = -1;
+    }
+
+    static now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+
+    beginFrame() {
+        if (!this.enabled) return;
+        this.frameStart = FrameProfiler.now();
+        this.stack.length = 0;
+        this.frameTotals.clear();
+        this.traceEvents = [];
+    }
+
+    begin(name) {
+        if (this.frameStart === null) return;
+        const parent = this.stack.length > 0 ? this.stack[this.stack.length - 1] : null;
+        this.stack.push({
+            name,
+            key: parent ? parent.key + '/' + name : name,
+            start: FrameProfiler.now()
+        });
+    }
+
+    end() {
+        if (this.frameStart === null || this.stack.length === 0) return;
+        const section = this.stack.pop();
+        const duration = FrameProfiler.now() - section.start;
+
+        this.frameTotals.set(section.key, (this.frameTotals.get(section.key) || 0) + duration);
+        this.traceEvents.push({
+            name: section.name,
+            cat: section.key.split('/')[0],
+            ph: 'X',
+            ts: Math.round((section.start - this.traceOrigin) * 1000),
+            dur: Math.max(1, Math.round(duration * 1000)),
+            pid: 1,
+            tid: 1,
+            args: { path: section.key }
+        });
+    }
+
+    // Time fn as one section and return its result
+    measure(name, fn) {
+        this.begin(name);
+        try {
+            return fn();
+        } finally {
+            this.end();
+        }
+    }
+
+    endFrame() {
+        if (this.frameStart === null) return;
+        // Close anything an exception left open
+        while (this.stack.length > 0) {
+            this.end();
+        }
+
+        const now = FrameProfiler.now();
+        const total = now - this.frameStart;
+        const slot = this.frameCount % this.historySize;
+
+        this.frameHistory[slot] = total;
+        this.frameTotals.forEach((ms, key) => {
+            if (!this.sections.has(key)) {
+                this.sections.set(key, { samples: new Float32Array(this.historySize), overBudget: 0 });
+            }
+        });
+        // Sections that did not run this frame took 0ms of it
+        this.sections.forEach((section, key) => {
+            section.samples[slot] = this.frameTotals.get(key) || 0;
+        });
+
+        this.lastFrame = { frame: this.frameCount, total, sections: new Map(this.frameTotals) };
+        if (total > this.budgetMs) {
+            this.flagOverBudget(total);
+        }
+
+        this.traceEvents.push({
+            name: `Frame ${this.frameCount}`,
+            cat: 'Frame',
+            ph: 'X',
+            ts: Math.round((this.frameStart - this.traceOrigin) * 1000),
+            dur: Math.max(1, Math.round(total * 1000)),
+            pid: 1,
+            tid: 0,
+            args: { overBudget: total > this.budgetMs }
+        });
+        this.trace.push(this.traceEvents);
+        if (this.trace.length > this.traceFrames) {
+            this.trace.shift();
+        }
+
+        this.frameCount++;
+        this.frameStart = null;
+    }
+
+    // Blame the biggest subsystem of a frame that went over budget
+    flagOverBudget(total) {
+        let culprit = null;
+        let culpritMs = 0;
+        this.lastFrame.sections.forEach((ms, key) => {
+            if (this.getDepth(key) === 1 && ms > culpritMs) {
+                culprit = key;
+                culpritMs = ms;
+            }
+        });
+
+        this.overBudgetFrames++;
+        this.overBudget = { frame: this.frameCount, total, culprit, culpritMs };
+        if (culprit) {
+            this.sections.get(culprit).overBudget++;
+        }
+
+        // Once a second at most
+        if (window.ConsoleDebugSystem && this.frameCount % 60 === 0) {
+            window.ConsoleDebugSystem.log('PERFORMANCE', `Frame ${total.toFixed(1)}ms over the ${this.budgetMs}ms budget - ${culprit || 'unknown'} took ${culpritMs.toFixed(1)}ms`, 'warning');
+        }
+    }
+
+    getDepth(key) {
+        return key.split('/').length - 1;
+    }
+
+    getPercentiles(samples) {
+        const count = Math.min(this.frameCount, this.historySize);
+        if (count === 0) return { p50: 0, p95: 0, p99: 0, max: 0 };
+        const sorted = Array.from(samples.subarray(0, count)).sort((a, b) => a - b);
+        const at = p => sorted[Math.min(count - 1, Math.floor(p * count))];
+        return { p50: at(0.5), p95: at(0.95), p99: at(0.99), max: sorted[count - 1] };
+    }
+
+    // Rolling percentiles per section, recomputed at most every 30 frames (the overlay asks every frame)
+    getStats() {
+        if (this.percentileCache && this.frameCount - this.percentileFrame < 30) {
+            return this.percentileCache;
+        }
+
+        const sections = {};
+        this.sections.forEach((section, key) => {
+            sections[key] = Object.assign(this.getPercentiles(section.samples), {
+                depth: this.getDepth(key),
+                overBudget: section.overBudget
+            });
+        });
+
+        this.percentileCache = {
+            budgetMs: this.budgetMs,
+            frames: this.frameCount,
+            overBudgetFrames: this.overBudgetFrames,
+            frame: this.getPercentiles(this.frameHistory),
+            lastOverBudget: this.overBudget,
+            sections
+        };
+        this.percentileFrame = this.frameCount;
+        return this.percentileCache;
+    }
+
+    // Chrome trace event format of the last traceFrames frames
+    exportTrace() {
+        const traceEvents = [
+            { name: 'process_name', ph: 'M', pid: 1, args: { name: 'Fishminder' } },
+            { name: 'thread_name', ph: 'M', pid: 1, tid: 0, args: { name: 'Frames' } },
+            { name: 'thread_name', ph: 'M', pid: 1, tid: 1, args: { name: 'Main thread' } }
+        ];
+        this.trace.forEach(frameEvents => {
+            for (let i = 0; i < frameEvents.length; i++) {
+                traceEvents.push(frameEvents[i]);
+            }
+        });
+        return {
+            traceEvents,
+            displayTimeUnit: 'ms',
+            otherData: { budgetMs: this.budgetMs, frames: this.trace.length }
+        };
+    }
+
+    exportToFile(fileName = null) {
+        const name = fileName || `fishminder-trace-frame${this.frameCount}.json`;
+        const blob = new Blob([JSON.stringify(this.exportTrace())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        link.click();
+        URL.revokeObjectURL(url);
+        return name;
+    }
+
+    reset() {
+        this.sections.clear();
+        this.frameHistory.fill(0);
+        this.frameCount = 0;
+        this.lastFrame = null;
+        this.overBudget = null;
+        this.overBudgetFrames = 0;
+        this.trace = [];
+        this.percentileCache = null;
+        this.percentileFrame = -1;
+    }
+
+    // Stacked bar of the last frame's subsystems against the budget, with rolling percentiles per subsystem
+    drawOverlay(ctx, x, y) {
+        if (!this.lastFrame) return;
+        const stats = this.getStats();
+        const barWidth = 320;
+        const scale = barWidth / (this.budgetMs * 2); // the bar spans twice the budget
+        const subsystems = [];
+        this.lastFrame.sections.forEach((ms, key) => {
+            if (this.getDepth(key) === 1) subsystems.push({ key, ms });
+        });
+        subsystems.sort((a, b) => b.ms - a.ms);
+
+        ctx.save();
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'left';
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(x - 5, y - 14, barWidth + 10, 46 + Math.min(subsystems.length, 8) * 13);
+
+        const over = this.lastFrame.total > this.budgetMs;
+        ctx.fillStyle = over ? '#ff5555' : 'rgba(0, 255, 0, 0.8)';
+        ctx.fillText(`Frame ${this.lastFrame.total.toFixed(1)}ms / ${this.budgetMs}ms  p50 ${stats.frame.p50.toFixed(1)} p95 ${stats.frame.p95.toFixed(1)} p99 ${stats.frame.p99.toFixed(1)}`, x, y);
+
+        // Stacked bar
+        const barY = y + 6;
+        let barX = x;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.fillRect(x, barY, barWidth, 10);
+        subsystems.forEach(({ key, ms }) => {
+            const width = Math.min(ms * scale, x + barWidth - barX);
+            if (width <= 0) return;
+            ctx.fillStyle = FrameProfiler.colorFor(key);
+            ctx.fillRect(barX, barY, width, 10);
+            barX += width;
+        });
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(x + this.budgetMs * scale, barY - 2, 1, 14);
+
+        // Biggest subsystems with their percentiles
+        let lineY = barY + 24;
+        subsystems.slice(0, 8).forEach(({ key, ms }) => {
+            const section = stats.sections[key];
+            ctx.fillStyle = FrameProfiler.colorFor(key);
+            ctx.fillRect(x, lineY - 8, 8, 8);
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+            const percentiles = section ? `p50 ${section.p50.toFixed(1)} p95 ${section.p95.toFixed(1)} p99 ${section.p99.toFixed(1)}` : '';
+            ctx.fillText(`${key} ${ms.toFixed(1)}ms  ${percentiles}`, x + 12, lineY);
+            lineY += 13;
+        });
+
+        if (this.overBudget) {
+            ctx.fillStyle = over ? '#ff5555' : 'rgba(255, 170, 85, 0.9)';
+            ctx.fillText(`⚠️ Over budget ${this.overBudgetFrames}x, last: ${this.overBudget.culprit || '?'} ${this.overBudget.culpritMs.toFixed(1)}ms of ${this.overBudget.total.toFixed(1)}ms`, x, lineY);
+        }
+        ctx.restore();
+    }
+
+    // A stable colour per section name
+    static colorFor(key) {
+        let hash = 0;
+        for (let i = 0; i < key.length; i++) {
+            hash = (hash * 31 + key.charCodeAt(i)) | 0;
+        }
+        return `hsl(${Math.abs(hash) % 360}, 70%, 55%)`;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.FrameProfiler = FrameProfiler;
+    window.frameProfiler = new FrameProfiler();
+}
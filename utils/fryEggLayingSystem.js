@@ -57,7 +57,7 @@ class FryEggLayingSystem {
         }
         
         // Clean up old cooldown entries periodically
-        if (Math.random() < 0.01) { // 1% chance per frame
+        if (SimRandom.random() < 0.01) { // 1% chance per frame
             this.cleanup();
         }
     }
@@ -87,7 +87,7 @@ class FryEggLayingSystem {
         
         // Check cooldown
         const fryId = this.getFryId(fry);
-        const now = Date.now();
+        const now = SimClock.now();
         const fryCooldown = this.recentLaying.get(fryId);
         
         if (fryCooldown && now - fryCooldown.lastLayTime < this.config.EGG_LAYING_COOLDOWN) {
@@ -104,7 +104,7 @@ class FryEggLayingSystem {
         // Only lay eggs if there are other feeding fry nearby
         if (nearbyFeedingFry.length > 0) {
             // Random chance to lay eggs
-            if (Math.random() < this.config.LAYING_CHANCE) {
+            if (SimRandom.random() < this.config.LAYING_CHANCE) {
                 // CRITICAL FIX: Set flag immediately to prevent multiple attempts during germination
                 fry.isLayingEggs = true;
                 
@@ -160,12 +160,12 @@ class FryEggLayingSystem {
         }
         
         // Random number of eggs to lay (changed to 1-4 as user expects)
-        const eggCount = this.config.EGG_COUNT_MIN + Math.floor(Math.random() * (this.config.EGG_COUNT_MAX - this.config.EGG_COUNT_MIN + 1));
+        const eggCount = this.config.EGG_COUNT_MIN + Math.floor(SimRandom.random() * (this.config.EGG_COUNT_MAX - this.config.EGG_COUNT_MIN + 1));
         
         // Calculate random germination delay (2-4 seconds)
         const germinationDelay = this.config.GERMINATION_DELAY_MIN + 
-            Math.random() * (this.config.GERMINATION_DELAY_MAX - this.config.GERMINATION_DELAY_MIN);
-        const germinationTime = Date.now() + germinationDelay;
+            SimRandom.random() * (this.config.GERMINATION_DELAY_MAX - this.config.GERMINATION_DELAY_MIN);
+        const germinationTime = SimClock.now() + germinationDelay;
         
         // Store reference to fry instead of pre-calculating positions
         // This way we use the fry's CURRENT position when eggs are actually created
@@ -198,7 +198,7 @@ class FryEggLayingSystem {
      * @param {Object} gameEntities - Game entities system
      */
     processPendingEggs(gameEntities) {
-        const now = Date.now();
+        const now = SimClock.now();
         
         // Process eggs in reverse order so we can safely remove them
         for (let i = this.pendingEggs.length - 1; i >= 0; i--) {
@@ -230,11 +230,11 @@ class FryEggLayingSystem {
         
         for (let i = 0; i < eggCount; i++) {
             // Calculate position based on fry's CURRENT position (not old pre-calculated position)
-            const eggX = fry.x + (Math.random() - 0.5) * 20;
-            const eggY = fry.y + (Math.random() - 0.5) * 20;
+            const eggX = fry.x + (SimRandom.random() - 0.5) * 20;
+            const eggY = fry.y + (SimRandom.random() - 0.5) * 20;
             
             // Create unfertilized fish egg
-            const newEgg = new window.FishEgg(eggX, eggY);
+            const newEgg = window.acquireEntity(window.FishEgg, eggX, eggY);
             gameEntities.fishEggs.push(newEgg);
             
             console.log(`🥚 Created fish egg ${i+1}/${eggCount} at (${eggX.toFixed(1)}, ${eggY.toFixed(1)})`);
@@ -243,8 +243,8 @@ class FryEggLayingSystem {
             if (window.ObjectPools) {
                 for (let j = 0; j < 2; j++) {
                     window.ObjectPools.getEatingBubble(
-                        eggX + (Math.random() - 0.5) * 10,
-                        eggY + (Math.random() - 0.5) * 10
+                        eggX + (SimRandom.random() - 0.5) * 10,
+                        eggY + (SimRandom.random() - 0.5) * 10
                     );
                 }
             }
@@ -263,25 +263,38 @@ class FryEggLayingSystem {
      * Get unique ID for fry (for cooldown tracking)
      * CRITICAL FIX: Use persistent ID that doesn't change when fry moves
      * @param {Object} fry - The fry entity
-     * @returns {string} Unique fry ID
+     * @returns {number|string} Unique fry ID
      */
     getFryId(fry) {
+        // Registry id is stable for the fry's whole life
+        if (fry.id !== undefined) {
+            return fry.id;
+        }
+        
         // FIXED: Create persistent ID that doesn't change when fry moves
         // Use same method as FrySpawningSystem for consistency
         if (!fry._persistentId) {
             // Generate persistent ID on first access
-            const spawnTime = fry.spawnTime || Date.now();
+            const spawnTime = fry.spawnTime || SimClock.now();
             const positionHash = Math.floor(fry.x * 1000 + fry.y * 1000); // More precise hash
             fry._persistentId = `${fry.fishType}_${spawnTime}_${positionHash}`;
         }
         return fry._persistentId;
     }
     
+    /**
+     * Drop cooldown tracking for a fry that left the world (EntityRegistry removal listener)
+     * @param {Object} fry - The removed fry entity
+     */
+    forgetFry(fry) {
+        this.recentLaying.delete(this.getFryId(fry));
+    }
+    
     /**
      * Clean up old cooldown entries and stuck laying flags
      */
     cleanup() {
-        const now = Date.now();
+        const now = SimClock.now();
         const cutoffTime = now - this.config.EGG_LAYING_COOLDOWN * 2;
         
         for (let [fryId, cooldown] of this.recentLaying.entries()) {
@@ -131,7 +131,7 @@ class FryFertilizationSystem {
         }
         
         // Spawn sperm to fertilize unfertilized eggs
-        if (nearbyEggs.length > 0 && Math.random() < this.config.SPERM_SPAWN_RATE) {
+        if (nearbyEggs.length > 0 && SimRandom.random() < this.config.SPERM_SPAWN_RATE) {
             this.spawnSperm(fry, nearbyEggs, gameEntities);
         }
         
@@ -173,11 +173,11 @@ class FryFertilizationSystem {
         // Spawn multiple sperm particles
         for (let i = 0; i < this.config.SPERM_COUNT; i++) {
             // Spawn sperm near the fry with some randomness
-            const spawnX = fry.x + (Math.random() - 0.5) * 20;
-            const spawnY = fry.y + (Math.random() - 0.5) * 20;
+            const spawnX = fry.x + (SimRandom.random() - 0.5) * 20;
+            const spawnY = fry.y + (SimRandom.random() - 0.5) * 20;
             
             // Create sperm
-            const newSperm = new window.Sperm(spawnX, spawnY);
+            const newSperm = window.acquireEntity(window.Sperm, spawnX, spawnY);
             gameEntities.sperm.push(newSperm);
             
             // Create visual effect (bubbles)
@@ -213,7 +213,7 @@ class FryFertilizationSystem {
             
             if (distance < this.config.FERTILIZATION_RANGE) {
                 // Random chance to fertilize (50%)
-                if (Math.random() < 0.5) {
+                if (SimRandom.random() < 0.5) {
                     this.fertilizeEgg(egg, fry, gameEntities);
                 }
             }
@@ -228,27 +228,32 @@ class FryFertilizationSystem {
      */
     fertilizeEgg(egg, fry, gameEntities) {
         // Create fertilized egg at the same location
-        const fertilizedEgg = new window.FertilizedEgg(egg.x, egg.y);
+        const fertilizedEgg = window.acquireEntity(window.FertilizedEgg, egg.x, egg.y);
         gameEntities.fertilizedEggs.push(fertilizedEgg);
         
         // Remove the original unfertilized egg
         const eggIndex = gameEntities.fishEggs.indexOf(egg);
         if (eggIndex > -1) {
-            gameEntities.fishEggs.splice(eggIndex, 1);
+            gameEntities.removeEntityAt(gameEntities.fishEggs, eggIndex, DEATH_CAUSES.TRANSFORMED);
         }
         
         // Create visual effect (bubbles)
         if (window.ObjectPools) {
             for (let i = 0; i < 3; i++) {
                 window.ObjectPools.getEatingBubble(
-                    egg.x + (Math.random() - 0.5) * 15,
-                    egg.y + (Math.random() - 0.5) * 15
+                    egg.x + (SimRandom.random() - 0.5) * 15,
+                    egg.y + (SimRandom.random() - 0.5) * 15
                 );
             }
         }
         
-        if (window.gameState?.fryDebug) {
-            console.log(`🐟 Fertilized unfertilized fish egg at (${egg.x.toFixed(1)}, ${egg.y.toFixed(1)})`);
+        if (window.ecosystemEvents) {
+            window.ecosystemEvents.publish(window.ECOSYSTEM_EVENTS.EGG_FERTILIZED, {
+                actors: { fertilizer: fry, egg, fertilizedEgg },
+                x: egg.x,
+                y: egg.y,
+                cause: 'fry-spawning'
+            });
         }
     }
     
@@ -263,7 +268,7 @@ class FryFertilizationSystem {
         
         // If fry has spawning properties and recently spawned, respect the spawning system's cooldown
         if (fry.spawningProperties && fry.spawningProperties.lastSpawningTime) {
-            const timeSinceSpawn = Date.now() - fry.spawningProperties.lastSpawningTime;
+            const timeSinceSpawn = SimClock.now() - fry.spawningProperties.lastSpawningTime;
             const spawningCooldown = 15000; // Match FrySpawningSystem.SPAWNING_COOLDOWN
             
             if (timeSinceSpawn < spawningCooldown) {
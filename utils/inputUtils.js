@@ -1,25 +1,29 @@
 // Input utilities for keyboard and mouse handling
 // Manages game controls and spawn mode cycling
 
-// Spawn mode order for cycling (excluding 'off' for wheel cycling)
-const SPAWN_MODE_ORDER = ['off', 'food', 'poop', 'truefry1', 'truefry2', 'fishEggs', 'sperm', 'fertilizedEggs', 'krill', 'fry', 'tuna', 'squid'];
-const SPAWN_MODE_CYCLE = ['food', 'poop', 'truefry1', 'truefry2', 'fishEggs', 'sperm', 'fertilizedEggs', 'krill', 'fry', 'tuna', 'squid'];
+// Spawn mode order for cycling (excluding 'off'), as registered by the species modules
+function getSpawnModeCycle() {
+    return window.speciesRegistry ? window.speciesRegistry.getSpawnModes().map(species => species.spawn.mode) : [];
+}
 
 // Cycle spawn mode forward or backward (wraps around, skipping 'off')
 function cycleSpawnMode(gameState, direction) {
-    // If currently 'off', start at 'food' when cycling forward
+    const spawnModeCycle = getSpawnModeCycle();
+    if (spawnModeCycle.length === 0) return;
+    
+    // If currently 'off', start at the first mode (food) when cycling forward
     if (gameState.spawnMode === 'off') {
-        gameState.spawnMode = 'food';
+        gameState.spawnMode = spawnModeCycle[0];
         if (window.cameraFollowSystem) {
             window.cameraFollowSystem.stopFollowing();
         }
         return;
     }
     
-    const currentIndex = SPAWN_MODE_CYCLE.indexOf(gameState.spawnMode);
+    const currentIndex = spawnModeCycle.indexOf(gameState.spawnMode);
     if (currentIndex === -1) {
-        // If current mode not found in cycle, default to 'food'
-        gameState.spawnMode = 'food';
+        // If current mode not found in cycle, default to the first mode
+        gameState.spawnMode = spawnModeCycle[0];
         if (window.cameraFollowSystem) {
             window.cameraFollowSystem.stopFollowing();
         }
@@ -28,14 +32,14 @@ function cycleSpawnMode(gameState, direction) {
     
     let newIndex;
     if (direction === 'forward') {
-        // Scroll up: move forward in the cycle (wraps to food from squid)
-        newIndex = (currentIndex + 1) % SPAWN_MODE_CYCLE.length;
+        // Scroll up: move forward in the cycle (wraps to the first mode from the last)
+        newIndex = (currentIndex + 1) % spawnModeCycle.length;
     } else {
-        // Scroll down: move backward in the cycle (wraps to squid from food)
-        newIndex = (currentIndex - 1 + SPAWN_MODE_CYCLE.length) % SPAWN_MODE_CYCLE.length;
+        // Scroll down: move backward in the cycle (wraps to the last mode from the first)
+        newIndex = (currentIndex - 1 + spawnModeCycle.length) % spawnModeCycle.length;
     }
     
-    gameState.spawnMode = SPAWN_MODE_CYCLE[newIndex];
+    gameState.spawnMode = spawnModeCycle[newIndex];
     
     // Stop camera following when spawn mode is activated
     if (window.cameraFollowSystem) {
@@ -55,6 +59,34 @@ function createInputHandler(keys, gameState) {
                 if (pauseMenu) {
                     pauseMenu.style.display = gameState.paused ? 'flex' : 'none';
                 }
+                if (window.updateTimeControlsDisplay) {
+                    window.updateTimeControlsDisplay();
+                }
+                event.preventDefault();
+            } else if (event.key === '[' || event.key === ']') {
+                // Slow down / speed up the simulation (0.25x ... 8x)
+                if (window.SimClock) {
+                    const timeScale = window.SimClock.changeSpeed(event.key === ']' ? 1 : -1);
+                    console.log(`⏱️ Simulation speed: ${timeScale}x`);
+                }
+                if (window.updateTimeControlsDisplay) {
+                    window.updateTimeControlsDisplay();
+                }
+                event.preventDefault();
+            } else if (event.key === '\\') {
+                // Back to real-time speed
+                if (window.SimClock) {
+                    window.SimClock.setTimeScale(1);
+                }
+                if (window.updateTimeControlsDisplay) {
+                    window.updateTimeControlsDisplay();
+                }
+                event.preventDefault();
+            } else if (event.key === '.' && gameState.paused) {
+                // Advance exactly one simulation tick while paused
+                if (window.SimClock) {
+                    window.SimClock.requestStep(1);
+                }
                 event.preventDefault();
             } else if (key === 'h') {
                 // Toggle entity counter display (minimal UI only, controls are in pause menu)
@@ -74,8 +106,8 @@ function createInputHandler(keys, gameState) {
             } else if (key === 'f') {
                 // Toggle spawn mode on/off
                 if (gameState.spawnMode === 'off') {
-                    // Activate spawn mode (start at 'food')
-                    gameState.spawnMode = 'food';
+                    // Activate spawn mode (start at the first mode, food)
+                    gameState.spawnMode = getSpawnModeCycle()[0] || 'off';
                     // Stop camera following when spawn mode is activated
                     if (window.cameraFollowSystem) {
                         window.cameraFollowSystem.stopFollowing();
@@ -163,21 +195,13 @@ function setupMouseTracking(canvas, camera, mouseWorldPos) {
 
 // Get current spawn mode info
 function getSpawnModeInfo(spawnMode) {
-    const modes = {
-        'off': { name: 'OFF', color: 'rgba(255, 255, 255, 0.6)', message: 'Press F to cycle: Food → Poop → TrueFry1 → TrueFry2 → Fish Eggs → Sperm → Fertilized Eggs → Krill → Fry → Tuna → Squid → Off' },
-        'food': { name: 'FOOD MODE', color: 'rgba(0, 255, 0, 0.8)', message: 'Click to spawn food' },
-        'poop': { name: 'POOP MODE', color: 'rgba(139, 69, 19, 0.8)', message: 'Click to spawn poop' },
-        'truefry1': { name: 'TRUEFRY1 MODE', color: 'rgba(100, 150, 255, 0.8)', message: 'Click to spawn TrueFry1 (1-3)' },
-        'truefry2': { name: 'TRUEFRY2 MODE', color: 'rgba(150, 200, 255, 0.8)', message: 'Click to spawn TrueFry2 (1-3)' },
-        'fishEggs': { name: 'FISH EGGS MODE', color: 'rgba(255, 255, 200, 0.8)', message: 'Click to spawn fish eggs (1-3, need sperm to fertilize)' },
-        'sperm': { name: 'SPERM MODE', color: 'rgba(255, 200, 255, 0.8)', message: 'Click to spawn sperm (1-3, fertilizes fish eggs)' },
-        'fertilizedEggs': { name: 'FERTILIZED EGGS MODE', color: 'rgba(255, 182, 193, 0.8)', message: 'Click to spawn fertilized eggs (1-3)' },
-        'krill': { name: 'KRILL MODE', color: 'rgba(255, 150, 100, 0.8)', message: 'Click to spawn krill' },
-        'fry': { name: 'FRY MODE', color: 'rgba(100, 200, 255, 0.8)', message: 'Click to spawn fry (1-5 random types)' },
-        'tuna': { name: 'TUNA MODE', color: 'rgba(255, 100, 100, 0.8)', message: 'Click to spawn tuna (1-3 random types)' },
-        'squid': { name: 'SQUID MODE', color: 'rgba(150, 50, 200, 0.8)', message: 'Click to spawn giant squid (apex predator)' }
-    };
-    return modes[spawnMode] || modes['off'];
+    const species = window.speciesRegistry ? window.speciesRegistry.getSpawnMode(spawnMode) : null;
+    if (species) {
+        return { name: species.spawn.name, color: species.spawn.color, message: species.spawn.hint };
+    }
+    
+    const cycle = window.speciesRegistry ? window.speciesRegistry.getSpawnModes().map(entry => entry.spawn.label) : [];
+    return { name: 'OFF', color: 'rgba(255, 255, 255, 0.6)', message: `Press F to cycle: ${[...cycle, 'Off'].join(' → ')}` };
 }
 
 // Clean up input listeners (useful for testing or reinitialization)
@@ -193,4 +217,5 @@ window.setupInputListeners = setupInputListeners;
 window.setupMouseTracking = setupMouseTracking;
 window.getSpawnModeInfo = getSpawnModeInfo;
 window.removeInputListeners = removeInputListeners;
-window.cycleSpawnMode = cycleSpawnMode; 
\ No newline at end of file
+window.cycleSpawnMode = cycleSpawnMode;
+window.getSpawnModeCycle = getSpawnModeCycle; 
\ No newline at end of file
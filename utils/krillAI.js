@@ -51,6 +51,19 @@ const KRILL_CONFIG = {
         DEPTH_PREFERENCE: 0.8,
         SWARM_COHESION: 1.8,
         MIGRATION: 1.0
+    },
+
+    // Grazing phytoplankton from the nutrient field (systems/NutrientFieldSystem.js)
+    GRAZING: {
+        HUNGER: 0.3,            // Krill graze once at least this hungry
+        MIN_PLANKTON: 1,        // Thinner cells are not worth steering towards
+        SEEK_WEIGHT: 0.5,       // Share of FOOD_SEEK used to drift towards the richest cell nearby
+        BITE: 0.5,              // Plankton eaten per bite
+        BITE_INTERVAL: 1500,    // Milliseconds between bites
+        ENERGY: 0.05,           // Gains for a full bite
+        HUNGER_RELIEF: 0.15,
+        NUTRITION: 0.04,
+        BITES_PER_MEAL: 4       // Bites that count as one meal towards moulting into a mom krill
     }
 };
 
@@ -63,7 +76,7 @@ if (typeof window !== 'undefined') {
 class KrillBehaviorTree {
     constructor(krill) {
         this.krill = krill;
-        this.lastStateChangeTime = Date.now();
+        this.lastStateChangeTime = SimClock.now();
         this.stateHistory = [];
         this.maxStateHistory = 10;
         this.previousState = null;
@@ -71,9 +84,12 @@ class KrillBehaviorTree {
     
     // Main decision tree for krill behavior
     evaluateState(nearbyKrill, predators, food, poop, sperm = []) {
-        const currentTime = Date.now();
+        const currentTime = SimClock.now();
         const timeSinceLastChange = currentTime - this.lastStateChangeTime;
         
+        // Food eaten by another krill and predators that died are let go of before anything steers toward them
+        this.releaseRemovedTargets();
+        
         // Prevent rapid state changes (minimum 500ms between changes)
         if (timeSinceLastChange < 500) {
             return this.krill.behaviorState;
@@ -130,11 +146,9 @@ class KrillBehaviorTree {
             // This allows krill to forage at surface while still being part of the migration swarm
             if (isAtSurface) {
                 // Check for food seeking first (higher priority)
-                const nearbyFood = this.detectFood(poop, food, sperm);
-                if (nearbyFood) {
-                    this.krill.seekTarget = nearbyFood;
-                    // Stay in MIGRATING state but allow seeking forces to work (handled in force calculation)
-                }
+                // Stay in MIGRATING state but allow seeking forces to work (handled in force calculation)
+                // No food nearby clears the target, so the surface forces fall back to foraging
+                this.krill.seekTarget = this.detectFood(poop, food, sperm);
                 // Foraging behavior will naturally occur due to reduced migration forces
             }
         }
@@ -151,12 +165,21 @@ class KrillBehaviorTree {
         return this.changeState(KRILL_STATES.FORAGING);
     }
     
+    releaseRemovedTargets() {
+        if (this.krill.seekTarget && EntityLifecycle.isDead(this.krill.seekTarget)) {
+            this.krill.seekTarget = null;
+        }
+        if (this.krill.fleeTarget && EntityLifecycle.isDead(this.krill.fleeTarget)) {
+            this.krill.fleeTarget = null;
+        }
+    }
+    
     changeState(newState) {
         if (this.krill.behaviorState !== newState) {
             this.stateHistory.push({
                 from: this.krill.behaviorState,
                 to: newState,
-                time: Date.now()
+                time: SimClock.now()
             });
             
             if (this.stateHistory.length > this.maxStateHistory) {
@@ -166,7 +189,7 @@ class KrillBehaviorTree {
             // Track previous state for transition-aware logic
             this.previousState = this.krill.behaviorState;
             this.krill.behaviorState = newState;
-            this.lastStateChangeTime = Date.now();
+            this.lastStateChangeTime = SimClock.now();
             this.onStateChange(newState);
         }
         return newState;
@@ -188,7 +211,7 @@ class KrillBehaviorTree {
                 // If we paused migration due to low energy, use swarming as the pause state
                 if (this.previousState === KRILL_STATES.MIGRATING) {
                     this.krill.postMigrationRest = true;
-                    this.krill.postMigrationRestStart = Date.now();
+                    this.krill.postMigrationRestStart = SimClock.now();
                     // Prevent immediate re-trigger loops
                     this.krill.wasMigrating = false;
                     this.krill.resumeMigrationAfterPause = true;
@@ -200,12 +223,12 @@ class KrillBehaviorTree {
                 this.krill.wasMigrating = true; // Track that krill was migrating
                 break;
             case KRILL_STATES.RESTING:
-                this.krill.restStartTime = Date.now();
+                this.krill.restStartTime = SimClock.now();
                 // Check if this is post-migration rest
                 if (this.krill.wasMigrating) {
                     // We now prefer swarming as the pause state; mark flags but do not remain resting
                     this.krill.postMigrationRest = true;
-                    this.krill.postMigrationRestStart = Date.now();
+                    this.krill.postMigrationRestStart = SimClock.now();
                     this.krill.resumeMigrationAfterPause = true;
                     this.krill.wasMigrating = false; // Reset migration flag
                     // Immediately switch to swarming to represent the pause behavior
@@ -371,7 +394,7 @@ class KrillBehaviorTree {
     }
     
     calculateMigrationPhase() {
-        const currentTime = Date.now();
+        const currentTime = SimClock.now();
         const cyclePosition = (currentTime % KRILL_CONFIG.MIGRATION_CYCLE_LENGTH) / KRILL_CONFIG.MIGRATION_CYCLE_LENGTH;
         return cyclePosition;
     }
@@ -412,6 +435,11 @@ class KrillAI {
         // Update krill properties based on behavior
         this.updateKrillProperties(krill);
         
+        // Filter-feed on the plankton around it unless running for its life
+        if (krill.behaviorState !== KRILL_STATES.FLEEING) {
+            this.grazePlankton(krill);
+        }
+        
         return {
             state: newState,
             forces: steeringForces,
@@ -498,9 +526,9 @@ class KrillAI {
                         forces.foodSeek.x = (dx / distance) * KRILL_CONFIG.WEIGHTS.FOOD_SEEK;
                         forces.foodSeek.y = (dy / distance) * KRILL_CONFIG.WEIGHTS.FOOD_SEEK;
                     }
-                } else {
+                } else if (!this.calculateGrazingForce(krill, forces)) {
                     // Apply wandering behavior only (no flocking - already applied via migration)
-                    const wanderAngle = (Date.now() / 1000 + krill.wanderOffset || 0) * 0.1;
+                    const wanderAngle = (SimClock.now() / 1000 + krill.wanderOffset || 0) * 0.1;
                     forces.wandering.x = Math.cos(wanderAngle) * 0.3;
                     forces.wandering.y = Math.sin(wanderAngle) * 0.2;
                 }
@@ -516,12 +544,50 @@ class KrillAI {
         // Basic flocking with reduced intensity
         this.calculateBasicFlocking(krill, nearbyKrill, forces, 0.6);
         
+        // Hungry krill drift towards the richest plankton nearby
+        if (this.calculateGrazingForce(krill, forces)) return;
+        
         // Wandering behavior - random exploration
-        const wanderAngle = (Date.now() / 1000 + krill.wanderOffset || 0) * 0.1;
+        const wanderAngle = (SimClock.now() / 1000 + krill.wanderOffset || 0) * 0.1;
         forces.wandering.x = Math.cos(wanderAngle) * 0.3;
         forces.wandering.y = Math.sin(wanderAngle) * 0.2;
     }
     
+    // Foraging target from the nutrient field - the richest plankton cell around a hungry krill.
+    // Returns false when there is nothing worth steering to
+    calculateGrazingForce(krill, forces) {
+        const field = window.gameEntities?.nutrientFieldSystem;
+        const grazing = KRILL_CONFIG.GRAZING;
+        if (!field || krill.hunger < grazing.HUNGER) return false;
+        
+        const cell = field.findRichestCell(krill.x, krill.y, grazing.MIN_PLANKTON);
+        if (!cell) return false;
+        
+        const dx = cell.x - krill.x;
+        const dy = cell.y - krill.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance > 0) {
+            forces.foodSeek.x = (dx / distance) * KRILL_CONFIG.WEIGHTS.FOOD_SEEK * grazing.SEEK_WEIGHT;
+            forces.foodSeek.y = (dy / distance) * KRILL_CONFIG.WEIGHTS.FOOD_SEEK * grazing.SEEK_WEIGHT;
+        }
+        return true;
+    }
+    
+    // Take a bite of the plankton in the krill's cell when hungry and the last bite has gone down
+    grazePlankton(krill) {
+        const field = window.gameEntities?.nutrientFieldSystem;
+        const grazing = KRILL_CONFIG.GRAZING;
+        if (!field || krill.hunger < grazing.HUNGER) return;
+        if (krill.nextGrazeAt && SimClock.now() < krill.nextGrazeAt) return;
+        
+        const eaten = field.graze(krill.x, krill.y, grazing.BITE);
+        if (eaten <= 0) return;
+        krill.nextGrazeAt = SimClock.now() + grazing.BITE_INTERVAL;
+        if (krill.consumePlankton) {
+            krill.consumePlankton(eaten);
+        }
+    }
+    
     calculateSeekingForces(krill, nearbyKrill, forces) {
         // Reduced flocking when seeking food
         this.calculateBasicFlocking(krill, nearbyKrill, forces, 0.3);
@@ -579,7 +645,7 @@ class KrillAI {
         // If swarming is used as a migration pause, either wait a duration or until energy recovers, then resume
         if (krill.resumeMigrationAfterPause) {
             if (krill.migrationPauseType === 'duration' && krill.postMigrationRest) {
-                const restDuration = Date.now() - (krill.postMigrationRestStart || 0);
+                const restDuration = SimClock.now() - (krill.postMigrationRestStart || 0);
                 if (restDuration < KRILL_CONFIG.POST_MIGRATION_REST_DURATION) {
                     // Recover some energy during the pause
                     krill.energy = Math.min(1.0, krill.energy + KRILL_CONFIG.POST_MIGRATION_REST_ENERGY_GAIN);
@@ -627,14 +693,14 @@ class KrillAI {
         // Add individual depth variation per krill to prevent all stacking at same Y
         // Use krill's wanderOffset as a seed for consistent per-krill variation
         // Use both sine and cosine for better distribution, increased to ±650 pixels (30% increase from 500)
-        const timeOffset = (krill.wanderOffset || 0) + Date.now() * 0.0001;
+        const timeOffset = (krill.wanderOffset || 0) + SimClock.now() * 0.0001;
         const depthVariation = (Math.sin(timeOffset) + Math.cos(timeOffset * 1.7)) * 325; // ±650 pixels variation (30% increase from ±500)
         const targetDepth = baseTargetDepth + depthVariation;
         
         // Add individual horizontal target variation per krill (similar to vertical variation)
         // Use a different offset seed (wanderOffset * 2.3) for independent horizontal variation
         const WORLD_WIDTH = window.WORLD_WIDTH || 12000;
-        const horizontalTimeOffset = (krill.wanderOffset || 0) * 2.3 + Date.now() * 0.0001;
+        const horizontalTimeOffset = (krill.wanderOffset || 0) * 2.3 + SimClock.now() * 0.0001;
         const horizontalVariation = (Math.sin(horizontalTimeOffset) + Math.cos(horizontalTimeOffset * 1.9)) * 162.5; // ±325 pixels variation (30% increase from ±250)
         
         // Calculate base horizontal target (use swarm center if available, otherwise world center)
@@ -657,7 +723,7 @@ class KrillAI {
         
         // Add randomization to vertical migration movement for more natural up/down behavior
         // Use a different seed pattern for vertical randomization (independent from other variations)
-        const verticalRandomSeed = ((krill.wanderOffset || 0) * 1.5 + Date.now() * 0.0002) % (Math.PI * 2);
+        const verticalRandomSeed = ((krill.wanderOffset || 0) * 1.5 + SimClock.now() * 0.0002) % (Math.PI * 2);
         const verticalRandomVariation = (Math.sin(verticalRandomSeed) + Math.cos(verticalRandomSeed * 2.1)) * 0.45; // ±0.9 variation (increased from ±0.6 for more randomness)
         // Add the random component to migration force (increased multiplier for more noticeable randomness)
         forces.migration.y = baseMigrationY + (verticalRandomVariation * 0.006);
@@ -668,8 +734,8 @@ class KrillAI {
         
         // Add random movement during migration to break up stacking (increased randomness)
         // Use a seed based on krill's offset for consistent randomness per krill
-        const randomSeed = ((krill.wanderOffset || 0) + Date.now() * 0.001) % (Math.PI * 2);
-        const randomAngle = randomSeed + Math.random() * 1.2; // Increased random variation (from 0.9 to 1.2 for more randomness)
+        const randomSeed = ((krill.wanderOffset || 0) + SimClock.now() * 0.001) % (Math.PI * 2);
+        const randomAngle = randomSeed + SimRandom.random() * 1.2; // Increased random variation (from 0.9 to 1.2 for more randomness)
         const randomStrength = 0.18; // Increased random movement (from 0.13 to 0.18) for more natural migration randomness
         forces.wandering.x += Math.cos(randomAngle) * randomStrength;
         forces.wandering.y += Math.sin(randomAngle) * randomStrength * 0.75; // Increased vertical randomness (from 0.6 to 0.75) for more variation
@@ -714,7 +780,7 @@ class KrillAI {
         
         // Check if this is post-migration rest
         if (krill.postMigrationRest) {
-            const restDuration = Date.now() - krill.postMigrationRestStart;
+            const restDuration = SimClock.now() - krill.postMigrationRestStart;
             
             // Post-migration rest: longer duration and slower energy recovery
             if (restDuration < KRILL_CONFIG.POST_MIGRATION_REST_DURATION) {
@@ -885,14 +951,14 @@ class KrillAI {
     }
     
     calculateMigrationPhase() {
-        const currentTime = Date.now();
+        const currentTime = SimClock.now();
         const cyclePosition = (currentTime % KRILL_CONFIG.MIGRATION_CYCLE_LENGTH) / KRILL_CONFIG.MIGRATION_CYCLE_LENGTH;
         return cyclePosition;
     }
     
     cleanup() {
         // Clean up old behavior trees
-        const currentTime = Date.now();
+        const currentTime = SimClock.now();
         for (let [krill, tree] of this.behaviorTrees) {
             if (currentTime - tree.lastStateChangeTime > 60000) { // 1 minute
                 this.behaviorTrees.delete(krill);
@@ -906,5 +972,6 @@ const krillAI = new KrillAI();
 
 // Export for global access
 if (typeof window !== 'undefined') {
+    window.KrillBehaviorTree = KrillBehaviorTree;
     window.krillAI = krillAI;
 } 
\ No newline at end of file
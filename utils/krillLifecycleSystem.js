@@ -12,8 +12,7 @@ class KrillLifecycleSystem {
             
             // Pale krill maturation
             PALE_MATURATION: {
-                duration: 10000, // 10 seconds (was 15 seconds)
-                checkInterval: 16 // 60fps
+                duration: 10000 // 10 seconds of simulation time (was 15 seconds)
             },
             
             // Mom krill reproduction
@@ -24,6 +23,14 @@ class KrillLifecycleSystem {
                 offspringCount: { min: 1, max: 2 } // Random offspring per batch
             },
             
+            // Aging for every krill form (systems/AgingSystem.js) - pale krill are the young, so the
+            // stages start at adulthood. Moults keep the age of the krill they replace
+            AGING: {
+                stages: [{ name: 'adult', until: 360000 }, { name: 'elder' }],
+                lifespan: [480000, 720000], // 8-12 minutes
+                senescence: { speed: 0.7, perception: 0.6 }
+            },
+            
             // Visual properties
             VISUAL: {
                 paleKrill: {
@@ -70,7 +77,7 @@ class KrillLifecycleSystem {
     checkPaleMaturation(paleKrill) {
         if (!paleKrill.canTransform) return { shouldTransform: false };
         
-        paleKrill.maturationTimer += this.config.PALE_MATURATION.checkInterval;
+        paleKrill.maturationTimer += SimClock.stepMs; // One simulation tick
         
         if (paleKrill.maturationTimer >= this.config.PALE_MATURATION.duration) {
             return {
@@ -94,30 +101,30 @@ class KrillLifecycleSystem {
             };
         }
         
-        // Increment timer by frame time (approximately 16ms at 60fps)
-        momKrill.offspringTimer += this.config.PALE_MATURATION.checkInterval;
+        // Increment timer by one simulation tick
+        momKrill.offspringTimer += SimClock.stepMs;
         
-        if (window.gameState?.krillDebug && momKrill.offspringTimer % 1000 < 16) {
+        if (window.gameState?.krillDebug && momKrill.offspringTimer % 1000 < SimClock.stepMs) {
             console.log(`🦐 MomKrill timer: ${momKrill.offspringTimer}/${momKrill.offspringInterval}ms (${(momKrill.offspringTimer/momKrill.offspringInterval*100).toFixed(1)}%)`);
         }
         
         if (momKrill.offspringTimer >= momKrill.offspringInterval) {
             // Create offspring data
             const offspring = [];
-            const offspringCount = Math.random() < 0.5 ? 
+            const offspringCount = SimRandom.random() < 0.5 ? 
                 this.config.MOM_REPRODUCTION.offspringCount.min : 
                 this.config.MOM_REPRODUCTION.offspringCount.max;
             
             for (let i = 0; i < offspringCount && momKrill.offspringCount < this.config.MOM_REPRODUCTION.maxOffspring; i++) {
-                const offsetX = (Math.random() - 0.5) * 30;
-                const offsetY = (Math.random() - 0.5) * 30;
+                const offsetX = (SimRandom.random() - 0.5) * 30;
+                const offsetY = (SimRandom.random() - 0.5) * 30;
                 
                 offspring.push({
                     x: momKrill.x + offsetX,
                     y: momKrill.y + offsetY,
                     velocity: {
-                        x: momKrill.velocity.x * 0.5 + (Math.random() - 0.5) * 2,
-                        y: momKrill.velocity.y * 0.5 + (Math.random() - 0.5) * 2
+                        x: momKrill.velocity.x * 0.5 + (SimRandom.random() - 0.5) * 2,
+                        y: momKrill.velocity.y * 0.5 + (SimRandom.random() - 0.5) * 2
                     }
                 });
                 
@@ -160,9 +167,9 @@ class KrillLifecycleSystem {
         paleKrill.canTransform = true;
         
         // Start with lower energy and nutrition
-        paleKrill.energy = 0.4 + Math.random() * 0.3;
+        paleKrill.energy = 0.4 + SimRandom.random() * 0.3;
         paleKrill.nutritionLevel = 0.3;
-        paleKrill.hunger = Math.random() * 0.7;
+        paleKrill.hunger = SimRandom.random() * 0.7;
     }
 
     // Initialize mom krill properties
@@ -183,9 +190,9 @@ class KrillLifecycleSystem {
         momKrill.canTransform = false; // Mom krill don't transform further
         
         // Enhanced energy and nutrition
-        momKrill.energy = 0.9 + Math.random() * 0.1;
+        momKrill.energy = 0.9 + SimRandom.random() * 0.1;
         momKrill.nutritionLevel = 0.8;
-        momKrill.hunger = Math.random() * 0.3;
+        momKrill.hunger = SimRandom.random() * 0.3;
         
         if (window.gameState?.krillDebug) {
             console.log(`🦐 MomKrill initialized with offspring interval: ${momKrill.offspringInterval}ms`);
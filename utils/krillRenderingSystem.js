@@ -136,6 +136,17 @@ class KrillRenderingSystem {
         }
     }
 
+    // Worker-mode render state - the sprite frame, depth opacity, tint and heading the draw methods above use
+    getRenderState(krill, visualKey, fallbackOpacity, out) {
+        const visualProps = this.lifecycleSystem?.getVisualProperties()?.[visualKey];
+        const baseOpacity = visualProps ? visualProps.baseOpacity : fallbackOpacity;
+        
+        out.sprite = krill.spriteFrames[Math.floor(krill.animationFrame)];
+        out.angle = Math.atan2(krill.velocity.y, krill.velocity.x);
+        out.opacity = baseOpacity * 0.4 + window.Utils.getDepthOpacity(krill.y, baseOpacity) * 0.4;
+        out.tint = window.Utils.getDepthTint(krill.y) * 0.4;
+    }
+
     // Common krill sprite drawing method
     drawKrillSprite(krill, sprite, depthOpacity, tintStrength, spriteKey = null) {
         const ctx = window.ctx;
@@ -51,12 +51,13 @@ class KrillTransformationSystem {
     checkRegularToMom(krill) {
         // Simplified: any food consumption triggers transformation
         if (krill.shouldTransform && krill.transformTo === 'momKrill') {
-            if (window.gameState?.krillDebug) {
-                console.log(`🦐 Regular krill ready to transform to MomKrill (Food consumed: ${krill.foodConsumed})`);
+            if (window.gameState?.krillDebug && window.ConsoleDebugSystem) {
+                window.ConsoleDebugSystem.log('TRANSFORMATION', `Regular krill ready to transform to MomKrill (Food consumed: ${krill.foodConsumed})`, 'info');
             }
             return {
                 shouldTransform: true,
                 transformTo: 'momKrill',
+                cause: 'fed',
                 x: krill.x,
                 y: krill.y,
                 velocity: krill.velocity
@@ -70,12 +71,13 @@ class KrillTransformationSystem {
     checkPaleToRegular(krill) {
         // Check if pale krill ate food (immediate transformation)
         if (krill.shouldTransform && krill.transformTo === 'regularKrill') {
-            if (window.gameState?.krillDebug) {
-                console.log(`🦐 Pale krill ready to transform to RegularKrill (Food-based transformation)`);
+            if (window.gameState?.krillDebug && window.ConsoleDebugSystem) {
+                window.ConsoleDebugSystem.log('TRANSFORMATION', `Pale krill ready to transform to RegularKrill (Food-based transformation)`, 'info');
             }
             return {
                 shouldTransform: true,
                 transformTo: 'regularKrill',
+                cause: 'fed',
                 x: krill.x,
                 y: krill.y,
                 velocity: krill.velocity
@@ -88,15 +90,16 @@ class KrillTransformationSystem {
             krill.maturationDuration = 10000; // 10 seconds
         }
         
-        krill.maturationTimer += 16; // Approximate frame time
+        krill.maturationTimer += SimClock.stepMs; // One simulation tick
         
         if (krill.maturationTimer >= krill.maturationDuration) {
-            if (window.gameState?.krillDebug) {
-                console.log(`🦐 Pale krill ready to transform to RegularKrill (Time-based maturation)`);
+            if (window.gameState?.krillDebug && window.ConsoleDebugSystem) {
+                window.ConsoleDebugSystem.log('TRANSFORMATION', `Pale krill ready to transform to RegularKrill (Time-based maturation)`, 'info');
             }
             return {
                 shouldTransform: true,
                 transformTo: 'regularKrill',
+                cause: 'matured',
                 x: krill.x,
                 y: krill.y,
                 velocity: krill.velocity
@@ -110,12 +113,13 @@ class KrillTransformationSystem {
     checkMomToRegular(krill) {
         if (krill.offspringCount >= this.config.MOM_TO_REGULAR.maxOffspring ||
             krill.batchesProduced >= this.config.MOM_TO_REGULAR.maxBatches) {
-            if (window.gameState?.krillDebug) {
-                console.log(`🦐 Mom krill ready to revert to RegularKrill (Offspring: ${krill.offspringCount}/${this.config.MOM_TO_REGULAR.maxOffspring}, Batches: ${krill.batchesProduced}/${this.config.MOM_TO_REGULAR.maxBatches})`);
+            if (window.gameState?.krillDebug && window.ConsoleDebugSystem) {
+                window.ConsoleDebugSystem.log('TRANSFORMATION', `Mom krill ready to revert to RegularKrill (Offspring: ${krill.offspringCount}/${this.config.MOM_TO_REGULAR.maxOffspring}, Batches: ${krill.batchesProduced}/${this.config.MOM_TO_REGULAR.maxBatches})`, 'info');
             }
             return {
                 shouldTransform: true,
                 transformTo: 'regularKrill',
+                cause: 'brood-complete',
                 x: krill.x,
                 y: krill.y,
                 velocity: krill.velocity
@@ -131,17 +135,20 @@ class KrillTransformationSystem {
         
         const { transformTo, x, y, velocity } = transformation;
         
-        if (window.gameState?.krillDebug) {
-            console.log(`🦐 Attempting to create ${transformTo} at (${x}, ${y})`);
+        if (window.gameState?.krillDebug && window.ConsoleDebugSystem) {
+            window.ConsoleDebugSystem.log('TRANSFORMATION', `Attempting to create ${transformTo} at (${x}, ${y})`, 'info');
         }
         
         // Create new krill of target type FIRST
         const newKrill = this.createKrillOfType(transformTo, x, y, velocity);
+        if (newKrill && window.AgingSystem) {
+            AgingSystem.inherit(krill, newKrill);
+        }
         
         // Only remove old krill if new krill was created successfully
         if (newKrill) {
-            if (window.gameState?.krillDebug) {
-                console.log(`🦐 Successfully created ${transformTo}, removing old krill`);
+            if (window.gameState?.krillDebug && window.ConsoleDebugSystem) {
+                window.ConsoleDebugSystem.log('TRANSFORMATION', `Successfully created ${transformTo}, removing old krill`, 'info');
             }
             
             // Remove krill from current array
@@ -150,8 +157,14 @@ class KrillTransformationSystem {
             // Add to appropriate array
             this.addKrillToArray(gameEntities, newKrill, transformTo);
             
-            if (window.gameState?.krillDebug) {
-                console.log(`🦐 Krill transformation successful: ${this.getKrillType(krill)} → ${transformTo}`);
+            if (window.ecosystemEvents) {
+                window.ecosystemEvents.publish(window.ECOSYSTEM_EVENTS.KRILL_TRANSFORMED, {
+                    actors: { from: krill, to: newKrill },
+                    x,
+                    y,
+                    cause: transformation.cause || null,
+                    details: { fromType: this.getKrillType(krill), toType: transformTo }
+                });
             }
             
             return true;
@@ -160,8 +173,8 @@ class KrillTransformationSystem {
             krill.shouldTransform = false;
             krill.transformTo = null;
             
-            if (window.gameState?.krillDebug) {
-                console.warn(`🦐 Krill transformation FAILED: could not create ${transformTo} - keeping original krill alive`);
+            if (window.gameState?.krillDebug && window.ConsoleDebugSystem) {
+                window.ConsoleDebugSystem.log('TRANSFORMATION', `Krill transformation FAILED: could not create ${transformTo} - keeping original krill alive`, 'warn');
             }
             
             return false;
@@ -180,47 +193,47 @@ class KrillTransformationSystem {
     removeKrillFromArray(gameEntities, krill) {
         const krillType = this.getKrillType(krill);
         
-        if (window.gameState?.krillDebug) {
-            console.log(`🦐 Removing krill from ${krillType} array (current count: ${this.getArrayLength(gameEntities, krillType)})`);
+        if (window.gameState?.krillDebug && window.ConsoleDebugSystem) {
+            window.ConsoleDebugSystem.log('TRANSFORMATION', `Removing krill from ${krillType} array (current count: ${this.getArrayLength(gameEntities, krillType)})`, 'info');
         }
         
         switch (krillType) {
             case 'regular':
                 const regularIndex = gameEntities.krill.indexOf(krill);
                 if (regularIndex !== -1) {
-                    gameEntities.krill.splice(regularIndex, 1);
-                    if (window.gameState?.krillDebug) {
-                        console.log(`🦐 Removed krill from regular array (new count: ${gameEntities.krill.length})`);
+                    EntityLifecycle.removeFrom(gameEntities.krill, regularIndex, DEATH_CAUSES.TRANSFORMED);
+                    if (window.gameState?.krillDebug && window.ConsoleDebugSystem) {
+                        window.ConsoleDebugSystem.log('TRANSFORMATION', `Removed krill from regular array (new count: ${gameEntities.krill.length})`, 'info');
                     }
                 } else {
-                    if (window.gameState?.krillDebug) {
-                        console.warn(`🦐 Krill not found in regular array!`);
+                    if (window.gameState?.krillDebug && window.ConsoleDebugSystem) {
+                        window.ConsoleDebugSystem.log('TRANSFORMATION', `Krill not found in regular array!`, 'warn');
                     }
                 }
                 break;
             case 'pale':
                 const paleIndex = gameEntities.paleKrill.indexOf(krill);
                 if (paleIndex !== -1) {
-                    gameEntities.paleKrill.splice(paleIndex, 1);
-                    if (window.gameState?.krillDebug) {
-                        console.log(`🦐 Removed krill from pale array (new count: ${gameEntities.paleKrill.length})`);
+                    EntityLifecycle.removeFrom(gameEntities.paleKrill, paleIndex, DEATH_CAUSES.TRANSFORMED);
+                    if (window.gameState?.krillDebug && window.ConsoleDebugSystem) {
+                        window.ConsoleDebugSystem.log('TRANSFORMATION', `Removed krill from pale array (new count: ${gameEntities.paleKrill.length})`, 'info');
                     }
                 } else {
-                    if (window.gameState?.krillDebug) {
-                        console.warn(`🦐 Krill not found in pale array!`);
+                    if (window.gameState?.krillDebug && window.ConsoleDebugSystem) {
+                        window.ConsoleDebugSystem.log('TRANSFORMATION', `Krill not found in pale array!`, 'warn');
                     }
                 }
                 break;
             case 'mom':
                 const momIndex = gameEntities.momKrill.indexOf(krill);
                 if (momIndex !== -1) {
-                    gameEntities.momKrill.splice(momIndex, 1);
-                    if (window.gameState?.krillDebug) {
-                        console.log(`🦐 Removed krill from mom array (new count: ${gameEntities.momKrill.length})`);
+                    EntityLifecycle.removeFrom(gameEntities.momKrill, momIndex, DEATH_CAUSES.TRANSFORMED);
+                    if (window.gameState?.krillDebug && window.ConsoleDebugSystem) {
+                        window.ConsoleDebugSystem.log('TRANSFORMATION', `Removed krill from mom array (new count: ${gameEntities.momKrill.length})`, 'info');
                     }
                 } else {
-                    if (window.gameState?.krillDebug) {
-                        console.warn(`🦐 Krill not found in mom array!`);
+                    if (window.gameState?.krillDebug && window.ConsoleDebugSystem) {
+                        window.ConsoleDebugSystem.log('TRANSFORMATION', `Krill not found in mom array!`, 'warn');
                     }
                 }
                 break;
@@ -262,27 +275,27 @@ class KrillTransformationSystem {
     addKrillToArray(gameEntities, krill, type) {
         if (!krill) return;
         
-        if (window.gameState?.krillDebug) {
-            console.log(`🦐 Adding krill to ${type} array`);
+        if (window.gameState?.krillDebug && window.ConsoleDebugSystem) {
+            window.ConsoleDebugSystem.log('TRANSFORMATION', `Adding krill to ${type} array`, 'info');
         }
         
         switch (type) {
             case 'regularKrill':
                 gameEntities.krill.push(krill);
-                if (window.gameState?.krillDebug) {
-                    console.log(`🦐 Added to regular array (new count: ${gameEntities.krill.length})`);
+                if (window.gameState?.krillDebug && window.ConsoleDebugSystem) {
+                    window.ConsoleDebugSystem.log('TRANSFORMATION', `Added to regular array (new count: ${gameEntities.krill.length})`, 'info');
                 }
                 break;
             case 'momKrill':
                 gameEntities.momKrill.push(krill);
-                if (window.gameState?.krillDebug) {
-                    console.log(`🦐 Added to mom array (new count: ${gameEntities.momKrill.length})`);
+                if (window.gameState?.krillDebug && window.ConsoleDebugSystem) {
+                    window.ConsoleDebugSystem.log('TRANSFORMATION', `Added to mom array (new count: ${gameEntities.momKrill.length})`, 'info');
                 }
                 break;
             case 'paleKrill':
                 gameEntities.paleKrill.push(krill);
-                if (window.gameState?.krillDebug) {
-                    console.log(`🦐 Added to pale array (new count: ${gameEntities.paleKrill.length})`);
+                if (window.gameState?.krillDebug && window.ConsoleDebugSystem) {
+                    window.ConsoleDebugSystem.log('TRANSFORMATION', `Added to pale array (new count: ${gameEntities.paleKrill.length})`, 'info');
                 }
                 break;
         }
@@ -297,8 +310,8 @@ class KrillTransformationSystem {
             const krill = gameEntities.krill[i];
             const transformation = this.checkTransformation(krill);
             if (transformation.shouldTransform) {
-                if (window.gameState?.krillDebug) {
-                    console.log(`🦐 Attempting transformation: ${this.getKrillType(krill)} → ${transformation.transformTo}`);
+                if (window.gameState?.krillDebug && window.ConsoleDebugSystem) {
+                    window.ConsoleDebugSystem.log('TRANSFORMATION', `Attempting transformation: ${this.getKrillType(krill)} → ${transformation.transformTo}`, 'info');
                 }
                 if (this.executeTransformation(gameEntities, krill, transformation)) {
                     transformationsProcessed++;
@@ -314,8 +327,8 @@ class KrillTransformationSystem {
             const krill = gameEntities.paleKrill[i];
             const transformation = this.checkTransformation(krill);
             if (transformation.shouldTransform) {
-                if (window.gameState?.krillDebug) {
-                    console.log(`🦐 Attempting transformation: ${this.getKrillType(krill)} → ${transformation.transformTo}`);
+                if (window.gameState?.krillDebug && window.ConsoleDebugSystem) {
+                    window.ConsoleDebugSystem.log('TRANSFORMATION', `Attempting transformation: ${this.getKrillType(krill)} → ${transformation.transformTo}`, 'info');
                 }
                 if (this.executeTransformation(gameEntities, krill, transformation)) {
                     transformationsProcessed++;
@@ -331,8 +344,8 @@ class KrillTransformationSystem {
             const krill = gameEntities.momKrill[i];
             const transformation = this.checkTransformation(krill);
             if (transformation.shouldTransform) {
-                if (window.gameState?.krillDebug) {
-                    console.log(`🦐 Attempting transformation: ${this.getKrillType(krill)} → ${transformation.transformTo}`);
+                if (window.gameState?.krillDebug && window.ConsoleDebugSystem) {
+                    window.ConsoleDebugSystem.log('TRANSFORMATION', `Attempting transformation: ${this.getKrillType(krill)} → ${transformation.transformTo}`, 'info');
                 }
                 if (this.executeTransformation(gameEntities, krill, transformation)) {
                     transformationsProcessed++;
@@ -1,5 +1,8 @@
 // Level of Detail (LOD) System Module
 // Provides distance-based rendering optimization for better performance
+// GameEntities also uses it to schedule krill and fry AI: entities far from the view focus think every few ticks
+// and coast in between. The focus is simulation input - game.js moves it with the camera in coarse steps and
+// replays log every change - so a world without one (headless runs) updates everything every tick.
 
 class LODSystem {
     constructor() {
@@ -30,12 +33,25 @@ class LODSystem {
             lowLOD: 0,
             lastReset: 0
         };
+        
+        // Point and view radius AI scheduling measures from (null = LOD off, every entity thinks every tick)
+        this.focus = null;
+        
+        // How far out LOW starts (in view radii) and how often MEDIUM and LOW entities think - the quality
+        // governor trades these for frame time, and like the focus every change is logged by replays
+        this.aiDetail = { lowReach: 2, mediumFrequency: 2, lowFrequency: 4 };
+        this.pendingAIDetail = null; // requested between ticks, applied when the next tick begins
+        
+        // Entities per tier and how many ran their AI, for the current and the last finished tick
+        this.tickStats = { HIGH: 0, MEDIUM: 0, LOW: 0, updated: 0 };
+        this.lastTickStats = { HIGH: 0, MEDIUM: 0, LOW: 0, updated: 0 };
     }
     
+    // Render tier by distance from the centre of the camera's view (camera.x/y is its top-left corner)
     getLODLevel(entity, camera) {
         const distance = Math.sqrt(
-            Math.pow(entity.x - camera.x, 2) + 
-            Math.pow(entity.y - camera.y, 2)
+            Math.pow(entity.x - (camera.x + camera.viewWidth / 2), 2) + 
+            Math.pow(entity.y - (camera.y + camera.viewHeight / 2), 2)
         );
         
         if (distance < this.lodLevels.MEDIUM.distance) {
@@ -52,6 +68,129 @@ class LODSystem {
         return frameCount % lodLevel.updateFrequency === 0;
     }
     
+    // ===== AI scheduling =====
+    
+    isActive() {
+        return this.focus !== null;
+    }
+    
+    // Place the focus exactly (replays, snapshots) - HIGH inside the view radius, MEDIUM out to lowReach times that
+    setFocus(x, y, radius) {
+        this.focus = { x, y, radius };
+        this.configureLODLevels(0, radius, radius * this.aiDetail.lowReach);
+    }
+    
+    setAIDetail(detail) {
+        this.pendingAIDetail = null;
+        this.aiDetail = {
+            lowReach: detail.lowReach,
+            mediumFrequency: detail.mediumFrequency,
+            lowFrequency: detail.lowFrequency
+        };
+        this.configureUpdateFrequencies(1, detail.mediumFrequency, detail.lowFrequency);
+        if (this.focus) {
+            this.setFocus(this.focus.x, this.focus.y, this.focus.radius);
+        }
+    }
+    
+    // The quality governor's change, held until the next tick begins so a tick never runs on two AI details
+    requestAIDetail(detail) {
+        this.pendingAIDetail = { ...detail };
+    }
+    
+    // The AI detail the next tick will run with (what replays record)
+    getUpcomingAIDetail() {
+        return this.pendingAIDetail || this.aiDetail;
+    }
+    
+    clearFocus() {
+        this.focus = null;
+    }
+    
+    // Follow the view in coarse steps so focus changes stay rare - returns true when the focus moved
+    followView(x, y, radius) {
+        const step = LODSystem.FOCUS_STEP;
+        x = Math.round(x);
+        y = Math.round(y);
+        radius = Math.round(radius);
+        
+        const focus = this.focus;
+        if (focus && Math.abs(focus.x - x) < step && Math.abs(focus.y - y) < step && Math.abs(focus.radius - radius) < step) {
+            return false;
+        }
+        this.setFocus(x, y, radius);
+        return true;
+    }
+    
+    // Tier by distance from the focus (getLODLevel measures from a camera for rendering)
+    getFocusLevel(entity) {
+        const dx = entity.x - this.focus.x;
+        const dy = entity.y - this.focus.y;
+        const distanceSquared = dx * dx + dy * dy;
+        
+        if (distanceSquared < this.lodLevels.MEDIUM.distance * this.lodLevels.MEDIUM.distance) {
+            return this.lodLevels.HIGH;
+        } else if (distanceSquared < this.lodLevels.LOW.distance * this.lodLevels.LOW.distance) {
+            return this.lodLevels.MEDIUM;
+        }
+        return this.lodLevels.LOW;
+    }
+    
+    // Called once per tick before any entity is scheduled
+    beginTick() {
+        if (this.pendingAIDetail) {
+            this.setAIDetail(this.pendingAIDetail);
+        }
+        
+        const finished = this.lastTickStats;
+        this.lastTickStats = this.tickStats;
+        this.tickStats = finished;
+        this.tickStats.HIGH = 0;
+        this.tickStats.MEDIUM = 0;
+        this.tickStats.LOW = 0;
+        this.tickStats.updated = 0;
+    }
+    
+    // Ticks of AI the entity should run now: 0 means coast this tick, otherwise how many ticks its decision covers
+    // Ids stagger the schedule so a tier's entities don't all think on the same tick
+    scheduleUpdate(entity, tick) {
+        const level = this.getFocusLevel(entity);
+        this.tickStats[level.name]++;
+        this.performanceStats[level.name.toLowerCase() + 'LOD']++;
+        
+        if ((tick + (entity.id || 0)) % level.updateFrequency !== 0) {
+            return 0;
+        }
+        
+        const lastUpdate = entity.lodLastUpdate;
+        entity.lodLastUpdate = tick;
+        this.tickStats.updated++;
+        if (lastUpdate === undefined) return 1;
+        return Math.max(1, Math.min(tick - lastUpdate, this.lodLevels.LOW.updateFrequency));
+    }
+    
+    // AI steering is a per-tick velocity change - one decision covering several ticks applies it that many times,
+    // keeping the speed within what the entity's own update allowed so turns stay as sharp as on screen
+    scaleSteering(entity, previousVx, previousVy, ticks) {
+        const velocity = entity.velocity;
+        const previousSpeed = Math.sqrt(previousVx * previousVx + previousVy * previousVy);
+        const updatedSpeed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+        const maxSpeed = Math.max(updatedSpeed, entity.maxSpeed || 0);
+        const minSpeed = Math.min(updatedSpeed, previousSpeed);
+        
+        velocity.x = previousVx + (velocity.x - previousVx) * ticks;
+        velocity.y = previousVy + (velocity.y - previousVy) * ticks;
+        
+        const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+        if (speed > maxSpeed) {
+            velocity.x *= maxSpeed / speed;
+            velocity.y *= maxSpeed / speed;
+        } else if (speed < minSpeed && speed > 0) {
+            velocity.x *= minSpeed / speed;
+            velocity.y *= minSpeed / speed;
+        }
+    }
+    
     getRenderDetail(entity, camera) {
         return this.getLODLevel(entity, camera).renderDetail;
     }
@@ -85,12 +224,23 @@ class LODSystem {
     getStats() {
         const total = this.performanceStats.highLOD + this.performanceStats.mediumLOD + this.performanceStats.lowLOD;
         
+        const lastTick = this.lastTickStats;
+        const scheduling = {
+            active: this.isActive(),
+            high: lastTick.HIGH,
+            medium: lastTick.MEDIUM,
+            low: lastTick.LOW,
+            updated: lastTick.updated,
+            scheduled: lastTick.HIGH + lastTick.MEDIUM + lastTick.LOW
+        };
+        
         if (total === 0) {
             return {
                 highLOD: '0%',
                 mediumLOD: '0%',
                 lowLOD: '0%',
-                totalEntities: 0
+                totalEntities: 0,
+                scheduling
             };
         }
         
@@ -102,7 +252,8 @@ class LODSystem {
             highLOD: highPercent + '%',
             mediumLOD: mediumPercent + '%',
             lowLOD: lowPercent + '%',
-            totalEntities: total
+            totalEntities: total,
+            scheduling
         };
     }
     
@@ -128,5 +279,8 @@ class LODSystem {
     }
 }
 
+// World units the view must move (or grow) before the AI focus follows
+LODSystem.FOCUS_STEP = 100;
+
 // Make globally accessible
 window.LODSystem = LODSystem; 
\ No newline at end of file
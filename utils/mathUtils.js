@@ -108,7 +108,7 @@ function enforceMinimumSpeed(velocity, minSpeed) {
     
     // If velocity is too slow (or zero), set it to a random direction with minimum speed
     if (speedSquared < minSpeedSquared) {
-        const angle = Math.random() * Math.PI * 2;
+        const angle = SimRandom.random() * Math.PI * 2;
         velocity.x = Math.cos(angle) * minSpeed;
         velocity.y = Math.sin(angle) * minSpeed;
     }
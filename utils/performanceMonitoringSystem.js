@@ -10,10 +10,20 @@ class PerformanceMonitoringSystem {
             spatialQueries: 0,
             objectPoolHits: 0,
             objectPoolMisses: 0,
+            entityPools: null, // EntityPoolManager stats - short-lived entities reused instead of constructed
             batchEfficiency: 0,
-            lodDistribution: { high: 0, medium: 0, low: 0 }
+            lodDistribution: { high: 0, medium: 0, low: 0 },
+            fps: 0 // measured from animation frame timestamps, 0 until the first sample
         };
         
+        // Animation frame intervals since the last sample
+        this.lastFrameTimestamp = null;
+        this.frameIntervalSum = 0;
+        this.frameIntervalCount = 0;
+        
+        // Quality governor fed with every sample (only the main thread's monitor has one)
+        this.governor = null;
+        
         this.thresholds = {
             frameTimeWarning: 16, // ms
             frameTimeCritical: 33, // ms
@@ -27,23 +37,58 @@ class PerformanceMonitoringSystem {
     }
     
     update(currentTime) {
+        if (currentTime !== undefined) {
+            this.trackFrameInterval(currentTime);
+        }
+        
         if (window.gameState && window.gameState.frameCount - this.lastUpdate > this.updateInterval) {
             this.collectMetrics();
             this.analyzePerformance();
             this.lastUpdate = window.gameState.frameCount;
+            
+            if (this.governor) {
+                this.governor.evaluate({
+                    fps: this.metrics.fps,
+                    frameTime: this.metrics.frameTime[this.metrics.frameTime.length - 1]
+                });
+            }
+        }
+    }
+    
+    attachGovernor(governor) {
+        this.governor = governor;
+    }
+    
+    // Gaps over a quarter second are pauses or background tabs, not slow frames
+    trackFrameInterval(currentTime) {
+        if (this.lastFrameTimestamp !== null) {
+            const interval = currentTime - this.lastFrameTimestamp;
+            if (interval > 0 && interval < 250) {
+                this.frameIntervalSum += interval;
+                this.frameIntervalCount++;
+            }
         }
+        this.lastFrameTimestamp = currentTime;
     }
     
     collectMetrics() {
-        // Collect frame time metrics
+        // Collect frame time metrics (measured by the frame profiler when it is running)
         if (window.gameState) {
-            const frameTime = 1000 / 60; // Approximate frame time
+            const profiled = window.frameProfiler && window.frameProfiler.frameCount > 0;
+            const frameTime = profiled ? window.frameProfiler.getStats().frame.p50 : 1000 / 60; // Approximate frame time
             this.metrics.frameTime.push(frameTime);
             if (this.metrics.frameTime.length > this.historySize) {
                 this.metrics.frameTime.shift();
             }
         }
         
+        // Real frame rate since the last sample
+        if (this.frameIntervalCount > 0) {
+            this.metrics.fps = 1000 / (this.frameIntervalSum / this.frameIntervalCount);
+            this.frameIntervalSum = 0;
+            this.frameIntervalCount = 0;
+        }
+        
         // Collect entity counts
         if (window.gameEntities) {
             const counts = window.gameEntities.getEntityCounts();
@@ -66,6 +111,11 @@ class PerformanceMonitoringSystem {
             this.metrics.objectPoolMisses = 100 - this.metrics.objectPoolHits;
         }
         
+        // Collect entity pool stats
+        if (window.entityPools) {
+            this.metrics.entityPools = window.entityPools.getStats();
+        }
+        
         // Collect LOD distribution stats
         if (window.gameEntities && window.gameEntities.lodSystem) {
             const lodStats = window.gameEntities.lodSystem.getStats();
@@ -99,7 +149,7 @@ class PerformanceMonitoringSystem {
         
         // Log performance summary
         if (window.ConsoleDebugSystem) {
-            window.ConsoleDebugSystem.log('PERFORMANCE', `Avg frame time: ${avgFrameTime.toFixed(1)}ms, Spatial queries: ${this.metrics.spatialQueries}, Pool efficiency: ${this.calculatePoolEfficiency()}%`);
+            window.ConsoleDebugSystem.log('PERFORMANCE', `Avg frame time: ${avgFrameTime.toFixed(1)}ms, Spatial queries: ${this.metrics.spatialQueries}, Pool efficiency: ${this.calculatePoolEfficiency()}%, Entity pool efficiency: ${this.calculateEntityPoolEfficiency()}%`);
         }
     }
     
@@ -109,6 +159,11 @@ class PerformanceMonitoringSystem {
         return (this.metrics.objectPoolHits / total * 100).toFixed(1);
     }
     
+    // Share of entity acquisitions served from a pool
+    calculateEntityPoolEfficiency() {
+        return this.metrics.entityPools ? this.metrics.entityPools.efficiency.toFixed(1) : '100.0';
+    }
+    
     triggerPerformanceWarning(level, message) {
         if (window.ConsoleDebugSystem) {
             window.ConsoleDebugSystem.log('PERFORMANCE', `${level}: ${message}`, level.toLowerCase());
@@ -122,10 +177,15 @@ class PerformanceMonitoringSystem {
         return {
             averageFrameTime: avgFrameTime.toFixed(1) + 'ms',
             poolEfficiency: poolEfficiency + '%',
+            entityPoolEfficiency: this.calculateEntityPoolEfficiency() + '%',
+            entityPools: this.metrics.entityPools ? this.metrics.entityPools.pools : null,
             spatialQueries: this.metrics.spatialQueries,
             totalEntities: this.metrics.entityCounts.length > 0 ? 
                 Object.values(this.metrics.entityCounts[this.metrics.entityCounts.length - 1]).reduce((a, b) => a + b, 0) : 0,
-            lodDistribution: this.metrics.lodDistribution
+            lodDistribution: this.metrics.lodDistribution,
+            frameBudget: window.frameProfiler ? window.frameProfiler.getStats() : null,
+            fps: this.metrics.fps.toFixed(1),
+            qualityTier: this.governor ? this.governor.getTier().name : null
         };
     }
     
@@ -168,8 +228,13 @@ class PerformanceMonitoringSystem {
         this.metrics.spatialQueries = 0;
         this.metrics.objectPoolHits = 0;
         this.metrics.objectPoolMisses = 0;
+        this.metrics.entityPools = null;
         this.metrics.batchEfficiency = 0;
         this.metrics.lodDistribution = { high: 0, medium: 0, low: 0 };
+        this.metrics.fps = 0;
+        this.lastFrameTimestamp = null;
+        this.frameIntervalSum = 0;
+        this.frameIntervalCount = 0;
     }
 }
 
@@ -36,7 +36,7 @@ class PoopMovementSystem {
             // Create patterns similar to individual poop movement
             // Base velocity: 0.3 downward, random horizontal drift
             const baseVelocityY = 0.3;
-            const randomDriftX = (Math.random() - 0.5) * 0.1;
+            const randomDriftX = (SimRandom.random() - 0.5) * 0.1;
             
             // Store pattern index and velocity multipliers
             this.movementPatterns.push({
@@ -90,14 +90,14 @@ class PoopMovementSystem {
         const WORLD_WIDTH = window.WORLD_WIDTH || 12000;
         const WORLD_HEIGHT = window.WORLD_HEIGHT || 8000;
         if (poop.y > WORLD_HEIGHT + 100 || poop.x < -100 || poop.x > WORLD_WIDTH + 100) {
-            poop.isActive = false;
+            EntityLifecycle.kill(poop, DEATH_CAUSES.LEFT_WORLD);
         }
         
         // Fade out very old poop
         if (poop.stateTimer > 30000) { // 30 seconds total life
             poop.opacity -= 0.01;
             if (poop.opacity <= 0) {
-                poop.isActive = false;
+                EntityLifecycle.kill(poop, DEATH_CAUSES.EXPIRED);
             }
         }
     }
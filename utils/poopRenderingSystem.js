@@ -48,6 +48,21 @@ class PoopRenderingSystem {
         context.restore();
     }
     
+    /**
+     * Worker-mode render state - same sprite, spin and opacity as draw()
+     * @param {Object} poop - The poop entity
+     * @param {Object} out - Render state to fill (see SimulationWorker)
+     * @returns {boolean} False when the poop is not drawn
+     */
+    getRenderState(poop, out) {
+        if (!poop.isActive) return false;
+        
+        out.sprite = this.config.SPRITE_KEYS[poop.state] || 'poop';
+        out.angle = poop.rotation;
+        out.opacity = poop.opacity;
+        return true;
+    }
+    
     /**
      * Batch render multiple poop entities for better performance
      * @param {Array} poopArray - Array of poop entities to render
@@ -0,0 +1,185 @@
+// Quality Governor - Steps every subsystem's quality down together when frames run long, and back up with headroom
+// PerformanceMonitoringSystem feeds it one sample a second (real FPS and the frame profiler's work time per frame).
+// A tier sets bubble density, render LOD distances, the depth tint band, whether debug overlays draw, and the
+// AI detail of krill and fry far from the view. Everything but the AI detail only changes what is drawn. The AI
+// detail changes the simulation: it is handed to LODSystem.requestAIDetail, applied when the next tick begins
+// and recorded as a replay event like the LOD focus, so replays reproduce it. Nothing samples frame times in
+// headless runs - their tier stays on High, and with no LOD focus every entity thinks every tick anyway - so a
+// seed still reproduces the same world there.
+
+const QUALITY_TIERS = [
+    {
+        name: 'High',
+        bubbleDensity: 1.0,
+        renderLODScale: 1.0,
+        tintBand: 50,
+        debugOverlays: true,
+        ai: { lowReach: 2, mediumFrequency: 2, lowFrequency: 4 }
+    },
+    {
+        name: 'Medium',
+        bubbleDensity: 0.7,
+        renderLODScale: 0.75,
+        tintBand: 100,
+        debugOverlays: true,
+        ai: { lowReach: 1.5, mediumFrequency: 2, lowFrequency: 6 }
+    },
+    {
+        name: 'Low',
+        bubbleDensity: 0.45,
+        renderLODScale: 0.5,
+        tintBand: 200,
+        debugOverlays: false,
+        ai: { lowReach: 1.25, mediumFrequency: 3, lowFrequency: 8 }
+    },
+    {
+        name: 'Minimal',
+        bubbleDensity: 0.25,
+        renderLODScale: 0.35,
+        tintBand: 400,
+        debugOverlays: false,
+        ai: { lowReach: 1, mediumFrequency: 4, lowFrequency: 8 }
+    }
+];
+
+class QualityGovernor {
+    constructor() {
+        this.config = {
+            DOWNGRADE_FPS: 50,          // below this...
+            DOWNGRADE_SAMPLES: 2,       // ...for this many samples in a row, step down
+            UPGRADE_FPS: 57,            // at least this...
+            UPGRADE_WORK_RATIO: 0.6,    // ...with frame work under this share of the budget...
+            UPGRADE_SAMPLES: 5,         // ...for this many samples in a row, step up
+            COOLDOWN_SAMPLES: 3,        // samples ignored after any change while the new tier settles
+            FRAME_BUDGET_MS: 1000 / 60
+        };
+
+        this.tiers = QUALITY_TIERS;
+        this.tier = 0;
+        this.enabled = true;
+
+        this.slowSamples = 0;
+        this.fastSamples = 0;
+        this.cooldown = 0;
+        this.lastSample = null;
+        this.changes = 0;
+
+        // Called with the new tier index after every change (game.js forwards it to the simulation worker)
+        this.onChange = null;
+    }
+
+    getTier() {
+        return this.tiers[this.tier];
+    }
+
+    // One performance sample: { fps, frameTime } where frameTime is the work done per frame in ms
+    evaluate(sample) {
+        this.lastSample = sample;
+        if (!this.enabled || !sample || !(sample.fps > 0)) return;
+
+        if (this.cooldown > 0) {
+            this.cooldown--;
+            return;
+        }
+
+        const slow = sample.fps < this.config.DOWNGRADE_FPS;
+        const headroom = sample.fps >= this.config.UPGRADE_FPS &&
+            sample.frameTime < this.config.FRAME_BUDGET_MS * this.config.UPGRADE_WORK_RATIO;
+
+        this.slowSamples = slow ? this.slowSamples + 1 : 0;
+        this.fastSamples = headroom ? this.fastSamples + 1 : 0;
+
+        if (this.slowSamples >= this.config.DOWNGRADE_SAMPLES && this.tier < this.tiers.length - 1) {
+            this.setTier(this.tier + 1, `${sample.fps.toFixed(0)} fps`);
+        } else if (this.fastSamples >= this.config.UPGRADE_SAMPLES && this.tier > 0) {
+            this.setTier(this.tier - 1, `${sample.fps.toFixed(0)} fps, ${sample.frameTime.toFixed(1)}ms work`);
+        }
+    }
+
+    setTier(tier, reason = 'manual') {
+        tier = Math.max(0, Math.min(this.tiers.length - 1, tier));
+        if (tier === this.tier) return;
+
+        const from = this.getTier().name;
+        this.tier = tier;
+        this.slowSamples = 0;
+        this.fastSamples = 0;
+        this.cooldown = this.config.COOLDOWN_SAMPLES;
+        this.changes++;
+
+        this.applyTier(tier, window.gameEntities);
+        console.log(`🎚️ Quality ${from} → ${this.getTier().name} (${reason})`);
+
+        if (this.onChange) {
+            this.onChange(tier);
+        }
+    }
+
+    // Push a tier's settings into every subsystem (the worker calls this with its own GameEntities)
+    applyTier(tier, gameEntities) {
+        const settings = this.tiers[tier];
+        if (!settings) return;
+        this.tier = tier;
+
+        if (window.setTintBand) {
+            window.setTintBand(settings.tintBand);
+        }
+        if (!gameEntities) return;
+
+        // Bubble density - the bubble systems stop adapting on their own while the governor runs
+        [gameEntities.bubbleSystem, gameEntities.bubbleParticleSystem].forEach(bubbles => {
+            if (bubbles) {
+                bubbles.adaptiveQuality = false;
+                bubbles.qualityLevel = settings.bubbleDensity;
+            }
+        });
+
+        // Render LOD distances, as a share of the view radius
+        if (gameEntities.enhancedRendering) {
+            gameEntities.enhancedRendering.lodScale = settings.renderLODScale;
+        }
+
+        // AI detail, from the next tick on - during a replay it comes from the replay's own events instead
+        const replaying = window.replaySystem && window.replaySystem.isReplaying();
+        if (gameEntities.lodSystem && !replaying) {
+            gameEntities.lodSystem.requestAIDetail(settings.ai);
+        }
+    }
+
+    // Debug overlays are the first thing dropped
+    allowsDebugOverlays() {
+        return this.getTier().debugOverlays;
+    }
+
+    getStats() {
+        return {
+            tier: this.getTier().name,
+            tierIndex: this.tier,
+            enabled: this.enabled,
+            changes: this.changes,
+            lastSample: this.lastSample
+        };
+    }
+
+    // Current tier in the top-right HUD, under the speed and replay indicators
+    drawHUD(ctx) {
+        const tier = this.getTier();
+        const sample = this.lastSample;
+        const label = `🎚️ ${tier.name}${sample && sample.fps > 0 ? ` · ${sample.fps.toFixed(0)} fps` : ''}`;
+
+        ctx.save();
+        ctx.font = 'bold 12px Arial';
+        ctx.textAlign = 'right';
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(window.canvas.width - 170, 76, 160, 22);
+        ctx.fillStyle = this.tier === 0 ? 'rgba(0, 255, 0, 0.8)' : this.tier === this.tiers.length - 1 ? '#ff5555' : '#ffaa55';
+        ctx.fillText(label, window.canvas.width - 20, 92);
+        ctx.restore();
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.QUALITY_TIERS = QUALITY_TIERS;
+    window.QualityGovernor = QualityGovernor;
+    window.qualityGovernor = new QualityGovernor();
+}
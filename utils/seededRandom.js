@@ -0,0 +1,105 @@
+// Seeded Random - Deterministic random number service for the whole simulation
+// Every simulation module draws from SimRandom instead of Math.random so a run can be reproduced
+// from its seed ("seed 1234, frame 9000"). Purely cosmetic effects (bubbles) keep using Math.random.
+
+class SeededRandom {
+    constructor(seed) {
+        this.setSeed(seed);
+    }
+
+    // Normalise any number or string into a 32-bit unsigned seed
+    static normalizeSeed(seed) {
+        if (typeof seed === 'string') {
+            const numeric = Number(seed);
+            if (seed.trim() !== '' && Number.isFinite(numeric)) {
+                return numeric >>> 0;
+            }
+            // Hash non-numeric strings so "reef-test" is a valid seed too
+            let hash = 2166136261;
+            for (let i = 0; i < seed.length; i++) {
+                hash ^= seed.charCodeAt(i);
+                hash = Math.imul(hash, 16777619);
+            }
+            return hash >>> 0;
+        }
+        return Math.floor(Number(seed)) >>> 0;
+    }
+
+    // Fresh seed for runs that did not ask for one
+    static generateSeed() {
+        return Math.floor(Math.random() * 1000000);
+    }
+
+    setSeed(seed) {
+        this.seed = (seed === undefined || seed === null) ? SeededRandom.generateSeed() : SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+        this.calls = 0;
+        return this.seed;
+    }
+
+    getSeed() {
+        return this.seed;
+    }
+
+    // Internal generator state - lets a run resume from exactly where it stopped
+    getState() {
+        return { seed: this.seed, state: this.state, calls: this.calls };
+    }
+
+    setState(saved) {
+        if (!saved) return;
+        this.seed = saved.seed >>> 0;
+        this.state = saved.state >>> 0;
+        this.calls = saved.calls || 0;
+    }
+
+    // Mulberry32 - fast, small state, good enough distribution for gameplay
+    random() {
+        this.calls++;
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.random() * (max - min);
+    }
+
+    // Integer in [min, max] inclusive
+    int(min, max) {
+        return min + Math.floor(this.random() * (max - min + 1));
+    }
+
+    chance(probability) {
+        return this.random() < probability;
+    }
+
+    pick(array) {
+        return array[Math.floor(this.random() * array.length)];
+    }
+}
+
+// Seed comes from a preset window.SIMULATION_SEED (headless runs), then ?seed=1234 in the URL, otherwise a random one
+function getInitialSeed() {
+    if (typeof window !== 'undefined' && window.SIMULATION_SEED !== undefined && window.SIMULATION_SEED !== null) {
+        return window.SIMULATION_SEED;
+    }
+    if (typeof window !== 'undefined' && window.location && window.location.search) {
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('seed')) {
+            return params.get('seed');
+        }
+    }
+    return null;
+}
+
+// Create and export global instance
+const simRandom = new SeededRandom(getInitialSeed());
+
+if (typeof window !== 'undefined') {
+    window.SeededRandom = SeededRandom;
+    window.SimRandom = simRandom;
+}
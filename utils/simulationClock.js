@@ -0,0 +1,114 @@
+// Simulation Clock - Fixed timestep bookkeeping, simulation time and speed controls
+// Every simulation tick advances time by exactly stepMs, independent of display refresh rate.
+// Timers (egg hatching, krill maturation, cooldowns) read SimClock.now() instead of Date.now(),
+// so changing the speed only changes how many ticks run per real second.
+
+class SimulationClock {
+    constructor(ticksPerSecond = 60) {
+        this.config = {
+            TICKS_PER_SECOND: ticksPerSecond,
+            MAX_FRAME_DELTA: 250,      // Clamp long frames (tab switch, breakpoint) so we don't spiral
+            MAX_TICKS_PER_FRAME: 8,    // Drop accumulated time beyond this many catch-up ticks (per 1x of speed)
+            SPEED_STEPS: [0.25, 0.5, 1, 2, 4, 8]
+        };
+        this.stepMs = 1000 / ticksPerSecond;
+        this.timeScale = 1;      // Simulation seconds per real second
+        this.pendingSteps = 0;   // Single ticks requested while paused
+        this.reset();
+    }
+
+    reset() {
+        this.tick = 0;          // Ticks simulated so far
+        this.time = 0;          // Simulated milliseconds so far
+        this.accumulator = 0;   // Real time not yet simulated
+        this.lastFrameTime = null;
+        this.alpha = 0;         // Interpolation factor between the previous and current tick
+    }
+
+    // Current simulation time in milliseconds (drop-in replacement for Date.now() in simulation code)
+    now() {
+        return this.time;
+    }
+
+    // Move simulation time forward by one fixed step
+    advance() {
+        this.tick++;
+        this.time += this.stepMs;
+    }
+
+    // Feed one rendered frame's real time into the accumulator, returns how many ticks to run
+    consumeFrame(currentTime) {
+        if (this.lastFrameTime === null) {
+            this.lastFrameTime = currentTime;
+            return 0;
+        }
+
+        const frameDelta = Math.min(currentTime - this.lastFrameTime, this.config.MAX_FRAME_DELTA);
+        this.lastFrameTime = currentTime;
+        // Speed scales how much simulation time each real millisecond buys - timers scale with it for free
+        this.accumulator += Math.max(0, frameDelta) * this.timeScale;
+
+        const maxTicks = Math.ceil(this.config.MAX_TICKS_PER_FRAME * Math.max(1, this.timeScale));
+        let ticks = Math.floor(this.accumulator / this.stepMs);
+        if (ticks > maxTicks) {
+            ticks = maxTicks;
+            this.accumulator = ticks * this.stepMs;
+        }
+        this.accumulator -= ticks * this.stepMs;
+        this.alpha = this.accumulator / this.stepMs;
+        return ticks;
+    }
+
+    // Forget the real time that passed while the loop was not running (pause, hidden tab)
+    resync() {
+        this.lastFrameTime = null;
+        this.accumulator = 0;
+        this.alpha = 0;
+    }
+
+    // Set simulation speed, snapped to one of SPEED_STEPS
+    setTimeScale(scale) {
+        const steps = this.config.SPEED_STEPS;
+        this.timeScale = steps.includes(scale) ? scale : 1;
+        return this.timeScale;
+    }
+
+    // Step to the next slower (-1) or faster (+1) speed
+    changeSpeed(direction) {
+        const steps = this.config.SPEED_STEPS;
+        const index = steps.indexOf(this.timeScale);
+        const next = Math.max(0, Math.min(steps.length - 1, (index === -1 ? steps.indexOf(1) : index) + direction));
+        return this.setTimeScale(steps[next]);
+    }
+
+    // Queue single ticks to run while paused
+    requestStep(count = 1) {
+        this.pendingSteps += count;
+    }
+
+    // Hand the queued single ticks to the loop and clear the queue
+    takePendingSteps() {
+        const steps = this.pendingSteps;
+        this.pendingSteps = 0;
+        return steps;
+    }
+
+    getState() {
+        return { tick: this.tick, time: this.time };
+    }
+
+    setState(saved) {
+        if (!saved) return;
+        this.tick = saved.tick || 0;
+        this.time = saved.time || 0;
+        this.resync();
+    }
+}
+
+// Create and export global instance
+const simClock = new SimulationClock(60);
+
+if (typeof window !== 'undefined') {
+    window.SimulationClock = SimulationClock;
+    window.SimClock = simClock;
+}
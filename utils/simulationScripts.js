@@ -0,0 +1,28 @@
+// Simulation Scripts - Which of the page's scripts make up the simulation
+// The headless runner and the simulation worker load every local <script src> from index.html, in page order,
+// except these browser-only ones: input, camera, HUD, the render loop and the worker's main-thread client.
+
+const BROWSER_ONLY_SCRIPTS = [
+    'game.js',
+    'utils/inputUtils.js',
+    'utils/cameraUtils.js',
+    'utils/bubbleDebugPanel.js',
+    'utils/bubbleSystemIntegration.js',
+    'utils/tintedSpriteCache.js',
+    'systems/SimulationWorkerClient.js'
+];
+
+// True for a local script the simulation needs outside the page (CDN scripts and browser-only ones are left out)
+function isSimulationScript(src) {
+    return !/^https?:/.test(src) && !BROWSER_ONLY_SCRIPTS.includes(src);
+}
+
+if (typeof window !== 'undefined') {
+    window.BROWSER_ONLY_SCRIPTS = BROWSER_ONLY_SCRIPTS;
+    window.isSimulationScript = isSimulationScript;
+}
+
+// The Node headless runner requires this file directly
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BROWSER_ONLY_SCRIPTS, isSimulationScript };
+}
@@ -1,102 +1,262 @@
 // Spatial Partitioning System Module
 // Provides efficient O(1) entity lookups using grid-based spatial partitioning
+// Each cell keeps one bucket per entity type, so type-filtered queries never touch other types.
+// The grid is maintained incrementally: entities only move buckets when they change cell or type,
+// and GameEntities drops them when the entity registry announces their removal.
 
 class SpatialPartitioningSystem {
     constructor(cellSize = 100) {
         this.cellSize = cellSize;
-        this.grid = new Map();
+        this.grid = new Map();          // cell key -> Map(type -> entities)
         this.entityToCell = new Map();
         this.entityTypes = new Map(); // Track entity types for filtering
+        this.typeMembers = new Map();   // type -> Set of entities (count for query planning, list for sparse types)
+
+        // Entities move after the grid is refreshed at tick start - widen the cell search so they stay findable
+        this.cellMargin = 16;
+
         this.performanceStats = {
             queries: 0,
             updates: 0,
             lastReset: 0
         };
     }
-    
+
     updateEntity(entity, entityType = 'unknown') {
         this.performanceStats.updates++;
-        
+
         const oldCell = this.entityToCell.get(entity);
         const newCell = this.getCellKey(entity.x, entity.y);
-        
-        if (oldCell !== newCell) {
-            // Remove from old cell
-            if (oldCell && this.grid.has(oldCell)) {
-                const cell = this.grid.get(oldCell);
-                const index = cell.indexOf(entity);
-                if (index !== -1) cell.splice(index, 1);
-            }
-            
-            // Add to new cell
-            if (!this.grid.has(newCell)) {
-                this.grid.set(newCell, []);
-            }
-            this.grid.get(newCell).push(entity);
+
+        if (oldCell === undefined) {
+            this.insertEntity(entity, entityType, newCell);
+        } else if (this.entityTypes.get(entity) !== entityType) {
+            // Type changed (e.g. a moult reused the object) - re-file it under the new type
+            this.removeEntity(entity);
+            this.insertEntity(entity, entityType, newCell);
+        } else if (oldCell !== newCell) {
+            this.removeFromBucket(entity, entityType, oldCell);
+            this.addToBucket(entity, entityType, newCell);
             this.entityToCell.set(entity, newCell);
-            this.entityTypes.set(entity, entityType);
         }
     }
-    
-    getNearbyEntities(entity, radius, entityTypes = null) {
+
+    insertEntity(entity, entityType, cellKey = this.getCellKey(entity.x, entity.y)) {
+        this.addToBucket(entity, entityType, cellKey);
+        this.entityToCell.set(entity, cellKey);
+        this.entityTypes.set(entity, entityType);
+
+        if (!this.typeMembers.has(entityType)) {
+            this.typeMembers.set(entityType, new Set());
+        }
+        this.typeMembers.get(entityType).add(entity);
+    }
+
+    addToBucket(entity, entityType, cellKey) {
+        let cell = this.grid.get(cellKey);
+        if (!cell) {
+            cell = new Map();
+            this.grid.set(cellKey, cell);
+        }
+        let bucket = cell.get(entityType);
+        if (!bucket) {
+            bucket = [];
+            cell.set(entityType, bucket);
+        }
+        bucket.push(entity);
+    }
+
+    removeFromBucket(entity, entityType, cellKey) {
+        const cell = this.grid.get(cellKey);
+        if (!cell) return;
+        const bucket = cell.get(entityType);
+        if (!bucket) return;
+
+        const index = bucket.indexOf(entity);
+        if (index !== -1) bucket.splice(index, 1);
+
+        // Drop empty buckets and cells so the grid only holds occupied space
+        if (bucket.length === 0) {
+            cell.delete(entityType);
+            if (cell.size === 0) this.grid.delete(cellKey);
+        }
+    }
+
+    // All entities within radius of (x, y), optionally only of the given type(s) - exclude skips the asking entity
+    queryRadius(x, y, radius, entityTypes = null, exclude = null) {
         this.performanceStats.queries++;
-        
+
         const nearby = [];
-        const cellRadius = Math.ceil(radius / this.cellSize);
-        const centerCell = this.getCellKey(entity.x, entity.y);
-        
-        for (let dx = -cellRadius; dx <= cellRadius; dx++) {
-            for (let dy = -cellRadius; dy <= cellRadius; dy++) {
-                const cellKey = this.getCellKey(
-                    entity.x + dx * this.cellSize,
-                    entity.y + dy * this.cellSize
-                );
-                
-                if (this.grid.has(cellKey)) {
-                    const cellEntities = this.grid.get(cellKey);
-                    for (const cellEntity of cellEntities) {
-                        if (cellEntity !== entity) {
-                            if (entityTypes === null || entityTypes.includes(this.entityTypes.get(cellEntity))) {
-                                nearby.push(cellEntity);
-                            }
-                        }
+        const radiusSquared = radius * radius;
+        const reach = radius + this.cellMargin;
+        const minCellX = Math.floor((x - reach) / this.cellSize);
+        const maxCellX = Math.floor((x + reach) / this.cellSize);
+        const minCellY = Math.floor((y - reach) / this.cellSize);
+        const maxCellY = Math.floor((y + reach) / this.cellSize);
+        const cellsToVisit = (maxCellX - minCellX + 1) * (maxCellY - minCellY + 1);
+
+        // Types with fewer members than cells in range (tuna, squid) are cheaper to check member by member
+        let cellTypes = null;
+        if (entityTypes !== null) {
+            cellTypes = [];
+            const types = Array.isArray(entityTypes) ? entityTypes : [entityTypes];
+            for (let t = 0; t < types.length; t++) {
+                const members = this.typeMembers.get(types[t]);
+                if (!members || members.size === 0) continue;
+                if (members.size < cellsToVisit) {
+                    for (const entity of members) {
+                        if (entity === exclude) continue;
+                        const dx = entity.x - x;
+                        const dy = entity.y - y;
+                        if (dx * dx + dy * dy < radiusSquared) nearby.push(entity);
                     }
+                } else {
+                    cellTypes.push(types[t]);
                 }
             }
+            if (cellTypes.length === 0) return nearby;
         }
-        
+
+        // One walk over the cells in range for everything else
+        for (let cellX = minCellX; cellX <= maxCellX; cellX++) {
+            for (let cellY = minCellY; cellY <= maxCellY; cellY++) {
+                const cell = this.grid.get(this.getCellKeyFromCell(cellX, cellY));
+                if (!cell) continue;
+
+                if (cellTypes === null) {
+                    for (const bucket of cell.values()) {
+                        this.collectInRadius(bucket, x, y, radiusSquared, exclude, nearby);
+                    }
+                } else {
+                    for (let t = 0; t < cellTypes.length; t++) {
+                        const bucket = cell.get(cellTypes[t]);
+                        if (bucket) this.collectInRadius(bucket, x, y, radiusSquared, exclude, nearby);
+                    }
+                }
+            }
+        }
+
         return nearby;
     }
-    
+
+    collectInRadius(entities, x, y, radiusSquared, exclude, nearby) {
+        for (let i = 0; i < entities.length; i++) {
+            const entity = entities[i];
+            if (entity === exclude) continue;
+            const dx = entity.x - x;
+            const dy = entity.y - y;
+            if (dx * dx + dy * dy < radiusSquared) nearby.push(entity);
+        }
+    }
+
+    getNearbyEntities(entity, radius, entityTypes = null) {
+        return this.queryRadius(entity.x, entity.y, radius, entityTypes, entity);
+    }
+
     getCellKey(x, y) {
         const cellX = Math.floor(x / this.cellSize);
         const cellY = Math.floor(y / this.cellSize);
-        return `${cellX},${cellY}`;
+        return this.getCellKeyFromCell(cellX, cellY);
+    }
+
+    // Numeric keys (no string building per lookup) - offset so cells just outside the world stay positive
+    getCellKeyFromCell(cellX, cellY) {
+        return (cellX + SpatialPartitioningSystem.CELL_OFFSET) * SpatialPartitioningSystem.CELL_STRIDE +
+            (cellY + SpatialPartitioningSystem.CELL_OFFSET);
     }
-    
+
     removeEntity(entity) {
         const cell = this.entityToCell.get(entity);
-        if (cell && this.grid.has(cell)) {
-            const cellEntities = this.grid.get(cell);
-            const index = cellEntities.indexOf(entity);
-            if (index !== -1) cellEntities.splice(index, 1);
-        }
+        if (cell === undefined) return;
+
+        const entityType = this.entityTypes.get(entity);
+        this.removeFromBucket(entity, entityType, cell);
+        const members = this.typeMembers.get(entityType);
+        if (members) members.delete(entity);
         this.entityToCell.delete(entity);
         this.entityTypes.delete(entity);
     }
-    
+
+    // Every occupied cell's bucket of one type, as callback(entities, cellX, cellY) - the density impostors read these
+    forEachCell(entityType, callback) {
+        const stride = SpatialPartitioningSystem.CELL_STRIDE;
+        const offset = SpatialPartitioningSystem.CELL_OFFSET;
+        this.grid.forEach((cell, cellKey) => {
+            const bucket = cell.get(entityType);
+            if (!bucket || bucket.length === 0) return;
+            callback(bucket, Math.floor(cellKey / stride) - offset, cellKey % stride - offset);
+        });
+    }
+
+    // Grid contents for world snapshots - query results follow bucket and member order, so both are kept
+    getState(toRef) {
+        const cells = [];
+        this.grid.forEach((cell, cellKey) => {
+            const buckets = [];
+            cell.forEach((entities, entityType) => {
+                buckets.push([entityType, entities.map(toRef).filter(ref => ref !== undefined)]);
+            });
+            cells.push([cellKey, buckets]);
+        });
+
+        const members = [];
+        this.typeMembers.forEach((entities, entityType) => {
+            members.push([entityType, [...entities].map(toRef).filter(ref => ref !== undefined)]);
+        });
+
+        return { cells, members };
+    }
+
+    setState(state, fromRef) {
+        this.clear();
+        if (!state) return;
+
+        // Older saves stored [cellKey, [[ref, type], ...]] pairs - re-file the entities in their saved order
+        if (Array.isArray(state)) {
+            state.forEach(([, cellMembers]) => {
+                cellMembers.forEach(([ref, entityType]) => {
+                    const entity = fromRef(ref);
+                    if (entity) this.insertEntity(entity, entityType);
+                });
+            });
+            return;
+        }
+
+        state.cells.forEach(([cellKey, buckets]) => {
+            const cell = new Map();
+            buckets.forEach(([entityType, refs]) => {
+                const entities = refs.map(fromRef).filter(Boolean);
+                if (entities.length === 0) return;
+                cell.set(entityType, entities);
+                entities.forEach(entity => {
+                    this.entityToCell.set(entity, cellKey);
+                    this.entityTypes.set(entity, entityType);
+                });
+            });
+            if (cell.size > 0) this.grid.set(cellKey, cell);
+        });
+
+        state.members.forEach(([entityType, refs]) => {
+            this.typeMembers.set(entityType, new Set(refs.map(fromRef).filter(entity => entity && this.entityToCell.has(entity))));
+        });
+    }
+
     // Performance monitoring
     getStats() {
         let totalEntities = 0;
         let maxCellSize = 0;
         let emptyCells = 0;
-        
-        for (const [cellKey, entities] of this.grid) {
-            totalEntities += entities.length;
-            maxCellSize = Math.max(maxCellSize, entities.length);
-            if (entities.length === 0) emptyCells++;
+
+        for (const [cellKey, cell] of this.grid) {
+            let cellEntities = 0;
+            cell.forEach(entities => {
+                cellEntities += entities.length;
+            });
+            totalEntities += cellEntities;
+            maxCellSize = Math.max(maxCellSize, cellEntities);
+            if (cellEntities === 0) emptyCells++;
         }
-        
+
         return {
             totalEntities,
             maxCellSize,
@@ -107,7 +267,7 @@ class SpatialPartitioningSystem {
             updates: this.performanceStats.updates
         };
     }
-    
+
     // Log performance stats periodically
     logPerformanceStats() {
         if (window.gameState && window.gameState.frameCount % 600 === 0) {
@@ -115,22 +275,26 @@ class SpatialPartitioningSystem {
             if (window.ConsoleDebugSystem) {
                 window.ConsoleDebugSystem.log('SPATIAL', `Grid: ${stats.totalEntities} entities, ${stats.totalCells} cells, max cell: ${stats.maxCellSize}, queries: ${stats.queries}, updates: ${stats.updates}`);
             }
-            
+
             // Reset performance counters
             this.performanceStats.queries = 0;
             this.performanceStats.updates = 0;
         }
     }
-    
+
     // Clear all data (for cleanup)
     clear() {
         this.grid.clear();
         this.entityToCell.clear();
         this.entityTypes.clear();
+        this.typeMembers.clear();
         this.performanceStats.queries = 0;
         this.performanceStats.updates = 0;
     }
 }
 
+SpatialPartitioningSystem.CELL_OFFSET = 1 << 15;
+SpatialPartitioningSystem.CELL_STRIDE = 1 << 16;
+
 // Make globally accessible
-window.SpatialPartitioningSystem = SpatialPartitioningSystem; 
\ No newline at end of file
+window.SpatialPartitioningSystem = SpatialPartitioningSystem;
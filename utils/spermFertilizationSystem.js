@@ -37,11 +37,7 @@ class SpermFertilizationSystem {
             
             if (fertilizedEgg) {
                 // Sperm successfully fertilized an egg, remove the sperm
-                sperm.splice(i, 1);
-                
-                if (window.gameState?.fryDebug) {
-                    console.log(`🐟 Sperm fertilized egg at (${fertilizedEgg.x.toFixed(1)}, ${fertilizedEgg.y.toFixed(1)})`);
-                }
+                EntityLifecycle.removeFrom(sperm, i, DEATH_CAUSES.TRANSFORMED);
             }
         }
     }
@@ -72,7 +68,7 @@ class SpermFertilizationSystem {
             // Check if sperm is within fertilization range
             if (distance < this.config.FERTILIZATION_RANGE) {
                 // Random chance to fertilize
-                if (Math.random() < this.config.FERTILIZATION_CHANCE) {
+                if (SimRandom.random() < this.config.FERTILIZATION_CHANCE) {
                     return this.fertilizeEgg(egg, sperm, gameEntities, i);
                 }
             }
@@ -91,17 +87,17 @@ class SpermFertilizationSystem {
      */
     fertilizeEgg(egg, sperm, gameEntities, eggIndex) {
         // Create fertilized egg at the same location
-        const fertilizedEgg = new window.FertilizedEgg(egg.x, egg.y);
+        const fertilizedEgg = window.acquireEntity(window.FertilizedEgg, egg.x, egg.y);
         gameEntities.fertilizedEggs.push(fertilizedEgg);
         
         // Remove the original unfertilized egg
         if (eggIndex !== undefined && eggIndex >= 0) {
-            gameEntities.fishEggs.splice(eggIndex, 1);
+            gameEntities.removeEntityAt(gameEntities.fishEggs, eggIndex, DEATH_CAUSES.TRANSFORMED);
         } else {
             // Fallback: find and remove the egg
             const index = gameEntities.fishEggs.indexOf(egg);
             if (index > -1) {
-                gameEntities.fishEggs.splice(index, 1);
+                gameEntities.removeEntityAt(gameEntities.fishEggs, index, DEATH_CAUSES.TRANSFORMED);
             }
         }
         
@@ -109,14 +105,19 @@ class SpermFertilizationSystem {
         if (window.ObjectPools) {
             for (let i = 0; i < 4; i++) {
                 window.ObjectPools.getEatingBubble(
-                    egg.x + (Math.random() - 0.5) * 15,
-                    egg.y + (Math.random() - 0.5) * 15
+                    egg.x + (SimRandom.random() - 0.5) * 15,
+                    egg.y + (SimRandom.random() - 0.5) * 15
                 );
             }
         }
         
-        if (window.gameState?.fryDebug) {
-            console.log(`🐟 Sperm at (${sperm.x.toFixed(1)}, ${sperm.y.toFixed(1)}) fertilized egg at (${egg.x.toFixed(1)}, ${egg.y.toFixed(1)})`);
+        if (window.ecosystemEvents) {
+            window.ecosystemEvents.publish(window.ECOSYSTEM_EVENTS.EGG_FERTILIZED, {
+                actors: { fertilizer: sperm, egg, fertilizedEgg },
+                x: egg.x,
+                y: egg.y,
+                cause: 'sperm-contact'
+            });
         }
         
         return fertilizedEgg;
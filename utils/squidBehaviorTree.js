@@ -26,8 +26,8 @@ class SquidBehaviorTree {
         squid.huntTarget = null;
         squid.grabbedPrey = null;
         squid.fleeingFromSquid = null; // Track which squid we're fleeing from
-        squid.lastEatTime = 0;
-        squid.lastPoopTime = 0;
+        squid.lastEatTime = -Infinity; // Never eaten yet - simulation time starts at 0, so no cooldown at spawn
+        squid.lastPoopTime = -Infinity;
         
         // REMOVED: Spawn grace period initialization - no longer needed
         // Squids will immediately start moving toward preferred depth when spawned shallow
@@ -47,9 +47,8 @@ class SquidBehaviorTree {
      * @param {Object} squid - The squid entity
      * @param {Array} fish - Array of fish entities
      * @param {Array} predators - Array of predator entities
-     * @param {Array} krill - Array of krill entities
      */
-    updateBehaviorTree(squid, fish, predators, krill) {
+    updateBehaviorTree(squid, fish, predators) {
         squid.stateTimer++;
         
         // Delegate to main controller for state handling
@@ -132,10 +131,12 @@ class SquidBehaviorTree {
     scanForPrey(squid, predators, fish) {
         let closestPrey = null;
         // CRITICAL: Use hunting radius instead of vision range - only hunt tuna within hunting radius
-        let closestDistance = squid.huntingRadiusSquared;
+        // (an old squid's shrinks with its eyesight)
+        const perception = window.AgingSystem ? AgingSystem.getPerception(squid) : 1;
+        let closestDistance = squid.huntingRadiusSquared * perception * perception;
         
         // Check if squid should ignore tuna after pooping
-        const currentTime = Date.now();
+        const currentTime = SimClock.now();
         const shouldIgnoreTuna = (currentTime - squid.lastPoopTime) < this.config.POOP_IGNORE_DURATION;
         
         // Debug logging
@@ -346,10 +347,10 @@ class SquidBehaviorTree {
                 const WORLD_WIDTH = window.WORLD_WIDTH || 12000;
                 // Generate target point below squid in preferred depth range
                 const targetDepthRange = this.config.PREFERRED_DEPTH_MAX - this.config.PREFERRED_DEPTH_MIN;
-                const randomDepthOffset = Math.random() * targetDepthRange;
+                const randomDepthOffset = SimRandom.random() * targetDepthRange;
                 const targetY = WORLD_HEIGHT * (this.config.PREFERRED_DEPTH_MIN + randomDepthOffset);
                 // Keep similar X position with some variation
-                const targetX = squid.x + (Math.random() - 0.5) * 500; // ±250px horizontal variation
+                const targetX = squid.x + (SimRandom.random() - 0.5) * 500; // ±250px horizontal variation
                 
                 squid.diveTargetPoint = { x: targetX, y: targetY };
                 
@@ -486,6 +487,11 @@ class SquidBehaviorTree {
             }
         }
         
+        // A hunt that ends forgets its prey - the next hunt scans afresh instead of chasing a tuna that may be gone
+        if (newState !== this.states.HUNTING && newState !== this.states.ATTACKING) {
+            squid.huntTarget = null;
+        }
+        
         squid.state = newState;
         squid.stateTimer = 0;
         
@@ -504,7 +510,7 @@ class SquidBehaviorTree {
      * @returns {boolean} True if should ignore prey
      */
     shouldIgnorePrey(squid) {
-        const currentTime = Date.now();
+        const currentTime = SimClock.now();
         return (currentTime - squid.lastPoopTime) < this.config.POOP_IGNORE_DURATION;
     }
 
@@ -514,7 +520,7 @@ class SquidBehaviorTree {
      * @returns {boolean} True if can eat
      */
     canEat(squid) {
-        const currentTime = Date.now();
+        const currentTime = SimClock.now();
         return (currentTime - squid.lastEatTime) >= this.config.EAT_COOLDOWN;
     }
 
@@ -560,7 +566,9 @@ class SquidBehaviorTree {
      * @returns {boolean} True if should change to hunting
      */
     shouldPatrolToHunting(squid) {
-        return squid.stateTimer > (300 + Math.random() * 300);
+        const wait = 300 + SimRandom.random() * 300;
+        // A hungry squid sets out twice as soon
+        return squid.stateTimer > (window.MetabolismSystem && MetabolismSystem.isHungry(squid) ? wait / 2 : wait);
     }
 
     /**
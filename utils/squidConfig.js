@@ -24,6 +24,7 @@ const SQUID_CONFIG = {
     JET_FORCE_MULTIPLIER: 3.36, // Increased from 1.68 to 3.36 (2x speed boost)
     JET_CONTINUOUS_FORCE: 0.21,
     MANTLE_CONTRACT_TIME: 8,
+    JET_ENERGY_COST: 0.3, // Energy per full-power jet (scaled by jet power)
     
     // Movement forces
     FIN_FORCE_MULTIPLIER: 0.315,
@@ -56,6 +57,60 @@ const SQUID_CONFIG = {
     POOP_IGNORE_DURATION: 3000, // Reduced from 8000 to 3 seconds to ignore tuna after pooping
     CONSUMPTION_DURATION: 180, // 3 seconds to consume prey
     
+    // Metabolism (systems/MetabolismSystem.js) - energy per tick, a full store lasts about fifteen minutes between meals
+    // Squid drift far below MAX_SPEED, so swimming is nearly free - the jets are what cost them (JET_ENERGY_COST)
+    METABOLISM: {
+        max: 100,
+        basal: 0.0015,
+        swim: 0.002,
+        hunt: 0.002, // Extra every tick spent hunting or attacking
+        hunting: { state: [SQUID_STATES.HUNTING, SQUID_STATES.ATTACKING] },
+        hungry: 0.5, // Below half energy a squid sets out to hunt sooner
+        diet: { tuna: 45, fry: 6, truefry1: 3, truefry2: 4 }
+    },
+    
+    // Aging (systems/AgingSystem.js) - ages in simulation milliseconds
+    AGING: {
+        stages: [{ name: 'juvenile', until: 180000 }, { name: 'adult', until: 1200000 }, { name: 'elder' }],
+        lifespan: [1500000, 2100000], // 25-35 minutes
+        senescence: { speed: 0.7, perception: 0.6 }
+    },
+    
+    // Life cycle (utils/squidLifecycleSystem.js) - paralarvae near the surface, young squid growing in the abyss
+    LIFECYCLE: {
+        // Mating - two well-fed adults that meet (scanForOtherSquids) may spawn, rarely
+        MATING_ENERGY: 0.6, // Share of a full store both squid need
+        MATING_CHANCE: 0.25, // Per encounter between two ready adults
+        MATING_COOLDOWN: 300000, // After spawning (5 minutes)
+        MATING_RETRY: 60000, // After an encounter that came to nothing
+        MATING_ENERGY_COST: 25, // Paid by both parents
+        BROOD_SIZE: [5, 8], // Paralarvae released per spawning - most end up inside a tuna
+        MAX_POPULATION: 16, // No spawning while there are this many squid and paralarvae
+        
+        // Paralarvae - small, near the surface, prey for tuna
+        PARALARVA_SIZE: 40,
+        PARALARVA_DEPTH: [0.15, 0.45], // Depth band they drift in - krill swarms rise into it on their migration
+        PARALARVA_SPEED: 2.6, // A little faster than krill
+        PARALARVA_FORCE: 0.1,
+        PARALARVA_FEED_RANGE: 900, // Krill and eggs they notice (a rising krill swarm shows from afar)
+        PARALARVA_FLEE_RANGE: 180, // Tuna this close send them darting away
+        PARALARVA_EAT_RANGE: 25,
+        PARALARVA_METABOLISM: {
+            max: 40,
+            basal: 0.002, // A full store lasts about five and a half minutes
+            swim: 0.001,
+            hungry: 0.6,
+            diet: { krill: 6, paleKrill: 5, momKrill: 8, fishEgg: 4, fertilizedEgg: 4 }
+        },
+        PARALARVA_START_ENERGY: 30,
+        PARALARVA_GROWTH_PER_ENERGY: 1 / 48, // A paralarva settles after about eight krill
+        
+        // Young squid - settle at a third of full size, dive to the abyss and grow as they feed
+        SETTLE_SCALE: 0.35,
+        GROWTH_PER_ENERGY: 1 / 225, // About five tuna to full size
+        MIN_ATTACK_RANGE: 120 // Attack range shrinks with size, down to this
+    },
+    
     // Depth preferences
     PREFERRED_DEPTH_MIN: 0.75, // 75% depth
     PREFERRED_DEPTH_MAX: 0.95, // 95% depth
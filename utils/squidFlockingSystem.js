@@ -138,7 +138,7 @@ class SquidFlockingSystem {
         }
         
         // Add small random movement to prevent getting stuck
-        const randomAngle = Math.random() * Math.PI * 2;
+        const randomAngle = SimRandom.random() * Math.PI * 2;
         forces.x += Math.cos(randomAngle) * this.constants.RANDOM_FORCE;
         forces.y += Math.sin(randomAngle) * this.constants.RANDOM_FORCE;
         
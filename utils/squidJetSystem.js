@@ -42,6 +42,11 @@ class SquidJetSystem {
             const jetForce = power * this.config.JET_FORCE_MULTIPLIER;
             squid.velocity.x += direction.x * jetForce;
             squid.velocity.y += direction.y * jetForce;
+            
+            // Jetting is the squid's expensive way to move
+            if (window.MetabolismSystem) {
+                MetabolismSystem.spend(squid, power * this.config.JET_ENERGY_COST);
+            }
         }
     }
 
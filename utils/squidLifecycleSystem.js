@@ -0,0 +1,159 @@
+// Squid Lifecycle System - Mating, paralarvae and growth for giant squid
+// Two well-fed adult squid that meet (SquidBehaviorTree.scanForOtherSquids) roll once per encounter to mate. A
+// successful pair pays for it in energy and releases a brood of SquidParalarvae up in the sunlit water near the
+// surface, where they feed on krill and eggs and are hunted by tuna. A paralarva that has grown settles into a
+// young GiantSquid at a fraction of full size; the young squid dives to the abyss like any squid spawned shallow
+// and grows towards SQUID_CONFIG.SIZE with every meal. Only fully grown adults mate.
+// The numbers live in SQUID_CONFIG.LIFECYCLE.
+class SquidLifecycleSystem {
+    constructor() {
+        this.encounters = 0; // Ready pairs that met
+        this.matings = 0;
+        this.paralarvaeReleased = 0;
+        this.settled = 0;
+
+        if (window.ConsoleDebugSystem) {
+            window.ConsoleDebugSystem.logSystemInit('SQUID', 'Lifecycle System initialized');
+        }
+    }
+
+    static get config() {
+        return window.SQUID_CONFIG.LIFECYCLE;
+    }
+
+    // Still growing towards full size (squid from before the life cycle existed count as grown)
+    static isGrowing(squid) {
+        return squid.growth !== undefined && squid.growth < 1;
+    }
+
+    // A meal makes a young squid grow
+    static grow(squid, energyGained) {
+        if (!SquidLifecycleSystem.isGrowing(squid) || !(energyGained > 0)) return;
+        squid.growth = Math.min(1, squid.growth + energyGained * SquidLifecycleSystem.config.GROWTH_PER_ENERGY);
+        SquidLifecycleSystem.applySize(squid);
+    }
+
+    // Size follows growth from SETTLE_SCALE to full size - the tentacles' reach (attack range) shrinks with it
+    static applySize(squid) {
+        const config = SquidLifecycleSystem.config;
+        const scale = config.SETTLE_SCALE + (1 - config.SETTLE_SCALE) * squid.growth;
+        squid.size = window.SQUID_CONFIG.SIZE * scale;
+        squid.attackRange = Math.max(config.MIN_ATTACK_RANGE, window.SQUID_CONFIG.ATTACK_RANGE * scale);
+        squid.attackRangeSquared = squid.attackRange * squid.attackRange;
+    }
+
+    canMate(squid) {
+        const config = SquidLifecycleSystem.config;
+        if (squid.isAlive === false || SquidLifecycleSystem.isGrowing(squid)) return false;
+        if (squid.matingReadyAt && SimClock.now() < squid.matingReadyAt) return false;
+        if (window.AgingSystem && AgingSystem.getStage(squid) !== 'adult') return false;
+        return !window.MetabolismSystem || MetabolismSystem.getEnergyShare(squid) >= config.MATING_ENERGY;
+    }
+
+    /**
+     * Called by a squid that has spotted another squid - two ready adults roll once for the encounter
+     * @param {Object} squid - The squid that scanned
+     * @param {Object} other - The squid it found
+     * @param {Object} gameEntities - Game entities system
+     * @returns {boolean} True if the pair mated
+     */
+    tryMating(squid, other, gameEntities) {
+        if (!other || !this.canMate(squid) || !this.canMate(other)) return false;
+
+        const config = SquidLifecycleSystem.config;
+        this.encounters++;
+        const mated = SimRandom.random() < config.MATING_CHANCE;
+        const readyAt = SimClock.now() + (mated ? config.MATING_COOLDOWN : config.MATING_RETRY);
+        squid.matingReadyAt = readyAt;
+        other.matingReadyAt = readyAt;
+        if (!mated) return false;
+
+        [squid, other].forEach(parent => {
+            if (window.MetabolismSystem) {
+                MetabolismSystem.spend(parent, config.MATING_ENERGY_COST);
+            }
+        });
+        this.matings++;
+
+        // Crowded - the pair spends the effort but the brood does not survive
+        if (gameEntities.squid.length + gameEntities.squidParalarvae.length >= config.MAX_POPULATION) return true;
+
+        this.releaseBrood(squid, other, gameEntities);
+        return true;
+    }
+
+    // The brood rises to the sunlit water above the pair
+    releaseBrood(squid, other, gameEntities) {
+        const config = SquidLifecycleSystem.config;
+        const WORLD_HEIGHT = window.WORLD_HEIGHT || 8000;
+        const [minDepth, maxDepth] = config.PARALARVA_DEPTH;
+        const [minBrood, maxBrood] = config.BROOD_SIZE;
+        const x = (squid.x + other.x) / 2;
+        const broodSize = minBrood + Math.floor(SimRandom.random() * (maxBrood - minBrood + 1));
+
+        const offspring = [];
+        for (let i = 0; i < broodSize; i++) {
+            const paralarva = new window.SquidParalarva(
+                x + (SimRandom.random() - 0.5) * 400,
+                WORLD_HEIGHT * (minDepth + SimRandom.random() * (maxDepth - minDepth))
+            );
+            gameEntities.squidParalarvae.push(paralarva);
+            offspring.push(paralarva);
+        }
+        this.paralarvaeReleased += broodSize;
+
+        if (window.ecosystemEvents) {
+            window.ecosystemEvents.publish(window.ECOSYSTEM_EVENTS.SQUID_SPAWNED, {
+                actors: { parents: [squid, other], offspring },
+                x,
+                y: (squid.y + other.y) / 2,
+                cause: 'mating',
+                details: { broodSize }
+            });
+        }
+    }
+
+    /**
+     * Called by GameEntities once per tick - grown paralarvae settle into young squid
+     * @param {Object} gameEntities - Game entities system
+     */
+    update(gameEntities) {
+        if (!window.GiantSquid) return;
+
+        let settled = false;
+        for (const paralarva of gameEntities.squidParalarvae) {
+            if (paralarva.growth < 1 || paralarva.isAlive === false) continue;
+
+            EntityLifecycle.kill(paralarva, DEATH_CAUSES.TRANSFORMED);
+            settled = true;
+
+            const squid = new window.GiantSquid(paralarva.x, paralarva.y);
+            squid.growth = 0;
+            SquidLifecycleSystem.applySize(squid);
+            gameEntities.squid.push(squid);
+            this.settled++;
+
+            if (window.gameState?.squidDebug) {
+                console.log(`🦑 Paralarva settled into a young squid at (${Math.round(squid.x)}, ${Math.round(squid.y)})`);
+            }
+        }
+
+        if (settled) {
+            gameEntities.removeDeadEntities(gameEntities.squidParalarvae);
+        }
+    }
+
+    getStats() {
+        return {
+            encounters: this.encounters,
+            matings: this.matings,
+            paralarvaeReleased: this.paralarvaeReleased,
+            settled: this.settled
+        };
+    }
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.SquidLifecycleSystem = SquidLifecycleSystem;
+}
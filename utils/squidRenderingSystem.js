@@ -84,6 +84,37 @@ class SquidRenderingSystem {
         }
     }
 
+    /**
+     * Worker-mode render state - mantle frame, heading, depth fade and tint as draw(), with the
+     * bioluminescent sprite as an overlay while the glow is active (drawn without screen blending)
+     * @param {Object} squid - The squid entity
+     * @param {Object} jetSystem - The squid's jet system
+     * @param {Object} out - Render state to fill (see SimulationWorker)
+     */
+    getRenderState(squid, jetSystem, out) {
+        const contracted = jetSystem.isMantleContracted(squid) || jetSystem.isJetting(squid);
+        const isBlinking = squid.bioluminescenceSystem ? squid.bioluminescenceSystem.isBlinking(squid) : false;
+        
+        let angle = 0;
+        if (squid.currentSpeed > 0.5) {
+            const movementAngle = Math.atan2(squid.velocity.y, squid.velocity.x);
+            const spriteOrientationOffset = window.SQUID_CONFIG?.SPRITE_ORIENTATION_OFFSET || -Math.PI / 4;
+            angle = (movementAngle + spriteOrientationOffset) * 0.3;
+        }
+        
+        const baseOpacity = window.Utils.getDepthOpacity(squid.y, 1.0);
+        out.sprite = contracted ? 'giantSquid2' : 'giantSquid1';
+        out.angle = angle;
+        out.opacity = baseOpacity * squid.depthOpacityMultiplier + (1 - squid.depthOpacityMultiplier);
+        out.tint = window.Utils.getDepthTint(squid.y);
+        
+        if (squid.bioluminescenceState && squid.bioluminescenceState.isActive) {
+            const frame = contracted ? 'abyssalSquid2' : 'abyssalSquid1';
+            out.overlay = isBlinking ? `${frame}Blink` : frame;
+            out.overlayOpacity = baseOpacity;
+        }
+    }
+
     /**
      * Draw the base squid sprite
      * @param {Object} squid - The squid entity
@@ -15,8 +15,8 @@ class SquidSteeringForces {
     applyPatrollingForces(squid, jetSystem) {
         // Random gentle movement with increased intensity
         const direction = {
-            x: (Math.random() - 0.5) * 0.8,
-            y: (Math.random() - 0.5) * 0.5
+            x: (SimRandom.random() - 0.5) * 0.8,
+            y: (SimRandom.random() - 0.5) * 0.5
         };
         jetSystem.finPropulsion(squid, direction, 0.6);
     }
@@ -56,7 +56,7 @@ class SquidSteeringForces {
                 direction.x = direction.x / mag;
             } else {
                 // No horizontal component, use random horizontal direction
-                direction.x = Math.random() > 0.5 ? 1 : -1;
+                direction.x = SimRandom.random() > 0.5 ? 1 : -1;
             }
         }
         
@@ -116,7 +116,7 @@ class SquidSteeringForces {
                 direction.x = direction.x / mag;
             } else {
                 // No horizontal component, use random horizontal direction
-                direction.x = Math.random() > 0.5 ? 1 : -1;
+                direction.x = SimRandom.random() > 0.5 ? 1 : -1;
             }
         }
         
@@ -167,8 +167,8 @@ class SquidSteeringForces {
                 // - Within squid's size/radius (squid.size pixels) for vertical variation
                 // - 800 horizontal px variation
                 const retreatDistance = 1000; // Base retreat distance
-                const horizontalVariation = (Math.random() - 0.5) * 800; // ±400px horizontal
-                const verticalVariation = (Math.random() - 0.5) * squid.size; // Within squid's size
+                const horizontalVariation = (SimRandom.random() - 0.5) * 800; // ±400px horizontal
+                const verticalVariation = (SimRandom.random() - 0.5) * squid.size; // Within squid's size
                 
                 // Calculate retreat target point
                 const retreatTargetX = squid.x + baseDirection.x * retreatDistance + horizontalVariation;
@@ -273,7 +273,7 @@ class SquidSteeringForces {
         } else {
             // Normal retreat: gentle settling movement (when not fleeing from squid)
             const settleDirection = {
-                x: (Math.random() - 0.5) * 0.2,
+                x: (SimRandom.random() - 0.5) * 0.2,
                 y: 0.1
             };
             jetSystem.finPropulsion(squid, settleDirection, 0.2);
@@ -299,7 +299,7 @@ class SquidSteeringForces {
         
         if (dist < 220) {
             // Check eating cooldown before grabbing prey
-            const currentTime = Date.now();
+            const currentTime = SimClock.now();
             if (currentTime - squid.lastEatTime < this.config.EAT_COOLDOWN) {
                 return false; // Still in cooldown
             }
@@ -326,14 +326,30 @@ class SquidSteeringForces {
             let preyIndex = predators.indexOf(squid.huntTarget);
             let removedFrom = 'predators';
             if (preyIndex !== -1) {
-                predators.splice(preyIndex, 1);
+                EntityLifecycle.removeFrom(predators, preyIndex, DEATH_CAUSES.EATEN, squid);
             } else {
                 preyIndex = fish.indexOf(squid.huntTarget);
                 if (preyIndex !== -1) {
-                    fish.splice(preyIndex, 1);
+                    EntityLifecycle.removeFrom(fish, preyIndex, DEATH_CAUSES.EATEN, squid);
                     removedFrom = 'fish';
                 }
             }
+            if (preyIndex !== -1 && window.MetabolismSystem) {
+                const gained = MetabolismSystem.eat(squid, squid.grabbedPrey);
+                if (window.SquidLifecycleSystem) {
+                    SquidLifecycleSystem.grow(squid, gained);
+                }
+            }
+            
+            if (preyIndex !== -1 && window.ecosystemEvents) {
+                window.ecosystemEvents.publish(window.ECOSYSTEM_EVENTS.PREY_EATEN, {
+                    actors: { predator: squid, prey: squid.grabbedPrey },
+                    x: squid.grabbedPrey.x,
+                    y: squid.grabbedPrey.y,
+                    cause: 'hunt',
+                    details: { predatorType: 'squid', preyType: removedFrom, distance: dist }
+                });
+            }
             
             // Debug logging for removal
             if (window.gameState && window.gameState.squidDebug) {
@@ -354,7 +370,7 @@ class SquidSteeringForces {
             
             // Powerful escape jet
             const escapeDirection = {
-                x: (Math.random() - 0.5),
+                x: (SimRandom.random() - 0.5),
                 y: 0.8 // Dive down
             };
             
@@ -373,17 +389,17 @@ class SquidSteeringForces {
 
         // Update eaten sprite for tuna
         if (squid.grabbedPrey.tunaType && window.TunaSpriteUtils) {
-            window.TunaSpriteUtils.updateEatenSprite(squid.grabbedPrey, Date.now());
+            window.TunaSpriteUtils.updateEatenSprite(squid.grabbedPrey, SimClock.now());
         }
         
         // Consumption complete after 3 seconds
         if (squid.stateTimer > this.config.CONSUMPTION_DURATION) {
             // Create large poop (100% of the time when eating tuna)
             if (window.gameEntities && window.Poop) {
-                window.gameEntities.poop.push(new window.Poop(squid.x, squid.y, 'squid'));
+                window.gameEntities.poop.push(window.acquireEntity(window.Poop, squid.x, squid.y, 'squid'));
             }
-            squid.lastEatTime = Date.now();
-            squid.lastPoopTime = Date.now(); // Track when we pooped
+            squid.lastEatTime = SimClock.now();
+            squid.lastPoopTime = SimClock.now(); // Track when we pooped
             
             // Final consumption bubbles
             this.createConsumptionBubbles(squid);
@@ -405,8 +421,8 @@ class SquidSteeringForces {
         for (let i = 0; i < this.config.CAPTURE_BUBBLE_COUNT; i++) {
             if (window.ObjectPools) {
                 window.ObjectPools.getEatingBubble(
-                    squid.x + (Math.random() - 0.5) * this.config.BUBBLE_SPREAD_RANGE, 
-                    squid.y + (Math.random() - 0.5) * this.config.BUBBLE_SPREAD_RANGE
+                    squid.x + (SimRandom.random() - 0.5) * this.config.BUBBLE_SPREAD_RANGE, 
+                    squid.y + (SimRandom.random() - 0.5) * this.config.BUBBLE_SPREAD_RANGE
                 );
             }
         }
@@ -420,8 +436,8 @@ class SquidSteeringForces {
         for (let i = 0; i < this.config.CONSUMPTION_BUBBLE_COUNT; i++) {
             if (window.ObjectPools) {
                 window.ObjectPools.getEatingBubble(
-                    squid.x + (Math.random() - 0.5) * this.config.CONSUMPTION_BUBBLE_SPREAD, 
-                    squid.y + (Math.random() - 0.5) * this.config.CONSUMPTION_BUBBLE_SPREAD
+                    squid.x + (SimRandom.random() - 0.5) * this.config.CONSUMPTION_BUBBLE_SPREAD, 
+                    squid.y + (SimRandom.random() - 0.5) * this.config.CONSUMPTION_BUBBLE_SPREAD
                 );
             }
         }
@@ -434,7 +450,7 @@ class SquidSteeringForces {
      */
     applyEscapeJet(squid, jetSystem) {
         const escapeDirection = {
-            x: (Math.random() - 0.5),
+            x: (SimRandom.random() - 0.5),
             y: 0.8 // Dive down
         };
         jetSystem.jet(squid, this.normalize(escapeDirection), 1.0);
@@ -187,8 +187,8 @@ const SquidUtils = {
 
         for (let i = 0; i < bubbleCount; i++) {
             ObjectPools.getEatingBubble(
-                x + (Math.random() - 0.5) * spread,
-                y + (Math.random() - 0.5) * spread
+                x + (SimRandom.random() - 0.5) * spread,
+                y + (SimRandom.random() - 0.5) * spread
             );
         }
     },
@@ -199,8 +199,8 @@ const SquidUtils = {
      */
     generatePatrolDirection() {
         return {
-            x: (Math.random() - 0.5) * 0.5,
-            y: (Math.random() - 0.5) * 0.3
+            x: (SimRandom.random() - 0.5) * 0.5,
+            y: (SimRandom.random() - 0.5) * 0.3
         };
     },
 
@@ -210,7 +210,7 @@ const SquidUtils = {
      */
     generateEscapeDirection() {
         return {
-            x: (Math.random() - 0.5),
+            x: (SimRandom.random() - 0.5),
             y: 0.8 // Bias toward diving down
         };
     },
@@ -221,7 +221,7 @@ const SquidUtils = {
      */
     generateSettlingDirection() {
         return {
-            x: (Math.random() - 0.5) * 0.2,
+            x: (SimRandom.random() - 0.5) * 0.2,
             y: 0.1
         };
     }
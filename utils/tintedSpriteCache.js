@@ -0,0 +1,116 @@
+// Tinted Sprite Cache - Sprites pre-rendered with the deep-water tint, per depth band
+// Renderers used to build a temporary canvas and re-tint the sprite on every draw call. Here each
+// (sprite, size, tint level) combination is rendered once and then drawn with a single drawImage.
+// Untinted sprites are never rasterised, so they stay sharp at any camera zoom, and mirroring is left to the context.
+// Tint strengths are quantized to TINT_STEP, so the whole water column needs a couple of dozen images per sprite.
+// The cache only needs clearing when a sprite (re)loads or the tint palette changes.
+
+class TintedSpriteCache {
+    constructor() {
+        this.config = {
+            TINT_COLOR: '100, 150, 255', // deep-water blue, drawn source-atop so only the sprite's pixels take it
+            TINT_STEP: 0.04,
+            MAX_ENTRIES: 4096            // a safety net - the whole cache is dropped if it ever grows past this
+        };
+
+        this.images = new WeakMap(); // sprite -> Map(key -> pre-rendered canvas)
+        this.entries = 0;
+        this.hits = 0;
+        this.misses = 0;
+        this.invalidations = 0;
+    }
+
+    // Tint strength rounded to the nearest cached level
+    quantizeTint(tintStrength) {
+        if (!(tintStrength > 0)) return 0;
+        return Math.round(tintStrength / this.config.TINT_STEP);
+    }
+
+    // The sprite at this size and tint, ready to draw - untinted sprites are returned as they are
+    get(sprite, size, tintStrength = 0) {
+        const level = this.quantizeTint(tintStrength);
+        if (level === 0) return sprite;
+
+        const pixels = Math.max(1, Math.round(size));
+        const key = pixels * 1000 + level;
+
+        let variants = this.images.get(sprite);
+        if (!variants) {
+            variants = new Map();
+            this.images.set(sprite, variants);
+        }
+
+        let image = variants.get(key);
+        if (image) {
+            this.hits++;
+            return image;
+        }
+
+        this.misses++;
+        if (this.entries >= this.config.MAX_ENTRIES) {
+            this.invalidate();
+            variants = new Map();
+            this.images.set(sprite, variants);
+        }
+        image = this.render(sprite, pixels, level * this.config.TINT_STEP);
+        variants.set(key, image);
+        this.entries++;
+        return image;
+    }
+
+    render(sprite, pixels, tintStrength) {
+        const canvas = document.createElement('canvas');
+        canvas.width = pixels;
+        canvas.height = pixels;
+        const context = canvas.getContext('2d');
+
+        context.drawImage(sprite, 0, 0, pixels, pixels);
+        context.globalCompositeOperation = 'source-atop';
+        context.fillStyle = `rgba(${this.config.TINT_COLOR}, ${tintStrength})`;
+        context.fillRect(0, 0, pixels, pixels);
+        return canvas;
+    }
+
+    // Draw a sprite centred on the current origin. A mirrored sprite turns the other way, so callers that
+    // used to scale(-1, 1) before rotating pass the facing here and rotate by facing * angle instead
+    draw(ctx, sprite, size, tintStrength = 0, facing = 1) {
+        const image = this.get(sprite, size, tintStrength);
+        if (facing < 0) {
+            ctx.save();
+            ctx.scale(-1, 1);
+            ctx.drawImage(image, -size / 2, -size / 2, size, size);
+            ctx.restore();
+            return;
+        }
+        ctx.drawImage(image, -size / 2, -size / 2, size, size);
+    }
+
+    // Sprites reloaded or the tint palette changed
+    invalidate() {
+        this.images = new WeakMap();
+        this.entries = 0;
+        this.invalidations++;
+    }
+
+    setTintColor(rgb) {
+        if (rgb === this.config.TINT_COLOR) return;
+        this.config.TINT_COLOR = rgb;
+        this.invalidate();
+    }
+
+    getStats() {
+        const lookups = this.hits + this.misses;
+        return {
+            entries: this.entries,
+            hits: this.hits,
+            misses: this.misses,
+            hitRate: lookups === 0 ? '100%' : (this.hits / lookups * 100).toFixed(1) + '%',
+            invalidations: this.invalidations
+        };
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.TintedSpriteCache = TintedSpriteCache;
+    window.tintedSprites = new TintedSpriteCache();
+}
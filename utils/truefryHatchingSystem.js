@@ -39,7 +39,7 @@ class TrueFryHatchingSystem {
             // Initialize random hatch duration if not set
             if (!egg.hatchDuration) {
                 egg.hatchDuration = this.config.HATCH_DURATION_MIN + 
-                    Math.random() * (this.config.HATCH_DURATION_MAX - this.config.HATCH_DURATION_MIN);
+                    SimRandom.random() * (this.config.HATCH_DURATION_MAX - this.config.HATCH_DURATION_MIN);
             }
             
             // Check if hatch timer is complete
@@ -67,20 +67,21 @@ class TrueFryHatchingSystem {
             return;
         }
         
-        // Mark egg as hatched and eaten
+        // Mark egg as hatched - the hatchling replaces it
         egg.hatched = true;
-        egg.eaten = true;
+        EntityLifecycle.kill(egg, DEATH_CAUSES.TRANSFORMED);
         
         // Determine number of TrueFry1 to spawn (random between min and max inclusive)
         // For min=1, max=2: generates 1 or 2 with equal probability (50/50)
         const spawnCount = this.config.SPAWN_COUNT.min + 
-            Math.floor(Math.random() * (this.config.SPAWN_COUNT.max - this.config.SPAWN_COUNT.min + 1));
+            Math.floor(SimRandom.random() * (this.config.SPAWN_COUNT.max - this.config.SPAWN_COUNT.min + 1));
         
         // Spawn TrueFry1
+        const offspring = [];
         for (let i = 0; i < spawnCount; i++) {
             // Calculate spawn position with spread
             const angle = (Math.PI * 2 * i) / spawnCount;
-            const distance = Math.random() * this.config.SPAWN_SPREAD;
+            const distance = SimRandom.random() * this.config.SPAWN_SPREAD;
             const spawnX = egg.x + Math.cos(angle) * distance;
             const spawnY = egg.y + Math.sin(angle) * distance;
             
@@ -89,26 +90,25 @@ class TrueFryHatchingSystem {
             
             // Add to fish array
             gameEntities.fish.push(trueFry1);
-            
-            if (window.ConsoleDebugSystem) {
-                window.ConsoleDebugSystem.log('FRY', `TrueFry1 hatched at (${spawnX.toFixed(1)}, ${spawnY.toFixed(1)})`);
-            } else if (this.config.DEBUG || window.gameState?.fryDebug) {
-                console.log(`🐟 TrueFry1 hatched at (${spawnX.toFixed(1)}, ${spawnY.toFixed(1)})`);
-            }
+            offspring.push(trueFry1);
         }
         
         // Create hatching effect (bubbles and particles)
         if (window.ObjectPools) {
             window.ObjectPools.getEatingBubble(
-                egg.x + (Math.random() - 0.5) * this.config.HATCH_RANGE,
-                egg.y + (Math.random() - 0.5) * this.config.HATCH_RANGE
+                egg.x + (SimRandom.random() - 0.5) * this.config.HATCH_RANGE,
+                egg.y + (SimRandom.random() - 0.5) * this.config.HATCH_RANGE
             );
         }
         
-        if (window.ConsoleDebugSystem) {
-            window.ConsoleDebugSystem.log('FRY', `Fertilized egg hatched into ${spawnCount} TrueFry1 at (${egg.x.toFixed(1)}, ${egg.y.toFixed(1)})`);
-        } else if (this.config.DEBUG || window.gameState?.fryDebug) {
-            console.log(`🐟 Fertilized egg hatched into ${spawnCount} TrueFry1 at (${egg.x.toFixed(1)}, ${egg.y.toFixed(1)})`);
+        if (window.ecosystemEvents) {
+            window.ecosystemEvents.publish(window.ECOSYSTEM_EVENTS.EGG_HATCHED, {
+                actors: { egg, offspring },
+                x: egg.x,
+                y: egg.y,
+                cause: 'incubated',
+                details: { offspringType: 'TrueFry1' }
+            });
         }
     }
     
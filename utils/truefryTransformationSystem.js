@@ -144,7 +144,10 @@ class TrueFryTransformationSystem {
         // Copy position and velocity from original entity
         newEntity.x = truefry.x;
         newEntity.y = truefry.y;
-        newEntity.velocity = { ...truefry.velocity };
+        newEntity.velocity = { x: truefry.velocity.x, y: truefry.velocity.y };
+        if (window.AgingSystem) {
+            AgingSystem.inherit(truefry, newEntity);
+        }
         
         // Add to appropriate array based on type
         if (newType === 'smallFry4') {
@@ -30,9 +30,9 @@ class TunaAI {
     
     // PATROLLING: Horizontal-focused movement with quick scanning for prey
     handlePatrolling(tuna, gameEntities) {
-        // Check if still in feeding cooldown (locked out of hunting)
+        // Check if still in feeding cooldown (locked out of hunting) - a hungry tuna skips it
         const timeSinceStateChange = tuna.aiTimer - tuna.lastStateChange;
-        const canHunt = timeSinceStateChange > this.config.postFeedingCooldown;
+        const canHunt = timeSinceStateChange > this.config.postFeedingCooldown || this.isHungry(tuna);
         
         // Only search for prey if not in feeding cooldown
         if (canHunt) {
@@ -102,8 +102,9 @@ class TunaAI {
     handleFeeding(tuna, gameEntities) {
         const timeSinceFeeding = tuna.aiTimer - tuna.lastStateChange;
         
-        // Feeding duration complete - return to patrolling
-        if (timeSinceFeeding > this.config.feedingDuration) {
+        // Feeding duration complete - return to patrolling (a hungry tuna cuts it short)
+        const feedingDuration = this.isHungry(tuna) ? this.config.feedingDuration / 2 : this.config.feedingDuration;
+        if (timeSinceFeeding > feedingDuration) {
             this.transitionToState(tuna, this.states.PATROLLING);
             return;
         }
@@ -134,14 +135,33 @@ class TunaAI {
         const nearbyPrey = [];
         const config = this.config;
         
-        // Get detection radii from config (smaller = harder to see)
-        const regularFryRadius = config.regularFryDetectionRadius || 300;
-        const trueFryRadius = config.trueFryDetectionRadius || 200;
-        const fertilizedEggRadius = config.fertilizedEggDetectionRadius || 120;
-        const fishEggRadius = config.fishEggDetectionRadius || 80;
+        // Get detection radii from config (smaller = harder to see) - old tuna see less far
+        const perception = window.AgingSystem ? AgingSystem.getPerception(tuna) : 1;
+        const regularFryRadius = (config.regularFryDetectionRadius || 300) * perception;
+        const trueFryRadius = (config.trueFryDetectionRadius || 200) * perception;
+        const fertilizedEggRadius = (config.fertilizedEggDetectionRadius || 120) * perception;
+        const fishEggRadius = (config.fishEggDetectionRadius || 80) * perception;
+        const paralarvaRadius = (config.squidParalarvaDetectionRadius || 160) * perception;
+        
+        // Juveniles are too small for fry - they hunt krill (and eggs, below) until they have grown
+        if (window.TunaSpawningSystem && TunaSpawningSystem.isJuvenile(tuna)) {
+            const krillRadius = config.breeding.juvenileKrillDetectionRadius * perception;
+            for (let prey of gameEntities.findNearby(tuna.x, tuna.y, krillRadius, KRILL_SPATIAL_TYPES, tuna)) {
+                const distSquared = window.Utils.distanceSquared(tuna, prey);
+                if (distSquared < krillRadius * krillRadius) {
+                    nearbyPrey.push({
+                        entity: prey,
+                        distance: Math.sqrt(distSquared),
+                        priority: this.calculatePreyPriority(tuna, prey, 'krill')
+                    });
+                }
+            }
+        }
         
-        // Check fish array for regular fry and truefry (different detection radii)
-        for (let prey of (gameEntities.fish || [])) {
+        // Check nearby fish for regular fry and truefry (different detection radii) - candidates come from the spatial grid
+        const nearbyFish = window.TunaSpawningSystem && TunaSpawningSystem.isJuvenile(tuna) ? [] :
+            gameEntities.findNearby(tuna.x, tuna.y, Math.max(regularFryRadius, trueFryRadius), 'fish', tuna);
+        for (let prey of nearbyFish) {
             const fishType = prey.fishType ? String(prey.fishType).toLowerCase() : '';
             const isTrueFry = fishType.includes('truefry') || prey.constructor.name === 'TrueFry1' || prey.constructor.name === 'TrueFry2';
             const isRegularFry = (fishType.includes('fry') || fishType.includes('smallfry')) && !isTrueFry;
@@ -162,7 +182,7 @@ class TunaAI {
         }
         
         // Check fertilized eggs (smaller detection radius)
-        for (let prey of (gameEntities.fertilizedEggs || [])) {
+        for (let prey of gameEntities.findNearby(tuna.x, tuna.y, fertilizedEggRadius, 'fertilizedEgg', tuna)) {
             const detectionRadiusSquared = fertilizedEggRadius * fertilizedEggRadius;
             const distSquared = window.Utils.distanceSquared(tuna, prey);
             
@@ -176,7 +196,7 @@ class TunaAI {
         }
         
         // Check unfertilized fish eggs (smallest detection radius)
-        for (let prey of (gameEntities.fishEggs || [])) {
+        for (let prey of gameEntities.findNearby(tuna.x, tuna.y, fishEggRadius, 'egg', tuna)) {
             const detectionRadiusSquared = fishEggRadius * fishEggRadius;
             const distSquared = window.Utils.distanceSquared(tuna, prey);
             
@@ -189,6 +209,19 @@ class TunaAI {
             }
         }
         
+        // Check squid paralarvae (they drift near the surface until they settle into young squid)
+        for (let prey of gameEntities.findNearby(tuna.x, tuna.y, paralarvaRadius, 'squidParalarva', tuna)) {
+            const distSquared = window.Utils.distanceSquared(tuna, prey);
+            
+            if (distSquared < paralarvaRadius * paralarvaRadius) {
+                nearbyPrey.push({
+                    entity: prey,
+                    distance: Math.sqrt(distSquared),
+                    priority: this.calculatePreyPriority(tuna, prey, 'squidParalarvae')
+                });
+            }
+        }
+        
         return nearbyPrey.sort((a, b) => b.priority - a.priority);
     }
     
@@ -213,6 +246,12 @@ class TunaAI {
         } else if (preyType === 'fishEggs') {
             // Unfertilized eggs - Lowest priority
             priority *= 1.2;
+        } else if (preyType === 'squidParalarvae') {
+            // Squid paralarvae - ranked with fertilized eggs
+            priority *= 1.5;
+        } else if (preyType === 'krill') {
+            // Krill - only juveniles look for them, so they rank like fry do for adults
+            priority *= 3.0;
         }
         
         // Size-based priority (eggs don't have meaningful size comparison)
@@ -252,6 +291,11 @@ class TunaAI {
         return null;
     }
     
+    // Low on energy (see TUNA_CONFIG.metabolism) - food comes before resting after a meal
+    isHungry(tuna) {
+        return !!window.MetabolismSystem && MetabolismSystem.isHungry(tuna);
+    }
+
     isValidTarget(target) {
         // Basic validation: target exists and has valid coordinates
         if (!target || typeof target.x !== 'number' || typeof target.y !== 'number') {
@@ -274,7 +318,11 @@ class TunaAI {
         const arraysToCheck = [
             gameEntities.fish || [],
             gameEntities.fertilizedEggs || [],
-            gameEntities.fishEggs || []
+            gameEntities.fishEggs || [],
+            gameEntities.krill || [],
+            gameEntities.paleKrill || [],
+            gameEntities.momKrill || [],
+            gameEntities.squidParalarvae || []
         ];
         
         for (let arr of arraysToCheck) {
@@ -290,7 +338,7 @@ class TunaAI {
         const threats = [];
         const threatRadius = this.config.fleeRadius;
         
-        for (let squid of gameEntities.squid || []) {
+        for (let squid of gameEntities.findNearby(tuna.x, tuna.y, threatRadius, 'squid', tuna)) {
             const distance = window.Utils.distance(tuna, squid);
             if (distance < threatRadius) {
                 threats.push(squid);
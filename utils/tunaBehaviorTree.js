@@ -33,9 +33,9 @@ class TunaBehaviorTree {
         const horizontalBias = config.patrolHorizontalBias || 0.85;
         
         // Choose left (-PI/2 to PI/2) or right (PI/2 to 3PI/2) with horizontal bias
-        const leftOrRight = Math.random() < 0.5 ? 0 : Math.PI; // 0 = right, PI = left
-        const horizontalVariation = (Math.random() - 0.5) * 0.3; // Small variation (±0.15 radians = ±8.6 degrees)
-        const verticalVariation = (Math.random() - 0.5) * (1 - horizontalBias) * 0.5; // Small vertical component
+        const leftOrRight = SimRandom.random() < 0.5 ? 0 : Math.PI; // 0 = right, PI = left
+        const horizontalVariation = (SimRandom.random() - 0.5) * 0.3; // Small variation (±0.15 radians = ±8.6 degrees)
+        const verticalVariation = (SimRandom.random() - 0.5) * (1 - horizontalBias) * 0.5; // Small vertical component
         
         const initialDirection = leftOrRight + horizontalVariation + verticalVariation;
         
@@ -19,6 +19,7 @@ const TUNA_CONFIG = {
     trueFryDetectionRadius: 310, // TrueFry - harder to see (reduced radius, increased by 80px from 230)
     fertilizedEggDetectionRadius: 218, // Fertilized eggs - even smaller (increased by 80px from 138)
     fishEggDetectionRadius: 172, // Unfertilized eggs - smallest (hardest to see, increased by 80px from 92)
+    squidParalarvaDetectionRadius: 160, // Squid paralarvae near the surface (see entities/SquidParalarva.js)
     
     // Movement and speed
     maxPredictionTime: 3.0, // Max seconds to predict prey movement
@@ -42,7 +43,44 @@ const TUNA_CONFIG = {
     // State management
     feedingDuration: 180, // Frames locked out of hunting after eating (3 seconds)
     targetSwitchCooldown: 60, // Frames between target switches
-    postFeedingCooldown: 60 // Cooldown after feeding before can hunt again (1 second)
+    postFeedingCooldown: 60, // Cooldown after feeding before can hunt again (1 second)
+    
+    // Metabolism (systems/MetabolismSystem.js) - energy per tick, a full store lasts about six minutes of patrolling
+    metabolism: {
+        max: 100,
+        basal: 0.0015, // Staying alive
+        swim: 0.004, // Extra at full speed, scaled by (speed / maxSpeed)² - a hunting sprint costs 2.5x a patrol
+        hunt: 0.002, // Extra every tick spent chasing prey
+        hunting: { aiState: [TUNA_STATES.HUNTING] },
+        hungry: 0.4, // Below 40% energy a tuna skips the post-feeding lockouts
+        diet: { fry: 15, truefry1: 8, truefry2: 10, krill: 4, paleKrill: 3, momKrill: 6, fishEgg: 3, fertilizedEgg: 3, squidParalarva: 8 }
+    },
+    
+    // Aging (systems/AgingSystem.js) - ages in simulation milliseconds
+    aging: {
+        stages: [{ name: 'juvenile', until: 120000 }, { name: 'adult', until: 720000 }, { name: 'elder' }],
+        lifespan: [900000, 1200000], // 15-20 minutes
+        senescence: { speed: 0.6, perception: 0.5 } // At the very end of life: 60% of the distance, half the sight
+    },
+    
+    // Breeding (utils/tunaSpawningSystem.js) - well-fed adults school up and spawn, eggs drift and hatch into juveniles
+    breeding: {
+        readyEnergy: 0.7, // Share of a full store an adult needs before it looks for a school
+        schoolRange: 1200, // Ready tuna swim towards ready tuna within this range
+        schoolForce: 0.05, // Pull towards the nearest ready partner
+        spawnRange: 300, // A school spawns once enough ready tuna are this close together
+        schoolSize: 2, // Ready tuna needed to spawn (including the one checking)
+        energyCost: 30, // Paid by every tuna in the spawning school
+        cooldown: 150000, // Between spawns, per tuna (2.5 minutes)
+        eggsPerTuna: [1, 2], // Eggs each spawning tuna releases
+        eggSpread: 60, // Eggs scatter this far around the school
+        maxPopulation: 40, // No spawning while there are this many tuna and tuna eggs
+        hatchDuration: [15000, 25000], // Drifting time before an egg hatches
+        eggLifespan: 40000, // Eggs that have not hatched by then are lost
+        hatchlingScale: 0.4, // A hatchling is 40% of adult size
+        growthPerEnergy: 1 / 24, // Growth (0 hatchling - 1 adult) per point of energy eaten - about six krill
+        juvenileKrillDetectionRadius: 260 // Juveniles hunt krill and eggs instead of fry
+    }
 };
 
 // Export for global access
@@ -75,22 +75,22 @@ class TunaLegacySystem {
                     const d = window.Utils.distance(tuna, p);
                     if (d < 30) {
                         // Remove the prey from the correct array
-                        preyGroup.array.splice(i, 1);
+                        EntityLifecycle.removeFrom(preyGroup.array, i, DEATH_CAUSES.EATEN, tuna);
                         
                         // Start tuna pooping sequence using the pooping system
                         if (window.gameEntities && window.gameEntities.tunaPoopingSystem) {
                             window.gameEntities.tunaPoopingSystem.startPooping(tuna, window.gameEntities);
                         } else if (window.gameEntities && window.gameEntities.poop && window.Poop) {
                             // Fallback to single poop if system not available
-                            window.gameEntities.poop.push(new window.Poop(tuna.x, tuna.y, 'tuna'));
+                            window.gameEntities.poop.push(window.acquireEntity(window.Poop, tuna.x, tuna.y, 'tuna'));
                         }
                         
                         // Create multiple eating bubbles
                         if (window.ObjectPools) {
                             for (let j = 0; j < 3; j++) {
                                 window.ObjectPools.getEatingBubble(
-                                    tuna.x + (Math.random() - 0.5) * 20,
-                                    tuna.y + (Math.random() - 0.5) * 20
+                                    tuna.x + (SimRandom.random() - 0.5) * 20,
+                                    tuna.y + (SimRandom.random() - 0.5) * 20
                                 );
                             }
                         }
@@ -120,8 +120,8 @@ class TunaLegacySystem {
             if (tuna.currentPatience <= 0) {
                 // Random wander
                 const wanderForce = {
-                    x: (Math.random() - 0.5) * tuna.maxForce * 0.5,
-                    y: (Math.random() - 0.5) * tuna.maxForce * 0.5
+                    x: (SimRandom.random() - 0.5) * tuna.maxForce * 0.5,
+                    y: (SimRandom.random() - 0.5) * tuna.maxForce * 0.5
                 };
                 tuna.applyForce(wanderForce);
                 tuna.currentPatience = 100;
@@ -167,22 +167,22 @@ class TunaLegacySystem {
                         }
                         
                         // Remove the prey from the correct array
-                        preyGroup.array.splice(i, 1);
+                        EntityLifecycle.removeFrom(preyGroup.array, i, DEATH_CAUSES.EATEN, tuna);
                         
                         // Start tuna pooping sequence using the pooping system
                         if (window.gameEntities && window.gameEntities.tunaPoopingSystem) {
                             window.gameEntities.tunaPoopingSystem.startPooping(tuna, window.gameEntities);
                         } else if (window.gameEntities && window.gameEntities.poop && window.Poop) {
                             // Fallback to single poop if system not available
-                            window.gameEntities.poop.push(new window.Poop(tuna.x, tuna.y, 'tuna'));
+                            window.gameEntities.poop.push(window.acquireEntity(window.Poop, tuna.x, tuna.y, 'tuna'));
                         }
                         
                         // Create multiple eating bubbles
                         if (window.ObjectPools) {
                             for (let j = 0; j < 3; j++) {
                                 window.ObjectPools.getEatingBubble(
-                                    tuna.x + (Math.random() - 0.5) * 20,
-                                    tuna.y + (Math.random() - 0.5) * 20
+                                    tuna.x + (SimRandom.random() - 0.5) * 20,
+                                    tuna.y + (SimRandom.random() - 0.5) * 20
                                 );
                             }
                         }
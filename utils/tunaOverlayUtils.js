@@ -38,7 +38,7 @@ const TunaSpriteUtils = {
 
         // Update sprite if active
         if (tuna.eatenSprite.showEatenSprite) {
-            tuna.eatenSprite.spriteTimer += 16; // Assuming 60fps
+            tuna.eatenSprite.spriteTimer += SimClock.stepMs; // One simulation tick
             tuna.eatenSprite.pulsePhase += this.CONFIG.PULSE_FREQUENCY;
 
             // Check if sprite should end
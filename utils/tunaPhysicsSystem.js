@@ -15,7 +15,7 @@ class TunaPhysicsSystem {
     initializePhysicsSystem(tuna) {
         // Ensure velocity is initialized
         if (!tuna.velocity) {
-            tuna.velocity = { x: Math.random() * 4 - 2, y: Math.random() * 4 - 2 };
+            tuna.velocity = { x: SimRandom.random() * 4 - 2, y: SimRandom.random() * 4 - 2 };
         }
         
         // Ensure acceleration is initialized
@@ -240,8 +240,8 @@ class TunaPhysicsSystem {
      * @returns {Object} Wander target position {x, y}
      */
     generateWanderTarget(tuna) {
-        const angle = Math.random() * Math.PI * 2;
-        const distance = this.config.wanderRadius * (0.5 + Math.random() * 0.5);
+        const angle = SimRandom.random() * Math.PI * 2;
+        const distance = this.config.wanderRadius * (0.5 + SimRandom.random() * 0.5);
         
         return {
             x: tuna.x + Math.cos(angle) * distance,
@@ -259,8 +259,8 @@ class TunaPhysicsSystem {
         const WORLD_WIDTH = window.WORLD_WIDTH || 12000;
         
         return {
-            x: Math.max(100, Math.min(WORLD_WIDTH - 100, tuna.x + (Math.random() - 0.5) * 200)),
-            y: Math.max(WORLD_HEIGHT * 0.6, Math.min(WORLD_HEIGHT - 100, tuna.y + Math.random() * 100))
+            x: Math.max(100, Math.min(WORLD_WIDTH - 100, tuna.x + (SimRandom.random() - 0.5) * 200)),
+            y: Math.max(WORLD_HEIGHT * 0.6, Math.min(WORLD_HEIGHT - 100, tuna.y + SimRandom.random() * 100))
         };
     }
 
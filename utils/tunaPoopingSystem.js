@@ -39,7 +39,7 @@ class TunaPoopingSystem {
         this.initializePoopingProperties(tuna);
         
         const props = tuna.poopingProperties;
-        const currentTime = Date.now();
+        const currentTime = SimClock.now();
         
         // Don't start new pooping if already pooping
         if (props.isPooping) {
@@ -48,7 +48,7 @@ class TunaPoopingSystem {
         
         // Determine how many poop to create (ensure it's 1-2)
         props.totalPoops = this.config.POOP_COUNT.min + 
-                          Math.floor(Math.random() * (this.config.POOP_COUNT.max - this.config.POOP_COUNT.min + 1));
+                          Math.floor(SimRandom.random() * (this.config.POOP_COUNT.max - this.config.POOP_COUNT.min + 1));
         
         // Ensure we always get at least 1 poop
         props.totalPoops = Math.max(1, Math.min(2, props.totalPoops));
@@ -96,7 +96,7 @@ class TunaPoopingSystem {
         const props = tuna.poopingProperties;
         if (!props.isPooping) return;
         
-        const currentTime = Date.now();
+        const currentTime = SimClock.now();
         const timeSinceLastPoop = currentTime - props.lastPoopTime;
         
         // Determine the appropriate interval based on poop count
@@ -143,15 +143,25 @@ class TunaPoopingSystem {
         const poopY = tuna.y;
         
         // Create tuna poop at the tuna's current position
-        const newPoop = new window.Poop(poopX, poopY, 'tuna');
+        const newPoop = window.acquireEntity(window.Poop, poopX, poopY, 'tuna');
         gameEntities.poop.push(newPoop);
         
+        if (window.ecosystemEvents) {
+            window.ecosystemEvents.publish(window.ECOSYSTEM_EVENTS.POOP_PRODUCED, {
+                actors: { producer: tuna, poop: newPoop },
+                x: poopX,
+                y: poopY,
+                cause: 'digestion',
+                details: { producerType: 'tuna', sequenceIndex: poopIndex }
+            });
+        }
+        
         // Create visual effect (bubbles)
         if (window.ObjectPools) {
             for (let j = 0; j < 2; j++) {
                 window.ObjectPools.getEatingBubble(
-                    poopX + (Math.random() - 0.5) * 10,
-                    poopY + (Math.random() - 0.5) * 10
+                    poopX + (SimRandom.random() - 0.5) * 10,
+                    poopY + (SimRandom.random() - 0.5) * 10
                 );
             }
         }
@@ -71,6 +71,24 @@ class TunaRenderingSystem {
         }
     }
 
+    /**
+     * Worker-mode render state - base sprite with the fins overlay, same depth and flip as draw()
+     * @param {Object} tuna - The tuna entity
+     * @param {Object} out - Render state to fill (see SimulationWorker)
+     */
+    getRenderState(tuna, out) {
+        const adjustedDepthY = this.getAdjustedDepthY(tuna.y);
+        const depthOpacity = window.Utils.getDepthOpacity(adjustedDepthY, 1);
+        out.sprite = tuna.tunaType;
+        out.overlay = 'tunaFins';
+        out.angle = Math.atan2(tuna.velocity.y, Math.abs(tuna.velocity.x));
+        out.opacity = depthOpacity;
+        out.overlayOpacity = depthOpacity;
+        out.tint = window.Utils.getDepthTint(adjustedDepthY);
+        out.overlayTint = out.tint * 0.5;
+        out.flip = tuna.velocity.x < 0 ? -1 : 1;
+    }
+
     /**
      * Draw base sprite with depth effects
      * @param {Object} tuna - The tuna entity
@@ -107,55 +125,23 @@ class TunaRenderingSystem {
         ctx.translate(tuna.x, tuna.y);
         
         // Flip sprite based on horizontal movement direction
-        if (tuna.velocity.x < 0) {
-            ctx.scale(-1, 1);
-        }
+        const facing = tuna.velocity.x < 0 ? -1 : 1;
         
         // Apply rotation if provided
+        // tintedSprites.draw mirrors the sprite after this rotation, so a flipped sprite turns the other way
         if (angle !== 0) {
-            ctx.rotate(angle);
+            ctx.rotate(facing * angle);
         }
         
-        if (tintStrength > 0) {
-            // Create temporary canvas for tinting
-            const tempCanvas = document.createElement('canvas');
-            const tempCtx = tempCanvas.getContext('2d');
-            tempCanvas.width = size;
-            tempCanvas.height = size;
-            
-            // Draw sprite on temp canvas with validation
-            try {
-                tempCtx.drawImage(sprite, 0, 0, size, size);
-            } catch (error) {
-                console.error('🚨 drawImage error in TunaRenderingSystem temp canvas:', error, {
-                    sprite: sprite,
-                    size: size,
-                    tunaType: tuna.tunaType
-                });
-                ctx.restore();
-                return;
-            }
-            
-            // Apply tint using source-atop
-            tempCtx.globalCompositeOperation = 'source-atop';
-            tempCtx.fillStyle = `rgba(100, 150, 255, ${tintStrength})`;
-            tempCtx.fillRect(0, 0, size, size);
-            
-            // Draw the tinted sprite to main canvas
-            ctx.globalAlpha = depthOpacity;
-            ctx.drawImage(tempCanvas, -size/2, -size/2);
-        } else {
-            // No tint needed, draw normally with validation
-            ctx.globalAlpha = depthOpacity;
-            try {
-                ctx.drawImage(sprite, -size/2, -size/2, size, size);
-            } catch (error) {
-                console.error('🚨 drawImage error in TunaRenderingSystem main canvas:', error, {
-                    sprite: sprite,
-                    size: size,
-                    tunaType: tuna.tunaType
-                });
-            }
+        ctx.globalAlpha = depthOpacity;
+        try {
+            window.tintedSprites.draw(ctx, sprite, size, tintStrength, facing);
+        } catch (error) {
+            console.error('🚨 drawImage error in TunaRenderingSystem:', error, {
+                sprite: sprite,
+                size: size,
+                tunaType: tuna.tunaType
+            });
         }
         
         ctx.restore();
@@ -200,55 +186,23 @@ class TunaRenderingSystem {
         ctx.translate(tuna.x, tuna.y);
         
         // Flip sprite based on horizontal movement direction
-        if (tuna.velocity.x < 0) {
-            ctx.scale(-1, 1);
-        }
+        const facing = tuna.velocity.x < 0 ? -1 : 1;
         
         // Apply rotation if provided
+        // tintedSprites.draw mirrors the sprite after this rotation, so a flipped sprite turns the other way
         if (angle !== 0) {
-            ctx.rotate(angle);
+            ctx.rotate(facing * angle);
         }
         
-        if (tintStrength > 0) {
-            // Create temporary canvas for tinting with reduced effect
-            const tempCanvas = document.createElement('canvas');
-            const tempCtx = tempCanvas.getContext('2d');
-            tempCanvas.width = size;
-            tempCanvas.height = size;
-            
-            // Draw sprite on temp canvas with validation
-            try {
-                tempCtx.drawImage(sprite, 0, 0, size, size);
-            } catch (error) {
-                console.error('🚨 drawImage error in TunaRenderingSystem overlay temp canvas:', error, {
-                    sprite: sprite,
-                    size: size,
-                    tunaType: tuna.tunaType
-                });
-                ctx.restore();
-                return;
-            }
-            
-            // Apply reduced tint using source-atop
-            tempCtx.globalCompositeOperation = 'source-atop';
-            tempCtx.fillStyle = `rgba(100, 150, 255, ${tintStrength})`;
-            tempCtx.fillRect(0, 0, size, size);
-            
-            // Draw the tinted overlay sprite to main canvas
-            ctx.globalAlpha = depthOpacity;
-            ctx.drawImage(tempCanvas, -size/2, -size/2);
-        } else {
-            // No tint needed, draw overlay normally with validation
-            ctx.globalAlpha = depthOpacity;
-            try {
-                ctx.drawImage(sprite, -size/2, -size/2, size, size);
-            } catch (error) {
-                console.error('🚨 drawImage error in TunaRenderingSystem overlay main canvas:', error, {
-                    sprite: sprite,
-                    size: size,
-                    tunaType: tuna.tunaType
-                });
-            }
+        ctx.globalAlpha = depthOpacity;
+        try {
+            window.tintedSprites.draw(ctx, sprite, size, tintStrength, facing);
+        } catch (error) {
+            console.error('🚨 drawImage error in TunaRenderingSystem overlay:', error, {
+                sprite: sprite,
+                size: size,
+                tunaType: tuna.tunaType
+            });
         }
         
         ctx.restore();
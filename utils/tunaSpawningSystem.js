@@ -0,0 +1,168 @@
+// Tuna Spawning System - Well-fed adult tuna school up and spawn, tuna eggs drift and hatch into juvenile tuna
+// An adult whose energy store is full enough (TUNA_CONFIG.breeding.readyEnergy) and whose spawning cooldown has
+// run out is "ready": it steers towards the nearest ready tuna, and once enough ready tuna are close together the
+// school spawns. Every tuna in it pays for the spawn in energy and releases a few TunaEggs around the school.
+// Eggs drift (EggFloatingSystem) and hatch into a juvenile tuna at growth 0. Juveniles are smaller, hunt krill and
+// eggs instead of fry (see TunaAI.findNearbyPrey) and grow with every meal until they reach adult size (growth 1).
+class TunaSpawningSystem {
+    constructor() {
+        this.spawns = 0; // Schools that spawned
+        this.eggsLaid = 0;
+        this.hatched = 0;
+
+        if (window.ConsoleDebugSystem) {
+            window.ConsoleDebugSystem.logSystemInit('TUNA', 'Spawning System initialized');
+        }
+    }
+
+    static get config() {
+        return window.TUNA_CONFIG.breeding;
+    }
+
+    // Still growing - juveniles stay off fry and do not spawn (tuna from before breeding existed count as grown)
+    static isJuvenile(tuna) {
+        return tuna.growth !== undefined && tuna.growth < 1;
+    }
+
+    // A meal makes a juvenile grow - size follows growth from hatchling to adult size
+    static grow(tuna, energyGained) {
+        if (!TunaSpawningSystem.isJuvenile(tuna) || !(energyGained > 0)) return;
+        const config = TunaSpawningSystem.config;
+        tuna.growth = Math.min(1, tuna.growth + energyGained * config.growthPerEnergy);
+        tuna.size = tuna.adultSize * (config.hatchlingScale + (1 - config.hatchlingScale) * tuna.growth);
+    }
+
+    isReady(tuna) {
+        const config = TunaSpawningSystem.config;
+        if (tuna.isAlive === false || TunaSpawningSystem.isJuvenile(tuna)) return false;
+        if (tuna.aiState !== window.TUNA_STATES.PATROLLING) return false;
+        if (tuna.spawnReadyAt && SimClock.now() < tuna.spawnReadyAt) return false;
+        if (window.AgingSystem && AgingSystem.getStage(tuna) !== 'adult') return false;
+        return !window.MetabolismSystem || MetabolismSystem.getEnergyShare(tuna) >= config.readyEnergy;
+    }
+
+    /**
+     * Called by GameEntities once per tick, after the creatures have moved
+     * @param {Array} predators - Tuna array
+     * @param {Array} tunaEggs - Tuna egg array
+     * @param {Object} gameEntities - Game entities system
+     */
+    update(predators, tunaEggs, gameEntities) {
+        this.hatchEggs(tunaEggs, gameEntities);
+
+        const config = TunaSpawningSystem.config;
+        const ready = predators.filter(tuna => this.isReady(tuna));
+        if (ready.length < config.schoolSize) return;
+
+        const spawnRangeSquared = config.spawnRange * config.spawnRange;
+        const schoolRangeSquared = config.schoolRange * config.schoolRange;
+
+        for (const tuna of ready) {
+            if (tuna.spawnReadyAt && SimClock.now() < tuna.spawnReadyAt) continue; // Spawned earlier this tick
+
+            let nearest = null;
+            let nearestDistSquared = schoolRangeSquared;
+            const school = [tuna];
+            for (const other of ready) {
+                if (other === tuna || (other.spawnReadyAt && SimClock.now() < other.spawnReadyAt)) continue;
+                const distSquared = window.Utils.distanceSquared(tuna, other);
+                if (distSquared < spawnRangeSquared && school.length < config.schoolSize) school.push(other);
+                if (distSquared < nearestDistSquared) {
+                    nearest = other;
+                    nearestDistSquared = distSquared;
+                }
+            }
+
+            if (school.length >= config.schoolSize) {
+                this.spawn(school, tunaEggs, predators.length + tunaEggs.length);
+            } else if (nearest) {
+                // School up - pull towards the nearest ready tuna (applied with the next physics step)
+                const dist = Math.sqrt(nearestDistSquared) || 1;
+                tuna.applyForce({
+                    x: (nearest.x - tuna.x) / dist * config.schoolForce,
+                    y: (nearest.y - tuna.y) / dist * config.schoolForce
+                });
+            }
+        }
+    }
+
+    // The school pays for the spawn and releases its eggs around its centre
+    spawn(school, tunaEggs, population) {
+        const config = TunaSpawningSystem.config;
+        const readyAt = SimClock.now() + config.cooldown;
+        school.forEach(tuna => { tuna.spawnReadyAt = readyAt; });
+        if (population >= config.maxPopulation) return; // Crowded - the school waits out another cooldown
+
+        const centerX = school.reduce((sum, tuna) => sum + tuna.x, 0) / school.length;
+        const centerY = school.reduce((sum, tuna) => sum + tuna.y, 0) / school.length;
+        const [minEggs, maxEggs] = config.eggsPerTuna;
+
+        school.forEach(tuna => {
+            if (window.MetabolismSystem) {
+                MetabolismSystem.spend(tuna, config.energyCost);
+            }
+            const eggCount = minEggs + Math.floor(SimRandom.random() * (maxEggs - minEggs + 1));
+            for (let i = 0; i < eggCount; i++) {
+                const angle = SimRandom.random() * Math.PI * 2;
+                const distance = SimRandom.random() * config.eggSpread;
+                tunaEggs.push(window.acquireEntity(window.TunaEgg,
+                    centerX + Math.cos(angle) * distance, centerY + Math.sin(angle) * distance));
+                this.eggsLaid++;
+            }
+        });
+        this.spawns++;
+
+        if (window.ConsoleDebugSystem) {
+            window.ConsoleDebugSystem.log('TUNA', `School of ${school.length} spawned at (${centerX.toFixed(0)}, ${centerY.toFixed(0)})`, 'debug');
+        }
+    }
+
+    // Ripe eggs turn into juvenile tuna - the hatchling replaces the egg
+    hatchEggs(tunaEggs, gameEntities) {
+        if (!window.Predator) return;
+
+        let hatched = false;
+        for (const egg of tunaEggs) {
+            if (!egg.isReadyToHatch() || egg.isAlive === false) continue;
+
+            egg.hatched = true;
+            EntityLifecycle.kill(egg, DEATH_CAUSES.TRANSFORMED);
+            hatched = true;
+
+            const juvenile = new window.Predator('tuna');
+            juvenile.x = egg.x;
+            juvenile.y = egg.y;
+            juvenile.growth = 0;
+            juvenile.size = juvenile.adultSize * TunaSpawningSystem.config.hatchlingScale;
+            gameEntities.predators.push(juvenile);
+            this.hatched++;
+
+            if (window.ObjectPools) {
+                window.ObjectPools.getEatingBubble(egg.x, egg.y);
+            }
+
+            if (window.ecosystemEvents) {
+                window.ecosystemEvents.publish(window.ECOSYSTEM_EVENTS.EGG_HATCHED, {
+                    actors: { egg, offspring: [juvenile] },
+                    x: egg.x,
+                    y: egg.y,
+                    cause: 'incubated',
+                    details: { offspringType: 'tuna' }
+                });
+            }
+        }
+
+        if (hatched) {
+            gameEntities.removeDeadEntities(tunaEggs);
+        }
+    }
+
+    getStats() {
+        return { spawns: this.spawns, eggsLaid: this.eggsLaid, hatched: this.hatched };
+    }
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.TunaSpawningSystem = TunaSpawningSystem;
+}
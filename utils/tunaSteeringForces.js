@@ -81,9 +81,9 @@ class TunaSteeringForces {
         // Initialize patrol direction if not set (with horizontal bias)
         if (tuna.patrolDirection === undefined || tuna.patrolDirection === null) {
             // Choose left or right direction with horizontal bias
-            const leftOrRight = Math.random() < 0.5 ? 0 : Math.PI; // 0 = right, PI = left
-            const horizontalVariation = (Math.random() - 0.5) * 0.3; // Small variation
-            const verticalComponent = (Math.random() - 0.5) * (1 - horizontalBias) * 0.5;
+            const leftOrRight = SimRandom.random() < 0.5 ? 0 : Math.PI; // 0 = right, PI = left
+            const horizontalVariation = (SimRandom.random() - 0.5) * 0.3; // Small variation
+            const verticalComponent = (SimRandom.random() - 0.5) * (1 - horizontalBias) * 0.5;
             tuna.patrolDirection = leftOrRight + horizontalVariation + verticalComponent;
         }
         
@@ -239,11 +239,11 @@ class TunaSteeringForces {
         // Increase horizontal distance by 25% to cover more ground
         const baseDistanceScaled = baseDistance * 1.25; // Increase base distance for more horizontal coverage
         const variationScaled = variation * 1.25; // Scale variation proportionally
-        const distance = baseDistanceScaled + Math.random() * variationScaled; // ~1000-1625px away (increased from 800-1300)
+        const distance = baseDistanceScaled + SimRandom.random() * variationScaled; // ~1000-1625px away (increased from 800-1300)
         
         // Choose direction with horizontal bias (mostly horizontal movement)
         // But if near an edge, bias away from that edge
-        let angle = Math.random() * Math.PI * 2;
+        let angle = SimRandom.random() * Math.PI * 2;
         
         // Edge-aware direction biasing
         if (distFromLeft < edgeProximityThreshold) {
@@ -338,9 +338,9 @@ class TunaSteeringForces {
             currentState: 'searching',
             stateTimer: 0,
             lastPreyLocation: null,
-            searchRadius: 400 + Math.random() * 600, // EXPANDED: Variable search area (400-1000px, was 200-500px)
+            searchRadius: 400 + SimRandom.random() * 600, // EXPANDED: Variable search area (400-1000px, was 200-500px)
             investigationTarget: null,
-            cruiseDirection: Math.random() * Math.PI * 2,
+            cruiseDirection: SimRandom.random() * Math.PI * 2,
             searchSpiralCenter: { x: tuna.x, y: tuna.y },
             searchSpiralRadius: 80, // EXPANDED: Larger spiral radius (was 50)
             searchSpiralAngle: 0
@@ -353,20 +353,20 @@ class TunaSteeringForces {
         
         // CRITICAL FIX: Initialize patrol distance from config
         const config = window.TUNA_CONFIG || {};
-        tuna.patrolDistance = (config.patrolDistance || 800) + (Math.random() * 2 - 1) * (config.patrolVariation || 500);
+        tuna.patrolDistance = (config.patrolDistance || 800) + (SimRandom.random() * 2 - 1) * (config.patrolVariation || 500);
         
         // ENHANCED: If patrol direction not set, initialize with horizontal bias (left or right)
         if (!tuna.patrolDirection || tuna.patrolDirection === undefined) {
             const horizontalBias = config.patrolHorizontalBias || 0.85;
             // Choose left or right direction with horizontal bias
-            const leftOrRight = Math.random() < 0.5 ? 0 : Math.PI; // 0 = right, PI = left
-            const horizontalVariation = (Math.random() - 0.5) * 0.3; // Small variation
-            const verticalComponent = (Math.random() - 0.5) * (1 - horizontalBias) * 0.5;
+            const leftOrRight = SimRandom.random() < 0.5 ? 0 : Math.PI; // 0 = right, PI = left
+            const horizontalVariation = (SimRandom.random() - 0.5) * 0.3; // Small variation
+            const verticalComponent = (SimRandom.random() - 0.5) * (1 - horizontalBias) * 0.5;
             tuna.patrolDirection = leftOrRight + horizontalVariation + verticalComponent;
         }
         
         tuna.patrolChangeTimer = 0;
-        tuna.patrolChangeInterval = 300 + Math.random() * 360;
+        tuna.patrolChangeInterval = 300 + SimRandom.random() * 360;
         
         // Initialize movement smoothing
         tuna.velocityHistory = [];
@@ -386,7 +386,7 @@ class TunaSteeringForces {
         
         // Transition logic based on realistic predator behavior
         if (tuna.patrolTransitionCooldown <= 0) {
-            const random = Math.random();
+            const random = SimRandom.random();
             
             switch (tuna.patrolState) {
                 case 'searching':
@@ -416,7 +416,7 @@ class TunaSteeringForces {
     transitionPatrolState(tuna, newState) {
         tuna.patrolState = newState;
         tuna.patrolStateTimer = 0;
-        tuna.patrolTransitionCooldown = 60 + Math.random() * 120; // 1-3 seconds between transitions
+        tuna.patrolTransitionCooldown = 60 + SimRandom.random() * 120; // 1-3 seconds between transitions
         
         // Initialize new state
         switch (newState) {
@@ -427,13 +427,13 @@ class TunaSteeringForces {
                 break;
                 
             case 'cruising':
-                tuna.huntingPattern.cruiseDirection = Math.random() * Math.PI * 2;
+                tuna.huntingPattern.cruiseDirection = SimRandom.random() * Math.PI * 2;
                 break;
                 
             case 'investigating':
                 // Pick a random nearby point to investigate
-                const angle = Math.random() * Math.PI * 2;
-                const distance = 100 + Math.random() * 200;
+                const angle = SimRandom.random() * Math.PI * 2;
+                const distance = 100 + SimRandom.random() * 200;
                 tuna.huntingPattern.investigationTarget = {
                     x: tuna.x + Math.cos(angle) * distance,
                     y: tuna.y + Math.sin(angle) * distance
@@ -475,8 +475,8 @@ class TunaSteeringForces {
         const pattern = tuna.huntingPattern;
         
         // Occasional direction changes during cruising
-        if (Math.random() < 0.01) { // 1% chance per frame
-            pattern.cruiseDirection += (Math.random() - 0.5) * 0.5; // Small direction change
+        if (SimRandom.random() < 0.01) { // 1% chance per frame
+            pattern.cruiseDirection += (SimRandom.random() - 0.5) * 0.5; // Small direction change
         }
         
         const cruiseForce = {
@@ -529,12 +529,12 @@ class TunaSteeringForces {
         // Occasionally change patrol direction for variety (less frequent for smoothness)
         if (tuna.patrolChangeTimer >= tuna.patrolChangeInterval) {
             // Change direction by smaller angles (30-90 degrees) for smoother turns
-            const directionChange = (Math.PI / 6) + Math.random() * (Math.PI / 3);
-            tuna.patrolDirection += Math.random() < 0.5 ? directionChange : -directionChange;
+            const directionChange = (Math.PI / 6) + SimRandom.random() * (Math.PI / 3);
+            tuna.patrolDirection += SimRandom.random() < 0.5 ? directionChange : -directionChange;
             
             // Reset timer with new random interval (longer intervals for smoother movement)
             tuna.patrolChangeTimer = 0;
-            tuna.patrolChangeInterval = 300 + Math.random() * 360;
+            tuna.patrolChangeInterval = 300 + SimRandom.random() * 360;
             
             if (window.gameState && window.gameState.tunaDebug) {
                 console.log(`🐟 Tuna changed patrol direction to ${(tuna.patrolDirection * 180 / Math.PI).toFixed(1)}°`);
@@ -687,8 +687,8 @@ class TunaSteeringForces {
     
     // Generate a random wander target (kept for compatibility)
     generateWanderTarget(tuna) {
-        const angle = Math.random() * Math.PI * 2;
-        const distance = window.TUNA_CONFIG.wanderRadius * (0.5 + Math.random() * 0.5);
+        const angle = SimRandom.random() * Math.PI * 2;
+        const distance = window.TUNA_CONFIG.wanderRadius * (0.5 + SimRandom.random() * 0.5);
         
         return {
             x: tuna.x + Math.cos(angle) * distance,
@@ -935,31 +935,45 @@ class TunaSteeringForces {
             { array: gameEntities.paleKrill, name: 'paleKrill' },
             { array: gameEntities.momKrill, name: 'momKrill' },
             { array: gameEntities.fertilizedEggs, name: 'fertilizedEggs' },
-            { array: gameEntities.fishEggs, name: 'fishEggs' } // CRITICAL FIX: Add fishEggs to eating logic
+            { array: gameEntities.fishEggs, name: 'fishEggs' }, // CRITICAL FIX: Add fishEggs to eating logic
+            { array: gameEntities.squidParalarvae, name: 'squidParalarvae' }
         ];
         
         for (let preyGroup of preyArrays) {
             const index = preyGroup.array.indexOf(target);
             if (index !== -1) {
-                if (window.gameState && window.gameState.tunaDebug) {
-                    console.log(`🐟 Tuna ate ${preyGroup.name} at distance ${window.Utils.distance(tuna, target).toFixed(1)}`);
+                const distance = window.Utils.distance(tuna, target);
+                gameEntities.removeEntityAt(preyGroup.array, index, DEATH_CAUSES.EATEN, tuna);
+                if (window.MetabolismSystem) {
+                    const gained = MetabolismSystem.eat(tuna, target);
+                    if (window.TunaSpawningSystem) {
+                        TunaSpawningSystem.grow(tuna, gained);
+                    }
                 }
                 
-                preyGroup.array.splice(index, 1);
+                if (window.ecosystemEvents) {
+                    window.ecosystemEvents.publish(window.ECOSYSTEM_EVENTS.PREY_EATEN, {
+                        actors: { predator: tuna, prey: target },
+                        x: target.x,
+                        y: target.y,
+                        cause: 'hunt',
+                        details: { predatorType: 'tuna', preyType: preyGroup.name, distance }
+                    });
+                }
                 
                 // Start tuna pooping sequence (1-2 poop spread out over 200ms each)
                 if (window.gameEntities && window.gameEntities.tunaPoopingSystem) {
                     window.gameEntities.tunaPoopingSystem.startPooping(tuna, window.gameEntities);
                 } else if (window.gameEntities && window.gameEntities.poop && window.Poop) {
                     // Fallback to single poop if system not available
-                    window.gameEntities.poop.push(new window.Poop(tuna.x, tuna.y, 'tuna'));
+                    window.gameEntities.poop.push(window.acquireEntity(window.Poop, tuna.x, tuna.y, 'tuna'));
                 }
                 
                 if (window.ObjectPools) {
                     for (let j = 0; j < 3; j++) {
                         window.ObjectPools.getEatingBubble(
-                            tuna.x + (Math.random() - 0.5) * 20,
-                            tuna.y + (Math.random() - 0.5) * 20
+                            tuna.x + (SimRandom.random() - 0.5) * 20,
+                            tuna.y + (SimRandom.random() - 0.5) * 20
                         );
                     }
                 }
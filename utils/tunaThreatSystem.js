@@ -34,7 +34,7 @@ class TunaThreatSystem {
                 }
                 
                 // Update threat tracking
-                tuna.lastThreatDetection = Date.now();
+                tuna.lastThreatDetection = SimClock.now();
                 tuna.threatLevel = Math.max(tuna.threatLevel, 1 - (distance / this.config.fleeRadius));
                 break;
             }
@@ -182,7 +182,7 @@ class TunaThreatSystem {
      * @returns {number} Time in milliseconds since last threat
      */
     getTimeSinceLastThreat(tuna) {
-        return Date.now() - tuna.lastThreatDetection;
+        return SimClock.now() - tuna.lastThreatDetection;
     }
 
     /**